@@ -2102,6 +2102,29 @@ describe('NansenAPI', () => {
     });
   });
 
+  // =================== Credit Balance ===================
+
+  describe('Credit Balance', () => {
+    it('should read the remaining credits from the account endpoint', async () => {
+      if (LIVE_TEST) return;
+
+      setupMock(MOCK_RESPONSES.account);
+      expect(await api.getCreditBalance()).toBe(9800);
+      expect(mockFetch.mock.calls[mockFetch.mock.calls.length - 1][0]).toBe('https://api.nansen.ai/api/v1/account');
+    });
+
+    it('should return null without an API key or a readable balance', async () => {
+      if (LIVE_TEST) return;
+
+      mockFetch.mockClear();
+      expect(await new NansenAPI(null, 'https://api.nansen.ai').getCreditBalance()).toBeNull();
+      expect(mockFetch).not.toHaveBeenCalled();
+
+      setupMock({ plan: 'pro' });
+      expect(await api.getCreditBalance()).toBeNull();
+    });
+  });
+
   // =================== Edge Cases ===================
 
   describe('Edge Cases', () => {
@@ -2470,6 +2493,37 @@ describe('NansenAPI', () => {
       expect(result).toBeDefined();
       vi.useRealTimers();
     });
+
+    it('should make other requests on the same instance wait out Retry-After', async () => {
+      if (LIVE_TEST) return;
+
+      vi.useFakeTimers();
+      const sharedApi = new NansenAPI('test-key', 'https://api.nansen.ai', { retry: { maxRetries: 0 } });
+
+      const rateLimitResponse = {
+        ok: false,
+        status: 429,
+        json: async () => ({ error: 'Rate limited' })
+      };
+      rateLimitResponse.headers = { get: (name) => name.toLowerCase() === 'retry-after' ? '5' : null };
+
+      mockFetch
+        .mockResolvedValueOnce(rateLimitResponse)
+        .mockResolvedValueOnce({ ok: true, json: async () => ({ data: [] }) });
+
+      await expect(sharedApi.smartMoneyNetflow({})).rejects.toMatchObject({ status: 429 });
+      expect(sharedApi.backoffUntil).toBeGreaterThan(Date.now());
+
+      const second = sharedApi.smartMoneyHoldings({});
+      await vi.advanceTimersByTimeAsync(4000);
+      expect(mockFetch).toHaveBeenCalledTimes(1);
+
+      await vi.advanceTimersByTimeAsync(1500);
+      await second;
+      expect(mockFetch).toHaveBeenCalledTimes(2);
+      expect(sharedApi.backoffUntil).toBe(0);
+      vi.useRealTimers();
+    });
   });
 
   // =================== Address Validation in API Methods ===================
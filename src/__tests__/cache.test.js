@@ -0,0 +1,227 @@
+/**
+ * Response Cache Tests
+ *
+ * Tests for:
+ * - Per-endpoint TTLs and size parsing
+ * - index.json bookkeeping and LRU eviction under a max size
+ * - Expired entries kept for --stale-ok, and the NansenAPI fallback
+ * - cache stats / list / prune
+ *
+ * HOME points at a temp dir before cache.js is imported (its directory is
+ * resolved at import time), so the real ~/.nansen/cache is never touched.
+ */
+
+import { describe, it, expect, beforeEach, afterEach, afterAll, vi } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const originalHome = process.env.HOME;
+const tempHome = fs.mkdtempSync(path.join(os.tmpdir(), 'nansen-cache-test-'));
+process.env.HOME = tempHome;
+
+const {
+  getCachedResponse, setCachedResponse, clearCache, getCacheDir,
+  ttlForEndpoint, parseSize, listCache, getCacheStats, pruneCache,
+} = await import('../cache.js');
+const { NansenAPI } = await import('../api.js');
+const { runCLI } = await import('../cli.js');
+
+process.env.HOME = originalHome;
+
+const T0 = new Date('2026-01-01T00:00:00Z').getTime();
+
+beforeEach(() => {
+  vi.useFakeTimers({ toFake: ['Date'] });
+  vi.setSystemTime(T0);
+  clearCache();
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+afterAll(() => {
+  fs.rmSync(tempHome, { recursive: true, force: true });
+});
+
+function readIndex() {
+  return JSON.parse(fs.readFileSync(path.join(getCacheDir(), 'index.json'), 'utf8'));
+}
+
+describe('ttlForEndpoint', () => {
+  it('should keep OHLCV history for days and netflow for minutes', () => {
+    expect(ttlForEndpoint('/api/v1/tgm/token-ohlcv')).toBe(3 * 24 * 3600);
+    expect(ttlForEndpoint('/api/v1/smart-money/netflow')).toBe(300);
+    expect(ttlForEndpoint('/api/v1/profiler/address/historical-balances')).toBe(24 * 3600);
+  });
+});
+
+describe('parseSize', () => {
+  it.each([
+    ['1024', 1024],
+    ['50mb', 50 * 1024 * 1024],
+    ['1.5GB', 1.5 * 1024 ** 3],
+    ['512k', 512 * 1024],
+    [2048, 2048],
+    ['lots', null],
+  ])('should parse %s', (input, expected) => {
+    expect(parseSize(input)).toBe(expected);
+  });
+});
+
+describe('index and LRU eviction', () => {
+  it('should record each entry in index.json', () => {
+    setCachedResponse('/api/v1/smart-money/netflow', { a: 1 }, { data: [1] });
+    const entries = Object.values(readIndex().entries);
+    expect(entries).toHaveLength(1);
+    expect(entries[0]).toMatchObject({ endpoint: '/api/v1/smart-money/netflow', ttl: 300, createdAt: T0 });
+    expect(entries[0].size).toBeGreaterThan(0);
+  });
+
+  it('should not count the index as a cached response', () => {
+    setCachedResponse('/a', {}, { data: 1 });
+    expect(clearCache()).toBe(1);
+    expect(fs.existsSync(path.join(getCacheDir(), 'index.json'))).toBe(false);
+  });
+
+  it('should evict the least recently used entry above maxBytes', () => {
+    const payload = { data: 'x'.repeat(1000) };
+    setCachedResponse('/a', {}, payload, { maxBytes: 2500 });
+    vi.setSystemTime(T0 + 1000);
+    setCachedResponse('/b', {}, payload, { maxBytes: 2500 });
+    vi.setSystemTime(T0 + 2000);
+    expect(getCachedResponse('/a', {})).not.toBeNull(); // touch /a
+    vi.setSystemTime(T0 + 3000);
+    setCachedResponse('/c', {}, payload, { maxBytes: 2500 });
+
+    expect(getCachedResponse('/b', {})).toBeNull();
+    expect(getCachedResponse('/a', {})).not.toBeNull();
+    expect(getCachedResponse('/c', {})).not.toBeNull();
+  });
+
+  it('should rebuild the index for caches written before it existed', () => {
+    setCachedResponse('/legacy', {}, { data: 1 });
+    fs.unlinkSync(path.join(getCacheDir(), 'index.json'));
+    expect(listCache().map(e => e.endpoint)).toEqual(['/legacy']);
+  });
+});
+
+describe('expired entries', () => {
+  it('should keep expired entries on disk and serve them only with allowStale', () => {
+    setCachedResponse('/api/v1/smart-money/netflow', {}, { data: [1] });
+    vi.setSystemTime(T0 + 301 * 1000);
+
+    expect(getCachedResponse('/api/v1/smart-money/netflow', {})).toBeNull();
+    const stale = getCachedResponse('/api/v1/smart-money/netflow', {}, undefined, { allowStale: true });
+    expect(stale.data).toEqual([1]);
+    expect(stale._meta).toMatchObject({ fromCache: true, stale: true, cacheAge: 301 });
+  });
+});
+
+describe('cache stats / list / prune', () => {
+  beforeEach(() => {
+    setCachedResponse('/api/v1/smart-money/netflow', { p: 1 }, { data: [1] });
+    setCachedResponse('/api/v1/smart-money/netflow', { p: 2 }, { data: [2] });
+    setCachedResponse('/api/v1/tgm/token-ohlcv', {}, { data: [3] });
+    vi.setSystemTime(T0 + 600 * 1000);
+  });
+
+  it('should summarize entries, expiry and size per endpoint', () => {
+    const stats = getCacheStats({ maxBytes: 1000 });
+    expect(stats).toMatchObject({ entries: 3, expired: 2, maxBytes: 1000, dir: getCacheDir() });
+    expect(stats.byEndpoint.map(e => [e.endpoint, e.entries])).toEqual(expect.arrayContaining([
+      ['/api/v1/smart-money/netflow', 2],
+      ['/api/v1/tgm/token-ohlcv', 1],
+    ]));
+  });
+
+  it('should list entries with endpoint filter', () => {
+    const list = listCache({ endpoint: 'ohlcv' });
+    expect(list).toHaveLength(1);
+    expect(list[0]).toMatchObject({ endpoint: '/api/v1/tgm/token-ohlcv', ageSeconds: 600, expired: false });
+  });
+
+  it('should prune expired entries and orphaned files', () => {
+    fs.writeFileSync(path.join(getCacheDir(), 'deadbeef.json'), 'not json');
+    const result = pruneCache();
+    expect(result.removed).toBe(3);
+    expect(result.remaining).toBe(1);
+    expect(listCache().map(e => e.endpoint)).toEqual(['/api/v1/tgm/token-ohlcv']);
+  });
+
+  it('should shrink to maxBytes when pruning', () => {
+    expect(pruneCache({ maxBytes: 0 }).remaining).toBe(0);
+  });
+});
+
+describe('NansenAPI --stale-ok', () => {
+  const endpoint = '/api/v1/smart-money/netflow';
+  let originalFetch;
+
+  beforeEach(() => {
+    originalFetch = global.fetch;
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+  });
+
+  it('should serve an expired entry when the network fails', async () => {
+    const api = new NansenAPI('key', 'https://api.example.com', { retry: { maxRetries: 0 }, cache: { enabled: true, staleOk: true } });
+    const body = { chains: ['solana'] };
+    setCachedResponse(endpoint, body, { data: ['old'] });
+    vi.setSystemTime(T0 + 3600 * 1000);
+    global.fetch = vi.fn().mockRejectedValue(new Error('getaddrinfo ENOTFOUND'));
+
+    const result = await api.request(endpoint, body);
+    expect(result.data).toEqual(['old']);
+    expect(result._meta).toMatchObject({ stale: true, staleReason: 'NETWORK_ERROR' });
+  });
+
+  it('should still throw without staleOk', async () => {
+    const api = new NansenAPI('key', 'https://api.example.com', { retry: { maxRetries: 0 }, cache: { enabled: true } });
+    setCachedResponse(endpoint, {}, { data: ['old'] });
+    vi.setSystemTime(T0 + 3600 * 1000);
+    global.fetch = vi.fn().mockRejectedValue(new Error('offline'));
+
+    await expect(api.request(endpoint, {})).rejects.toMatchObject({ code: 'NETWORK_ERROR' });
+  });
+
+  it('should not mask client errors with stale data', async () => {
+    const api = new NansenAPI('key', 'https://api.example.com', { retry: { maxRetries: 0 }, cache: { enabled: true, staleOk: true } });
+    setCachedResponse(endpoint, {}, { data: ['old'] });
+    vi.setSystemTime(T0 + 3600 * 1000);
+    global.fetch = vi.fn().mockResolvedValue({ ok: false, status: 401, headers: { get: () => null }, json: async () => ({ message: 'bad key' }) });
+
+    await expect(api.request(endpoint, {})).rejects.toMatchObject({ code: 'UNAUTHORIZED' });
+  });
+
+  it('should write through with the endpoint TTL', async () => {
+    const api = new NansenAPI('key', 'https://api.example.com', { retry: { maxRetries: 0 }, cache: { enabled: true } });
+    global.fetch = vi.fn().mockResolvedValue({ ok: true, json: async () => ({ data: [1] }) });
+    await api.request('/api/v1/tgm/token-ohlcv', {});
+    expect(listCache()[0].ttlSeconds).toBe(3 * 24 * 3600);
+  });
+});
+
+describe('nansen cache subcommands', () => {
+  async function cli(args) {
+    const outputs = [];
+    const result = await runCLI(args, { output: (m) => outputs.push(m), errorOutput: () => {}, exit: () => {} });
+    return { result, outputs };
+  }
+
+  it('should return stats in the success envelope', async () => {
+    setCachedResponse('/x', {}, { data: 1 });
+    const { outputs } = await cli(['cache', 'stats', '--cache-max-size', '10mb']);
+    const body = JSON.parse(outputs[0]);
+    expect(body.success).toBe(true);
+    expect(body.data).toMatchObject({ entries: 1, maxBytes: 10 * 1024 * 1024 });
+  });
+
+  it('should reject an invalid size', async () => {
+    const { result } = await cli(['cache', 'prune', '--max-size', 'huge']);
+    expect(result.data.code).toBe('INVALID_PARAMS');
+  });
+});
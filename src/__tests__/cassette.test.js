@@ -0,0 +1,257 @@
+/**
+ * Record / Replay Tests
+ *
+ * Tests for:
+ * - Secret scrubbing of headers, URLs and bodies
+ * - Recording NansenAPI, trading quote and RPC exchanges into cassette.json
+ * - Strict replay: order of identical requests, CASSETTE_MISMATCH, network errors
+ * - --record / --replay wiring in runCLI
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  scrubUrl, scrubBody, describeRequest, loadCassette,
+  createRecorder, createReplayer, startCassette, stopCassette, cassetteFetch, REDACTED,
+} from '../cassette.js';
+import { NansenAPI } from '../api.js';
+import { getQuote } from '../trading.js';
+import { runCLI } from '../cli.js';
+
+let tempDir;
+let originalFetch;
+
+beforeEach(() => {
+  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nansen-cassette-test-'));
+  originalFetch = global.fetch;
+});
+
+afterEach(() => {
+  stopCassette();
+  global.fetch = originalFetch;
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+function jsonResponse(body, status = 200, headers = {}) {
+  return new Response(JSON.stringify(body), { status, headers: { 'content-type': 'application/json', ...headers } });
+}
+
+describe('scrubbing', () => {
+  it('should redact secret query params', () => {
+    expect(scrubUrl('https://rpc.example.com/v1?api_key=abc&chain=base')).toBe(`https://rpc.example.com/v1?api_key=${encodeURIComponent(REDACTED)}&chain=base`);
+  });
+
+  it('should redact key-like path segments of RPC URLs', () => {
+    expect(scrubUrl('https://eth-mainnet.g.alchemy.com/v2/aB3dEfGh1JkLmN0pQrStUvWx')).toBe(`https://eth-mainnet.g.alchemy.com/v2/${REDACTED}`);
+    expect(scrubUrl('https://x.quiknode.pro/0123456789abcdef0123456789abcdef/')).toBe(`https://x.quiknode.pro/${REDACTED}/`);
+    expect(scrubUrl('https://api.nansen.ai/api/v1/smart-money/netflow')).toBe('https://api.nansen.ai/api/v1/smart-money/netflow');
+    expect(scrubUrl('http://127.0.0.1:4010/rpc/solana')).toBe('http://127.0.0.1:4010/rpc/solana');
+  });
+
+  it('should redact secret-looking body fields at any depth', () => {
+    expect(scrubBody({ chain: 'base', wallet: { privateKey: '0xdead', address: '0x1' }, items: [{ password: 'p' }] }))
+      .toEqual({ chain: 'base', wallet: { privateKey: REDACTED, address: '0x1' }, items: [{ password: REDACTED }] });
+  });
+
+  it('should redact auth headers and drop noise headers', () => {
+    const request = describeRequest('https://api.nansen.ai/x', {
+      method: 'post',
+      headers: { apikey: 'secret', 'Payment-Signature': 'sig', 'X-Client-Version': '1.0.0', 'Content-Type': 'application/json' },
+      body: '{"a":1}',
+    });
+    expect(request).toEqual({
+      method: 'POST',
+      url: 'https://api.nansen.ai/x',
+      headers: { apikey: REDACTED, 'payment-signature': REDACTED, 'content-type': 'application/json' },
+      body: { a: 1 },
+    });
+  });
+});
+
+describe('recording', () => {
+  it('should capture NansenAPI requests without the API key', async () => {
+    global.fetch = vi.fn().mockResolvedValue(jsonResponse({ data: [1] }, 200, { 'x-request-id': 'req-1' }));
+    startCassette({ record: tempDir });
+
+    const api = new NansenAPI('super-secret-key', 'https://api.example.com', { retry: { maxRetries: 0 } });
+    const result = await api.request('/api/v1/smart-money/netflow', { chains: ['solana'] });
+    expect(result.data).toEqual([1]);
+
+    const raw = fs.readFileSync(path.join(tempDir, 'cassette.json'), 'utf8');
+    expect(raw).not.toContain('super-secret-key');
+    const [interaction] = loadCassette(tempDir).interactions;
+    expect(interaction.request).toMatchObject({ method: 'POST', url: 'https://api.example.com/api/v1/smart-money/netflow', body: { chains: ['solana'] } });
+    expect(interaction.response).toEqual({ status: 200, headers: { 'content-type': 'application/json' }, body: { data: [1] } });
+  });
+
+  it('should capture trading quotes with the bearer token scrubbed', async () => {
+    const originalKey = process.env.NANSEN_API_KEY;
+    process.env.NANSEN_API_KEY = 'bearer-secret';
+    try {
+      global.fetch = vi.fn().mockResolvedValue(jsonResponse({ quotes: [] }));
+      startCassette({ record: tempDir });
+      await getQuote({ chain: 'base', tokenIn: 'ETH' });
+    } finally {
+      if (originalKey === undefined) delete process.env.NANSEN_API_KEY;
+      else process.env.NANSEN_API_KEY = originalKey;
+    }
+    const [interaction] = loadCassette(tempDir).interactions;
+    expect(interaction.request.method).toBe('GET');
+    expect(interaction.request.url).toContain('/quote?chain=base&tokenIn=ETH');
+    expect(JSON.stringify(interaction)).not.toContain('bearer-secret');
+  });
+
+  it('should record network failures', async () => {
+    const recorder = createRecorder(tempDir, { fetchImpl: vi.fn().mockRejectedValue(Object.assign(new TypeError('fetch failed'), { cause: { code: 'ECONNREFUSED' } })) });
+    await expect(recorder.fetch('https://rpc.example.com', { method: 'POST', body: '{}' })).rejects.toThrow('fetch failed');
+    expect(loadCassette(tempDir).interactions[0].error).toEqual({ message: 'fetch failed', code: 'ECONNREFUSED' });
+  });
+});
+
+describe('replay', () => {
+  const rpc = (method, params = []) => ({ method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ jsonrpc: '2.0', id: 1, method, params }) });
+
+  async function recordRpc(responses) {
+    const fetchImpl = vi.fn();
+    for (const r of responses) fetchImpl.mockResolvedValueOnce(jsonResponse(r));
+    const recorder = createRecorder(tempDir, { fetchImpl });
+    await recorder.fetch('https://rpc.example.com', rpc('eth_blockNumber'));
+    await recorder.fetch('https://rpc.example.com', rpc('eth_blockNumber'));
+    await recorder.fetch('https://rpc.example.com', rpc('eth_getBalance', ['0x1', 'latest']));
+  }
+
+  it('should serve identical requests in recorded order without the network', async () => {
+    await recordRpc([{ result: '0x1' }, { result: '0x2' }, { result: '0x10' }]);
+    global.fetch = vi.fn();
+    const replayer = createReplayer(tempDir);
+
+    expect(await (await replayer.fetch('https://rpc.example.com', rpc('eth_getBalance', ['0x1', 'latest']))).json()).toEqual({ result: '0x10' });
+    expect(await (await replayer.fetch('https://rpc.example.com', rpc('eth_blockNumber'))).json()).toEqual({ result: '0x1' });
+    expect(await (await replayer.fetch('https://rpc.example.com', rpc('eth_blockNumber'))).json()).toEqual({ result: '0x2' });
+    expect(replayer.unused()).toEqual([]);
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  it('should match bodies regardless of key order', async () => {
+    await createRecorder(tempDir, { fetchImpl: async () => jsonResponse({ ok: true }) })
+      .fetch('https://api.example.com/x', { method: 'POST', body: '{"a":1,"b":2}' });
+    const res = await createReplayer(tempDir).fetch('https://api.example.com/x', { method: 'POST', body: '{"b":2,"a":1}' });
+    expect(res.status).toBe(200);
+  });
+
+  it('should record and replay responses without a body', async () => {
+    const recorder = createRecorder(tempDir, { fetchImpl: async () => new Response(null, { status: 204 }) });
+    expect((await recorder.fetch('https://api.example.com/alerts/1', { method: 'DELETE' })).status).toBe(204);
+    const res = await createReplayer(tempDir).fetch('https://api.example.com/alerts/1', { method: 'DELETE' });
+    expect(res.status).toBe(204);
+    expect(await res.text()).toBe('');
+  });
+
+  it('should fail loudly on a request that was not recorded', async () => {
+    await recordRpc([{ result: '0x1' }, { result: '0x2' }, { result: '0x10' }]);
+    const replayer = createReplayer(tempDir);
+
+    const error = await replayer.fetch('https://rpc.example.com', rpc('eth_getBalance', ['0x2', 'latest'])).catch(e => e);
+    expect(error.code).toBe('CASSETTE_MISMATCH');
+    expect(error.message).toContain('next recorded: POST https://rpc.example.com');
+    expect(error.details.request.body.params).toEqual(['0x2', 'latest']);
+  });
+
+  it('should fail once the cassette is exhausted', async () => {
+    await recordRpc([{ result: '0x1' }, { result: '0x2' }, { result: '0x10' }]);
+    const replayer = createReplayer(tempDir);
+    for (let i = 0; i < 2; i++) await replayer.fetch('https://rpc.example.com', rpc('eth_blockNumber'));
+    await replayer.fetch('https://rpc.example.com', rpc('eth_getBalance', ['0x1', 'latest']));
+    await expect(replayer.fetch('https://rpc.example.com', rpc('eth_blockNumber'))).rejects.toThrow('cassette exhausted');
+  });
+
+  it('should replay recorded network failures as NETWORK_ERROR', async () => {
+    await createRecorder(tempDir, { fetchImpl: vi.fn().mockRejectedValue(new TypeError('fetch failed')) })
+      .fetch('https://api.example.com/api/v1/x', { method: 'POST', body: '{}' })
+      .catch(() => {});
+    startCassette({ replay: tempDir });
+    const api = new NansenAPI('key', 'https://api.example.com', { retry: { maxRetries: 0 } });
+    await expect(api.request('/api/v1/x', {})).rejects.toMatchObject({ code: 'NETWORK_ERROR' });
+  });
+
+  it('should reject a missing cassette', () => {
+    expect(() => createReplayer(path.join(tempDir, 'nope'))).toThrow('No cassette found');
+  });
+});
+
+describe('cassetteFetch', () => {
+  it('should pass through to global fetch without an active cassette', async () => {
+    global.fetch = vi.fn().mockResolvedValue(jsonResponse({ ok: true }));
+    await cassetteFetch('https://example.com', { method: 'GET' });
+    expect(global.fetch).toHaveBeenCalledWith('https://example.com', { method: 'GET' });
+  });
+
+  it('should refuse --record and --replay together', () => {
+    expect(() => startCassette({ record: tempDir, replay: tempDir })).toThrow('cannot be used together');
+  });
+});
+
+describe('runCLI --record / --replay', () => {
+  async function cli(args) {
+    const outputs = [];
+    const errors = [];
+    const result = await runCLI(args, { output: (m) => outputs.push(m), errorOutput: (m) => errors.push(m), exit: () => {} });
+    return { result, outputs, errors };
+  }
+
+  it('should replay a recorded research command offline', async () => {
+    const originalBase = process.env.NANSEN_BASE_URL;
+    const originalKey = process.env.NANSEN_API_KEY;
+    process.env.NANSEN_BASE_URL = 'https://api.example.com';
+    process.env.NANSEN_API_KEY = 'test-key';
+    try {
+      global.fetch = vi.fn().mockResolvedValue(jsonResponse({ data: [{ token_symbol: 'SOL' }] }));
+      const recorded = await cli(['research', 'smart-money', 'netflow', '--chain', 'solana', '--no-retry', '--record', tempDir]);
+      expect(recorded.result.type).toBe('success');
+
+      global.fetch = vi.fn().mockRejectedValue(new Error('network must not be used'));
+      const replayed = await cli(['research', 'smart-money', 'netflow', '--chain', 'solana', '--no-retry', '--replay', tempDir]);
+      expect(replayed.result.data).toEqual(recorded.result.data);
+      // Only telemetry may still reach the network
+      expect(global.fetch.mock.calls.filter(([url]) => url.startsWith('https://api.example.com'))).toEqual([]);
+
+      const mismatch = await cli(['research', 'smart-money', 'netflow', '--chain', 'base', '--no-retry', '--replay', tempDir]);
+      expect(mismatch.result.data.code).toBe('CASSETTE_MISMATCH');
+      expect(mismatch.errors.some(e => e.includes('were not replayed'))).toBe(true);
+    } finally {
+      if (originalBase === undefined) delete process.env.NANSEN_BASE_URL;
+      else process.env.NANSEN_BASE_URL = originalBase;
+      if (originalKey === undefined) delete process.env.NANSEN_API_KEY;
+      else process.env.NANSEN_API_KEY = originalKey;
+    }
+  });
+
+  it('should replay default date ranges on a later day', async () => {
+    const originalBase = process.env.NANSEN_BASE_URL;
+    const originalKey = process.env.NANSEN_API_KEY;
+    process.env.NANSEN_BASE_URL = 'https://api.example.com';
+    process.env.NANSEN_API_KEY = 'test-key';
+    const args = ['research', 'profiler', 'transactions', '--address', '0x28c6c06298d514db089934071355e5743bf21d60', '--chain', 'ethereum', '--no-retry'];
+    try {
+      vi.useFakeTimers({ toFake: ['Date'] });
+      vi.setSystemTime(new Date('2026-03-01T23:50:00Z'));
+      global.fetch = vi.fn().mockResolvedValue(jsonResponse({ data: [{ transaction_hash: '0xabc' }] }));
+      const recorded = await cli([...args, '--record', tempDir]);
+      expect(recorded.result.type).toBe('success');
+      expect(JSON.parse(global.fetch.mock.calls[0][1].body).date.to).toBe('2026-03-01');
+
+      vi.setSystemTime(new Date('2026-03-04T09:00:00Z'));
+      global.fetch = vi.fn().mockRejectedValue(new Error('network must not be used'));
+      const replayed = await cli([...args, '--replay', tempDir]);
+      expect(replayed.result.data).toEqual(recorded.result.data);
+    } finally {
+      vi.useRealTimers();
+      if (originalBase === undefined) delete process.env.NANSEN_BASE_URL;
+      else process.env.NANSEN_BASE_URL = originalBase;
+      if (originalKey === undefined) delete process.env.NANSEN_API_KEY;
+      else process.env.NANSEN_API_KEY = originalKey;
+    }
+  });
+});
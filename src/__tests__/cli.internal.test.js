@@ -25,8 +25,11 @@ import {
   batchProfile,
   traceCounterparties,
   compareWallets,
+  clusterWallet,
   buildPagination,
-  parseAddressList
+  parseAddressList,
+  paginateAll,
+  locateRecords
 } from '../cli.js';
 import {
   formatAlertsTable,
@@ -1551,6 +1554,156 @@ describe('runCLI', () => {
   });
 });
 
+// =================== Auto-pagination ===================
+
+describe('locateRecords', () => {
+  it('should find rows in data.results and swap them', () => {
+    const located = locateRecords({ data: { results: [1], total: 9 } });
+    expect(located.records).toEqual([1]);
+    expect(located.replace([1, 2])).toEqual({ data: { results: [1, 2], total: 9 } });
+  });
+
+  it('should return null when there is no row array', () => {
+    expect(locateRecords({ balance: 1 })).toBeNull();
+  });
+});
+
+describe('paginateAll', () => {
+  const pageOf = (n, size) => ({ data: Array.from({ length: size }, (_, i) => ({ id: `${n}-${i}` })), pagination: { page: n } });
+
+  it('should stop on a short page and concatenate rows', async () => {
+    const fetchPage = vi.fn(async (page) => pageOf(page, page < 3 ? 2 : 1));
+    const result = await paginateAll(fetchPage, { perPage: 2 });
+    expect(fetchPage).toHaveBeenCalledTimes(3);
+    expect(result.data.map(r => r.id)).toEqual(['1-0', '1-1', '2-0', '2-1', '3-0']);
+    expect(result.pagination).toBeUndefined();
+    expect(result._meta).toEqual({ pages: 3, rows: 5, creditsUsed: null, complete: true });
+  });
+
+  it('should respect maxPages and report the walk as incomplete', async () => {
+    const fetchPage = vi.fn(async (page) => pageOf(page, 2));
+    const result = await paginateAll(fetchPage, { perPage: 2, maxPages: 2 });
+    expect(fetchPage).toHaveBeenCalledTimes(2);
+    expect(result._meta.complete).toBe(false);
+  });
+
+  it('should stop when the API flags the last page', async () => {
+    const fetchPage = vi.fn(async () => ({ data: [{ id: 1 }], pagination: { is_last_page: true } }));
+    await paginateAll(fetchPage, { perPage: 1 });
+    expect(fetchPage).toHaveBeenCalledTimes(1);
+  });
+
+  it('should stop when an endpoint ignores the page parameter', async () => {
+    const fetchPage = vi.fn(async () => ({ data: [{ id: 1 }, { id: 2 }] }));
+    const result = await paginateAll(fetchPage, { perPage: 2 });
+    expect(fetchPage).toHaveBeenCalledTimes(2);
+    expect(result.data).toHaveLength(2);
+  });
+
+  it('should report the drop in the credit balance across the walk', async () => {
+    const balances = [100, 93];
+    const creditBalance = vi.fn(async () => balances.shift());
+    const result = await paginateAll(async (page) => pageOf(page, page < 2 ? 2 : 1), { perPage: 2, creditBalance });
+    expect(creditBalance).toHaveBeenCalledTimes(2);
+    expect(result._meta.creditsUsed).toBe(7);
+  });
+
+  it('should report credits as unknown when the balance cannot be read or went up', async () => {
+    const unreadable = vi.fn(async () => null);
+    expect((await paginateAll(async (page) => pageOf(page, 1), { perPage: 2, creditBalance: unreadable }))._meta.creditsUsed).toBeNull();
+    expect(unreadable).toHaveBeenCalledTimes(1);
+    const toppedUp = [100, 500];
+    expect((await paginateAll(async (page) => pageOf(page, 1), { perPage: 2, creditBalance: async () => toppedUp.shift() }))._meta.creditsUsed).toBeNull();
+  });
+
+  it('should hand each page to onPage as it arrives', async () => {
+    const seen = [];
+    await paginateAll(async (page) => pageOf(page, page === 1 ? 2 : 0), { perPage: 2, onPage: (records) => seen.push(records.length) });
+    expect(seen).toEqual([2, 0]);
+  });
+});
+
+describe('runCLI --all / --max-pages', () => {
+  const holderPages = (pageSize, total) => vi.fn(async ({ pagination }) => {
+    const start = (pagination.page - 1) * pagination.per_page;
+    const count = Math.max(0, Math.min(pageSize, total - start));
+    return { data: Array.from({ length: count }, (_, i) => ({ rank: start + i + 1, extra: 'x' })) };
+  });
+
+  const run = async (args, tokenHolders) => {
+    const outputs = [];
+    // One credit per holders call, read back through the account balance
+    let balance = 1000;
+    const result = await runCLI(['research', 'token', 'holders', '--token', 'So11111111111111111111111111111111111111112', ...args], {
+      output: (msg) => outputs.push(msg),
+      errorOutput: () => {},
+      exit: () => {},
+      NansenAPIClass: function MockAPI() {
+        this.tokenHolders = async (...args) => {
+          balance--;
+          return tokenHolders(...args);
+        };
+        this.getCreditBalance = async () => balance;
+      },
+    });
+    return { outputs, result };
+  };
+
+  it('should walk pages with the requested page size', async () => {
+    const tokenHolders = holderPages(2, 5);
+    const { outputs } = await run(['--all', '--limit', '2'], tokenHolders);
+    expect(tokenHolders).toHaveBeenCalledTimes(3);
+    expect(tokenHolders.mock.calls.map(c => c[0].pagination)).toEqual([
+      { page: 1, per_page: 2 }, { page: 2, per_page: 2 }, { page: 3, per_page: 2 },
+    ]);
+    const body = JSON.parse(outputs[0]);
+    expect(body.data.data.map(r => r.rank)).toEqual([1, 2, 3, 4, 5]);
+    expect(body.data._meta).toMatchObject({ pages: 3, rows: 5, creditsUsed: 3, complete: true });
+  });
+
+  it('should default to pages of 100 rows', async () => {
+    const tokenHolders = holderPages(100, 150);
+    await run(['--all'], tokenHolders);
+    expect(tokenHolders.mock.calls[0][0].pagination).toEqual({ page: 1, per_page: 100 });
+    expect(tokenHolders).toHaveBeenCalledTimes(2);
+  });
+
+  it('should cap requests with --max-pages', async () => {
+    const tokenHolders = holderPages(2, 100);
+    await run(['--max-pages', '2', '--limit', '2'], tokenHolders);
+    expect(tokenHolders).toHaveBeenCalledTimes(2);
+  });
+
+  it('should reject a non-positive --max-pages', async () => {
+    const tokenHolders = holderPages(2, 5);
+    const { result } = await run(['--max-pages', '0'], tokenHolders);
+    expect(result.type).toBe('error');
+    expect(result.data.code).toBe('INVALID_PARAMS');
+    expect(tokenHolders).not.toHaveBeenCalled();
+  });
+
+  it('should stream each page as NDJSON and end with a _meta line', async () => {
+    const tokenHolders = holderPages(2, 3);
+    const { outputs } = await run(['--all', '--limit', '2', '--stream', '--fields', 'rank'], tokenHolders);
+    expect(outputs).toHaveLength(3);
+    expect(outputs[0]).toBe('{"rank":1}\n{"rank":2}');
+    expect(outputs[1]).toBe('{"rank":3}');
+    expect(JSON.parse(outputs[2])._meta).toMatchObject({ pages: 2, rows: 3, creditsUsed: 2 });
+  });
+
+  it('should filter streamed pages with --where as they arrive', async () => {
+    const tokenHolders = holderPages(2, 4);
+    const { outputs } = await run(['--all', '--limit', '2', '--stream', '--where', 'rank % 2 = 0', '--fields', 'rank'], tokenHolders);
+    expect(outputs.slice(0, 2)).toEqual(['{"rank":2}', '{"rank":4}']);
+  });
+
+  it('should buffer all pages when --sort-local is combined with --stream', async () => {
+    const tokenHolders = holderPages(2, 3);
+    const { outputs } = await run(['--all', '--limit', '2', '--stream', '--sort-local', 'rank:desc', '--fields', 'rank'], tokenHolders);
+    expect(outputs[0]).toBe('{"rank":3}\n{"rank":2}\n{"rank":1}');
+  });
+});
+
 // =================== P1: --table Output Formatting ===================
 
 describe('--table output formatting', () => {
@@ -2688,8 +2841,9 @@ describe('--from/--to filters on token transfers', () => {
   it('should appear in SCHEMA for token.transfers', () => {
     const transfers = SCHEMA.commands.research.subcommands['token'].subcommands['transfers'];
     expect(transfers).toBeDefined();
-    // Note: from/to options removed from minimal schema (no required/default)
-    // but still work at runtime via extraParams
+    // Declared so pre-flight validation accepts them
+    expect(transfers.options.from).toBeDefined();
+    expect(transfers.options.to).toBeDefined();
   });
 });
 
@@ -2699,8 +2853,7 @@ describe('profiler batch command', () => {
   it('should appear in SCHEMA', () => {
     const batch = SCHEMA.commands.research.subcommands['profiler'].subcommands['batch'];
     expect(batch).toBeDefined();
-    // Note: option details removed from minimal schema (skills document these)
-    // but addresses/file/include still work at runtime
+    expect(Object.keys(batch.options)).toEqual(expect.arrayContaining(['addresses', 'file', 'include']));
   });
 
   it('should parse comma-separated addresses', async () => {
@@ -2806,7 +2959,8 @@ describe('profiler compare command', () => {
   it('should appear in SCHEMA', () => {
     const compare = SCHEMA.commands.research.subcommands['profiler'].subcommands['compare'];
     expect(compare).toBeDefined();
-    expect(compare.options.addresses.required).toBe(true);
+    expect(compare.options.addresses).toBeDefined();
+    expect(compare.options.file).toBeDefined();
   });
 
   it('should parse two comma-separated addresses', async () => {
@@ -3110,6 +3264,83 @@ describe('--format csv integration', () => {
   });
 });
 
+// =================== --output ===================
+
+describe('--output files', () => {
+  let dir;
+  let outputs;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(_path.join(process.env.TMPDIR || '/tmp', 'nansen-output-'));
+    outputs = [];
+  });
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const run = (args, api) => runCLI(args, {
+    output: (msg) => outputs.push(msg),
+    errorOutput: () => {},
+    exit: () => {},
+    NansenAPIClass: function MockAPI() { return api; },
+  });
+
+  const netflowApi = (rows) => ({ smartMoneyNetflow: vi.fn().mockResolvedValue({ data: rows }) });
+
+  it('should infer the format from the extension and report the files written', async () => {
+    const file = _path.join(dir, 'netflow.csv');
+    const result = await run(['research', 'smart-money', 'netflow', '--output', file], netflowApi([{ token_symbol: 'SOL', net_flow_usd: 5 }]));
+
+    expect(result.type).toBe('output');
+    expect(fs.readFileSync(file, 'utf8')).toBe('token_symbol,net_flow_usd\nSOL,5\n');
+    expect(JSON.parse(outputs[0])).toEqual({ success: true, data: { files: [{ path: file, format: 'csv', records: 1 }] } });
+    expect(fs.readdirSync(dir)).toEqual(['netflow.csv']);
+  });
+
+  it('should split rows into one file per {chain} and fill {date}', async () => {
+    const template = _path.join(dir, '{chain}-{date}.ndjson');
+    await run(['research', 'smart-money', 'netflow', '--chains', '["solana","base"]', '--output', template], netflowApi([
+      { chain: 'solana', token_symbol: 'BONK' },
+      { chain: 'base', token_symbol: 'AERO' },
+      { chain: 'solana', token_symbol: 'WIF' },
+    ]));
+
+    const today = new Date().toISOString().slice(0, 10);
+    expect(fs.readFileSync(_path.join(dir, `solana-${today}.ndjson`), 'utf8')).toBe('{"chain":"solana","token_symbol":"BONK"}\n{"chain":"solana","token_symbol":"WIF"}\n');
+    expect(fs.readFileSync(_path.join(dir, `base-${today}.ndjson`), 'utf8')).toBe('{"chain":"base","token_symbol":"AERO"}\n');
+  });
+
+  it('should append CSV rows without repeating the header', async () => {
+    const file = _path.join(dir, 'log.csv');
+    await run(['research', 'smart-money', 'netflow', '--output', file, '--append'], netflowApi([{ token_symbol: 'SOL' }]));
+    await run(['research', 'smart-money', 'netflow', '--output', file, '--append'], netflowApi([{ token_symbol: 'ETH' }]));
+
+    expect(fs.readFileSync(file, 'utf8')).toBe('token_symbol\nSOL\nETH\n');
+  });
+
+  it('should write one file per page with {page} under --all', async () => {
+    const api = {
+      smartMoneyNetflow: vi.fn()
+        .mockResolvedValueOnce({ data: [{ token_symbol: 'A' }, { token_symbol: 'B' }] })
+        .mockResolvedValueOnce({ data: [{ token_symbol: 'C' }] }),
+    };
+    await run(['research', 'smart-money', 'netflow', '--all', '--limit', '2', '--output', _path.join(dir, 'p{page}.json')], api);
+
+    expect(JSON.parse(fs.readFileSync(_path.join(dir, 'p1.json'), 'utf8')).data).toEqual([{ token_symbol: 'A' }, { token_symbol: 'B' }]);
+    expect(JSON.parse(fs.readFileSync(_path.join(dir, 'p2.json'), 'utf8')).data).toEqual([{ token_symbol: 'C' }]);
+    expect(JSON.parse(outputs[0]).data.files.map(f => f.records)).toEqual([2, 1]);
+  });
+
+  it('should reject unknown extensions and --append on whole-file formats before calling the API', async () => {
+    const api = netflowApi([]);
+    await run(['research', 'smart-money', 'netflow', '--output', _path.join(dir, 'out.xlsx')], api);
+    expect(JSON.parse(outputs[0])).toMatchObject({ success: false, code: 'INVALID_PARAMS' });
+    await run(['research', 'smart-money', 'netflow', '--output', _path.join(dir, 'out.json'), '--append'], api);
+    expect(JSON.parse(outputs[1]).error).toContain('--append only works with .ndjson and .csv');
+    expect(api.smartMoneyNetflow).not.toHaveBeenCalled();
+  });
+});
+
 // =================== Composite Functions ===================
 
 describe('batchProfile', () => {
@@ -3184,6 +3415,71 @@ describe('batchProfile', () => {
   });
 });
 
+describe('batchProfile checkpoints', () => {
+  const addr = (n) => `0x${String(n).padStart(40, '0')}`;
+  let dir;
+  let checkpoint;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(_path.join(process.env.TMPDIR || '/tmp', 'nansen-batch-'));
+    checkpoint = _path.join(dir, 'batch.ndjson');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should skip addresses that finished in an earlier run and retry failures', async () => {
+    const firstApi = {
+      addressLabels: vi.fn(async ({ address }) => {
+        if (address === addr(2)) throw new Error('network blip');
+        return { labels: [address] };
+      }),
+    };
+    const first = await batchProfile(firstApi, { addresses: [addr(1), addr(2)], include: ['labels'], checkpoint });
+    expect(first.failed).toEqual([{ address: addr(2), error: 'network blip' }]);
+
+    const secondApi = { addressLabels: vi.fn().mockResolvedValue({ labels: ['retried'] }) };
+    const second = await batchProfile(secondApi, { addresses: [addr(1), addr(2), addr(3)], include: ['labels'], checkpoint });
+    expect(secondApi.addressLabels.mock.calls.map(([p]) => p.address)).toEqual([addr(2), addr(3)]);
+    expect(second.results.map(r => r.address)).toEqual([addr(1), addr(2), addr(3)]);
+    expect(second.results[0].labels).toEqual({ labels: [addr(1)] });
+    expect(second).toMatchObject({ total: 3, completed: 3, resumed: 1, failed: [] });
+  });
+
+  it('should refuse a checkpoint written with other options', async () => {
+    await batchProfile({ addressLabels: vi.fn().mockResolvedValue({}) }, { addresses: [addr(1)], include: ['labels'], checkpoint });
+    await expect(batchProfile({}, { addresses: [addr(1)], chain: 'base', include: ['labels'], checkpoint }))
+      .rejects.toThrow('was written for --chain ethereum');
+  });
+
+  it('should stop starting addresses once credits run out', async () => {
+    const api = {
+      addressLabels: vi.fn().mockRejectedValue(new NansenError('Insufficient credits', ErrorCode.CREDITS_EXHAUSTED, 403)),
+    };
+    const result = await batchProfile(api, { addresses: [addr(1), addr(2), addr(3)], include: ['labels'] });
+    expect(api.addressLabels).toHaveBeenCalledOnce();
+    expect(result.failed.map(f => f.error)).toEqual(['Insufficient credits', 'Not attempted: Insufficient credits', 'Not attempted: Insufficient credits']);
+  });
+
+  it('should stream each finished entry under --stream and close with the summary', async () => {
+    const outputs = [];
+    const mockApi = { addressLabels: vi.fn().mockResolvedValue({ labels: ['Fund'] }) };
+    await runCLI(['research', 'profiler', 'batch', '--addresses', `${addr(1)},bad`, '--include', 'labels', '--stream', '--checkpoint', checkpoint], {
+      output: (m) => outputs.push(m),
+      errorOutput: () => {},
+      exit: () => {},
+      NansenAPIClass: function MockAPI() { return mockApi; },
+    });
+    const lines = outputs.join('\n').split('\n').map(line => JSON.parse(line));
+    expect(lines).toHaveLength(3);
+    expect(lines[0]).toMatchObject({ address: addr(1), labels: { labels: ['Fund'] } });
+    expect(lines[1]).toMatchObject({ address: 'bad' });
+    expect(lines[2]._meta).toMatchObject({ total: 2, completed: 1, resumed: 0, failed: [{ address: 'bad' }] });
+    expect(fs.readFileSync(checkpoint, 'utf8').trim().split('\n')).toHaveLength(3);
+  });
+});
+
 describe('traceCounterparties', () => {
   it('should return graph structure', async () => {
     const mockApi = {
@@ -3261,12 +3557,21 @@ describe('traceCounterparties', () => {
 });
 
 describe('compareWallets', () => {
-  it('should require exactly 2 addresses', async () => {
+  it('should require at least 2 distinct addresses', async () => {
     const mockApi = {};
     await expect(compareWallets(mockApi, {
       addresses: ['0x0000000000000000000000000000000000000001'],
       chain: 'ethereum',
-    })).rejects.toThrow('Exactly 2 addresses');
+    })).rejects.toThrow('At least 2 distinct addresses');
+    await expect(compareWallets(mockApi, {
+      addresses: ['0x0000000000000000000000000000000000000001', '0x0000000000000000000000000000000000000001'],
+      chain: 'ethereum',
+    })).rejects.toThrow('At least 2 distinct addresses');
+  });
+
+  it('should cap the number of addresses', async () => {
+    const addresses = Array.from({ length: 51 }, (_, i) => `0x${String(i + 1).padStart(40, '0')}`);
+    await expect(compareWallets({}, { addresses, chain: 'ethereum' })).rejects.toThrow('limited to 50');
   });
 
   it('should reject invalid addresses', async () => {
@@ -3300,6 +3605,140 @@ describe('compareWallets', () => {
     expect(result.balances[0].total_usd).toBe(1000);
     expect(result.balances[1].total_usd).toBe(2000);
   });
+
+  it('should build pairwise overlap, exposure and common funders for N wallets', async () => {
+    const A = '0x0000000000000000000000000000000000000001';
+    const B = '0x0000000000000000000000000000000000000002';
+    const C = '0x0000000000000000000000000000000000000003';
+    const FUNDER = '0x00000000000000000000000000000000000000f1';
+    const cp = (...ids) => ({ counterparties: ids.map(id => ({ counterparty_address: `0xcp${id}` })) });
+    const data = {
+      [A]: { cp: cp(1, 2, 3), bal: [{ token_symbol: 'ETH', value_usd: 600 }, { token_symbol: 'PEPE', value_usd: 400 }], funders: [FUNDER] },
+      [B]: { cp: cp(2, 3, 4), bal: [{ token_symbol: 'ETH', value_usd: 100 }], funders: [FUNDER] },
+      [C]: { cp: cp(9), bal: [{ token_symbol: 'WIF', value_usd: 50 }], funders: [] },
+    };
+    const mockApi = {
+      addressCounterparties: vi.fn(async ({ address }) => data[address].cp),
+      addressBalance: vi.fn(async ({ address }) => ({ balances: data[address].bal })),
+      addressRelatedWallets: vi.fn(async ({ address }) => ({
+        data: [
+          ...data[address].funders.map(f => ({ address: f, address_label: 'Funding Hub', relation: 'First Funder' })),
+          { address: '0x00000000000000000000000000000000000000d1', relation: 'Deployed via' },
+        ],
+      })),
+    };
+
+    const result = await compareWallets(mockApi, { addresses: [A, B, C], chain: 'ethereum' });
+
+    expect(result.overlap.counterparties).toEqual([[1, 0.5, 0], [0.5, 1, 0], [0, 0, 1]]);
+    expect(result.overlap.tokens).toEqual([[1, 0.5, 0], [0.5, 1, 0], [0, 0, 1]]);
+    expect(result.pairs[0]).toEqual({
+      addresses: [A, B], counterparty_jaccard: 0.5, token_jaccard: 0.5, shared_counterparties: 2, shared_tokens: 1,
+    });
+    expect(result.shared_counterparties).toEqual([]);
+    expect(result.balances[0]).toEqual({ address: A, total_usd: 1000, shared_token_usd: 600, shared_token_pct: 60 });
+    expect(result.balances[2].shared_token_usd).toBe(0);
+    expect(result.common_funders).toEqual([{ address: FUNDER, label: 'Funding Hub', funded: [A, B] }]);
+  });
+
+  it('should list failed lookups and rethrow errors that would fail them all', async () => {
+    const A = '0x0000000000000000000000000000000000000001';
+    const B = '0x0000000000000000000000000000000000000002';
+    const mockApi = {
+      addressCounterparties: vi.fn(async ({ address }) => {
+        if (address === B) throw new NansenError('Bad gateway', ErrorCode.SERVER_ERROR, 502);
+        return { counterparties: [] };
+      }),
+      addressBalance: vi.fn().mockResolvedValue({ balances: [] }),
+    };
+
+    const result = await compareWallets(mockApi, { addresses: [A, B], chain: 'ethereum' });
+    expect(result.failed).toEqual([{ address: B, lookup: 'counterparties', error: 'Bad gateway' }]);
+
+    mockApi.addressBalance.mockRejectedValue(new NansenError('Out of credits', ErrorCode.CREDITS_EXHAUSTED, 403));
+    await expect(compareWallets(mockApi, { addresses: [A, B], chain: 'ethereum' }))
+      .rejects.toMatchObject({ code: ErrorCode.CREDITS_EXHAUSTED });
+  });
+
+  it('should read compare addresses from --file', async () => {
+    const dir = fs.mkdtempSync(_path.join(process.env.TMPDIR || '/tmp', 'nansen-compare-'));
+    const file = _path.join(dir, 'wallets.txt');
+    fs.writeFileSync(file, '0x0000000000000000000000000000000000000001\n0x0000000000000000000000000000000000000002\n0x0000000000000000000000000000000000000003\n');
+    const mockApi = {
+      addressCounterparties: vi.fn().mockResolvedValue({ counterparties: [] }),
+      addressBalance: vi.fn().mockResolvedValue({ balances: [] }),
+    };
+    const commands = buildCommands({});
+    const result = await commands['profiler'](['compare'], mockApi, {}, { file, chain: 'ethereum' });
+
+    expect(result.addresses).toHaveLength(3);
+    expect(result.pairs).toHaveLength(3);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+});
+
+describe('clusterWallet', () => {
+  const SEED = '0x0000000000000000000000000000000000000001';
+  const FUNDER = '0x00000000000000000000000000000000000000f1';
+  const SIBLING = '0x0000000000000000000000000000000000000002';
+  const PEER = '0x0000000000000000000000000000000000000003';
+  const CEX = '0x00000000000000000000000000000000000000ce';
+
+  const graphApi = () => {
+    const related = {
+      [SEED]: [{ address: FUNDER, address_label: 'Deployer 7', relation: 'First Funder' }],
+      [FUNDER]: [{ address: SEED, relation: 'Funded' }, { address: SIBLING, relation: 'Funded' }],
+      [SIBLING]: [],
+    };
+    const counterparties = {
+      [SEED]: [
+        { counterparty_address: PEER, interaction_count: 40, volume_in_usd: 100, volume_out_usd: 200 },
+        { counterparty_address: CEX, counterparty_address_label: ['Binance Hot Wallet'], volume_in_usd: 5, volume_out_usd: 5 },
+      ],
+    };
+    return {
+      addressRelatedWallets: vi.fn(async ({ address }) => ({ data: related[address] || [] })),
+      addressCounterparties: vi.fn(async ({ address }) => ({ data: counterparties[address] || [] })),
+    };
+  };
+
+  it('should require an address and a threshold between 0 and 1', async () => {
+    await expect(clusterWallet({}, { chain: 'ethereum' })).rejects.toThrow('address is required');
+    await expect(clusterWallet({}, { address: SEED, threshold: 2 })).rejects.toThrow('Invalid threshold');
+  });
+
+  it('should score members with the evidence that put them there', async () => {
+    const result = await clusterWallet(graphApi(), { address: SEED, chain: 'ethereum', depth: 2, threshold: 0.5 });
+
+    expect(result.members.map(m => m.address)).toEqual([SEED, SIBLING, FUNDER]);
+    const funder = result.members.find(m => m.address === FUNDER);
+    expect(funder).toMatchObject({ hop: 1, score: 0.6, label: 'Deployer 7' });
+    expect(funder.reasons).toEqual([{ kind: 'related_wallet', relation: 'First Funder', via: SEED, weight: 0.6 }]);
+
+    const sibling = result.members.find(m => m.address === SIBLING);
+    expect(sibling.reasons.map(r => r.kind)).toEqual(['related_wallet', 'shared_funder']);
+    expect(sibling.reasons[1]).toMatchObject({ funder: FUNDER, via: SEED, weight: 0.5 });
+    expect(sibling.score).toBe(0.65);
+
+    expect(result.excluded).toEqual([{ address: CEX, label: 'Binance Hot Wallet', reason: 'service address', via: SEED }]);
+    expect(result.stats).toEqual({ addresses_crawled: 2, candidates_scored: 3, below_threshold: 1 });
+  });
+
+  it('should only expand candidates that reach the threshold', async () => {
+    const api = graphApi();
+    const result = await clusterWallet(api, { address: SEED, chain: 'ethereum', depth: 3, threshold: 0.7 });
+
+    expect(result.members.map(m => m.address)).toEqual([SEED]);
+    expect(api.addressRelatedWallets).toHaveBeenCalledTimes(1);
+  });
+
+  it('should be routed from profiler cluster with --threshold', async () => {
+    const commands = buildCommands({});
+    const result = await commands['profiler'](['cluster'], graphApi(), {}, { address: SEED, chain: 'ethereum', threshold: '0.3', depth: '1' });
+
+    expect(result.threshold).toBe(0.3);
+    expect(result.members.map(m => m.address)).toContain(PEER);
+  });
 });
 
 describe('ENS integration in batchProfile', () => {
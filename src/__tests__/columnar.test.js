@@ -0,0 +1,256 @@
+/**
+ * Parquet / Arrow Output Tests
+ *
+ * Tests for:
+ * - Dotted flattening of nested records
+ * - Column type inference (int64, double, bool, timestamp, string), widening and coercion
+ * - Spooled writes whose schema widens across batches
+ * - Parquet and Arrow IPC file framing
+ * - --format parquet|arrow through runCLI, with one row group per page under --all
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { flattenRecord, inferColumns, widenType, coerceValue, toColumns, createSpooledWriter } from '../columnar.js';
+import { createParquetWriter } from '../parquet.js';
+import { createArrowWriter } from '../arrow.js';
+import { runCLI } from '../cli.js';
+
+let dir;
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nansen-columnar-'));
+});
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const int64 = (n) => {
+  const buf = Buffer.alloc(8);
+  buf.writeBigInt64LE(BigInt(n));
+  return buf;
+};
+
+const double = (n) => {
+  const buf = Buffer.alloc(8);
+  buf.writeDoubleLE(n);
+  return buf;
+};
+
+describe('columnar schema', () => {
+  it('should flatten nested objects into dotted names and keep arrays whole', () => {
+    expect(flattenRecord({ token: { symbol: 'SOL', meta: { chain: 'solana' } }, labels: ['Fund'], empty: {} }))
+      .toEqual({ 'token.symbol': 'SOL', 'token.meta.chain': 'solana', labels: ['Fund'], empty: {} });
+  });
+
+  it('should infer one type per column', () => {
+    const rows = [
+      { count: 1, price: 1, ok: true, at: '2026-01-01T00:00:00Z', day: '2026-01-02', name: 'a', mixed: 1 },
+      { count: 2, price: 2.5, ok: null, at: '2026-01-01T01:00:00.500Z', day: '2026-01-03', name: null, mixed: 'x' },
+    ];
+    expect(inferColumns(rows)).toEqual([
+      { name: 'count', type: 'int64' },
+      { name: 'price', type: 'double' },
+      { name: 'ok', type: 'bool' },
+      { name: 'at', type: 'timestamp' },
+      { name: 'day', type: 'timestamp' },
+      { name: 'name', type: 'string' },
+      { name: 'mixed', type: 'string' },
+    ]);
+  });
+
+  it('should widen int64 to double and other mixes to string', () => {
+    expect(widenType('int64', 'double')).toBe('double');
+    expect(widenType('double', 'int64')).toBe('double');
+    expect(widenType('timestamp', 'bool')).toBe('string');
+    expect(widenType(null, 'bool')).toBe('bool');
+    expect(widenType('int64', null)).toBe('int64');
+  });
+
+  it('should coerce values and throw on ones that do not fit', () => {
+    expect(coerceValue(5, 'int64')).toBe(5n);
+    expect(() => coerceValue(5.5, 'int64')).toThrow('5.5 does not fit a int64 column');
+    expect(coerceValue('2026-01-01T00:00:00Z', 'timestamp')).toBe(Date.UTC(2026, 0, 1));
+    expect(() => coerceValue('soon', 'timestamp')).toThrow(TypeError);
+    expect(coerceValue(['a'], 'string')).toBe('["a"]');
+    expect(coerceValue(3, 'string')).toBe('3');
+    expect(toColumns([{ a: 1 }, {}], [{ name: 'a', type: 'double' }])).toEqual([[1, null]]);
+    expect(() => toColumns([{ a: 'x' }], [{ name: 'a', type: 'double' }])).toThrow(/^Column a: "x"/);
+    expect(() => toColumns([{ a: 1, b: 2 }], [{ name: 'a', type: 'double' }])).toThrow('Column b is not in the schema');
+  });
+
+  it('should read zone-less date-times as UTC whatever the local time zone', () => {
+    const originalTz = process.env.TZ;
+    process.env.TZ = 'America/New_York';
+    try {
+      // Sanity check that the zone took effect: local midnight is not UTC midnight
+      expect(new Date(2026, 0, 1).getTime()).not.toBe(Date.UTC(2026, 0, 1));
+      expect(coerceValue('2026-01-01T00:00:00', 'timestamp')).toBe(Date.UTC(2026, 0, 1));
+      expect(coerceValue('2026-01-01 12:30', 'timestamp')).toBe(Date.UTC(2026, 0, 1, 12, 30));
+      expect(coerceValue('2026-01-01T00:00:00+02:00', 'timestamp')).toBe(Date.UTC(2025, 11, 31, 22));
+      expect(coerceValue('2026-01-01', 'timestamp')).toBe(Date.UTC(2026, 0, 1));
+      expect(inferColumns([{ at: '2026-01-01 12:30' }])).toEqual([{ name: 'at', type: 'timestamp' }]);
+    } finally {
+      if (originalTz === undefined) delete process.env.TZ;
+      else process.env.TZ = originalTz;
+    }
+  });
+});
+
+describe('createParquetWriter', () => {
+  it('should write PAR1-framed row groups and a footer describing the schema', () => {
+    const file = path.join(dir, 'out.parquet');
+    const writer = createParquetWriter(file);
+    writer.writeRows([flattenRecord({ id: 7, token: { symbol: 'SOL' } })]);
+    writer.writeRows([flattenRecord({ id: 8, token: { symbol: 'ETH' } })]);
+    const summary = writer.close();
+
+    expect(summary).toEqual({ rows: 2, row_groups: 2, columns: [{ name: 'id', type: 'int64' }, { name: 'token.symbol', type: 'string' }] });
+    const buf = fs.readFileSync(file);
+    expect(buf.subarray(0, 4).toString()).toBe('PAR1');
+    expect(buf.subarray(-4).toString()).toBe('PAR1');
+    const footerLength = buf.readUInt32LE(buf.length - 8);
+    const footer = buf.subarray(buf.length - 8 - footerLength, buf.length - 8).toString('latin1');
+    expect(footer).toContain('token.symbol');
+    expect(footer).toContain('nansen-cli');
+    expect(buf.includes(int64(7))).toBe(true);
+    expect(fs.readdirSync(dir)).toEqual(['out.parquet']);
+  });
+
+  it('should throw on a later batch that does not fit the schema instead of writing nulls', () => {
+    const writer = createParquetWriter(path.join(dir, 'out.parquet'));
+    writer.writeRows([{ id: 1 }]);
+    expect(() => writer.writeRows([{ id: 2.5 }])).toThrow('Column id');
+    expect(() => writer.writeRows([{ id: 2, extra: true }])).toThrow('Column extra is not in the schema');
+    writer.abort();
+  });
+
+  it('should leave nothing behind when aborted', () => {
+    const writer = createParquetWriter(path.join(dir, 'out.parquet'));
+    writer.writeRows([{ a: 1 }]);
+    writer.abort();
+    expect(fs.readdirSync(dir)).toEqual([]);
+  });
+});
+
+describe('createArrowWriter', () => {
+  it('should write an Arrow IPC file with one record batch per call', () => {
+    const file = path.join(dir, 'out.arrow');
+    const writer = createArrowWriter(file);
+    writer.writeRows([{ id: 1, at: '2026-01-01T00:00:00Z' }]);
+    writer.writeRows([{ id: 2, at: null }]);
+    expect(writer.close()).toMatchObject({ rows: 2, row_groups: 2 });
+
+    const buf = fs.readFileSync(file);
+    expect(buf.subarray(0, 8)).toEqual(Buffer.from('ARROW1\0\0'));
+    expect(buf.subarray(-6).toString()).toBe('ARROW1');
+    // Schema message follows the magic behind a continuation marker
+    expect(buf.readUInt32LE(8)).toBe(0xffffffff);
+    expect(buf.includes(int64(Date.UTC(2026, 0, 1)))).toBe(true);
+    expect(buf.toString('latin1')).toContain('UTC');
+  });
+});
+
+describe('createSpooledWriter', () => {
+  it('should widen types and add columns first seen in a later batch', () => {
+    const file = path.join(dir, 'out.parquet');
+    const writer = createSpooledWriter(file, createParquetWriter);
+    writer.writeRows([{ id: 1, price: 2, at: '2026-01-01' }, { id: 2, price: null, at: null }]);
+    writer.writeRows([{ id: 3, price: 2.5, at: 'yesterday', label: 'Fund' }]);
+    expect(fs.readdirSync(dir)).toHaveLength(1);
+
+    expect(writer.close()).toEqual({
+      rows: 3,
+      row_groups: 2,
+      columns: [
+        { name: 'id', type: 'int64' },
+        { name: 'price', type: 'double' },
+        { name: 'at', type: 'string' },
+        { name: 'label', type: 'string' },
+      ],
+    });
+    const buf = fs.readFileSync(file);
+    expect(buf.includes(double(2.5))).toBe(true);
+    expect(buf.includes(Buffer.from('yesterday'))).toBe(true);
+    expect(fs.readdirSync(dir)).toEqual(['out.parquet']);
+  });
+
+  it('should write an Arrow schema that covers every batch', () => {
+    const file = path.join(dir, 'out.arrow');
+    const writer = createSpooledWriter(file, createArrowWriter);
+    writer.writeRows([{ n: 1 }]);
+    writer.writeRows([{ n: 1.5, é: 'ü' }]);
+    expect(writer.close().columns).toEqual([{ name: 'n', type: 'double' }, { name: 'é', type: 'string' }]);
+    expect(fs.readFileSync(file).subarray(-6).toString()).toBe('ARROW1');
+  });
+
+  it('should remove the spool when aborted', () => {
+    const writer = createSpooledWriter(path.join(dir, 'out.parquet'), createParquetWriter);
+    writer.writeRows([{ a: 1 }]);
+    writer.abort();
+    expect(fs.readdirSync(dir)).toEqual([]);
+  });
+});
+
+describe('--format parquet|arrow integration', () => {
+  let outputs;
+  const run = (args, api) => {
+    outputs = [];
+    return runCLI(args, {
+      output: (msg) => outputs.push(msg),
+      errorOutput: () => {},
+      exit: () => {},
+      NansenAPIClass: function MockAPI() { return api; },
+    });
+  };
+
+  it('should append one row group per page under --all', async () => {
+    const api = {
+      smartMoneyNetflow: vi.fn()
+        .mockResolvedValueOnce({ data: [{ token_symbol: 'A', net_flow_usd: 1.5 }, { token_symbol: 'B', net_flow_usd: 2 }] })
+        .mockResolvedValueOnce({ data: [{ token_symbol: 'C', net_flow_usd: 3 }] }),
+    };
+    const file = path.join(dir, 'netflow.parquet');
+    const result = await run(['research', 'smart-money', 'netflow', '--all', '--limit', '2', '--output', file], api);
+
+    expect(result.type).toBe('output');
+    const summary = JSON.parse(outputs[0]).data;
+    expect(summary.files).toEqual([{ path: file, format: 'parquet', records: 3, row_groups: 2 }]);
+    expect(summary._meta).toMatchObject({ pages: 2, rows: 3 });
+  });
+
+  it('should widen a column when a later page does not fit the first one', async () => {
+    const api = {
+      smartMoneyNetflow: vi.fn()
+        .mockResolvedValueOnce({ data: [{ token_symbol: 'A', net_flow_usd: 1 }, { token_symbol: 'B', net_flow_usd: 2 }] })
+        .mockResolvedValueOnce({ data: [{ token_symbol: 'C', net_flow_usd: 2.5, trader_count: 4 }] }),
+    };
+    const file = path.join(dir, 'netflow.parquet');
+    await run(['research', 'smart-money', 'netflow', '--all', '--limit', '2', '--output', file], api);
+
+    expect(JSON.parse(outputs[0]).data.files).toEqual([{ path: file, format: 'parquet', records: 3, row_groups: 2 }]);
+    const buf = fs.readFileSync(file);
+    expect(buf.toString('latin1')).toContain('trader_count');
+    expect(buf.includes(double(2.5))).toBe(true);
+    expect(fs.readdirSync(dir)).toEqual(['netflow.parquet']);
+  });
+
+  it('should write Arrow for --format arrow with a .feather path', async () => {
+    const api = { smartMoneyNetflow: vi.fn().mockResolvedValue({ data: [{ token_symbol: 'A' }] }) };
+    const file = path.join(dir, 'netflow.feather');
+    await run(['research', 'smart-money', 'netflow', '--format', 'arrow', '--output', file], api);
+
+    expect(JSON.parse(outputs[0]).data.files).toEqual([{ path: file, format: 'arrow', records: 1, row_groups: 1 }]);
+    expect(fs.readFileSync(file).subarray(-6).toString()).toBe('ARROW1');
+  });
+
+  it('should require --output for binary formats before calling the API', async () => {
+    const api = { smartMoneyNetflow: vi.fn() };
+    await run(['research', 'smart-money', 'netflow', '--format', 'parquet'], api);
+    expect(JSON.parse(outputs[0])).toMatchObject({ success: false, code: 'INVALID_PARAMS' });
+    await run(['research', 'smart-money', 'netflow', '--format', 'parquet', '--output', path.join(dir, 'x.csv')], api);
+    expect(JSON.parse(outputs[0]).error).toContain('conflicts with --output');
+    expect(api.smartMoneyNetflow).not.toHaveBeenCalled();
+  });
+});
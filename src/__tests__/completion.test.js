@@ -0,0 +1,117 @@
+/**
+ * Shell Completion Tests
+ *
+ * Tests for:
+ * - Completion spec built from the schema (paths, aliases, enum values)
+ * - Wallet / quote lookups only where they name a saved wallet or quote
+ * - Generated bash script driven through bash itself
+ * - nansen completion <shell> and --list wallets|quotes
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { spawnSync } from 'child_process';
+import { buildCompletionSpec, generateCompletion, COMPLETION_SHELLS } from '../completion.js';
+import { SCHEMA, COMMAND_ALIASES, BOOLEAN_FLAGS, runCLI } from '../cli.js';
+
+const opts = { aliases: COMMAND_ALIASES, commands: ['login', 'logout'], flags: [...BOOLEAN_FLAGS] };
+const hasBash = spawnSync('bash', ['--version']).status === 0;
+
+describe('buildCompletionSpec', () => {
+  const spec = buildCompletionSpec(SCHEMA, opts);
+  const node = (p) => spec.nodes.find(n => n.path === p);
+  const valuesFor = (p, option) => spec.values.find(v => v.path === p && v.option === option);
+
+  it('should list commands, research categories and their aliases', () => {
+    expect(node('').words.map(([name]) => name)).toEqual(expect.arrayContaining(['research', 'trade', 'completion', 'login']));
+    expect(node('').words.map(([name]) => name)).not.toContain('smart-money');
+    expect(node('research').words.map(([name]) => name)).toEqual(expect.arrayContaining(['smart-money', 'token', 'sm', 'tgm']));
+    expect(spec.rewrites).toEqual(expect.arrayContaining([['sm', 'research smart-money'], ['research sm', 'research smart-money']]));
+    expect(node('research token screener').options.map(([name]) => name)).toEqual(['--timeframe', '--chain', '--chains', '--search', '--smart-money']);
+  });
+
+  it('should carry enum values and fall back to chains and global enums', () => {
+    expect(valuesFor('research token screener', 'timeframe').values).toContain('24h');
+    expect(valuesFor('alerts create', 'type').values).toEqual(['sm-token-flows', 'common-token-transfer', 'smart-contract-call']);
+    expect(valuesFor(null, 'chain').values).toEqual(SCHEMA.chains);
+    expect(valuesFor(null, 'format').values).toContain('parquet');
+  });
+
+  it('should look up wallets and quotes only where they are saved names', () => {
+    expect(valuesFor('trade execute', 'quote').list).toBe('quotes');
+    expect(valuesFor('trade quote', 'wallet').list).toBe('wallets');
+    expect(node('wallet delete').list).toBe('wallets');
+    // research --wallet is an address
+    expect(valuesFor('research portfolio defi', 'wallet')).toBeUndefined();
+  });
+});
+
+describe('generateCompletion', () => {
+  it('should generate a script for every shell', () => {
+    for (const shell of COMPLETION_SHELLS) {
+      const script = generateCompletion(shell, SCHEMA, opts);
+      expect(script).toContain(`nansen completion ${shell}`);
+      expect(script).toContain('completion --list');
+      expect(script).toContain('research smart-money netflow');
+    }
+  });
+
+  it.skipIf(!hasBash)('should complete through bash', () => {
+    const script = generateCompletion('bash', SCHEMA, opts);
+    const complete = (line) => {
+      const words = line.split(' ').map(w => `'${w}'`).join(' ');
+      const { stdout } = spawnSync('bash', ['-c', `${script}
+COMP_WORDS=(${words}); COMP_CWORD=$((\${#COMP_WORDS[@]} - 1)); _nansen; echo "\${COMPREPLY[*]}"`], { encoding: 'utf8' });
+      return stdout.trim().split(' ');
+    };
+    expect(complete('nansen research sm ne')).toEqual(['netflow']);
+    expect(complete('nansen sm netflow --chain so')).toEqual(['solana', 'sonic']);
+    expect(complete('nansen --pretty research token screener --timeframe 2')).toEqual(['24h']);
+    expect(complete('nansen alerts create --name x --type sm')).toEqual(['sm-token-flows', 'smart-contract-call']);
+    expect(complete('nansen research profiler balance --addr')).toEqual(['--address']);
+  });
+});
+
+describe('nansen completion', () => {
+  let home;
+  let originalHome;
+  let outputs;
+  const run = (args) => {
+    outputs = [];
+    return runCLI(args, { output: (msg) => outputs.push(msg), log: (msg) => outputs.push(msg), errorOutput: () => {}, exit: () => {} });
+  };
+
+  beforeEach(() => {
+    originalHome = process.env.HOME;
+    home = fs.mkdtempSync(path.join(os.tmpdir(), 'nansen-completion-'));
+    process.env.HOME = home;
+  });
+  afterEach(() => {
+    process.env.HOME = originalHome;
+    fs.rmSync(home, { recursive: true, force: true });
+  });
+
+  it('should print the script for a shell and reject others', async () => {
+    await run(['completion', 'zsh']);
+    expect(outputs[0]).toMatch(/^#compdef nansen/);
+    await run(['completion', 'powershell']);
+    expect(JSON.parse(outputs[0])).toMatchObject({ code: 'INVALID_PARAMS', error: 'Usage: nansen completion bash|zsh|fish' });
+  });
+
+  it('should list saved wallets and unexpired quotes', async () => {
+    const wallets = path.join(home, '.nansen', 'wallets');
+    const quotes = path.join(home, '.nansen', 'quotes');
+    fs.mkdirSync(wallets, { recursive: true });
+    fs.mkdirSync(quotes, { recursive: true });
+    fs.writeFileSync(path.join(wallets, 'alice.json'), JSON.stringify({ name: 'alice' }));
+    fs.writeFileSync(path.join(quotes, '1-old.json'), JSON.stringify({ quoteId: '1-old', timestamp: 1 }));
+    fs.writeFileSync(path.join(quotes, '2-new.json'), JSON.stringify({ quoteId: '2-new', timestamp: Date.now() }));
+
+    await run(['completion', '--list', 'wallets']);
+    expect(outputs).toEqual(['alice']);
+    await run(['completion', '--list', 'quotes']);
+    expect(outputs).toEqual(['2-new']);
+  });
+});
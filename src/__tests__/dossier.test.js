@@ -0,0 +1,156 @@
+/**
+ * Token Dossier Tests
+ *
+ * Tests for:
+ * - Fan-out over every section with partial-failure tolerance
+ * - Credits spent, from the account balance before and after
+ * - Holder concentration stats
+ * - Markdown report rendering and the token dossier command
+ */
+
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { tokenDossier, holderConcentration, renderDossierMarkdown, DOSSIER_SECTIONS } from '../dossier.js';
+import { buildCommands } from '../cli.js';
+import { NansenError, ErrorCode } from '../api.js';
+
+const TOKEN = 'DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263';
+
+function mockApi(overrides = {}) {
+  return {
+    tokenInformation: vi.fn(async () => ({ data: { symbol: 'BONK', name: 'Bonk', price_usd: 0.00002 } })),
+    tokenIndicators: vi.fn(async () => ({ data: { risk_indicators: [] } })),
+    tokenHolders: vi.fn(async () => ({
+      data: [
+        { address: 'h1', address_label: 'Binance Exchange', ownership_percentage: 40, token_amount: 400 },
+        { address: 'h2', address_label: 'Whale', ownership_percentage: 30, token_amount: 300 },
+        { address: 'h3', address_label: 'Fund | Team', ownership_percentage: 10, token_amount: 100 },
+      ],
+    })),
+    tokenFlowIntelligence: vi.fn(async () => ({ data: [{ whale_net_flow_usd: -1000 }] })),
+    tokenWhoBoughtSold: vi.fn(async () => ({ data: [{ address: 'b1', bought_volume_usd: 10 }] })),
+    tokenDexTrades: vi.fn(async () => ({ data: [{ trader_address_label: 'Whale', trade_value_usd: 50 }] })),
+    tokenPnlLeaderboard: vi.fn(async () => ({ data: [] })),
+    getCreditBalance: vi.fn().mockResolvedValueOnce(500).mockResolvedValueOnce(487),
+    ...overrides,
+  };
+}
+
+describe('tokenDossier', () => {
+  it('should require a token', async () => {
+    await expect(tokenDossier(mockApi(), { chain: 'solana' })).rejects.toMatchObject({ code: ErrorCode.MISSING_PARAM });
+  });
+
+  it('should fetch every section and measure the credits spent', async () => {
+    const api = mockApi();
+    const dossier = await tokenDossier(api, { tokenAddress: TOKEN, chain: 'solana', days: 7 });
+
+    expect(Object.keys(dossier.sections)).toEqual(Object.keys(DOSSIER_SECTIONS));
+    expect(dossier.sections.info).toEqual({ ok: true, data: { symbol: 'BONK', name: 'Bonk', price_usd: 0.00002 } });
+    expect(dossier.sections.flow_intelligence.data).toEqual({ whale_net_flow_usd: -1000 });
+    expect(dossier.sections.holders.data).toHaveLength(3);
+    expect(api.tokenDexTrades).toHaveBeenCalledWith(expect.objectContaining({ tokenAddress: TOKEN, chain: 'solana', days: 7 }));
+    expect(dossier.credits).toEqual({ total: 13 });
+    expect(api.getCreditBalance).toHaveBeenCalledTimes(2);
+    expect(dossier.failed_sections).toEqual([]);
+  });
+
+  it('should keep the other sections when one fails', async () => {
+    const api = mockApi({
+      tokenFlowIntelligence: vi.fn().mockRejectedValue(new NansenError('Unprocessable', ErrorCode.INVALID_PARAMS, 422)),
+    });
+    const dossier = await tokenDossier(api, { tokenAddress: TOKEN });
+
+    expect(dossier.sections.flow_intelligence.ok).toBe(false);
+    expect(dossier.sections.flow_intelligence.error.message).toBe('Unprocessable');
+    expect(dossier.failed_sections).toEqual(['flow_intelligence']);
+    expect(dossier.sections.holders.ok).toBe(true);
+  });
+
+  it('should throw when every section fails', async () => {
+    const exhausted = () => vi.fn().mockRejectedValue(new NansenError('No credits', ErrorCode.CREDITS_EXHAUSTED, 403));
+    const api = Object.fromEntries(Object.keys(mockApi()).map(method => [method, exhausted()]));
+    await expect(tokenDossier(api, { tokenAddress: TOKEN })).rejects.toMatchObject({ code: ErrorCode.CREDITS_EXHAUSTED });
+  });
+});
+
+describe('holderConcentration', () => {
+  it('should compute top-N shares, HHI, Gini and exchange share', () => {
+    const stats = holderConcentration([
+      { address_label: 'Coinbase Exchange', ownership_percentage: 50 },
+      { ownership_percentage: 30 },
+      { ownership_percentage: 20 },
+    ]);
+    expect(stats).toEqual({
+      sampled: 3, share_basis: 'supply',
+      top_1_pct: 50, top_10_pct: 100, top_25_pct: 100,
+      hhi: 3800, gini: 0.2, exchange_pct: 50,
+    });
+  });
+
+  it('should fall back to shares of the sampled amount', () => {
+    const stats = holderConcentration([{ token_amount: 75 }, { token_amount: 25 }]);
+    expect(stats).toMatchObject({ share_basis: 'sample', top_1_pct: 75, hhi: 6250 });
+  });
+
+  it('should return null without holders', () => {
+    expect(holderConcentration([])).toBeNull();
+  });
+});
+
+describe('renderDossierMarkdown', () => {
+  it('should render sections, failures and credits', async () => {
+    const api = mockApi({ tokenIndicators: vi.fn().mockRejectedValue(new NansenError('Not found', ErrorCode.NOT_FOUND, 404)) });
+    const markdown = renderDossierMarkdown(await tokenDossier(api, { tokenAddress: TOKEN }));
+
+    expect(markdown).toMatch(/^# Token dossier: Bonk \(BONK\)\n/);
+    expect(markdown).toContain('- **Missing sections**: indicators');
+    expect(markdown).toContain('Top 1 holds 40%, top 10 hold 80%, top 25 hold 80% of supply.');
+    expect(markdown).toContain('> Unavailable: Not found (NOT_FOUND)');
+    expect(markdown).toContain('| h3 | Fund \\| Team | 10 |');
+    expect(markdown).toContain('- **Credits used**: 13');
+  });
+
+  it('should mark credits unknown when the account balance cannot be read', async () => {
+    const dossier = await tokenDossier(mockApi({ getCreditBalance: vi.fn(async () => null) }), { tokenAddress: TOKEN });
+    expect(dossier.credits.total).toBeNull();
+    expect(renderDossierMarkdown(dossier)).toContain('- **Credits used**: unknown (the account balance could not be read)');
+  });
+});
+
+describe('token dossier command', () => {
+  let dir;
+  afterEach(() => {
+    if (dir) fs.rmSync(dir, { recursive: true, force: true });
+    dir = null;
+  });
+
+  it('should return the dossier JSON', async () => {
+    const commands = buildCommands({ log: () => {} });
+    const result = await commands['token'](['dossier'], mockApi(), {}, { token: TOKEN, chain: 'solana' });
+    expect(result.token).toBe(TOKEN);
+    expect(result.holder_concentration.top_1_pct).toBe(40);
+  });
+
+  it('should write the Markdown report next to the JSON output', async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nansen-dossier-'));
+    const report = path.join(dir, 'bonk.md');
+    const commands = buildCommands({ log: () => {} });
+    const result = await commands['token'](['dossier'], mockApi(), {}, { token: TOKEN, report });
+
+    expect(result.report).toBe(report);
+    expect(fs.readFileSync(report, 'utf8')).toContain('# Token dossier: Bonk (BONK)');
+    expect(fs.readdirSync(dir)).toEqual(['bonk.md']);
+  });
+
+  it('should print only the Markdown with a bare --report', async () => {
+    const lines = [];
+    const commands = buildCommands({ log: (msg) => lines.push(msg) });
+    const result = await commands['token'](['dossier'], mockApi(), { report: true }, { token: TOKEN });
+
+    expect(result).toBeUndefined();
+    expect(lines[0]).toContain('- **Credits used**: 13');
+  });
+});
@@ -0,0 +1,163 @@
+/**
+ * Trace Graph Export Tests
+ *
+ * Tests for:
+ * - Node decoration from addressLabels (labels, entity, hop) with cached lookups
+ * - DOT, GraphML, GEXF, Mermaid and Cytoscape.js serializers
+ * - profiler trace --graph-format wiring and validation
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { GRAPH_FORMATS, decorateGraph, formatGraph } from '../graph.js';
+import { buildCommands, runCLI } from '../cli.js';
+
+const ROOT = '0x' + 'a'.repeat(40);
+const HOP1 = '0x' + 'b'.repeat(40);
+const HOP2 = '0x' + 'c'.repeat(40);
+
+const trace = {
+  root: ROOT,
+  chain: 'ethereum',
+  depth: 2,
+  nodes: [ROOT, HOP1, HOP2],
+  edges: [
+    { from: ROOT, to: HOP1, volume_usd: 2500000, tx_count: 12, hop: 1 },
+    { from: HOP1, to: HOP2, volume_usd: 800, tx_count: 3, hop: 2 },
+  ],
+};
+
+const labelsFor = {
+  [ROOT]: [{ label: 'Smart Trader', category: 'smart_money' }],
+  [HOP1]: [{ label: 'Binance 14', fullname: 'Binance', category: 'entity' }, { label: 'CEX Hot Wallet', category: 'cex' }],
+  [HOP2]: [],
+};
+
+const mockApi = () => ({
+  addressLabels: vi.fn(async ({ address }) => labelsFor[address]),
+});
+
+describe('decorateGraph', () => {
+  it('should attach labels, entity names and hop numbers to nodes', async () => {
+    const api = mockApi();
+    const graph = await decorateGraph(api, trace);
+
+    expect(graph.nodes).toEqual([
+      { id: ROOT, labels: ['Smart Trader'], entity: null, hop: 0 },
+      { id: HOP1, labels: ['Binance 14', 'CEX Hot Wallet'], entity: 'Binance', hop: 1 },
+      { id: HOP2, labels: [], entity: null, hop: 2 },
+    ]);
+    expect(graph.edges[0]).toEqual({ source: ROOT, target: HOP1, volume_usd: 2500000, tx_count: 12, hop: 1 });
+  });
+
+  it('should look each address up once per trace and bypass the client cache with --no-cache', async () => {
+    const api = mockApi();
+    const graph = await decorateGraph(api, { ...trace, nodes: [...trace.nodes, HOP1, ROOT] });
+    expect(api.addressLabels).toHaveBeenCalledTimes(3);
+    expect(graph.nodes[3].labels).toEqual(['Binance 14', 'CEX Hot Wallet']);
+    expect(api.addressLabels).toHaveBeenCalledWith({ address: HOP1, chain: 'ethereum' }, {});
+
+    const uncached = mockApi();
+    await decorateGraph(uncached, trace, { noCache: true });
+    expect(uncached.addressLabels).toHaveBeenCalledWith({ address: HOP1, chain: 'ethereum' }, { cache: false });
+  });
+
+  it('should keep nodes whose label lookup fails', async () => {
+    const api = { addressLabels: vi.fn().mockRejectedValue(new Error('boom')) };
+    const graph = await decorateGraph(api, trace);
+    expect(graph.nodes.map(n => n.labels)).toEqual([[], [], []]);
+  });
+});
+
+describe('formatGraph', () => {
+  const graphPromise = decorateGraph(mockApi(), trace);
+
+  it('should render DOT with weighted, hop-tagged edges', async () => {
+    const dot = formatGraph(await graphPromise, 'dot');
+    expect(dot).toMatch(/^digraph trace \{/);
+    expect(dot).toContain(`"${HOP1}" [label="Binance\\n0xbbbb…bbbb", hop=1`);
+    expect(dot).toContain(`"${ROOT}" -> "${HOP1}" [label="$2.5M · 12 tx", weight=2500000, penwidth=5.00, volume_usd=2500000, tx_count=12, hop=1];`);
+  });
+
+  it('should give DOT integer weights and keep the exact volume', async () => {
+    const graph = await graphPromise;
+    const dot = formatGraph({ ...graph, edges: [{ ...graph.edges[1], volume_usd: 800.6 }] }, 'dot');
+    expect(dot).toContain('weight=801, penwidth=5.00, volume_usd=800.6,');
+  });
+
+  it('should render GraphML with node and edge attributes', async () => {
+    const xml = formatGraph(await graphPromise, 'graphml');
+    expect(xml).toContain('<graphml xmlns="http://graphml.graphdrawing.org/xmlns">');
+    expect(xml).toContain('<data key="entity">Binance</data>');
+    expect(xml).toContain(`<edge id="e1" source="${HOP1}" target="${HOP2}">`);
+    expect(xml).toContain('<data key="edge_hop">2</data>');
+  });
+
+  it('should render GEXF with weighted edges', async () => {
+    const xml = formatGraph(await graphPromise, 'gexf');
+    expect(xml).toContain('<gexf xmlns="http://gexf.net/1.3" version="1.3">');
+    expect(xml).toContain(`<node id="${ROOT}" label="Smart Trader">`);
+    expect(xml).toContain('weight="800" label="$800 · 3 tx"');
+  });
+
+  it('should render Mermaid with short node ids', async () => {
+    const mermaid = formatGraph(await graphPromise, 'mermaid');
+    expect(mermaid.split('\n')).toEqual([
+      'flowchart LR',
+      '  n0["Smart Trader<br/>0xaaaa…aaaa"]',
+      '  n1["Binance<br/>0xbbbb…bbbb"]',
+      '  n2["0xcccc…cccc"]',
+      '  n0 -->|"$2.5M · 12 tx · hop 1"| n1',
+      '  n1 -->|"$800 · 3 tx · hop 2"| n2',
+      '  style n0 stroke-width:3px',
+    ]);
+  });
+
+  it('should render Cytoscape.js elements JSON', async () => {
+    const { elements } = JSON.parse(formatGraph(await graphPromise, 'cytoscape-json'));
+    expect(elements.nodes[0].data).toMatchObject({ id: ROOT, label: 'Smart Trader', hop: 0, root: true });
+    expect(elements.edges[1].data).toMatchObject({ source: HOP1, target: HOP2, weight: 800, tx_count: 3, hop: 2 });
+  });
+});
+
+describe('profiler trace --graph-format', () => {
+  const traceApi = () => ({
+    addressCounterparties: vi.fn(async ({ address }) => ({
+      data: address === ROOT ? [{ counterparty_address: HOP1, total_volume_usd: 100, interaction_count: 2 }] : [],
+    })),
+    addressLabels: vi.fn(async () => []),
+  });
+
+  it('should print the graph document instead of returning JSON', async () => {
+    const lines = [];
+    const commands = buildCommands({ log: (msg) => lines.push(msg) });
+    const result = await commands['profiler'](['trace'], traceApi(), {}, { address: ROOT, chain: 'ethereum', depth: '1', 'graph-format': 'dot' });
+
+    expect(result).toBeUndefined();
+    expect(lines).toHaveLength(1);
+    expect(lines[0]).toContain(`"${ROOT}" -> "${HOP1}"`);
+  });
+
+  it('should reject unknown formats', async () => {
+    const commands = buildCommands({ log: () => {} });
+    await expect(commands['profiler'](['trace'], traceApi(), {}, { address: ROOT, 'graph-format': 'svg' }))
+      .rejects.toMatchObject({ code: 'INVALID_PARAMS' });
+    expect(GRAPH_FORMATS).toContain('cytoscape-json');
+  });
+
+  it('should reject --output and --snapshot before tracing', async () => {
+    const originalKey = process.env.NANSEN_API_KEY;
+    process.env.NANSEN_API_KEY = 'test-key';
+    const fetchSpy = vi.spyOn(global, 'fetch').mockRejectedValue(new Error('network must not be used'));
+    try {
+      for (const extra of [['--output', 'trace.dot'], ['--snapshot', 'trace']]) {
+        const result = await runCLI(['research', 'profiler', 'trace', '--address', ROOT, '--graph-format', 'dot', ...extra], { output: () => {}, errorOutput: () => {}, exit: () => {} });
+        expect(result.data).toMatchObject({ code: 'INVALID_PARAMS', error: expect.stringContaining('redirect stdout') });
+      }
+      expect(fetchSpy.mock.calls.filter(([url]) => String(url).includes('/profiler/'))).toEqual([]);
+    } finally {
+      fetchSpy.mockRestore();
+      if (originalKey === undefined) delete process.env.NANSEN_API_KEY;
+      else process.env.NANSEN_API_KEY = originalKey;
+    }
+  });
+});
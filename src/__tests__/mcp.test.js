@@ -0,0 +1,229 @@
+/**
+ * MCP Server Tests
+ *
+ * Tests for:
+ * - Tool generation from schema.json (buildMcpTools)
+ * - JSON-RPC message handling (createMcpServer)
+ * - stdio transport (serveStdio)
+ * - `nansen mcp` dispatch through buildCommands()
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { PassThrough } from 'stream';
+import { buildMcpTools, createMcpServer, serveStdio, optionToJsonSchema, toolName, MCP_PROTOCOL_VERSIONS } from '../mcp.js';
+import { SCHEMA, runCLI } from '../cli.js';
+
+// Run a sequence of JSON-RPC messages through `nansen mcp` and collect responses
+async function runMcpSession(messages, { args = [], NansenAPIClass } = {}) {
+  const input = new PassThrough();
+  const output = new PassThrough();
+  const chunks = [];
+  output.on('data', (c) => chunks.push(c.toString()));
+
+  const done = runCLI(['mcp', ...args], {
+    output: vi.fn(),
+    errorOutput: vi.fn(),
+    exit: vi.fn(),
+    mcpInput: input,
+    mcpOutput: output,
+    NansenAPIClass,
+  });
+  for (const msg of messages) input.write(JSON.stringify(msg) + '\n');
+  input.end();
+  await done;
+
+  return chunks.join('').split('\n').filter(Boolean).map(l => JSON.parse(l));
+}
+
+describe('optionToJsonSchema', () => {
+  it('should infer number type from numeric default', () => {
+    expect(optionToJsonSchema({ default: 30 })).toEqual({ type: 'number', default: 30 });
+  });
+
+  it('should default to string when type and default are missing', () => {
+    expect(optionToJsonSchema({ required: true })).toEqual({ type: 'string' });
+  });
+
+  it('should keep declared type, enum and description', () => {
+    const prop = optionToJsonSchema({ type: 'string', enum: ['json', 'csv'], description: 'Output format' });
+    expect(prop).toEqual({ type: 'string', enum: ['json', 'csv'], description: 'Output format' });
+  });
+});
+
+describe('toolName', () => {
+  it('should join path segments with underscores', () => {
+    expect(toolName(['research', 'smart-money', 'netflow'])).toBe('research_smart_money_netflow');
+  });
+});
+
+describe('buildMcpTools', () => {
+  it('should publish one tool per research subcommand', () => {
+    const tools = buildMcpTools(SCHEMA);
+    let expected = 0;
+    for (const cat of Object.values(SCHEMA.commands.research.subcommands)) {
+      expected += cat.subcommands ? Object.keys(cat.subcommands).length : 1;
+    }
+    expect(tools).toHaveLength(expected);
+    expect(tools.map(t => t.name)).toContain('research_smart_money_netflow');
+    expect(tools.map(t => t.name)).toContain('research_search');
+  });
+
+  it('should carry required params from schema.json', () => {
+    const tools = buildMcpTools(SCHEMA);
+    const balance = tools.find(t => t.name === 'research_profiler_balance');
+    expect(balance.inputSchema.required).toEqual(['address']);
+    expect(balance.inputSchema.properties.chain.default).toBe('ethereum');
+    expect(balance.inputSchema.properties.chain.enum).toEqual(SCHEMA.chains);
+  });
+
+  it('should add common pagination and projection options', () => {
+    const tools = buildMcpTools(SCHEMA);
+    const netflow = tools.find(t => t.name === 'research_smart_money_netflow');
+    expect(netflow.inputSchema.properties.limit.type).toBe('number');
+    expect(netflow.inputSchema.properties.filters.type).toBe('object');
+    expect(netflow.inputSchema.properties.fields.type).toBe('string');
+  });
+
+  it('should not expose trade or wallet tools by default', () => {
+    const names = buildMcpTools(SCHEMA).map(t => t.name);
+    expect(names.some(n => n.startsWith('trade_') || n.startsWith('wallet_'))).toBe(false);
+  });
+
+  it('should expose trade and wallet tools with allowTrading', () => {
+    const names = buildMcpTools(SCHEMA, { allowTrading: true }).map(t => t.name);
+    expect(names).toContain('trade_quote');
+    expect(names).toContain('trade_execute');
+    expect(names).toContain('wallet_list');
+    expect(names).toContain('wallet_send');
+  });
+
+  it('should never expose wallet export or delete', () => {
+    const names = buildMcpTools(SCHEMA, { allowTrading: true }).map(t => t.name);
+    expect(names).not.toContain('wallet_export');
+    expect(names).not.toContain('wallet_delete');
+  });
+
+  it('should require a quote id for trade_execute', () => {
+    const execute = buildMcpTools(SCHEMA, { allowTrading: true }).find(t => t.name === 'trade_execute');
+    expect(execute.inputSchema.required).toContain('quote');
+  });
+});
+
+describe('createMcpServer', () => {
+  const tools = [{ name: 'echo', description: 'Echo', inputSchema: { type: 'object', properties: {} }, command: ['echo'] }];
+  const callTool = vi.fn(async (_tool, args) => ({ text: JSON.stringify(args) }));
+  const server = createMcpServer({ tools, callTool, version: '1.2.3' });
+
+  it('should answer initialize with server info and tools capability', async () => {
+    const res = await server.handleMessage({ jsonrpc: '2.0', id: 1, method: 'initialize', params: { protocolVersion: '2024-11-05' } });
+    expect(res.id).toBe(1);
+    expect(res.result.protocolVersion).toBe('2024-11-05');
+    expect(res.result.serverInfo).toEqual({ name: 'nansen-cli', version: '1.2.3' });
+    expect(res.result.capabilities.tools).toBeDefined();
+  });
+
+  it('should fall back to the newest protocol version for unknown versions', async () => {
+    const res = await server.handleMessage({ jsonrpc: '2.0', id: 1, method: 'initialize', params: { protocolVersion: '1999-01-01' } });
+    expect(res.result.protocolVersion).toBe(MCP_PROTOCOL_VERSIONS[0]);
+  });
+
+  it('should list tools without internal fields', async () => {
+    const res = await server.handleMessage({ jsonrpc: '2.0', id: 2, method: 'tools/list' });
+    expect(res.result.tools).toEqual([{ name: 'echo', description: 'Echo', inputSchema: { type: 'object', properties: {} } }]);
+  });
+
+  it('should call tools and wrap output as text content', async () => {
+    const res = await server.handleMessage({ jsonrpc: '2.0', id: 3, method: 'tools/call', params: { name: 'echo', arguments: { a: 1 } } });
+    expect(res.result).toEqual({ content: [{ type: 'text', text: '{"a":1}' }], isError: false });
+  });
+
+  it('should return invalid params for unknown tools', async () => {
+    const res = await server.handleMessage({ jsonrpc: '2.0', id: 4, method: 'tools/call', params: { name: 'nope' } });
+    expect(res.error.code).toBe(-32602);
+    expect(res.error.message).toContain('nope');
+  });
+
+  it('should return method not found for unknown methods', async () => {
+    const res = await server.handleMessage({ jsonrpc: '2.0', id: 5, method: 'resources/list' });
+    expect(res.error.code).toBe(-32601);
+  });
+
+  it('should not respond to notifications', async () => {
+    expect(await server.handleMessage({ jsonrpc: '2.0', method: 'notifications/initialized' })).toBeNull();
+  });
+
+  it('should reject malformed requests', async () => {
+    const res = await server.handleMessage({ id: 6, method: 'ping' });
+    expect(res.error.code).toBe(-32600);
+  });
+});
+
+describe('serveStdio', () => {
+  it('should answer parse errors and resolve when input closes', async () => {
+    const server = createMcpServer({ tools: [], callTool: vi.fn(), version: '0.0.0' });
+    const input = new PassThrough();
+    const output = new PassThrough();
+    const chunks = [];
+    output.on('data', (c) => chunks.push(c.toString()));
+
+    const done = serveStdio(server, { input, output });
+    input.write('not json\n');
+    input.write(JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'ping' }) + '\n');
+    input.end();
+    await done;
+
+    const lines = chunks.join('').split('\n').filter(Boolean).map(l => JSON.parse(l));
+    expect(lines[0].error.code).toBe(-32700);
+    expect(lines[1]).toEqual({ jsonrpc: '2.0', id: 1, result: {} });
+  });
+});
+
+describe('nansen mcp', () => {
+  it('should dispatch research tools through the research handlers', async () => {
+    const smartMoneyNetflow = vi.fn().mockResolvedValue({ data: [{ token_symbol: 'SOL', net_flow_usd: 1, extra: 'x' }] });
+    const NansenAPIClass = function MockAPI() { this.smartMoneyNetflow = smartMoneyNetflow; };
+
+    const responses = await runMcpSession([
+      { jsonrpc: '2.0', id: 1, method: 'tools/call', params: { name: 'research_smart_money_netflow', arguments: { chain: 'ethereum', limit: 5, fields: 'token_symbol' } } },
+    ], { NansenAPIClass });
+
+    expect(smartMoneyNetflow).toHaveBeenCalledWith(expect.objectContaining({
+      chains: ['ethereum'],
+      pagination: { page: 1, per_page: 5 },
+    }));
+    const payload = JSON.parse(responses[0].result.content[0].text);
+    expect(payload).toEqual({ success: true, data: { data: [{ token_symbol: 'SOL' }] } });
+    expect(responses[0].result.isError).toBe(false);
+  });
+
+  it('should report handler errors in the CLI error envelope', async () => {
+    const NansenAPIClass = function MockAPI() {
+      this.addressBalance = vi.fn().mockRejectedValue(Object.assign(new Error('Not logged in'), { code: 'UNAUTHORIZED', status: 401 }));
+    };
+
+    const responses = await runMcpSession([
+      { jsonrpc: '2.0', id: 7, method: 'tools/call', params: { name: 'research_profiler_balance', arguments: { address: '0x0000000000000000000000000000000000000001' } } },
+    ], { NansenAPIClass });
+
+    expect(responses[0].result.isError).toBe(true);
+    const payload = JSON.parse(responses[0].result.content[0].text);
+    expect(payload.success).toBe(false);
+    expect(payload.code).toBe('UNAUTHORIZED');
+  });
+
+  it('should refuse trade tools unless --allow-trading is passed', async () => {
+    const NansenAPIClass = function MockAPI() {};
+    const responses = await runMcpSession([
+      { jsonrpc: '2.0', id: 1, method: 'tools/call', params: { name: 'trade_quote', arguments: {} } },
+    ], { NansenAPIClass });
+    expect(responses[0].error.code).toBe(-32602);
+  });
+
+  it('should list trade tools with --allow-trading', async () => {
+    const NansenAPIClass = function MockAPI() {};
+    const responses = await runMcpSession([
+      { jsonrpc: '2.0', id: 1, method: 'tools/list' },
+    ], { args: ['--allow-trading'], NansenAPIClass });
+    expect(responses[0].result.tools.map(t => t.name)).toContain('trade_quote');
+  });
+});
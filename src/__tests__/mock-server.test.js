@@ -0,0 +1,191 @@
+/**
+ * Mock Server Tests
+ *
+ * Tests for:
+ * - Seeded fixtures served to NansenAPI (determinism, pagination, alerts CRUD)
+ * - x402 challenges and EVM / Solana payment verification
+ * - Trading /quote and /execute signature checks
+ * - Fake EVM and Solana RPCs
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { NansenAPI } from '../api.js';
+import { startGateway } from '../serve.js';
+import { createMockHandler, decodeEvmTransaction, mockServerEnv } from '../mock-server.js';
+import { buildFixture, FIXTURE_ENDPOINTS } from '../mock-fixtures.js';
+import { createEvmPaymentPayload } from '../x402-evm.js';
+import { createSvmPaymentPayload, base58Encode } from '../x402-svm.js';
+import { generateEvmWallet, generateSolanaWallet } from '../wallet.js';
+import { signSolanaTransaction, signEvmTransaction } from '../trading.js';
+import { parsePaymentRequirements } from '../x402.js';
+
+let server;
+let baseUrl;
+let handler;
+
+beforeAll(async () => {
+  handler = createMockHandler({ seed: 7, apiKey: 'mock-key' });
+  server = await startGateway(handler, { port: 0, host: '127.0.0.1' });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(() => new Promise(resolve => server.close(resolve)));
+
+const api = () => new NansenAPI('mock-key', baseUrl, { retry: { maxRetries: 0 } });
+
+async function rpc(chain, method, params = []) {
+  const res = await fetch(`${baseUrl}/rpc/${chain}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ jsonrpc: '2.0', id: 1, method, params }),
+  });
+  return res.json();
+}
+
+async function challenge() {
+  const res = await fetch(`${baseUrl}/api/v1/smart-money/netflow`, { method: 'POST', body: '{}' });
+  return { res, requirements: parsePaymentRequirements(res) };
+}
+
+describe('fixtures', () => {
+  it('should serve every endpoint deterministically for a seed', () => {
+    for (const endpoint of FIXTURE_ENDPOINTS) {
+      expect(buildFixture(endpoint, {}, 7)).toEqual(buildFixture(endpoint, {}, 7));
+    }
+    expect(buildFixture('/api/v1/smart-money/netflow', {}, 7)).not.toEqual(buildFixture('/api/v1/smart-money/netflow', {}, 8));
+  });
+
+  it('should answer NansenAPI calls with paginated rows', async () => {
+    const first = await api().smartMoneyNetflow({ chains: ['solana'], pagination: { page: 1, per_page: 5 } });
+    expect(first.data).toHaveLength(5);
+    expect(first.pagination).toMatchObject({ page: 1, per_page: 5, is_last_page: false });
+    const second = await api().smartMoneyNetflow({ chains: ['solana'], pagination: { page: 2, per_page: 5 } });
+    expect(second.data[0]).not.toEqual(first.data[0]);
+  });
+
+  it('should reject a wrong API key', async () => {
+    const client = new NansenAPI('other-key', baseUrl, { retry: { maxRetries: 0 } });
+    await expect(client.smartMoneyNetflow({})).rejects.toMatchObject({ status: 401 });
+  });
+
+  it('should keep alerts in memory', async () => {
+    const created = await api().request('/api/v1/smart-alert', { name: 'whales', type: 'sm-token-flows' });
+    const listed = await fetch(`${baseUrl}/api/v1/smart-alert/list`, { headers: { apikey: 'mock-key' } }).then(r => r.json());
+    expect(listed.map(a => a.id)).toContain(created.id);
+    const deleted = await fetch(`${baseUrl}/api/v1/smart-alert/${created.id}`, { method: 'DELETE', headers: { apikey: 'mock-key' } });
+    expect(deleted.status).toBe(200);
+  });
+});
+
+describe('x402', () => {
+  it('should challenge keyless requests with EVM and Solana options', async () => {
+    const { res, requirements } = await challenge();
+    expect(res.status).toBe(402);
+    expect(requirements.map(r => r.network)).toEqual(['eip155:8453', expect.stringMatching(/^solana:/)]);
+  });
+
+  it('should accept a valid EVM payment once', async () => {
+    const { requirements } = await challenge();
+    const wallet = generateEvmWallet();
+    const url = `${baseUrl}/api/v1/smart-money/netflow`;
+    const signature = createEvmPaymentPayload(requirements[0], wallet.privateKey, wallet.address, url);
+
+    const paid = await fetch(url, { method: 'POST', body: '{}', headers: { 'Payment-Signature': signature } });
+    expect(paid.status).toBe(200);
+    expect(paid.headers.get('payment-response')).toBeTruthy();
+
+    const replayed = await fetch(url, { method: 'POST', body: '{}', headers: { 'Payment-Signature': signature } });
+    expect(replayed.status).toBe(402);
+    expect((await replayed.json()).message).toContain('already used');
+  });
+
+  it('should reject an EVM payment signed for another payer', async () => {
+    const { requirements } = await challenge();
+    const signer = generateEvmWallet();
+    const claimed = generateEvmWallet();
+    const signature = createEvmPaymentPayload(requirements[0], signer.privateKey, claimed.address, baseUrl);
+    const res = await fetch(`${baseUrl}/api/v1/token-screener`, { method: 'POST', body: '{}', headers: { 'Payment-Signature': signature } });
+    expect(res.status).toBe(402);
+    expect((await res.json()).message).toContain('does not match payer');
+  });
+
+  it('should verify Solana payments', async () => {
+    const { requirements } = await challenge();
+    const wallet = generateSolanaWallet();
+    const { result } = await rpc('solana', 'getLatestBlockhash');
+    const signature = createSvmPaymentPayload(requirements[1], wallet.privateKey, wallet.address, baseUrl, result.value.blockhash);
+    const paid = await fetch(`${baseUrl}/api/v1/token-screener`, { method: 'POST', body: '{}', headers: { 'Payment-Signature': signature } });
+    expect(paid.status).toBe(200);
+
+    const other = generateSolanaWallet();
+    const forged = JSON.parse(Buffer.from(createSvmPaymentPayload(requirements[1], other.privateKey, wallet.address, baseUrl, result.value.blockhash), 'base64'));
+    const rejected = await fetch(`${baseUrl}/api/v1/token-screener`, {
+      method: 'POST', body: '{}', headers: { 'Payment-Signature': Buffer.from(JSON.stringify(forged)).toString('base64') },
+    });
+    expect(rejected.status).toBe(402);
+  });
+});
+
+describe('trading', () => {
+  it('should quote and execute a signed Solana swap', async () => {
+    const wallet = generateSolanaWallet();
+    const quote = await fetch(`${baseUrl}/quote?chainIndex=501&fromTokenAddress=So11111111111111111111111111111111111111112&toTokenAddress=EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v&amount=1000000&userWalletAddress=${wallet.address}`).then(r => r.json());
+    const [best] = quote.quotes;
+
+    const unsigned = await fetch(`${baseUrl}/execute`, { method: 'POST', body: JSON.stringify({ signedTransaction: best.transaction }) });
+    expect(unsigned.status).toBe(400);
+
+    const signedTransaction = signSolanaTransaction(best.transaction, wallet.privateKey);
+    const executed = await fetch(`${baseUrl}/execute`, { method: 'POST', body: JSON.stringify({ signedTransaction, chain: 'solana' }) }).then(r => r.json());
+    expect(executed.status).toBe('Success');
+
+    const statuses = await rpc('solana', 'getSignatureStatuses', [[executed.signature]]);
+    expect(statuses.result.value[0].confirmationStatus).toBe('finalized');
+  });
+
+  it('should recover the EVM sender and bump its nonce', async () => {
+    const wallet = generateEvmWallet();
+    const quote = await fetch(`${baseUrl}/quote?chainIndex=8453&fromTokenAddress=0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE&toTokenAddress=0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913&amount=1000&userWalletAddress=${wallet.address}`).then(r => r.json());
+    const signedTransaction = signEvmTransaction(quote.quotes[0].transaction, wallet.privateKey, 'base', 0);
+    expect(decodeEvmTransaction(signedTransaction)).toMatchObject({ from: wallet.address.toLowerCase(), chainId: 8453, nonce: 0 });
+
+    const executed = await fetch(`${baseUrl}/execute`, { method: 'POST', body: JSON.stringify({ signedTransaction, chain: 'base' }) }).then(r => r.json());
+    expect(executed.from).toBe(wallet.address.toLowerCase());
+    expect((await rpc('base', 'eth_getTransactionCount', [wallet.address.toLowerCase(), 'pending'])).result).toBe('0x1');
+    expect((await rpc('base', 'eth_getTransactionReceipt', [executed.txHash])).result.status).toBe('0x1');
+  });
+});
+
+describe('rpc', () => {
+  it('should answer EVM JSON-RPC including batches', async () => {
+    expect((await rpc('base', 'eth_chainId')).result).toBe('0x2105');
+    const res = await fetch(`${baseUrl}/rpc/ethereum`, {
+      method: 'POST',
+      body: JSON.stringify([{ id: 1, method: 'eth_chainId' }, { id: 2, method: 'eth_nope' }]),
+    }).then(r => r.json());
+    expect(res[0].result).toBe('0x1');
+    expect(res[1].error.code).toBe(-32601);
+  });
+
+  it('should accept signed Solana transactions in base58 and base64', async () => {
+    const wallet = generateSolanaWallet();
+    const quote = await fetch(`${baseUrl}/quote?chainIndex=501&fromTokenAddress=So11111111111111111111111111111111111111112&toTokenAddress=EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v&amount=1000000&userWalletAddress=${wallet.address}`).then(r => r.json());
+    const signed = signSolanaTransaction(quote.quotes[0].transaction, wallet.privateKey);
+    const base58 = base58Encode(Buffer.from(signed, 'base64'));
+
+    const sent = await rpc('solana', 'sendTransaction', [base58, { encoding: 'base58' }]);
+    expect(sent.result).toEqual(expect.any(String));
+    expect((await rpc('solana', 'sendTransaction', [base58])).result).toBe(sent.result);
+    expect((await rpc('solana', 'sendTransaction', [signed, { encoding: 'base64' }])).result).toBe(sent.result);
+  });
+
+  it('should describe SPL mints the way transfer.js expects', async () => {
+    const { result } = await rpc('solana', 'getAccountInfo', ['EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v', { encoding: 'jsonParsed' }]);
+    expect(result.value.data.parsed.info.decimals).toBe(6);
+  });
+
+  it('should export env vars for every service', () => {
+    expect(Object.keys(mockServerEnv(baseUrl))).toEqual(['NANSEN_BASE_URL', 'NANSEN_TRADING_API_URL', 'NANSEN_EVM_RPC', 'NANSEN_BASE_RPC', 'NANSEN_SOLANA_RPC']);
+    expect(handler.state.payments.length).toBeGreaterThan(0);
+  });
+});
@@ -0,0 +1,233 @@
+/**
+ * Config Profile Tests
+ *
+ * Tests for:
+ * - `nansen profile create/use/list/delete` against a temp HOME
+ * - Profile resolution order (--profile, NANSEN_PROFILE, active profile)
+ * - Profile defaults applied in runCLI, with env vars and CLI flags taking priority
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { loadProfiles, resolveProfile, applyProfileDefaults, profileFromOptions } from '../commands/profile.js';
+import { runCLI } from '../cli.js';
+
+let originalHome;
+let originalEnv;
+let tempDir;
+
+beforeEach(() => {
+  originalHome = process.env.HOME;
+  originalEnv = {
+    NANSEN_PROFILE: process.env.NANSEN_PROFILE,
+    NANSEN_API_KEY: process.env.NANSEN_API_KEY,
+    NANSEN_BASE_URL: process.env.NANSEN_BASE_URL,
+  };
+  delete process.env.NANSEN_PROFILE;
+  delete process.env.NANSEN_API_KEY;
+  delete process.env.NANSEN_BASE_URL;
+  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nansen-profile-test-'));
+  process.env.HOME = tempDir;
+});
+
+afterEach(() => {
+  process.env.HOME = originalHome;
+  for (const [key, value] of Object.entries(originalEnv)) {
+    if (value === undefined) delete process.env[key];
+    else process.env[key] = value;
+  }
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+async function cli(args, extraDeps = {}) {
+  const outputs = [];
+  let exitCode = null;
+  const result = await runCLI(args, {
+    output: (msg) => outputs.push(msg),
+    errorOutput: () => {},
+    exit: (code) => { exitCode = code; },
+    ...extraDeps,
+  });
+  return { result, outputs, exitCode };
+}
+
+// Mock API that records constructor arguments and the last netflow params
+function recordingAPI() {
+  const calls = { ctor: null, params: null };
+  function MockAPI(apiKey, baseUrl, opts) {
+    calls.ctor = { apiKey, baseUrl, opts };
+    this.smartMoneyNetflow = vi.fn(async (params) => {
+      calls.params = params;
+      return { data: [{ token_symbol: 'SOL' }] };
+    });
+  }
+  return { MockAPI, calls };
+}
+
+describe('nansen profile', () => {
+  it('should create a profile with only the given settings', async () => {
+    const { result } = await cli(['profile', 'create', 'staging', '--api-key', 'stg-key-123456', '--base-url', 'https://staging.example.com/', '--chain', 'base', '--no-cache']);
+    expect(result.type).toBe('success');
+    expect(result.data.profile.apiKey).toBe('stg-…3456');
+
+    const stored = loadProfiles();
+    expect(stored.profiles.staging).toEqual({ apiKey: 'stg-key-123456', baseUrl: 'https://staging.example.com', chain: 'base', cache: false });
+    expect(stored.active).toBeNull();
+  });
+
+  it('should store profiles with owner-only permissions', async () => {
+    await cli(['profile', 'create', 'prod', '--api-key', 'k']);
+    const mode = fs.statSync(path.join(tempDir, '.nansen', 'profiles.json')).mode & 0o777;
+    expect(mode).toBe(0o600);
+    expect(fs.readdirSync(path.join(tempDir, '.nansen'))).toEqual(['profiles.json']);
+  });
+
+  it('should refuse to touch a profiles file that does not parse', async () => {
+    const file = path.join(tempDir, '.nansen', 'profiles.json');
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const corrupt = '{ "profiles": { "prod": { "apiKey": "k" }, } }';
+    fs.writeFileSync(file, corrupt);
+
+    const { result, exitCode } = await cli(['profile', 'create', 'staging']);
+    expect(result.data).toMatchObject({ code: 'UNKNOWN', error: expect.stringContaining(`Unreadable profiles file ${file}`) });
+    expect(exitCode).toBe(1);
+    expect(fs.readFileSync(file, 'utf8')).toBe(corrupt);
+    expect(() => loadProfiles()).toThrow(/Unreadable profiles file/);
+  });
+
+  it('should refuse duplicate, reserved and malformed names', async () => {
+    await cli(['profile', 'create', 'prod']);
+    expect((await cli(['profile', 'create', 'prod'])).result.data.code).toBe('INVALID_PARAMS');
+    expect((await cli(['profile', 'create', 'default'])).result.data.code).toBe('INVALID_PARAMS');
+    expect((await cli(['profile', 'create', '../x'])).result.data.code).toBe('INVALID_PARAMS');
+    expect((await cli(['profile', 'create'])).result.data.code).toBe('MISSING_PARAM');
+  });
+
+  it('should reject an unknown --format', async () => {
+    const { result } = await cli(['profile', 'create', 'p', '--format', 'xml']);
+    expect(result.data.code).toBe('INVALID_PARAMS');
+  });
+
+  it('should switch, list and delete profiles', async () => {
+    await cli(['profile', 'create', 'prod', '--api-key', 'prod-key-abcdef']);
+    await cli(['profile', 'create', 'x402']);
+
+    expect((await cli(['profile', 'use', 'prod'])).result.data).toEqual({ active: 'prod' });
+    const list = (await cli(['profile', 'list'])).result.data;
+    expect(list.active).toBe('prod');
+    expect(list.profiles).toEqual([
+      { name: 'prod', active: true, apiKey: 'prod…cdef' },
+      { name: 'x402', active: false, apiKey: null },
+    ]);
+
+    expect((await cli(['profile', 'delete', 'prod'])).result.data).toEqual({ deleted: 'prod', active: 'default' });
+    expect(loadProfiles()).toEqual({ active: null, profiles: { x402: {} } });
+  });
+
+  it('should report unknown profiles as NOT_FOUND', async () => {
+    const { result, exitCode } = await cli(['profile', 'use', 'nope']);
+    expect(result.data.code).toBe('NOT_FOUND');
+    expect(exitCode).toBe(1);
+  });
+
+  it('should clear the active profile with "use default"', async () => {
+    await cli(['profile', 'create', 'prod']);
+    await cli(['profile', 'use', 'prod']);
+    await cli(['profile', 'use', 'default']);
+    expect(loadProfiles().active).toBeNull();
+  });
+});
+
+describe('resolveProfile', () => {
+  beforeEach(async () => {
+    await cli(['profile', 'create', 'a', '--chain', 'solana']);
+    await cli(['profile', 'create', 'b', '--chain', 'base']);
+    await cli(['profile', 'use', 'a']);
+  });
+
+  it('should prefer --profile, then NANSEN_PROFILE, then the active profile', () => {
+    expect(resolveProfile().name).toBe('a');
+    process.env.NANSEN_PROFILE = 'b';
+    expect(resolveProfile().name).toBe('b');
+    expect(resolveProfile('a').name).toBe('a');
+    expect(resolveProfile('default')).toBeNull();
+  });
+
+  it('should throw for an explicitly requested profile that does not exist', () => {
+    expect(() => resolveProfile('missing')).toThrow('Unknown profile: missing');
+  });
+});
+
+describe('applyProfileDefaults', () => {
+  const profile = profileFromOptions({ cache: true }, { chain: 'base', format: 'table', retries: '1', 'cache-ttl': '60', wallet: 'ops' });
+
+  it('should fill unset options and flags', () => {
+    const { flags, options } = applyProfileDefaults(profile, 'trade', {}, {});
+    expect(options).toEqual({ chain: 'base', retries: '1', 'cache-ttl': '60', wallet: 'ops' });
+    expect(flags).toEqual({ cache: true, table: true });
+  });
+
+  it('should never override what was passed on the command line', () => {
+    const { flags, options } = applyProfileDefaults(profile, 'trade', { 'no-cache': true, stream: true }, { chain: 'solana', wallet: 'mine' });
+    expect(options.chain).toBe('solana');
+    expect(options.wallet).toBe('mine');
+    expect(flags.cache).toBeUndefined();
+    expect(flags.table).toBeUndefined();
+  });
+
+  it('should only default --wallet for wallet and trade commands', () => {
+    const { options } = applyProfileDefaults(profile, 'portfolio', {}, {});
+    expect(options.wallet).toBeUndefined();
+  });
+});
+
+describe('runCLI with profiles', () => {
+  beforeEach(async () => {
+    await cli(['profile', 'create', 'staging', '--api-key', 'stg-key', '--base-url', 'https://staging.example.com', '--chain', 'base', '--retries', '1', '--cache', '--wallet', 'ops']);
+  });
+
+  it('should configure the API client from --profile', async () => {
+    const { MockAPI, calls } = recordingAPI();
+    await cli(['research', 'smart-money', 'netflow', '--profile', 'staging'], { NansenAPIClass: MockAPI });
+    expect(calls.ctor.apiKey).toBe('stg-key');
+    expect(calls.ctor.baseUrl).toBe('https://staging.example.com');
+    expect(calls.ctor.opts.retry.maxRetries).toBe(1);
+    expect(calls.ctor.opts.cache.enabled).toBe(true);
+    expect(calls.ctor.opts.wallet).toBe('ops');
+    expect(calls.params.chains).toEqual(['base']);
+  });
+
+  it('should use the active profile without --profile', async () => {
+    await cli(['profile', 'use', 'staging']);
+    const { MockAPI, calls } = recordingAPI();
+    await cli(['research', 'smart-money', 'netflow'], { NansenAPIClass: MockAPI });
+    expect(calls.ctor.apiKey).toBe('stg-key');
+  });
+
+  it('should let NANSEN_API_KEY and NANSEN_BASE_URL take priority', async () => {
+    process.env.NANSEN_API_KEY = 'env-key';
+    process.env.NANSEN_BASE_URL = 'https://env.example.com';
+    const { MockAPI, calls } = recordingAPI();
+    await cli(['research', 'smart-money', 'netflow', '--profile', 'staging'], { NansenAPIClass: MockAPI });
+    // undefined → NansenAPI falls back to its env-aware config
+    expect(calls.ctor.apiKey).toBeUndefined();
+    expect(calls.ctor.baseUrl).toBeUndefined();
+  });
+
+  it('should fail before running the command for an unknown --profile', async () => {
+    const { MockAPI, calls } = recordingAPI();
+    const { result, exitCode } = await cli(['research', 'smart-money', 'netflow', '--profile', 'nope'], { NansenAPIClass: MockAPI });
+    expect(result.data.code).toBe('NOT_FOUND');
+    expect(exitCode).toBe(1);
+    expect(calls.ctor).toBeNull();
+  });
+
+  it('should apply the profile output format', async () => {
+    await cli(['profile', 'create', 'csv', '--format', 'csv']);
+    const { MockAPI } = recordingAPI();
+    const { outputs } = await cli(['research', 'smart-money', 'netflow', '--profile', 'csv'], { NansenAPIClass: MockAPI });
+    expect(outputs[0].split('\n')[0]).toBe('token_symbol');
+  });
+});
@@ -0,0 +1,179 @@
+/**
+ * Client-side Query Tests
+ *
+ * Tests for:
+ * - Expression parsing and evaluation (parseExpression, compileExpression)
+ * - --sort-local and --compute parsing
+ * - Row pipeline (applyQueryToRows) and its use in runCLI for every output format
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { compileExpression, parseExpression, parseLocalSort, parseComputed, buildQuery, applyQueryToRows } from '../query.js';
+import { runCLI } from '../cli.js';
+
+const ROWS = [
+  { symbol: 'SOL', value_usd: 25000, amount: '100', label: 'Fund', labels: ['Fund', 'Smart Trader'] },
+  { symbol: 'BONK', value_usd: 900, amount: '1000000', label: 'Smart Trader', labels: ['Smart Trader'] },
+  { symbol: 'JUP', value_usd: 12000, amount: '20000', label: 'Fund Manager', labels: [] },
+  { symbol: 'WIF', value_usd: null, amount: '5', label: null },
+];
+
+describe('compileExpression', () => {
+  const run = (expr, row) => compileExpression(expr)(row);
+
+  it('should compare numbers, including numeric strings', () => {
+    expect(run('value_usd > 10000', ROWS[0])).toBe(true);
+    expect(run('amount >= 100', ROWS[0])).toBe(true);
+    expect(run('amount < 100', ROWS[0])).toBe(false);
+  });
+
+  it('should combine clauses with and/or/not and parentheses', () => {
+    const expr = 'value_usd > 10000 and label contains "Fund"';
+    expect(ROWS.filter(compileExpression(expr)).map(r => r.symbol)).toEqual(['SOL', 'JUP']);
+    expect(run('not (symbol = "SOL" or symbol == \'JUP\')', ROWS[1])).toBe(true);
+    expect(run('symbol != "SOL" && value_usd < 1000', ROWS[1])).toBe(true);
+  });
+
+  it('should treat contains on arrays as membership', () => {
+    expect(run('labels contains "Smart Trader"', ROWS[0])).toBe(true);
+    expect(run('labels contains "Fund"', ROWS[2])).toBe(false);
+  });
+
+  it('should support in, startswith, endswith and matches', () => {
+    expect(run('symbol in ["SOL", "JUP"]', ROWS[2])).toBe(true);
+    expect(run('symbol startswith "BO"', ROWS[1])).toBe(true);
+    expect(run('symbol endswith "NK"', ROWS[1])).toBe(true);
+    expect(run('symbol matches "^[A-Z]{3}$"', ROWS[0])).toBe(true);
+  });
+
+  it('should evaluate arithmetic and functions', () => {
+    expect(run('value_usd / amount', ROWS[0])).toBe(250);
+    expect(run('round(value_usd / 7, 2)', ROWS[0])).toBe(3571.43);
+    expect(run('lower(symbol) + "-x"', ROWS[0])).toBe('sol-x');
+    expect(run('coalesce(value_usd, 0) * -1', ROWS[3])).toBe(-0);
+    expect(run('len(labels)', ROWS[0])).toBe(2);
+  });
+
+  it('should read nested fields with dotted paths', () => {
+    expect(run('token.symbol = "SOL"', { token: { symbol: 'SOL' } })).toBe(true);
+    expect(run('token.symbol = "SOL"', {})).toBe(false);
+  });
+
+  it('should never satisfy ordering comparisons with missing values', () => {
+    expect(run('value_usd > 0', ROWS[3])).toBe(false);
+    expect(run('value_usd < 0', ROWS[3])).toBe(false);
+    expect(run('value_usd = null', ROWS[3])).toBe(true);
+  });
+
+  it('should return null for division by zero', () => {
+    expect(run('value_usd / 0', ROWS[0])).toBeNull();
+  });
+});
+
+describe('parseExpression errors', () => {
+  it.each([
+    ['value_usd >', 'unexpected end of expression'],
+    ['value_usd > 1 1', "unexpected '1'"],
+    ['(value_usd > 1', "expected ')'"],
+    ['symbol = "SOL', 'unterminated string'],
+    ['value_usd # 1', "unexpected character '#'"],
+    ['nope(symbol)', "unknown function 'nope'"],
+  ])('should reject %s', (expr, message) => {
+    expect(() => parseExpression(expr)).toThrow(message);
+    try {
+      parseExpression(expr);
+    } catch (err) {
+      expect(err.code).toBe('INVALID_PARAMS');
+    }
+  });
+
+  it('should reject empty expressions', () => {
+    expect(() => parseExpression('  ')).toThrow('expression is empty');
+  });
+});
+
+describe('parseLocalSort', () => {
+  it('should split keys on top-level commas and read directions', () => {
+    const keys = parseLocalSort('coalesce(value_usd, 0):desc, symbol');
+    expect(keys.map(k => k.direction)).toEqual(['desc', 'asc']);
+    expect(keys[0].key(ROWS[3])).toBe(0);
+  });
+});
+
+describe('parseComputed', () => {
+  it('should accept repeated name=expression specs', () => {
+    const cols = parseComputed(['price=value_usd / amount', 'big=price > 1']);
+    expect(cols.map(c => c.name)).toEqual(['price', 'big']);
+  });
+
+  it('should reject specs without a name', () => {
+    expect(() => parseComputed('value_usd > 1')).toThrow('Use name=expression');
+  });
+});
+
+describe('applyQueryToRows', () => {
+  it('should compute, then filter, then sort', () => {
+    const query = buildQuery({ compute: 'price=value_usd / amount', where: 'price > 0.001', 'sort-local': 'price:desc' });
+    const rows = applyQueryToRows(ROWS, query);
+    expect(rows.map(r => [r.symbol, r.price])).toEqual([['SOL', 250], ['JUP', 0.6]]);
+  });
+
+  it('should sort missing values last in both directions', () => {
+    const asc = applyQueryToRows(ROWS, buildQuery({ 'sort-local': 'value_usd' }));
+    const desc = applyQueryToRows(ROWS, buildQuery({ 'sort-local': 'value_usd:desc' }));
+    expect(asc.map(r => r.symbol)).toEqual(['BONK', 'JUP', 'SOL', 'WIF']);
+    expect(desc.map(r => r.symbol)).toEqual(['SOL', 'JUP', 'BONK', 'WIF']);
+  });
+
+  it('should require every repeated --where to hold', () => {
+    const rows = applyQueryToRows(ROWS, buildQuery({ where: ['value_usd > 1000', 'symbol != "SOL"'] }));
+    expect(rows.map(r => r.symbol)).toEqual(['JUP']);
+  });
+
+  it('should return null from buildQuery when no query option is set', () => {
+    expect(buildQuery({ limit: '5' })).toBeNull();
+  });
+});
+
+describe('runCLI with --where / --sort-local / --compute', () => {
+  const run = async (args) => {
+    const outputs = [];
+    const smartMoneyHoldings = vi.fn().mockResolvedValue({ data: ROWS });
+    const result = await runCLI(['research', 'smart-money', 'holdings', ...args], {
+      output: (msg) => outputs.push(msg),
+      errorOutput: () => {},
+      exit: () => {},
+      NansenAPIClass: function MockAPI() { this.smartMoneyHoldings = smartMoneyHoldings; },
+    });
+    return { outputs, result, smartMoneyHoldings };
+  };
+  const query = ['--where', 'value_usd > 1000', '--sort-local', 'value_usd', '--compute', 'k=value_usd / 1000'];
+
+  it('should apply the query before --fields in JSON output', async () => {
+    const { outputs } = await run([...query, '--fields', 'symbol,k']);
+    expect(JSON.parse(outputs[0]).data.data).toEqual([{ symbol: 'JUP', k: 12 }, { symbol: 'SOL', k: 25 }]);
+  });
+
+  it('should apply the query in --stream output', async () => {
+    const { outputs } = await run([...query, '--stream', '--fields', 'symbol']);
+    expect(outputs[0]).toBe('{"symbol":"JUP"}\n{"symbol":"SOL"}');
+  });
+
+  it('should apply the query in --format csv output', async () => {
+    const { outputs } = await run([...query, '--format', 'csv', '--fields', 'symbol,k']);
+    expect(outputs[0].split('\n')).toEqual(['symbol,k', 'JUP,12', 'SOL,25']);
+  });
+
+  it('should apply the query in --table output', async () => {
+    const { outputs } = await run([...query, '--table', '--fields', 'symbol']);
+    expect(outputs[0]).toContain('JUP');
+    expect(outputs[0]).not.toContain('BONK');
+  });
+
+  it('should fail with INVALID_PARAMS before calling the API on a bad expression', async () => {
+    const { result, smartMoneyHoldings } = await run(['--where', 'value_usd >']);
+    expect(result.type).toBe('error');
+    expect(result.data.code).toBe('INVALID_PARAMS');
+    expect(smartMoneyHoldings).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,132 @@
+/**
+ * Markdown / HTML Report Tests
+ *
+ * Tests for:
+ * - Markdown tables with nested objects flattened and arrays collapsed
+ * - Composite results rendered as fields, headings and tables
+ * - Time-series detection and SVG sparklines
+ * - Self-contained HTML with sortable tables
+ * - --format markdown|html through runCLI
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { formatMarkdown, formatHtml, timeSeries, sparkline } from '../report.js';
+import { runCLI } from '../cli.js';
+
+describe('formatMarkdown', () => {
+  it('should render rows as a GitHub table with nested values collapsed', () => {
+    const md = formatMarkdown({
+      data: [
+        { token: { symbol: 'SOL', chain: 'solana' }, value_usd: 1500.5, labels: ['Fund', 'Whale'] },
+        { token: { symbol: 'A|B', chain: 'base' }, value_usd: 20, labels: [] },
+      ],
+    }, { title: 'nansen research smart-money holdings' });
+
+    expect(md.split('\n')).toEqual([
+      '# nansen research smart-money holdings',
+      '',
+      '| token.symbol | token.chain | value_usd | labels |',
+      '| --- | --- | ---: | --- |',
+      '| SOL | solana | 1500.5 | Fund, Whale |',
+      '| A\\|B | base | 20 |  |',
+      '',
+    ]);
+  });
+
+  it('should give composite results headings, fields and tables', () => {
+    const md = formatMarkdown({
+      seed: '0xabc',
+      threshold: 0.5,
+      members: [{ address: '0xabc', score: 1, reasons: [{ kind: 'seed' }] }],
+      stats: { addresses_crawled: 1 },
+    });
+
+    expect(md).toContain('- **seed**: 0xabc\n- **threshold**: 0.5');
+    expect(md).toContain('## members\n\n| address | score | reasons |');
+    expect(md).toContain('| 0xabc | 1 | [{"kind":"seed"}] |');
+    expect(md).toContain('## stats\n\n- **addresses_crawled**: 1');
+  });
+});
+
+describe('timeSeries', () => {
+  const candles = [
+    { period_start: '2026-01-01T02:00:00Z', close: 3, volume_usd: 30 },
+    { period_start: '2026-01-01T00:00:00Z', close: 1, volume_usd: 10 },
+    { period_start: '2026-01-01T01:00:00Z', close: 2, volume_usd: 20 },
+  ];
+
+  it('should chart each numeric column oldest first', () => {
+    expect(timeSeries(candles)).toEqual([
+      { label: 'close', points: [1, 2, 3] },
+      { label: 'volume_usd', points: [10, 20, 30] },
+    ]);
+  });
+
+  it('should split per token when rows mix tokens', () => {
+    const balances = [
+      { date: '2026-01-01', token_symbol: 'ETH', value_usd: 5, token_amount: 1 },
+      { date: '2026-01-02', token_symbol: 'ETH', value_usd: 6, token_amount: 1 },
+      { date: '2026-01-01', token_symbol: 'USDC', value_usd: 9, token_amount: 9 },
+      { date: '2026-01-02', token_symbol: 'USDC', value_usd: 8, token_amount: 8 },
+    ];
+    expect(timeSeries(balances)).toEqual([
+      { label: 'ETH value_usd', points: [5, 6] },
+      { label: 'USDC value_usd', points: [9, 8] },
+    ]);
+  });
+
+  it('should ignore rows without a time column', () => {
+    expect(timeSeries([{ symbol: 'SOL', value: 1 }, { symbol: 'ETH', value: 2 }])).toEqual([]);
+  });
+
+  it('should draw a scaled polyline', () => {
+    const svg = sparkline([1, 3, 2], { width: 100, height: 20 });
+    expect(svg).toContain('points="0.0,18.0 50.0,2.0 100.0,10.0"');
+    expect(svg).toContain('#16a34a');
+  });
+});
+
+describe('formatHtml', () => {
+  it('should produce one self-contained page with sortable tables and sparklines', () => {
+    const html = formatHtml([
+      { period_start: '2026-01-01T00:00:00Z', close: 1 },
+      { period_start: '2026-01-01T01:00:00Z', close: 2 },
+    ], { title: 'nansen research token ohlcv <SOL>', now: new Date('2026-01-02T00:00:00Z') });
+
+    expect(html).toMatch(/^<!DOCTYPE html>/);
+    expect(html).toContain('<title>nansen research token ohlcv &lt;SOL&gt;</title>');
+    expect(html).toContain('Generated 2026-01-02T00:00:00.000Z');
+    expect(html).toContain('<table class="sortable">');
+    expect(html).toContain('<td class="num" data-sort="2">2</td>');
+    expect(html).toContain('<figcaption>close</figcaption><svg class="spark"');
+    expect(html).not.toMatch(/<(link|script) [^>]*(href|src)=/);
+  });
+});
+
+describe('--format markdown|html integration', () => {
+  const run = async (format) => {
+    const outputs = [];
+    const result = await runCLI(['research', 'smart-money', 'netflow', '--format', format], {
+      output: (msg) => outputs.push(msg),
+      errorOutput: () => {},
+      exit: () => {},
+      NansenAPIClass: function MockAPI() {
+        this.smartMoneyNetflow = vi.fn().mockResolvedValue({ data: [{ token_symbol: 'SOL', net_flow_usd: 100 }] });
+      },
+    });
+    return { result, text: outputs[0] };
+  };
+
+  it('should print Markdown for --format markdown', async () => {
+    const { result, text } = await run('markdown');
+    expect(result.type).toBe('markdown');
+    expect(text).toContain('# nansen research smart-money netflow');
+    expect(text).toContain('| SOL | 100 |');
+  });
+
+  it('should print HTML for --format html', async () => {
+    const { result, text } = await run('html');
+    expect(result.type).toBe('html');
+    expect(text).toContain('<td>SOL</td>');
+  });
+});
@@ -0,0 +1,164 @@
+/**
+ * Request Scheduler Tests
+ *
+ * Tests for:
+ * - Concurrency cap and FIFO hand-off of slots
+ * - Token-bucket pacing for --rps
+ * - Adaptive backoff on 429 / Retry-After and recovery on success
+ * - mapConcurrent ordering and composite command fan-out
+ * - --concurrency / --rps / --delay option parsing
+ */
+
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { createScheduler, mapConcurrent } from '../scheduler.js';
+import { NansenAPI } from '../api.js';
+import { batchProfile, resolveSchedulerOptions } from '../cli.js';
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+const deferred = () => {
+  let resolve;
+  const promise = new Promise(r => { resolve = r; });
+  return { promise, resolve };
+};
+
+describe('createScheduler', () => {
+  it('should cap requests in flight and hand slots over in order', async () => {
+    const scheduler = createScheduler({ concurrency: 2 });
+    const order = [];
+    const releases = await Promise.all([scheduler.acquire(), scheduler.acquire()]);
+
+    const third = scheduler.acquire().then(release => { order.push('third'); return release; });
+    const fourth = scheduler.acquire().then(release => { order.push('fourth'); return release; });
+    await Promise.resolve();
+    expect(order).toEqual([]);
+
+    releases[0]();
+    releases[0](); // idempotent
+    (await third)();
+    releases[1]();
+    await fourth;
+    expect(order).toEqual(['third', 'fourth']);
+  });
+
+  it('should pace starts to --rps after the initial burst', async () => {
+    vi.useFakeTimers();
+    const scheduler = createScheduler({ concurrency: 10, rps: 2 });
+    const started = [];
+    const all = Promise.all(Array.from({ length: 4 }, (_, i) => scheduler.acquire().then(release => {
+      started.push(i);
+      release();
+    })));
+
+    await vi.advanceTimersByTimeAsync(0);
+    expect(started).toHaveLength(2);
+    await vi.advanceTimersByTimeAsync(500);
+    expect(started).toHaveLength(3);
+    await vi.advanceTimersByTimeAsync(500);
+    await all;
+    expect(started).toHaveLength(4);
+  });
+
+  it('should halve limits on a 429 and climb back on success', () => {
+    const scheduler = createScheduler({ concurrency: 8, rps: 4 });
+    scheduler.throttle();
+    expect(scheduler.concurrency).toBe(4);
+    expect(scheduler.rate).toBe(2);
+    scheduler.throttle();
+    expect(scheduler.concurrency).toBe(2);
+
+    for (let i = 0; i < 10; i++) scheduler.recover();
+    expect(scheduler.concurrency).toBe(8);
+    expect(scheduler.rate).toBe(4);
+  });
+
+  it('should hold every request until Retry-After has passed', async () => {
+    vi.useFakeTimers();
+    const scheduler = createScheduler();
+    scheduler.throttle(3000);
+    let acquired = false;
+    const pending = scheduler.acquire().then(release => { acquired = true; release(); });
+
+    await vi.advanceTimersByTimeAsync(2900);
+    expect(acquired).toBe(false);
+    await vi.advanceTimersByTimeAsync(200);
+    await pending;
+    expect(acquired).toBe(true);
+  });
+});
+
+describe('mapConcurrent', () => {
+  it('should keep result order while limiting work in flight', async () => {
+    const gates = [deferred(), deferred(), deferred()];
+    let inFlight = 0;
+    let peak = 0;
+    const done = mapConcurrent([0, 1, 2], 2, async (i) => {
+      inFlight++;
+      peak = Math.max(peak, inFlight);
+      await gates[i].promise;
+      inFlight--;
+      return i * 10;
+    });
+    gates[1].resolve();
+    gates[2].resolve();
+    gates[0].resolve();
+    expect(await done).toEqual([0, 10, 20]);
+    expect(peak).toBe(2);
+  });
+});
+
+describe('NansenAPI scheduling', () => {
+  const originalFetch = global.fetch;
+  afterEach(() => { global.fetch = originalFetch; });
+
+  it('should throttle the shared scheduler when the API returns 429', async () => {
+    global.fetch = vi.fn().mockResolvedValue({
+      ok: false,
+      status: 429,
+      headers: { get: () => null },
+      json: async () => ({ message: 'Too many requests' }),
+    });
+    const api = new NansenAPI('key', 'https://api.example.com', { retry: { maxRetries: 0 }, scheduler: { concurrency: 6 } });
+    await expect(api.smartMoneyNetflow({})).rejects.toMatchObject({ status: 429 });
+    expect(api.scheduler.concurrency).toBe(3);
+  });
+
+  it('should profile a batch concurrently through the API scheduler', async () => {
+    let inFlight = 0;
+    let peak = 0;
+    const slowLabels = async () => {
+      inFlight++;
+      peak = Math.max(peak, inFlight);
+      await new Promise(r => setTimeout(r, 5));
+      inFlight--;
+      return { labels: [] };
+    };
+    const api = { scheduler: createScheduler({ concurrency: 3 }), addressLabels: vi.fn(slowLabels) };
+    const addresses = Array.from({ length: 6 }, (_, i) => `0x${String(i + 1).padStart(40, '0')}`);
+
+    const result = await batchProfile(api, { addresses, include: ['labels'] });
+    expect(result.completed).toBe(6);
+    expect(result.results.map(r => r.address)).toEqual(addresses);
+    expect(peak).toBe(3);
+  });
+});
+
+describe('resolveSchedulerOptions', () => {
+  it('should parse --concurrency and --rps', () => {
+    expect(resolveSchedulerOptions({ concurrency: '8', rps: '2.5' })).toEqual({ concurrency: 8, rps: 2.5 });
+    expect(resolveSchedulerOptions({})).toEqual({});
+  });
+
+  it('should map the legacy --delay onto a rate', () => {
+    expect(resolveSchedulerOptions({ delay: '500' })).toEqual({ rps: 2 });
+    expect(resolveSchedulerOptions({ delay: '0' })).toEqual({ rps: Infinity });
+    expect(resolveSchedulerOptions({ delay: '500', rps: '5' })).toEqual({ rps: 5 });
+  });
+
+  it('should reject invalid values', () => {
+    expect(() => resolveSchedulerOptions({ concurrency: '0' })).toThrow('Invalid --concurrency');
+    expect(() => resolveSchedulerOptions({ rps: 'fast' })).toThrow('Invalid --rps');
+  });
+});
@@ -0,0 +1,74 @@
+/**
+ * SDK Surface Tests
+ *
+ * Tests for:
+ * - Package exports resolving to the NansenAPI client
+ * - api.d.ts declaring every NansenAPI method and api.js export
+ * - openapi.json covering every endpoint NansenAPI calls
+ */
+
+import { describe, it, expect } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import * as api from '../api.js';
+
+const root = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', '..');
+const read = (file) => fs.readFileSync(path.join(root, file), 'utf8');
+const pkg = JSON.parse(read('package.json'));
+const typings = read('src/api.d.ts');
+const openapi = JSON.parse(read('src/openapi.json'));
+
+const methods = Object.getOwnPropertyNames(api.NansenAPI.prototype)
+  .filter(name => name !== 'constructor' && !name.startsWith('_')
+    && typeof Object.getOwnPropertyDescriptor(api.NansenAPI.prototype, name).value === 'function');
+
+describe('package exports', () => {
+  it('should point the package root at the typed client', () => {
+    expect(pkg.exports['.']).toEqual({ types: './src/api.d.ts', default: './src/api.js' });
+    expect(pkg.main).toBe('src/api.js');
+    expect(pkg.bin.nansen).toBe('./src/index.js');
+    expect(pkg.files).toContain('src/*.d.ts');
+    for (const target of [pkg.exports['.'].types, pkg.exports['.'].default, pkg.exports['./openapi.json']]) {
+      expect(fs.existsSync(path.join(root, target))).toBe(true);
+    }
+  });
+});
+
+describe('api.d.ts', () => {
+  it('should declare every NansenAPI method', () => {
+    const missing = methods.filter(name => !new RegExp(`^  ${name}\\(`, 'm').test(typings));
+    expect(missing).toEqual([]);
+  });
+
+  it('should declare every export of api.js and every error code', () => {
+    const missing = Object.keys(api).filter(name => name !== 'default'
+      && !new RegExp(`export declare (const|class|function) ${name}\\b`).test(typings));
+    expect(missing).toEqual([]);
+    for (const code of Object.values(api.ErrorCode)) {
+      expect(typings).toContain(`readonly ${code}: '${code}';`);
+    }
+  });
+});
+
+describe('openapi.json', () => {
+  const operations = Object.entries(openapi.paths).flatMap(([route, ops]) => Object.values(ops).map(op => ({ route, ...op })));
+
+  it('should have one operation per endpoint method, named after it', () => {
+    const endpointMethods = methods.filter(name => !['request', 'alertsGet', 'getCreditBalance'].includes(name));
+    expect(operations.map(op => op.operationId).sort()).toEqual(endpointMethods.sort());
+  });
+
+  it('should cover every endpoint path NansenAPI requests', () => {
+    const source = read('src/api.js');
+    const requested = [...source.matchAll(/this\.request\([`'](\/api\/[^`'?$]+)/g)].map(m => m[1].replace(/\/$/, '/{id}'));
+    expect(requested.length).toBeGreaterThan(50);
+    expect(requested.filter(route => !openapi.paths[route])).toEqual([]);
+  });
+
+  it('should describe auth and the chains schema.json accepts', () => {
+    const schema = JSON.parse(read('src/schema.json'));
+    expect(openapi.components.securitySchemes.apiKey).toEqual({ type: 'apiKey', in: 'header', name: 'apikey' });
+    expect(openapi.components.schemas.Chain.enum).toEqual(schema.chains);
+  });
+});
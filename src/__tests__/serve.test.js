@@ -0,0 +1,208 @@
+/**
+ * HTTP Gateway Tests
+ *
+ * Tests for:
+ * - Query value parsing and error status mapping
+ * - `nansen serve` routes, envelope and shared API instance
+ */
+
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import http from 'http';
+import { parseQueryValue, statusForError, isAllowedHost } from '../serve.js';
+import { runCLI } from '../cli.js';
+
+describe('parseQueryValue', () => {
+  it('should keep numeric strings as strings', () => {
+    expect(parseQueryValue('10')).toBe('10');
+  });
+
+  it('should decode JSON objects and booleans', () => {
+    expect(parseQueryValue('{"only_smart_money":true}')).toEqual({ only_smart_money: true });
+    expect(parseQueryValue('true')).toBe(true);
+  });
+
+  it('should pass plain strings through', () => {
+    expect(parseQueryValue('solana')).toBe('solana');
+  });
+});
+
+describe('statusForError', () => {
+  it('should pass upstream HTTP status through', () => {
+    expect(statusForError({ code: 'RATE_LIMITED', status: 429 })).toBe(429);
+  });
+
+  it('should map validation errors to 400', () => {
+    expect(statusForError({ code: 'INVALID_ADDRESS', status: null })).toBe(400);
+    expect(statusForError({ code: 'MISSING_PARAM', status: null })).toBe(400);
+  });
+
+  it('should default to 500', () => {
+    expect(statusForError({ code: 'UNKNOWN', status: null })).toBe(500);
+  });
+});
+
+describe('isAllowedHost', () => {
+  it('should accept only the bound name and port', () => {
+    expect(isAllowedHost('127.0.0.1:8787', '127.0.0.1', 8787)).toBe(true);
+    expect(isAllowedHost('localhost:8787', '127.0.0.1', 8787)).toBe(true);
+    expect(isAllowedHost('[::1]:8787', '::1', 8787)).toBe(true);
+    expect(isAllowedHost('evil.example:8787', '127.0.0.1', 8787)).toBe(false);
+    expect(isAllowedHost('127.0.0.1:9999', '127.0.0.1', 8787)).toBe(false);
+    expect(isAllowedHost(undefined, '127.0.0.1', 8787)).toBe(false);
+    expect(isAllowedHost('box.lan:8787', '0.0.0.0', 8787)).toBe(true);
+  });
+});
+
+// Raw request, so Host and Origin can be set
+function rawRequest(baseUrl, pathname, headers = {}) {
+  const { port } = new URL(baseUrl);
+  return new Promise((resolve, reject) => {
+    const req = http.request({ host: '127.0.0.1', port, path: pathname, headers }, (res) => {
+      let body = '';
+      res.on('data', (chunk) => { body += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(body) }));
+    });
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+describe('nansen serve', () => {
+  let server;
+  let done;
+
+  afterEach(async () => {
+    if (server) server.close();
+    await done;
+    server = null;
+  });
+
+  // Start the gateway on an ephemeral port and return its base URL
+  async function startServe(NansenAPIClass, args = []) {
+    let apiInstances = 0;
+    const CountingAPI = function (...ctorArgs) {
+      apiInstances++;
+      NansenAPIClass.apply(this, ctorArgs);
+      this.cacheOptions = { enabled: false, ttl: 300 };
+    };
+    const listening = new Promise((resolve) => {
+      done = runCLI(['serve', '--port', '0', ...args], {
+        output: vi.fn(),
+        errorOutput: vi.fn(),
+        exit: vi.fn(),
+        NansenAPIClass: CountingAPI,
+        onServerListening: resolve,
+      });
+    });
+    server = await listening;
+    return { baseUrl: `http://127.0.0.1:${server.address().port}`, apiInstances: () => apiInstances };
+  }
+
+  it('should serve research routes with the CLI envelope', async () => {
+    const smartMoneyNetflow = vi.fn().mockResolvedValue({ data: [{ token_symbol: 'SOL', extra: 1 }] });
+    const { baseUrl } = await startServe(function () { this.smartMoneyNetflow = smartMoneyNetflow; });
+
+    const res = await fetch(`${baseUrl}/research/smart-money/netflow?chain=ethereum&limit=5&fields=token_symbol`);
+    expect(res.status).toBe(200);
+    expect(await res.json()).toEqual({ success: true, data: { data: [{ token_symbol: 'SOL' }] } });
+    expect(smartMoneyNetflow).toHaveBeenCalledWith(expect.objectContaining({
+      chains: ['ethereum'],
+      pagination: { page: 1, per_page: '5' },
+    }));
+  });
+
+  it('should accept options as a JSON body on POST and resolve aliases', async () => {
+    const addressBalance = vi.fn().mockResolvedValue({ data: [] });
+    const { baseUrl } = await startServe(function () { this.addressBalance = addressBalance; });
+
+    const res = await fetch(`${baseUrl}/research/prof/balance`, {
+      method: 'POST',
+      body: JSON.stringify({ address: '0x0000000000000000000000000000000000000001', chain: 'base' }),
+    });
+    expect(res.status).toBe(200);
+    expect(addressBalance).toHaveBeenCalledWith(expect.objectContaining({ chain: 'base' }));
+  });
+
+  it('should share one API instance across requests', async () => {
+    const { baseUrl, apiInstances } = await startServe(function () {
+      this.smartMoneyHoldings = vi.fn().mockResolvedValue({ data: [] });
+    });
+    await fetch(`${baseUrl}/research/sm/holdings`);
+    await fetch(`${baseUrl}/research/sm/holdings`);
+    expect(apiInstances()).toBe(1);
+  });
+
+  it('should enable the shared cache unless --no-cache is passed', async () => {
+    let instance;
+    const { baseUrl } = await startServe(function () {
+      instance = this;
+      this.smartMoneyHoldings = vi.fn().mockResolvedValue({ data: [] });
+    });
+    await fetch(`${baseUrl}/health`);
+    expect(instance.cacheOptions.enabled).toBe(true);
+  });
+
+  it('should map upstream errors to their HTTP status', async () => {
+    const err = Object.assign(new Error('Rate limited'), { code: 'RATE_LIMITED', status: 429 });
+    const { baseUrl } = await startServe(function () { this.smartMoneyNetflow = vi.fn().mockRejectedValue(err); });
+
+    const res = await fetch(`${baseUrl}/research/smart-money/netflow`);
+    expect(res.status).toBe(429);
+    const body = await res.json();
+    expect(body).toMatchObject({ success: false, code: 'RATE_LIMITED', status: 429 });
+  });
+
+  it('should return 404 for unknown categories, subcommands and routes', async () => {
+    const { baseUrl } = await startServe(function () {});
+
+    const unknownCategory = await fetch(`${baseUrl}/research/nope/x`);
+    expect(unknownCategory.status).toBe(404);
+
+    const unknownSub = await fetch(`${baseUrl}/research/smart-money/nope`);
+    expect(unknownSub.status).toBe(404);
+    expect((await unknownSub.json()).details.available).toContain('netflow');
+
+    const unknownRoute = await fetch(`${baseUrl}/trade/quote`);
+    expect(unknownRoute.status).toBe(404);
+  });
+
+  it('should reject non-object JSON bodies', async () => {
+    const { baseUrl } = await startServe(function () {});
+    const res = await fetch(`${baseUrl}/research/sm/netflow`, { method: 'POST', body: '[1,2]' });
+    expect(res.status).toBe(400);
+    expect((await res.json()).code).toBe('INVALID_PARAMS');
+  });
+
+  it('should answer a malformed percent-encoding with 400 and keep serving', async () => {
+    const { baseUrl } = await startServe(function () {});
+    const res = await rawRequest(baseUrl, '/research/%E0%A4%A');
+    expect(res).toMatchObject({ status: 400, body: { code: 'INVALID_PARAMS' } });
+    expect((await fetch(`${baseUrl}/health`)).status).toBe(200);
+  });
+
+  it('should refuse options outside the command schema and ones that touch files', async () => {
+    const addressBalance = vi.fn();
+    const { baseUrl } = await startServe(function () { this.addressBalance = addressBalance; });
+    for (const query of ['output=/tmp/x.json', 'record=/tmp/cassette', 'nope=1']) {
+      const res = await fetch(`${baseUrl}/research/profiler/balance?address=0x1&${query}`);
+      expect(res.status).toBe(400);
+    }
+    const batch = await fetch(`${baseUrl}/research/profiler/batch?file=/etc/passwd&checkpoint=/tmp/c.ndjson`);
+    expect((await batch.json()).details.rejected).toEqual(['file', 'checkpoint']);
+    expect(addressBalance).not.toHaveBeenCalled();
+  });
+
+  it('should refuse other Host names and cross-site origins', async () => {
+    const { baseUrl } = await startServe(function () {});
+    const port = new URL(baseUrl).port;
+    expect((await rawRequest(baseUrl, '/health', { Host: `rebind.example:${port}` })).status).toBe(403);
+    expect((await rawRequest(baseUrl, '/health', { Host: `localhost:${port}`, Origin: 'https://evil.example' })).status).toBe(403);
+    expect((await rawRequest(baseUrl, '/health', { Host: `localhost:${port}`, Origin: `http://localhost:${port}` })).status).toBe(200);
+  });
+
+  it('should answer health checks', async () => {
+    const { baseUrl } = await startServe(function () {});
+    const res = await fetch(`${baseUrl}/health`);
+    expect((await res.json()).data.status).toBe('ok');
+  });
+});
@@ -0,0 +1,242 @@
+/**
+ * Interactive Shell Tests
+ *
+ * Tests for:
+ * - Line tokenizing and pipeline splitting
+ * - Command shorthands resolved against the schema
+ * - Remembered chain/token/address context
+ * - Pipes: --addresses lists, per-row fan-out, local top/where/sort/fields
+ * - Schema-driven tab completion
+ * - Persistent history without secrets
+ * - nansen shell end to end with one shared API client
+ */
+
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { PassThrough } from 'stream';
+import {
+  tokenizeLine, splitPipeline, resolveCommand, createShell, completeLine,
+  pipedValues, loadHistory, appendHistory, PIPE_FANOUT_LIMIT,
+} from '../shell.js';
+import { SCHEMA, RESEARCH_CATEGORY_ALIASES, runCLI } from '../cli.js';
+import { ErrorCode } from '../api.js';
+
+const aliases = RESEARCH_CATEGORY_ALIASES;
+
+const HOLDERS = { data: [{ address: 'h1', value_usd: 30 }, { address: 'h2', value_usd: 10 }, { address: 'h3', value_usd: 20 }] };
+
+function setup(respond = () => ({ type: 'success', data: HOLDERS })) {
+  const printed = [];
+  const execute = vi.fn(async (args, opts) => respond(args, opts));
+  const shell = createShell({
+    execute,
+    schema: SCHEMA,
+    aliases,
+    print: (text) => printed.push(text),
+    render: (envelope) => JSON.stringify(envelope),
+    formatError: (error) => ({ success: false, error: error.message, code: error.code }),
+  });
+  return { shell, execute, printed, lastPrinted: () => JSON.parse(printed[printed.length - 1]) };
+}
+
+describe('tokenizeLine / splitPipeline', () => {
+  it('should honour quotes and escapes', () => {
+    expect(tokenizeLine(`holders --filters '{"a": 1}' --where "label contains \\"Fund\\"" a\\ b`))
+      .toEqual(['holders', '--filters', '{"a": 1}', '--where', 'label contains "Fund"', 'a b']);
+  });
+
+  it('should split at unquoted pipes only', () => {
+    expect(splitPipeline(`holders | where label = 'a|b' | top 2`)).toEqual(['holders', `where label = 'a|b'`, 'top 2']);
+    expect(splitPipeline('| top 1')).toEqual(['', 'top 1']);
+  });
+});
+
+describe('resolveCommand', () => {
+  it('should expand research shorthands', () => {
+    expect(resolveCommand(['holders', '--limit', '5'], SCHEMA).args).toEqual(['research', 'token', 'holders', '--limit', '5']);
+    expect(resolveCommand(['sm', 'netflow'], SCHEMA, { aliases }).args).toEqual(['research', 'smart-money', 'netflow']);
+    expect(resolveCommand(['account'], SCHEMA).args).toEqual(['account']);
+  });
+
+  it('should use the remembered token or address to break ties', () => {
+    expect(() => resolveCommand(['pnl'], SCHEMA)).toThrow(/ambiguous: .*token pnl.*profiler pnl|ambiguous: .*profiler pnl.*token pnl/);
+    expect(resolveCommand(['pnl'], SCHEMA, { context: { address: '0xabc' } }).category).toBe('profiler');
+  });
+
+  it('should reject unknown commands', () => {
+    expect(() => resolveCommand(['nope'], SCHEMA)).toThrow(expect.objectContaining({ code: ErrorCode.INVALID_PARAMS }));
+  });
+});
+
+describe('createShell', () => {
+  it('should fill remembered context into commands that take it', async () => {
+    const { shell, execute } = setup();
+    await shell.runLine('use chain solana');
+    await shell.runLine('use token Tok');
+    await shell.runLine('holders');
+    await shell.runLine('account');
+
+    expect(execute.mock.calls[0][0]).toEqual(['research', 'token', 'holders', '--chain', 'solana', '--token', 'Tok']);
+    expect(execute.mock.calls[1][0]).toEqual(['account']);
+    expect(shell.prompt()).toBe('nansen (solana)> ');
+  });
+
+  it('should remember options passed explicitly', async () => {
+    const { shell, execute, lastPrinted } = setup();
+    await shell.runLine('research profiler balance --address 0xabc --chain base');
+    await shell.runLine('labels');
+    await shell.runLine('context');
+
+    expect(execute.mock.calls[1][0]).toEqual(['research', 'profiler', 'labels', '--chain', 'base', '--address', '0xabc']);
+    expect(lastPrinted().data).toEqual({ chain: 'base', address: '0xabc' });
+  });
+
+  it('should pipe the top rows into profile as one address list', async () => {
+    const { shell, execute } = setup((args) => (args.includes('batch')
+      ? { type: 'success', data: { results: [{ address: 'h1' }] } }
+      : { type: 'success', data: HOLDERS }));
+    await shell.runLine('use token Tok');
+    await shell.runLine('holders | profile top 2');
+
+    expect(execute.mock.calls[0][1]).toEqual({ print: false });
+    expect(execute.mock.calls[1]).toEqual([['research', 'profiler', 'batch', '--addresses', 'h1,h2'], { print: true }]);
+  });
+
+  it('should fan out over piped rows for --address commands', async () => {
+    const { shell, execute, lastPrinted } = setup((args) => (args.includes('labels')
+      ? (args.includes('h2') ? { type: 'error', data: { success: false, error: 'Not found', code: 'NOT_FOUND' } } : { type: 'success', data: { labels: ['Fund'] } })
+      : { type: 'success', data: HOLDERS }));
+    await shell.runLine('holders --token Tok | labels top 2');
+
+    expect(execute.mock.calls.slice(1).map(([args]) => args)).toEqual([
+      ['research', 'profiler', 'labels', '--address', 'h1'],
+      ['research', 'profiler', 'labels', '--address', 'h2'],
+    ]);
+    expect(lastPrinted().data).toEqual([
+      { address: 'h1', result: { labels: ['Fund'] } },
+      { address: 'h2', error: { code: 'NOT_FOUND', message: 'Not found' } },
+    ]);
+  });
+
+  it('should refuse large fan-outs without top N', async () => {
+    const many = { data: Array.from({ length: PIPE_FANOUT_LIMIT + 1 }, (_, i) => ({ address: `a${i}` })) };
+    const { shell, execute, lastPrinted } = setup(() => ({ type: 'success', data: many }));
+    await shell.runLine('holders --token Tok | labels');
+
+    expect(execute).toHaveBeenCalledOnce();
+    expect(lastPrinted().error).toContain('narrow it first');
+  });
+
+  it('should filter, sort, project and re-pipe the last result locally', async () => {
+    const { shell, execute, printed, lastPrinted } = setup();
+    await shell.runLine('holders --token Tok | where value_usd > 15 | sort value_usd:asc');
+    expect(lastPrinted().data).toEqual([{ address: 'h3', value_usd: 20 }, { address: 'h1', value_usd: 30 }]);
+
+    await shell.runLine('| fields address | top 1');
+    expect(lastPrinted().data).toEqual([{ address: 'h3' }]);
+    expect(execute).toHaveBeenCalledOnce();
+    expect(printed).toHaveLength(2);
+  });
+
+  it('should stop the pipeline at a failing stage and print its error', async () => {
+    const { shell, execute, lastPrinted } = setup(() => ({ type: 'error', data: { success: false, error: 'No credits', code: 'CREDITS_EXHAUSTED' } }));
+    await shell.runLine('holders --token Tok | profile');
+
+    expect(execute).toHaveBeenCalledOnce();
+    expect(lastPrinted()).toMatchObject({ code: 'CREDITS_EXHAUSTED' });
+  });
+
+  it('should explain pipes that cannot work', async () => {
+    const { shell, printed } = setup();
+    await shell.runLine('| top 1');
+    await shell.runLine('top 3');
+    await shell.runLine('holders --token Tok | netflow');
+    expect(printed.map(p => JSON.parse(p).error)).toEqual([
+      'No result to pipe yet',
+      'top 3 works on piped rows, e.g. "holders | top 3"',
+      'Cannot pipe into netflow: it takes no --address or --token',
+    ]);
+  });
+});
+
+describe('pipedValues', () => {
+  it('should find wallet and token addresses under common field names', () => {
+    const rows = [
+      { trader_address: 't1', token_address: 'k1' },
+      { address: 'a2', token_address: 'k1' },
+      { buyer_address: 'b3' },
+    ];
+    expect(pipedValues(rows, 'address')).toEqual(['t1', 'a2', 'b3']);
+    expect(pipedValues(rows, 'token')).toEqual(['k1']);
+  });
+});
+
+describe('completeLine', () => {
+  const complete = (line) => completeLine(line, SCHEMA, { aliases })[0];
+
+  it('should complete commands, categories and subcommands', () => {
+    expect(complete('hol')).toEqual(['holders', 'holdings']);
+    expect(complete('sm net')).toEqual(['netflow']);
+    expect(complete('research pro')).toEqual(['profiler']);
+    expect(complete('holders | pro')).toEqual(['profile', 'profiler']);
+  });
+
+  it('should complete option names, enums and chains', () => {
+    expect(complete('token holders --to')).toEqual(['--token']);
+    expect(complete('profiler cluster --th')).toEqual(['--threshold']);
+    expect(complete('holders --chain so')).toEqual(['solana', 'sonic']);
+    expect(complete('holders --format m')).toEqual(['markdown']);
+    expect(complete('use chain ar')).toEqual(['arbitrum']);
+  });
+});
+
+describe('history', () => {
+  let dir;
+  afterEach(() => {
+    if (dir) fs.rmSync(dir, { recursive: true, force: true });
+    dir = null;
+  });
+
+  it('should keep lines newest first and never store secrets', () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nansen-shell-'));
+    const file = path.join(dir, 'nested', 'shell_history');
+    appendHistory(file, 'holders');
+    appendHistory(file, 'login --api-key sk-123');
+    appendHistory(file, '   ');
+    appendHistory(file, 'netflow');
+
+    expect(loadHistory(file)).toEqual(['netflow', 'holders']);
+    expect(loadHistory(path.join(dir, 'missing'))).toEqual([]);
+  });
+});
+
+describe('nansen shell', () => {
+  it('should run lines through one shared API client', async () => {
+    const constructed = vi.fn();
+    const tokenHolders = vi.fn().mockResolvedValue({ data: [{ address: 'h1' }] });
+    const lines = [];
+    const shellInput = new PassThrough();
+    shellInput.end('use chain solana\nholders --token Tok\nholders --token Tok2\nexit\n');
+
+    await runCLI(['shell'], {
+      output: () => {},
+      errorOutput: () => {},
+      exit: () => {},
+      log: (text) => lines.push(text),
+      NansenAPIClass: function MockAPI() {
+        constructed();
+        this.tokenHolders = tokenHolders;
+      },
+      shellInput,
+      shellOutput: new PassThrough(),
+      shellHistoryFile: null,
+    });
+
+    expect(constructed).toHaveBeenCalledOnce();
+    expect(tokenHolders).toHaveBeenCalledTimes(2);
+    expect(tokenHolders.mock.calls[1][0]).toMatchObject({ tokenAddress: 'Tok2', chain: 'solana' });
+    expect(JSON.parse(lines[0])).toEqual({ success: true, data: { data: [{ address: 'h1' }] } });
+  });
+});
@@ -0,0 +1,166 @@
+/**
+ * Snapshot Tests
+ *
+ * Tests for:
+ * - Snapshot storage under a temp HOME (names, runs, listing)
+ * - Row and total differences between runs, --since selection
+ * - --snapshot and nansen diff through runCLI
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { saveSnapshot, listSnapshotRuns, listSnapshots, diffRows, diffSnapshot, formatDiffTable, getSnapshotsDir } from '../snapshots.js';
+import { runCLI } from '../cli.js';
+
+let originalHome;
+let tempDir;
+
+beforeEach(() => {
+  originalHome = process.env.HOME;
+  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nansen-snapshot-test-'));
+  process.env.HOME = tempDir;
+});
+
+afterEach(() => {
+  process.env.HOME = originalHome;
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+const HOUR = 3_600_000;
+const T0 = Date.UTC(2026, 9, 1);
+const save = (rows, at) => saveSnapshot('sm', { command: 'research smart-money holdings', rows }, { now: () => at });
+
+describe('snapshot storage', () => {
+  it('should store one timestamped file per run, oldest first', () => {
+    const saved = save([{ token_address: 'a' }], T0 + HOUR);
+    save([], T0);
+    expect(saved).toMatchObject({ name: 'sm', rows: 1, takenAt: '2026-10-01T01:00:00.000Z' });
+    expect(saved.file).toBe(path.join(getSnapshotsDir(), 'sm', '2026-10-01T01-00-00-000Z.json'));
+    expect(listSnapshotRuns('sm').map(run => run.takenAt)).toEqual(['2026-10-01T00:00:00.000Z', '2026-10-01T01:00:00.000Z']);
+    expect(listSnapshots()).toEqual([{ name: 'sm', command: 'research smart-money holdings', runs: 2, first: '2026-10-01T00:00:00.000Z', latest: '2026-10-01T01:00:00.000Z' }]);
+  });
+
+  it('should write each run privately, leaving no temp file behind', () => {
+    const { file } = save([{ token_address: 'a' }], T0);
+    expect(fs.statSync(file).mode & 0o777).toBe(0o600);
+    expect(fs.readdirSync(path.dirname(file))).toEqual([path.basename(file)]);
+  });
+
+  it('should not overwrite a run taken in the same millisecond', () => {
+    save([], T0);
+    save([], T0);
+    expect(listSnapshotRuns('sm')).toHaveLength(2);
+  });
+
+  it('should reject names that are not plain directory names', () => {
+    expect(() => saveSnapshot('../x', { command: 'c', rows: [] })).toThrow(expect.objectContaining({ code: 'INVALID_PARAMS' }));
+  });
+});
+
+describe('diffRows', () => {
+  it('should report entries, exits, field changes and numeric totals', () => {
+    const diff = diffRows(
+      [{ token_address: 'a', value_usd: 100 }, { token_address: 'b', value_usd: 5 }],
+      [{ token_address: 'a', value_usd: 150 }, { token_address: 'c', value_usd: 7 }],
+    );
+    expect(diff).toEqual({
+      keyFields: ['token_address'],
+      summary: { added: 1, removed: 1, changed: 1, unchanged: 0 },
+      totals: { rows: { from: 2, to: 2, delta: 0 }, value_usd: { from: 105, to: 157, delta: 52 } },
+      added: [{ token_address: 'c', value_usd: 7 }],
+      removed: [{ token_address: 'b', value_usd: 5 }],
+      changed: [{ key: { token_address: 'a' }, changes: { value_usd: { from: 100, to: 150, delta: 50 } }, row: { token_address: 'a', value_usd: 150 } }],
+    });
+  });
+
+  it('should use the given key fields', () => {
+    const diff = diffRows([{ symbol: 'A', token_address: '1' }], [{ symbol: 'A', token_address: '2' }], { keyFields: ['symbol'] });
+    expect(diff.summary).toMatchObject({ added: 0, removed: 0, changed: 1 });
+  });
+});
+
+describe('diffSnapshot', () => {
+  beforeEach(() => {
+    save([{ address: 'x', balance: 1 }], T0);
+    save([{ address: 'x', balance: 2 }], T0 + 20 * HOUR);
+    save([{ address: 'x', balance: 4 }], T0 + 26 * HOUR);
+  });
+
+  it('should compare the latest run with the one before it by default', () => {
+    const diff = diffSnapshot('sm');
+    expect(diff.from.takenAt).toBe('2026-10-01T20:00:00.000Z');
+    expect(diff.changed[0].changes.balance).toEqual({ from: 2, to: 4, delta: 2 });
+  });
+
+  it('should go back to the newest run at least --since old', () => {
+    expect(diffSnapshot('sm', { since: '24h', now: () => T0 + 26 * HOUR }).from.takenAt).toBe('2026-10-01T00:00:00.000Z');
+    expect(diffSnapshot('sm', { since: '5h', now: () => T0 + 26 * HOUR }).from.takenAt).toBe('2026-10-01T20:00:00.000Z');
+    // Nothing that old: the oldest run
+    expect(diffSnapshot('sm', { since: '7d', now: () => T0 + 26 * HOUR }).from.takenAt).toBe('2026-10-01T00:00:00.000Z');
+  });
+
+  it('should explain what is missing', () => {
+    expect(() => diffSnapshot('other')).toThrow(expect.objectContaining({ code: 'NOT_FOUND' }));
+    saveSnapshot('once', { command: 'c', rows: [] });
+    expect(() => diffSnapshot('once')).toThrow(/has one run/);
+    expect(() => diffSnapshot('sm', { since: 'yesterday' })).toThrow(/Invalid --since/);
+  });
+
+  it('should render changed fields and totals as a table', () => {
+    const text = formatDiffTable(diffSnapshot('sm'));
+    expect(text).toContain('0 added, 0 removed, 1 changed, 0 unchanged');
+    expect(text).toMatch(/changed │ x\s+│ balance │ 2\s+│ 4\s+│ \+2/);
+    expect(text).toMatch(/balance │ 2\s+│ 4\s+│ \+2/);
+  });
+});
+
+describe('runCLI --snapshot / diff', () => {
+  const cli = async (args, smartMoneyHoldings = vi.fn()) => {
+    const outputs = [];
+    const errors = [];
+    const result = await runCLI(args, {
+      output: (msg) => outputs.push(msg),
+      errorOutput: (msg) => errors.push(msg),
+      exit: () => {},
+      NansenAPIClass: function MockAPI() { this.smartMoneyHoldings = smartMoneyHoldings; },
+    });
+    return { outputs, errors, result };
+  };
+
+  it('should store the rows as shown and keep stdout unchanged', async () => {
+    const rows = [{ token_address: 'a', value_usd: 100, label: 'Fund' }, { token_address: 'b', value_usd: 5, label: 'Fund' }];
+    const { outputs, errors } = await cli(
+      ['research', 'smart-money', 'holdings', '--chain', 'base', '--where', 'value_usd > 10', '--fields', 'token_address,value_usd', '--snapshot', 'sm'],
+      vi.fn().mockResolvedValue({ data: rows }),
+    );
+    expect(JSON.parse(outputs[0]).data.data).toEqual([{ token_address: 'a', value_usd: 100 }]);
+    expect(errors[0]).toContain('Snapshot sm: 1 rows');
+
+    const [run] = listSnapshotRuns('sm');
+    expect(JSON.parse(fs.readFileSync(run.file, 'utf8'))).toMatchObject({
+      command: 'research smart-money holdings',
+      options: { chain: 'base', where: 'value_usd > 10', fields: 'token_address,value_usd' },
+      rows: [{ token_address: 'a', value_usd: 100 }],
+    });
+  });
+
+  it('should reject a bad name or a non-research command before calling the API', async () => {
+    const smartMoneyHoldings = vi.fn();
+    expect((await cli(['research', 'smart-money', 'holdings', '--snapshot', 'a/b'], smartMoneyHoldings)).result.data.code).toBe('INVALID_PARAMS');
+    expect((await cli(['research', 'smart-money', 'holdings', '--snapshot', 'x', '--watch', '1m'], smartMoneyHoldings)).result.data.code).toBe('INVALID_PARAMS');
+    expect(smartMoneyHoldings).not.toHaveBeenCalled();
+    expect((await cli(['account', '--snapshot', 'x'])).result.data.error).toBe('--snapshot works with research commands only');
+  });
+
+  it('should print diffs as JSON or a table, and list snapshots without a name', async () => {
+    save([{ address: 'x', balance: 1 }], T0);
+    save([{ address: 'x', balance: 3 }], T0 + HOUR);
+
+    const json = JSON.parse((await cli(['diff', 'sm'])).outputs[0]);
+    expect(json.data.summary).toEqual({ added: 0, removed: 0, changed: 1, unchanged: 0 });
+    expect((await cli(['diff', 'sm', '--table'])).outputs[0]).toContain('sm (research smart-money holdings): 2026-10-01T00:00:00.000Z → 2026-10-01T01:00:00.000Z');
+    expect(JSON.parse((await cli(['diff'])).outputs[0]).data).toMatchObject([{ name: 'sm', runs: 2 }]);
+  });
+});
@@ -7,6 +7,7 @@
  */
 
 import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { PassThrough } from 'stream';
 
 // ── Mock telemetry before cli.js is imported ──
 const trackSucceeded = vi.fn();
@@ -132,6 +133,13 @@ describe('telemetry tracking for all first-level commands', () => {
     expect(trackSucceeded.mock.calls[0][0].command).toBe('cache clear');
   });
 
+  it('diff (snapshot name not tracked)', async () => {
+    await runCLI(['diff', 'my-private-name'], baseDeps());
+    expect(wasTracked()).toBe(1);
+    expect(trackFailed).toHaveBeenCalledOnce();
+    expect(trackFailed.mock.calls[0][0].command).toBe('diff');
+  });
+
   it('changelog', async () => {
     await runCLI(['changelog'], baseDeps());
     expect(wasTracked()).toBe(1);
@@ -139,6 +147,45 @@ describe('telemetry tracking for all first-level commands', () => {
     expect(trackSucceeded.mock.calls[0][0].command).toBe('changelog');
   });
 
+  it('mcp (input closed immediately)', async () => {
+    const mcpInput = new PassThrough();
+    mcpInput.end();
+    await runCLI(['mcp'], depsWithApi({ mcpInput, mcpOutput: new PassThrough() }));
+    expect(wasTracked()).toBe(1);
+    expect(trackSucceeded).toHaveBeenCalledOnce();
+    expect(trackSucceeded.mock.calls[0][0].command).toBe('mcp');
+  });
+
+  it('serve (closed once listening)', async () => {
+    await runCLI(['serve', '--port', '0'], depsWithApi({ onServerListening: (server) => server.close() }));
+    expect(wasTracked()).toBe(1);
+    expect(trackSucceeded).toHaveBeenCalledOnce();
+    expect(trackSucceeded.mock.calls[0][0].command).toBe('serve');
+  });
+
+  it('mock (closed once listening)', async () => {
+    await runCLI(['mock', '--port', '0'], depsWithApi({ onServerListening: (server) => server.close() }));
+    expect(wasTracked()).toBe(1);
+    expect(trackSucceeded).toHaveBeenCalledOnce();
+    expect(trackSucceeded.mock.calls[0][0].command).toBe('mock');
+  });
+
+  it('shell (input closed immediately)', async () => {
+    const shellInput = new PassThrough();
+    shellInput.end();
+    await runCLI(['shell'], depsWithApi({ shellInput, shellOutput: new PassThrough(), shellHistoryFile: null }));
+    expect(wasTracked()).toBe(1);
+    expect(trackSucceeded).toHaveBeenCalledOnce();
+    expect(trackSucceeded.mock.calls[0][0].command).toBe('shell');
+  });
+
+  it('completion', async () => {
+    await runCLI(['completion', 'bash'], depsWithApi());
+    expect(wasTracked()).toBe(1);
+    expect(trackSucceeded).toHaveBeenCalledOnce();
+    expect(trackSucceeded.mock.calls[0][0].command).toBe('completion bash');
+  });
+
   it('wallet (help subcommand)', async () => {
     await runCLI(['wallet'], baseDeps());
     expect(wasTracked()).toBe(1);
@@ -212,7 +259,7 @@ describe('telemetry tracking for all first-level commands', () => {
       'smart-money', 'profiler', 'token', 'search', 'perp', 'portfolio', 'points', 'prediction-market',
       'research',
       // operational
-      'account', 'login', 'logout', 'schema', 'cache', 'changelog',
+      'account', 'login', 'logout', 'schema', 'cache', 'diff', 'changelog', 'mcp', 'serve', 'mock', 'shell', 'completion',
       // wallet & trading
       'wallet', 'trade', 'quote', 'execute',
       // help is a meta command, intentionally not tracked
@@ -0,0 +1,98 @@
+/**
+ * Tool Spec Export Tests
+ *
+ * Tests for:
+ * - Tool list built from the schema (required params, enums, defaults, returns)
+ * - OpenAI, Anthropic, JSON Schema and OpenAPI shapes
+ * - nansen schema --as
+ */
+
+import { describe, it, expect } from 'vitest';
+import { buildToolSpecs, exportSchema, SCHEMA_FORMATS } from '../tool-specs.js';
+import { SCHEMA, runCLI } from '../cli.js';
+
+describe('buildToolSpecs', () => {
+  const tools = buildToolSpecs(SCHEMA);
+  const tool = (name) => tools.find(t => t.name === name);
+
+  it('should carry required params, enums, defaults and descriptions', () => {
+    const balance = tool('research_profiler_balance').inputSchema;
+    expect(balance.required).toEqual(['address']);
+    expect(balance.properties.chain).toMatchObject({ default: 'ethereum', enum: SCHEMA.chains });
+    expect(balance.properties['entity-name']).toBeUndefined();
+    expect(tool('research_token_screener').inputSchema.properties.timeframe.enum).toContain('24h');
+    expect(tool('alerts_create').inputSchema.required).toEqual(['name', 'type']);
+  });
+
+  it('should add documented return fields and positional arguments', () => {
+    expect(tool('alerts_list').returns).toContain('isEnabled');
+    expect(tool('alerts_delete').inputSchema).toMatchObject({ required: ['id'], properties: { id: { type: 'string' } } });
+  });
+
+  it('should leave out servers, profiles and trading unless allowed', () => {
+    const names = tools.map(t => t.name);
+    expect(names).toEqual(expect.arrayContaining(['account', 'cache_stats']));
+    expect(names.some(n => /^(mcp|serve|shell|mock|completion|profile|trade|wallet)/.test(n))).toBe(false);
+    const trading = buildToolSpecs(SCHEMA, { allowTrading: true }).map(t => t.name);
+    expect(trading).toEqual(expect.arrayContaining(['trade_quote', 'wallet_send']));
+    expect(trading).not.toContain('wallet_export');
+  });
+});
+
+describe('exportSchema', () => {
+  it('should produce OpenAI and Anthropic tool arrays', () => {
+    const [openai] = exportSchema('openai-tools', SCHEMA);
+    expect(openai).toMatchObject({ type: 'function', function: { name: expect.stringMatching(/^[a-z0-9_]+$/), parameters: { type: 'object' } } });
+
+    const anthropic = exportSchema('anthropic-tools', SCHEMA);
+    const list = anthropic.find(t => t.name === 'alerts_list');
+    expect(list.description).toBe('List all alerts. Returns: id, name, type, timeWindow, isEnabled, channels, data, description');
+    expect(list.input_schema).toEqual({ type: 'object', properties: {} });
+  });
+
+  it('should produce one JSON Schema document with output definitions', () => {
+    const doc = exportSchema('jsonschema', SCHEMA, { version: '1.2.3' });
+    expect(doc.title).toBe('nansen-cli 1.2.3 command inputs');
+    expect(doc.$defs.research_token_holders).toMatchObject({ title: 'nansen research token holders', required: ['token'] });
+    expect(Object.keys(doc.$defs.alerts_list_output.properties)).toContain('timeWindow');
+  });
+
+  it('should describe the serve gateway as OpenAPI', () => {
+    const doc = exportSchema('openapi', SCHEMA, { version: '1.2.3', command: 'token' });
+    expect(doc).toMatchObject({ openapi: '3.1.0', info: { version: '1.2.3' }, servers: [{ url: 'http://127.0.0.1:8787' }] });
+    expect(Object.keys(doc.paths).every(p => p === '/health' || p.startsWith('/research/token/'))).toBe(true);
+    const holders = doc.paths['/research/token/holders'];
+    expect(holders.get.parameters.find(p => p.name === 'token')).toMatchObject({ in: 'query', required: true });
+    expect(holders.get.parameters.find(p => p.name === 'filters').content['application/json'].schema.type).toBe('object');
+    expect(holders.post.requestBody.content['application/json'].schema.required).toEqual(['token']);
+    expect(doc.components.schemas.Error.properties.code.enum).toContain('CREDITS_EXHAUSTED');
+    const batch = exportSchema('openapi', SCHEMA, { command: 'profiler' }).paths['/research/profiler/batch'];
+    expect(batch.get.parameters.map(p => p.name)).not.toContain('checkpoint');
+    expect(batch.post.requestBody.content['application/json'].schema.properties.file).toBeUndefined();
+  });
+});
+
+describe('nansen schema --as', () => {
+  const run = async (args) => {
+    const outputs = [];
+    await runCLI(args, { output: (msg) => outputs.push(msg), errorOutput: () => {}, exit: () => {} });
+    return JSON.parse(outputs[0]);
+  };
+
+  it('should print every format unwrapped', async () => {
+    for (const format of SCHEMA_FORMATS) {
+      const out = await run(['schema', '--as', format]);
+      expect(out.success).toBeUndefined();
+    }
+    const tools = await run(['schema', 'smart-money', '--as', 'openai-tools']);
+    expect(tools.map(t => t.function.name)).toContain('research_smart_money_netflow');
+    expect(tools.every(t => t.function.name.startsWith('research_smart_money_'))).toBe(true);
+  });
+
+  it('should reject unknown formats with a suggestion', async () => {
+    expect(await run(['schema', '--as', 'openai'])).toMatchObject({
+      code: 'INVALID_PARAMS',
+      error: 'Unknown --as "openai" (did you mean openai-tools?). Use: openai-tools, anthropic-tools, jsonschema, openapi',
+    });
+  });
+});
@@ -0,0 +1,126 @@
+/**
+ * Pre-flight Validation Tests
+ *
+ * Tests for:
+ * - Did-you-mean suggestions
+ * - Research command lookup through aliases and deprecated forms
+ * - Unknown options, types, enums, chains and required parameters
+ * - runCLI failing with INVALID_PARAMS before any API call
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { editDistance, didYouMean, findResearchCommand, validateResearchOptions, preflightResearch } from '../validate.js';
+import { SCHEMA, RESEARCH_CATEGORY_ALIASES, parseArgs, runCLI } from '../cli.js';
+import { ErrorCode } from '../api.js';
+
+const check = (line) => {
+  const { _: positional, flags, options } = parseArgs(Array.isArray(line) ? line : line.split(' '));
+  const command = findResearchCommand(positional, SCHEMA, RESEARCH_CATEGORY_ALIASES);
+  return validateResearchOptions(command, { flags, options }, SCHEMA);
+};
+
+describe('didYouMean', () => {
+  it('should count adjacent swaps as one edit', () => {
+    expect(editDistance('chian', 'chain')).toBe(1);
+    expect(editDistance('chain', 'chains')).toBe(1);
+  });
+
+  it('should suggest close and prefix matches, best first', () => {
+    expect(didYouMean('2h', ['5m', '1h', '6h', '24h', '7d'])).toEqual(['1h', '6h', '24h']);
+    expect(didYouMean('eth', SCHEMA.chains)).toEqual(['ethereum']);
+    expect(didYouMean('xyz', SCHEMA.chains)).toEqual([]);
+  });
+});
+
+describe('findResearchCommand', () => {
+  it('should follow category aliases, deprecated forms and positional queries', () => {
+    expect(findResearchCommand(['research', 'sm', 'netflow'], SCHEMA, RESEARCH_CATEGORY_ALIASES).name).toBe('research smart-money netflow');
+    expect(findResearchCommand(['token', 'holders'], SCHEMA).name).toBe('research token holders');
+    expect(findResearchCommand(['research', 'search', 'bonk'], SCHEMA)).toMatchObject({ name: 'research search', args: ['bonk'] });
+    expect(findResearchCommand(['research', 'token', 'nope'], SCHEMA)).toBeNull();
+    expect(findResearchCommand(['wallet', 'list'], SCHEMA)).toBeNull();
+  });
+});
+
+describe('validateResearchOptions', () => {
+  it('should accept valid options, aliases, shared and global options', () => {
+    expect(check('research token holders --token-address 0xabc --chain base --limit 5 --sort value_usd:desc --pretty --fields address')).toEqual([]);
+    expect(check(['research', 'smart-money', 'netflow', '--labels', 'Fund', '--labels', '30D Smart Trader', '--filters', '{"a":1}'])).toEqual([]);
+    expect(check('research profiler balance --entity Binance')).toEqual([]);
+    expect(check('research search bonk')).toEqual([]);
+  });
+
+  it('should flag unknown options with suggestions', () => {
+    expect(check('research token screener --chian solana')).toEqual([
+      { option: 'chian', problem: 'unknown', suggestions: ['chain'], message: 'Unknown option --chian (did you mean --chain?)' },
+    ]);
+    expect(check('research smart-money perp-trades --chain solana')[0]).toMatchObject({ option: 'chain', problem: 'unknown' });
+  });
+
+  it('should check enums, chains and types', () => {
+    const [timeframe] = check('research token screener --timeframe 2h');
+    expect(timeframe).toMatchObject({ problem: 'enum', received: '2h', suggestions: ['1h', '6h', '24h'] });
+    expect(timeframe.message).toBe('Invalid --timeframe "2h" (did you mean 1h, 6h or 24h?)');
+
+    expect(check('research token holders --token x --chain eth')[0]).toMatchObject({
+      problem: 'chain', message: 'Unsupported chain "eth" for research token holders (did you mean ethereum?)',
+    });
+    expect(check('research smart-money netflow --labels Whale')[0]).toMatchObject({ option: 'labels', problem: 'enum' });
+    expect(check('research token screener --limit ten')[0]).toMatchObject({ problem: 'type', expected: 'number' });
+    expect(check('research token screener --filters x')[0]).toMatchObject({ problem: 'type', expected: 'object' });
+    expect(check('research token screener --smart-money yes')[0]).toMatchObject({ problem: 'type', expected: 'boolean' });
+  });
+
+  it('should report every missing required option', () => {
+    expect(check('research profiler balance').map(i => i.message)).toEqual(['Missing required --address or --entity']);
+    expect(check('research token holders --tokn 0xabc').map(i => i.problem)).toEqual(['unknown', 'required']);
+  });
+});
+
+describe('preflightResearch', () => {
+  it('should throw one structured error listing every issue', () => {
+    const run = () => preflightResearch(['research', 'token', 'screener'], { flags: {}, options: { chian: 'solana', timeframe: '2h' } }, SCHEMA);
+    expect(run).toThrow('Invalid options for research token screener: Unknown option --chian (did you mean --chain?); Invalid --timeframe "2h"');
+    expect(run).toThrow(expect.objectContaining({
+      code: ErrorCode.INVALID_PARAMS,
+      details: expect.objectContaining({ command: 'research token screener', options: expect.arrayContaining(['timeframe', 'chain', 'limit']) }),
+    }));
+  });
+
+  it('should use MISSING_PARAM when only required options are absent', () => {
+    expect(() => preflightResearch(['research', 'profiler', 'labels'], { flags: {}, options: {} }, SCHEMA))
+      .toThrow(expect.objectContaining({ code: ErrorCode.MISSING_PARAM }));
+  });
+});
+
+describe('runCLI pre-flight', () => {
+  const run = (args) => {
+    const outputs = [];
+    const exit = vi.fn();
+    const tokenScreener = vi.fn().mockResolvedValue({ data: [] });
+    const result = runCLI(args, {
+      output: (msg) => outputs.push(msg),
+      errorOutput: () => {},
+      exit,
+      NansenAPIClass: function MockAPI() { this.tokenScreener = tokenScreener; },
+    });
+    return result.then(r => ({ result: r, outputs, exit, tokenScreener }));
+  };
+
+  it('should fail before constructing a request', async () => {
+    const { result, outputs, exit, tokenScreener } = await run(['research', 'token', 'screener', '--chian', 'solana', '--timeframe', '2h']);
+    expect(tokenScreener).not.toHaveBeenCalled();
+    expect(exit).toHaveBeenCalledWith(1);
+    expect(result.type).toBe('error');
+    const error = JSON.parse(outputs[0]);
+    expect(error).toMatchObject({ success: false, code: 'INVALID_PARAMS', details: { command: 'research token screener' } });
+    expect(error.details.issues.map(i => i.option)).toEqual(['chian', 'timeframe']);
+  });
+
+  it('should let valid commands and --help through', async () => {
+    const { tokenScreener } = await run(['token', 'screener', '--chain', 'solana', '--timeframe', '24h']);
+    expect(tokenScreener).toHaveBeenCalledOnce();
+    const help = await run(['research', 'token', 'screener', '--chian', 'x', '--help']);
+    expect(help.result.type).not.toBe('error');
+  });
+});
@@ -0,0 +1,166 @@
+/**
+ * Watch Mode Tests
+ *
+ * Tests for:
+ * - Interval parsing and row identity detection
+ * - Field-level and snapshot diffs
+ * - Poll loop: transient errors, Retry-After, stopping
+ * - --watch through runCLI
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { parseInterval, detectKey, diffFields, indexRows, diffSnapshots, runWatch } from '../watch.js';
+import { NansenError, ErrorCode } from '../api.js';
+import { runCLI } from '../cli.js';
+
+describe('parseInterval', () => {
+  it('should read units and default to seconds', () => {
+    expect(parseInterval('30s')).toBe(30_000);
+    expect(parseInterval('5m')).toBe(300_000);
+    expect(parseInterval('1.5h')).toBe(5_400_000);
+    expect(parseInterval('500ms')).toBe(500);
+    expect(parseInterval('45')).toBe(45_000);
+    expect(parseInterval(true)).toBeNull();
+    expect(parseInterval('soon')).toBeNull();
+  });
+});
+
+describe('detectKey', () => {
+  it('should prefer the most specific identity every row has', () => {
+    expect(detectKey([{ transaction_hash: '0x1', token_address: 'a' }, { transaction_hash: '0x2', token_address: 'a' }])).toEqual(['transaction_hash']);
+    expect(detectKey([{ token_address: 'a', value_usd: 1 }, { token_address: 'b' }])).toEqual(['token_address']);
+  });
+
+  it('should add chain when the identity repeats across chains', () => {
+    expect(detectKey([{ token_address: 'a', chain: 'base' }, { token_address: 'a', chain: 'ethereum' }])).toEqual(['token_address', 'chain']);
+  });
+
+  it('should fall back to the whole row', () => {
+    expect(detectKey([{ value: 1 }, { value: 2 }])).toBeNull();
+    expect(detectKey([{ address: 'x' }, { address: 'x' }])).toBeNull();
+  });
+});
+
+describe('diffFields / diffSnapshots', () => {
+  it('should report nested paths and numeric deltas', () => {
+    expect(diffFields({ value_usd: 10, balance: { amount: 1 }, label: 'Fund' }, { value_usd: 15, balance: { amount: 1 }, label: null })).toEqual({
+      value_usd: { from: 10, to: 15, delta: 5 },
+      label: { from: 'Fund', to: null },
+    });
+    expect(diffFields({ tags: ['a'] }, { tags: ['a'] })).toEqual({});
+  });
+
+  it('should emit changed and added in row order, then removed', () => {
+    const key = ['address'];
+    const before = indexRows([{ address: 'a', v: 1 }, { address: 'b', v: 2 }], key);
+    const after = indexRows([{ address: 'c', v: 3 }, { address: 'a', v: 4 }], key);
+    expect(diffSnapshots(before, after)).toEqual([
+      { event: 'added', key: { address: 'c' }, row: { address: 'c', v: 3 } },
+      { event: 'changed', key: { address: 'a' }, changes: { v: { from: 1, to: 4, delta: 3 } }, row: { address: 'a', v: 4 } },
+      { event: 'removed', key: { address: 'b' }, row: { address: 'b', v: 2 } },
+    ]);
+  });
+
+  it('should keep duplicate rows when there is no key', () => {
+    const index = indexRows([{ v: 1 }, { v: 1 }], null);
+    expect(index.size).toBe(2);
+    expect(diffSnapshots(index, indexRows([{ v: 1 }], null)).map(e => e.event)).toEqual(['removed']);
+  });
+});
+
+describe('runWatch', () => {
+  const clock = () => {
+    let t = Date.UTC(2026, 0, 1);
+    return { now: () => t, sleep: vi.fn(async (ms) => { t += ms; }) };
+  };
+
+  it('should emit every row first, then only differences', async () => {
+    const polls = [
+      [{ token_address: 'a', value_usd: 1 }, { token_address: 'b', value_usd: 2 }],
+      [{ token_address: 'a', value_usd: 1 }, { token_address: 'b', value_usd: 5 }],
+      [{ token_address: 'a', value_usd: 1 }, { token_address: 'b', value_usd: 5 }],
+    ];
+    const events = [];
+    const { now, sleep } = clock();
+    const stats = await runWatch({ fetchRows: async () => polls.shift(), emit: (e) => events.push(e), intervalMs: 60_000, maxPolls: 3, now, sleep });
+
+    expect(events.map(e => [e.event, e.poll])).toEqual([['added', 1], ['added', 1], ['changed', 2]]);
+    expect(events[2]).toMatchObject({ key: { token_address: 'b' }, changes: { value_usd: { delta: 3 } }, at: '2026-01-01T00:01:00.000Z' });
+    expect(stats).toEqual({ polls: 3, events: 3, errors: 0, keyFields: ['token_address'] });
+    expect(sleep).toHaveBeenCalledTimes(2);
+  });
+
+  it('should keep going across transient errors and wait out Retry-After', async () => {
+    const { now, sleep } = clock();
+    const start = now();
+    const fetchRows = vi.fn()
+      .mockRejectedValueOnce(new NansenError('Rate limited', ErrorCode.RATE_LIMITED, 429))
+      .mockResolvedValue([{ address: 'x' }]);
+    const events = [];
+    const stats = await runWatch({ fetchRows, emit: (e) => events.push(e), intervalMs: 10_000, maxPolls: 2, now, sleep, backoffUntil: () => start + 90_000 });
+
+    expect(events[0]).toMatchObject({ event: 'error', poll: 1, code: 'RATE_LIMITED', status: 429 });
+    expect(events[1]).toMatchObject({ event: 'added', poll: 2 });
+    expect(sleep).toHaveBeenCalledWith(90_000);
+    expect(stats.errors).toBe(1);
+  });
+
+  it('should stop on errors that waiting will not fix', async () => {
+    const fetchRows = async () => { throw new NansenError('No credits', ErrorCode.CREDITS_EXHAUSTED, 403); };
+    await expect(runWatch({ fetchRows, emit: () => {}, intervalMs: 10_000 })).rejects.toMatchObject({ code: 'CREDITS_EXHAUSTED' });
+  });
+
+  it('should stop when the signal aborts mid-wait', async () => {
+    const controller = new AbortController();
+    const fetchRows = vi.fn(async () => {
+      setTimeout(() => controller.abort(), 0);
+      return [];
+    });
+    const stats = await runWatch({ fetchRows, emit: () => {}, intervalMs: 3_600_000, signal: controller.signal });
+    expect(stats.polls).toBe(1);
+  });
+});
+
+describe('runCLI --watch', () => {
+  const run = async (args, smartMoneyHoldings) => {
+    const outputs = [];
+    const result = await runCLI(['research', 'smart-money', 'holdings', ...args], {
+      output: (msg) => outputs.push(msg),
+      errorOutput: () => {},
+      exit: () => {},
+      sleep: async () => {},
+      NansenAPIClass: function MockAPI() { this.smartMoneyHoldings = smartMoneyHoldings; },
+    });
+    return { outputs, result };
+  };
+
+  it('should print NDJSON events after --where and --fields', async () => {
+    const smartMoneyHoldings = vi.fn()
+      .mockResolvedValueOnce({ data: [{ token_address: 'a', value_usd: 100, symbol: 'A' }, { token_address: 'b', value_usd: 5, symbol: 'B' }] })
+      .mockResolvedValueOnce({ data: [{ token_address: 'a', value_usd: 150, symbol: 'A' }, { token_address: 'b', value_usd: 50, symbol: 'B' }] });
+    const { outputs, result } = await run(['--watch', '30s', '--max-polls', '2', '--where', 'value_usd > 10', '--fields', 'token_address,value_usd'], smartMoneyHoldings);
+
+    expect(outputs.map(line => JSON.parse(line))).toEqual([
+      expect.objectContaining({ event: 'added', poll: 1, row: { token_address: 'a', value_usd: 100 } }),
+      expect.objectContaining({ event: 'changed', poll: 2, changes: { value_usd: { from: 100, to: 150, delta: 50 } } }),
+      expect.objectContaining({ event: 'added', poll: 2, key: { token_address: 'b' } }),
+    ]);
+    expect(result).toMatchObject({ type: 'watch', data: { polls: 2, events: 3 } });
+  });
+
+  it('should reject bad intervals and other output modes before calling the API', async () => {
+    const smartMoneyHoldings = vi.fn();
+    for (const [args, message] of [
+      [['--watch'], '--watch needs an interval'],
+      [['--watch', '1s'], '--watch interval must be at least 5s'],
+      [['--watch', 'often'], 'Invalid --watch: often'],
+      [['--watch', '1m', '--format', 'csv'], 'cannot be combined'],
+      [['--watch', '1m', '--max-polls', '0'], 'Invalid --max-polls'],
+    ]) {
+      const { result } = await run(args, smartMoneyHoldings);
+      expect(result.type).toBe('error');
+      expect(result.data).toMatchObject({ code: 'INVALID_PARAMS', error: expect.stringContaining(message) });
+    }
+    expect(smartMoneyHoldings).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,171 @@
+/**
+ * Watchlist Tests
+ *
+ * Tests for:
+ * - `nansen watchlist create/add/remove/delete/list/import/export` against a temp HOME
+ * - Import file formats (export output, research rows, plain lines)
+ * - @name in --address / --token (fan-out with merged rows) and --addresses
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { loadWatchlists, parseWatchlistFile, expandListReferences } from '../commands/watchlist.js';
+import { NansenError, ErrorCode } from '../api.js';
+import { runCLI } from '../cli.js';
+
+let originalHome;
+let tempDir;
+
+beforeEach(() => {
+  originalHome = process.env.HOME;
+  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nansen-watchlist-test-'));
+  process.env.HOME = tempDir;
+});
+
+afterEach(() => {
+  process.env.HOME = originalHome;
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+async function cli(args, extraDeps = {}) {
+  const outputs = [];
+  const result = await runCLI(args, {
+    output: (msg) => outputs.push(msg),
+    errorOutput: () => {},
+    exit: () => {},
+    ...extraDeps,
+  });
+  return { outputs, result };
+}
+
+describe('nansen watchlist', () => {
+  it('should create lists and add entries with chain and note, once each', async () => {
+    await cli(['watchlist', 'create', 'whales', '--note', 'Funds to follow']);
+    await cli(['watchlist', 'add', 'whales', '--addresses', '0xAAA,0xbbb', '--chain', 'base', '--note', 'fund']);
+    const { result } = await cli(['watchlist', 'add', 'whales', '--address', '0xaaa', '--chain', 'base']);
+    expect(result.data).toEqual({ name: 'whales', addresses: 2, tokens: 0, note: 'Funds to follow', added: 0, updated: 0 });
+
+    await cli(['watchlist', 'add', 'whales', '--token', 'So11111111111111111111111111111111111111112', '--chain', 'solana']);
+    expect(loadWatchlists().lists.whales.entries).toEqual([
+      { kind: 'address', value: '0xAAA', chain: 'base', note: 'fund' },
+      { kind: 'address', value: '0xbbb', chain: 'base', note: 'fund' },
+      { kind: 'token', value: 'So11111111111111111111111111111111111111112', chain: 'solana' },
+    ]);
+    expect((await cli(['watchlist', 'list'])).result.data).toEqual([{ name: 'whales', addresses: 2, tokens: 1, note: 'Funds to follow' }]);
+    expect(fs.readdirSync(path.join(tempDir, '.nansen'))).toEqual(['watchlists.json']);
+  });
+
+  it('should remove entries and delete lists', async () => {
+    await cli(['watchlist', 'create', 'w']);
+    await cli(['watchlist', 'add', 'w', '--address', '0x1', '--chain', 'base']);
+    await cli(['watchlist', 'add', 'w', '--address', '0x1', '--chain', 'ethereum']);
+    expect((await cli(['watchlist', 'remove', 'w', '--address', '0x1', '--chain', 'base'])).result.data.removed).toBe(1);
+    expect((await cli(['watchlist', 'remove', 'w', '--address', '0x1'])).result.data.removed).toBe(1);
+    await cli(['watchlist', 'delete', 'w']);
+    expect(loadWatchlists().lists).toEqual({});
+  });
+
+  it('should report missing lists, names and entries', async () => {
+    expect((await cli(['watchlist', 'add', 'nope', '--address', '0x1'])).result.data).toMatchObject({ code: 'NOT_FOUND' });
+    expect((await cli(['watchlist', 'create'])).result.data).toMatchObject({ code: 'MISSING_PARAM' });
+    expect((await cli(['watchlist', 'create', '../x'])).result.data).toMatchObject({ code: 'INVALID_PARAMS' });
+    await cli(['watchlist', 'create', 'w']);
+    expect((await cli(['watchlist', 'create', 'w'])).result.data.error).toContain('already exists');
+    expect((await cli(['watchlist', 'add', 'w'])).result.data).toMatchObject({ code: 'MISSING_PARAM' });
+  });
+
+  it('should refuse to touch a watchlists file that does not parse', async () => {
+    const file = path.join(tempDir, '.nansen', 'watchlists.json');
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const corrupt = '{ "lists": { "whales": { "entries": [] }, } }';
+    fs.writeFileSync(file, corrupt);
+
+    const { result } = await cli(['watchlist', 'create', 'other']);
+    expect(result.data).toMatchObject({ code: 'UNKNOWN', error: expect.stringContaining(`Unreadable watchlists file ${file}`) });
+    expect(fs.readFileSync(file, 'utf8')).toBe(corrupt);
+    expect(() => loadWatchlists()).toThrow(NansenError);
+  });
+
+  it('should round-trip export CSV through import', async () => {
+    await cli(['watchlist', 'create', 'w']);
+    await cli(['watchlist', 'add', 'w', '--address', '0x1', '--note', 'a, "quoted" note']);
+    await cli(['watchlist', 'add', 'w', '--token', '0xt', '--chain', 'base']);
+    const { outputs } = await cli(['watchlist', 'export', 'w', '--format', 'csv']);
+    const file = path.join(tempDir, 'w.csv');
+    fs.writeFileSync(file, outputs[0]);
+
+    const { result } = await cli(['watchlist', 'import', 'copy', '--file', file]);
+    expect(result.data).toMatchObject({ name: 'copy', addresses: 1, tokens: 1, added: 2 });
+    expect(loadWatchlists().lists.copy.entries).toEqual(loadWatchlists().lists.w.entries);
+  });
+});
+
+describe('parseWatchlistFile', () => {
+  it('should read research rows and plain lines', () => {
+    expect(parseWatchlistFile(JSON.stringify({ data: [{ address: '0x1', label: 'Fund', chain: 'base' }, { token_address: '0xt' }] }))).toEqual([
+      { kind: 'address', value: '0x1', chain: 'base' },
+      { kind: 'token', value: '0xt' },
+    ]);
+    expect(parseWatchlistFile('0x1\n\n0x2\n', { kind: 'token', chain: 'base' })).toEqual([
+      { kind: 'token', value: '0x1', chain: 'base' },
+      { kind: 'token', value: '0x2', chain: 'base' },
+    ]);
+    expect(parseWatchlistFile('token_address,symbol\n0xt,ABC')).toEqual([{ kind: 'token', value: '0xt' }]);
+  });
+});
+
+describe('@name references', () => {
+  beforeEach(async () => {
+    await cli(['watchlist', 'create', 'mix']);
+    await cli(['watchlist', 'add', 'mix', '--addresses', '0x1,0x2', '--chain', 'base', '--note', 'fund']);
+    await cli(['watchlist', 'add', 'mix', '--address', '0x3']);
+    await cli(['watchlist', 'add', 'mix', '--token', '0xt']);
+  });
+
+  it('should expand --addresses and hand back --address / --token fan-outs', () => {
+    const options = { addresses: '@mix' };
+    expect(expandListReferences(options)).toBeNull();
+    expect(options.addresses).toBe('0x1,0x2,0x3');
+    expect(expandListReferences({ token: '@mix' })).toMatchObject({ option: 'token', list: 'mix', entries: [{ value: '0xt' }] });
+    expect(expandListReferences({ address: '0xplain' })).toBeNull();
+    expect(() => expandListReferences({ address: '@mix', token: '@mix' })).toThrow(/Only one/);
+  });
+
+  it('should run once per entry and merge the rows, tagged with the entry', async () => {
+    const addressBalance = vi.fn(async ({ address, chain }) => {
+      if (address === '0x2') throw new NansenError('Address not found', ErrorCode.ADDRESS_NOT_FOUND, 404);
+      return { data: [{ token_symbol: 'ETH', chain, value_usd: 10 }] };
+    });
+    const { result } = await cli(['research', 'profiler', 'balance', '--address', '@mix'], {
+      NansenAPIClass: function MockAPI() { this.addressBalance = addressBalance; },
+    });
+
+    expect(addressBalance).toHaveBeenCalledTimes(3);
+    expect(result.data.data).toEqual([
+      { watchlist_entry: '0x1', watchlist_chain: 'base', watchlist_note: 'fund', token_symbol: 'ETH', chain: 'base', value_usd: 10 },
+      { watchlist_entry: '0x3', token_symbol: 'ETH', chain: 'ethereum', value_usd: 10 },
+    ]);
+    expect(result.data._meta).toMatchObject({ watchlist: 'mix', entries: 3, failed: 1, errors: [{ watchlist_entry: '0x2', code: 'ADDRESS_NOT_FOUND' }] });
+  });
+
+  it('should let --chain override the entries and stop on errors every entry would hit', async () => {
+    const addressBalance = vi.fn().mockRejectedValue(new NansenError('No credits', ErrorCode.CREDITS_EXHAUSTED, 403));
+    const { result } = await cli(['research', 'profiler', 'balance', '--address', '@mix', '--chain', 'solana'], {
+      NansenAPIClass: function MockAPI() { this.addressBalance = addressBalance; },
+    });
+    expect(addressBalance.mock.calls[0][0].chain).toBe('solana');
+    expect(result.data.code).toBe('CREDITS_EXHAUSTED');
+  });
+
+  it('should fail before calling the API on an unknown or empty list', async () => {
+    const addressBalance = vi.fn();
+    const deps = { NansenAPIClass: function MockAPI() { this.addressBalance = addressBalance; } };
+    expect((await cli(['research', 'profiler', 'balance', '--address', '@nope'], deps)).result.data).toMatchObject({ code: 'NOT_FOUND', details: { available: ['mix'] } });
+    await cli(['watchlist', 'create', 'empty']);
+    expect((await cli(['research', 'profiler', 'balance', '--address', '@empty'], deps)).result.data.error).toBe('Watchlist empty has no addresses for --address');
+    expect((await cli(['research', 'profiler', 'balance', '--address', '@mix', '--all'], deps)).result.data.code).toBe('INVALID_PARAMS');
+    expect(addressBalance).not.toHaveBeenCalled();
+  });
+});
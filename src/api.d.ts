@@ -0,0 +1,398 @@
+/**
+ * Nansen API Client - type declarations for src/api.js
+ * `import { NansenAPI } from 'nansen-cli'` resolves here. Request bodies are
+ * described endpoint by endpoint in openapi.json (`nansen-cli/openapi.json`).
+ */
+
+// ============= Error Codes =============
+
+export declare const ErrorCode: {
+  readonly UNAUTHORIZED: 'UNAUTHORIZED';
+  readonly FORBIDDEN: 'FORBIDDEN';
+  readonly CREDITS_EXHAUSTED: 'CREDITS_EXHAUSTED';
+  readonly PAYMENT_REQUIRED: 'PAYMENT_REQUIRED';
+  readonly RATE_LIMITED: 'RATE_LIMITED';
+  readonly INVALID_ADDRESS: 'INVALID_ADDRESS';
+  readonly INVALID_TOKEN: 'INVALID_TOKEN';
+  readonly INVALID_CHAIN: 'INVALID_CHAIN';
+  readonly INVALID_PARAMS: 'INVALID_PARAMS';
+  readonly MISSING_PARAM: 'MISSING_PARAM';
+  readonly UNSUPPORTED_FILTER: 'UNSUPPORTED_FILTER';
+  readonly NOT_FOUND: 'NOT_FOUND';
+  readonly TOKEN_NOT_FOUND: 'TOKEN_NOT_FOUND';
+  readonly ADDRESS_NOT_FOUND: 'ADDRESS_NOT_FOUND';
+  readonly SERVER_ERROR: 'SERVER_ERROR';
+  readonly SERVICE_UNAVAILABLE: 'SERVICE_UNAVAILABLE';
+  readonly NETWORK_ERROR: 'NETWORK_ERROR';
+  readonly TIMEOUT: 'TIMEOUT';
+  readonly CASSETTE_MISMATCH: 'CASSETTE_MISMATCH';
+  readonly UNKNOWN: 'UNKNOWN';
+};
+
+export type ErrorCodeValue = typeof ErrorCode[keyof typeof ErrorCode];
+
+/** Custom error class with structured error codes */
+export declare class NansenError extends Error {
+  constructor(message: string, code?: ErrorCodeValue | string, status?: number | null, data?: unknown);
+  name: 'NansenError';
+  code: ErrorCodeValue | string;
+  status: number | null;
+  details: unknown;
+  toJSON(): { error: string; code: ErrorCodeValue | string; status: number | null; details: unknown };
+}
+
+// ============= Shared shapes =============
+
+export type Chain =
+  | 'ethereum' | 'solana' | 'base' | 'bnb' | 'arbitrum' | 'polygon' | 'optimism' | 'avalanche'
+  | 'linea' | 'scroll' | 'mantle' | 'ronin' | 'sei' | 'plasma' | 'sonic' | 'monad' | 'hyperevm'
+  | 'iotaevm' | (string & {});
+
+export type SmartMoneyLabel =
+  | 'Fund' | 'Smart Trader' | '30D Smart Trader' | '90D Smart Trader' | '180D Smart Trader'
+  | 'Smart HL Perps Trader' | (string & {});
+
+/** Endpoint-specific filters, e.g. { include_smart_money_labels: ['Fund'] } */
+export type Filters = Record<string, unknown>;
+
+export interface OrderByField {
+  field: string;
+  direction: 'ASC' | 'DESC';
+}
+
+export interface Pagination {
+  page?: number;
+  per_page?: number;
+}
+
+/** YYYY-MM-DD dates */
+export interface DateRange {
+  from: string;
+  to: string;
+}
+
+/** Parameters most list endpoints take */
+export interface ListParams {
+  filters?: Filters;
+  orderBy?: OrderByField[];
+  pagination?: Pagination;
+}
+
+/** `days` back from today; endpoints that accept `date` prefer it */
+export interface DaysParams {
+  days?: number;
+}
+
+/** API responses are passed through as parsed JSON */
+export type ApiResponse = Record<string, any>;
+
+export interface RetryOptions {
+  maxRetries?: number;
+  baseDelayMs?: number;
+  maxDelayMs?: number;
+  retryOnStatus?: number[];
+}
+
+export interface CacheOptions {
+  enabled?: boolean;
+  /** Seconds; null uses each endpoint's own TTL */
+  ttl?: number | null;
+  maxBytes?: number;
+  /** Serve expired entries when the network or the API is down */
+  staleOk?: boolean;
+}
+
+export interface SchedulerOptions {
+  /** Max requests in flight */
+  concurrency?: number;
+  /** Max requests started per second (Infinity = no cap) */
+  rps?: number;
+}
+
+export interface NansenAPIOptions {
+  retry?: RetryOptions;
+  cache?: CacheOptions;
+  scheduler?: SchedulerOptions;
+  defaultHeaders?: Record<string, string>;
+  /** Wallet for x402 auto-payment; null uses the default wallet */
+  wallet?: string | null;
+}
+
+export interface RequestOptions {
+  method?: 'GET' | 'POST' | 'PATCH' | 'DELETE';
+  headers?: Record<string, string>;
+  /** true opts a call into the cache, false bypasses it */
+  cache?: boolean;
+  cacheTtl?: number;
+  retry?: boolean;
+}
+
+// ============= Endpoint params =============
+
+export interface SmartMoneyParams extends ListParams {
+  chains?: Chain[];
+}
+
+export interface SmartMoneyPerpTradesParams extends ListParams {
+  onlyNewPositions?: boolean;
+}
+
+export interface AddressParams {
+  address?: string;
+  chain?: Chain;
+}
+
+export interface AddressBalanceParams extends AddressParams {
+  entityName?: string;
+  hideSpamToken?: boolean;
+  filters?: Filters;
+  orderBy?: OrderByField[];
+}
+
+export interface AddressLabelsParams extends AddressParams {
+  pagination?: Pagination;
+}
+
+export interface AddressDatedParams extends AddressParams, ListParams, DaysParams {
+  date?: DateRange;
+}
+
+export interface AddressRangeParams extends AddressParams, ListParams, DaysParams {}
+
+export interface AddressRelatedWalletsParams extends AddressParams {
+  orderBy?: OrderByField[];
+  pagination?: Pagination;
+}
+
+export interface AddressPnlSummaryParams extends AddressParams, DaysParams {
+  orderBy?: OrderByField[];
+}
+
+export interface AddressPerpPositionsParams {
+  address?: string;
+  filters?: Filters;
+  orderBy?: OrderByField[];
+}
+
+export interface AddressPerpTradesParams extends ListParams, DaysParams {
+  address?: string;
+}
+
+export interface EntitySearchParams {
+  query?: string;
+}
+
+export interface GeneralSearchParams {
+  query: string;
+  resultType?: 'any' | 'token' | 'entity';
+  chain?: Chain;
+  limit?: number;
+}
+
+export interface TokenScreenerParams extends ListParams {
+  chains?: Chain[];
+  timeframe?: '5m' | '10m' | '1h' | '6h' | '24h' | '7d' | '30d';
+}
+
+export interface TokenParams {
+  tokenAddress?: string;
+  chain?: Chain;
+}
+
+export interface TokenHoldersParams extends TokenParams, ListParams {
+  labelType?: string;
+}
+
+export interface TokenDatedParams extends TokenParams, ListParams, DaysParams {
+  date?: DateRange;
+}
+
+export interface TokenRangeParams extends TokenParams, ListParams, DaysParams {}
+
+export interface TokenDexTradesParams extends TokenRangeParams {
+  onlySmartMoney?: boolean;
+}
+
+export interface TokenJupDcaParams extends ListParams {
+  tokenAddress?: string;
+}
+
+export interface TokenPerpParams extends ListParams, DaysParams {
+  tokenSymbol?: string;
+}
+
+export interface TokenOhlcvParams extends TokenParams {
+  timeframe?: string;
+}
+
+export interface PerpParams extends ListParams, DaysParams {}
+
+export interface PmMarketParams {
+  marketId: string;
+  pagination?: Pagination;
+}
+
+export interface PmSortedMarketParams extends PmMarketParams {
+  sort?: OrderByField[];
+}
+
+export interface PmAddressParams {
+  address: string;
+  pagination?: Pagination;
+}
+
+export interface PmScreenerParams {
+  sortBy?: string;
+  query?: string;
+  status?: string;
+  pagination?: Pagination;
+}
+
+export interface PointsLeaderboardParams {
+  tier?: string;
+  pagination?: Pagination;
+}
+
+export interface PortfolioDefiParams {
+  walletAddress?: string;
+}
+
+export type AlertType = 'sm-token-flows' | 'common-token-transfer' | 'smart-contract-call';
+
+export interface AlertChannel {
+  type: 'telegram' | 'slack' | 'discord';
+  data: { chatId?: string; webhookUrl?: string };
+}
+
+export interface AlertCreateParams {
+  name: string;
+  type: AlertType;
+  timeWindow: string;
+  channels: AlertChannel[];
+  data: Record<string, unknown>;
+  description?: string;
+  isEnabled?: boolean;
+}
+
+export interface AlertUpdateParams extends Partial<AlertCreateParams> {
+  id: string;
+}
+
+export interface AlertToggleParams {
+  id: string;
+  isEnabled: boolean;
+}
+
+// ============= Client =============
+
+export declare class NansenAPI {
+  constructor(apiKey?: string | null, baseUrl?: string, options?: NansenAPIOptions);
+
+  apiKey: string | null;
+  baseUrl: string;
+  retryOptions: Required<RetryOptions>;
+  cacheOptions: Required<CacheOptions>;
+  defaultHeaders: Record<string, string>;
+  wallet: string | null;
+  /** Time (ms epoch) until which requests wait out a server Retry-After; 0 when clear */
+  readonly backoffUntil: number;
+
+  /** Drop undefined, null and empty-object values from a request body */
+  static cleanBody<T extends Record<string, unknown>>(body: T): Partial<T>;
+
+  request(endpoint: string, body?: Record<string, unknown>, options?: RequestOptions): Promise<ApiResponse>;
+
+  getAccount(): Promise<ApiResponse>;
+  /** Remaining credits, or null without an API key or when unreadable */
+  getCreditBalance(): Promise<number | null>;
+
+  smartMoneyNetflow(params?: SmartMoneyParams): Promise<ApiResponse>;
+  smartMoneyDexTrades(params?: SmartMoneyParams): Promise<ApiResponse>;
+  smartMoneyPerpTrades(params?: SmartMoneyPerpTradesParams): Promise<ApiResponse>;
+  smartMoneyHoldings(params?: SmartMoneyParams): Promise<ApiResponse>;
+  smartMoneyDcas(params?: ListParams): Promise<ApiResponse>;
+  smartMoneyHistoricalHoldings(params?: SmartMoneyParams & DaysParams): Promise<ApiResponse>;
+
+  addressBalance(params?: AddressBalanceParams): Promise<ApiResponse>;
+  addressLabels(params?: AddressLabelsParams, requestOptions?: RequestOptions): Promise<ApiResponse>;
+  addressTransactions(params?: AddressDatedParams): Promise<ApiResponse>;
+  addressPnl(params?: AddressDatedParams): Promise<ApiResponse>;
+  entitySearch(params?: EntitySearchParams): Promise<ApiResponse>;
+  generalSearch(params: GeneralSearchParams): Promise<ApiResponse>;
+  addressHistoricalBalances(params?: AddressRangeParams): Promise<ApiResponse>;
+  addressRelatedWallets(params?: AddressRelatedWalletsParams): Promise<ApiResponse>;
+  addressCounterparties(params?: AddressRangeParams): Promise<ApiResponse>;
+  addressPnlSummary(params?: AddressPnlSummaryParams): Promise<ApiResponse>;
+  addressPerpPositions(params?: AddressPerpPositionsParams): Promise<ApiResponse>;
+  addressPerpTrades(params?: AddressPerpTradesParams): Promise<ApiResponse>;
+
+  tokenScreener(params?: TokenScreenerParams): Promise<ApiResponse>;
+  tokenHolders(params?: TokenHoldersParams): Promise<ApiResponse>;
+  tokenFlows(params?: TokenDatedParams): Promise<ApiResponse>;
+  tokenDexTrades(params?: TokenDexTradesParams): Promise<ApiResponse>;
+  tokenPnlLeaderboard(params?: TokenRangeParams): Promise<ApiResponse>;
+  tokenWhoBoughtSold(params?: TokenDatedParams): Promise<ApiResponse>;
+  tokenFlowIntelligence(params?: TokenParams): Promise<ApiResponse>;
+  tokenTransfers(params?: TokenRangeParams): Promise<ApiResponse>;
+  tokenJupDca(params?: TokenJupDcaParams): Promise<ApiResponse>;
+  tokenPerpTrades(params?: TokenPerpParams): Promise<ApiResponse>;
+  tokenPerpPositions(params?: Omit<TokenPerpParams, 'days'>): Promise<ApiResponse>;
+  tokenPerpPnlLeaderboard(params?: TokenPerpParams): Promise<ApiResponse>;
+  tokenIndicators(params?: TokenParams): Promise<ApiResponse>;
+  tokenOhlcv(params?: TokenOhlcvParams): Promise<ApiResponse>;
+  tokenInformation(params?: TokenOhlcvParams): Promise<ApiResponse>;
+
+  perpScreener(params?: PerpParams): Promise<ApiResponse>;
+  perpLeaderboard(params?: PerpParams): Promise<ApiResponse>;
+
+  pmOhlcv(params: PmSortedMarketParams): Promise<ApiResponse>;
+  pmOrderbook(params: PmMarketParams): Promise<ApiResponse>;
+  pmTopHolders(params: PmSortedMarketParams): Promise<ApiResponse>;
+  pmTradesByMarket(params: PmMarketParams): Promise<ApiResponse>;
+  pmTradesByAddress(params: PmAddressParams): Promise<ApiResponse>;
+  pmMarketScreener(params?: PmScreenerParams): Promise<ApiResponse>;
+  pmEventScreener(params?: PmScreenerParams): Promise<ApiResponse>;
+  pmPnlByMarket(params: PmMarketParams): Promise<ApiResponse>;
+  pmPnlByAddress(params: PmAddressParams): Promise<ApiResponse>;
+  pmPositionDetail(params: PmMarketParams): Promise<ApiResponse>;
+  pmCategories(params?: { pagination?: Pagination }): Promise<ApiResponse>;
+
+  pointsLeaderboard(params?: PointsLeaderboardParams): Promise<ApiResponse>;
+
+  portfolioDefiHoldings(params?: PortfolioDefiParams): Promise<ApiResponse>;
+
+  alertsList(params?: Record<string, string | number | boolean | undefined>): Promise<ApiResponse>;
+  alertsCreate(params: AlertCreateParams): Promise<ApiResponse>;
+  alertsUpdate(params: AlertUpdateParams): Promise<ApiResponse>;
+  alertsToggle(params: AlertToggleParams): Promise<ApiResponse>;
+  /** Looked up in alertsList(); null when there is no alert with this id */
+  alertsGet(id: string): Promise<ApiResponse | null>;
+  alertsDelete(alertId: string): Promise<ApiResponse>;
+}
+
+export default NansenAPI;
+
+// ============= Helpers =============
+
+export interface AddressValidation {
+  valid: boolean;
+  error?: string;
+  code?: ErrorCodeValue;
+}
+
+export declare function validateAddress(address: string, chain?: Chain): AddressValidation;
+export declare function validateTokenAddress(tokenAddress: string, chain?: Chain): AddressValidation;
+export declare function buildDateRange(days: number): DateRange;
+export declare function sleep(ms: number): Promise<void>;
+
+export declare function getConfigDir(): string;
+export declare function getConfigFile(): string;
+export declare function saveConfig(config: { apiKey?: string | null; baseUrl?: string; [key: string]: unknown }): void;
+/** true when a config file was removed */
+export declare function deleteConfig(): boolean;
+
+export declare function getCachedResponse(endpoint: string, body: unknown, ttlSeconds?: number, options?: { allowStale?: boolean }): ApiResponse | null;
+export declare function setCachedResponse(endpoint: string, body: unknown, data: unknown, options?: { ttl?: number; maxBytes?: number }): void;
+/** Number of entries removed */
+export declare function clearCache(): number;
+export declare function getCacheDir(): string;
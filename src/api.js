@@ -8,6 +8,9 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import { EVM_CHAINS } from './chain-ids.js';
 import { getAnonymousId, TELEMETRY_DISABLED } from './telemetry.js';
+import { getCachedResponse, setCachedResponse, ttlForEndpoint, DEFAULT_CACHE_MAX_BYTES } from './cache.js';
+import { cassetteFetch, cassetteNow } from './cassette.js';
+import { createScheduler } from './scheduler.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
@@ -55,6 +58,7 @@ export const ErrorCode = {
   // Client Errors
   NETWORK_ERROR: 'NETWORK_ERROR',         // Connection failed
   TIMEOUT: 'TIMEOUT',                     // Request timed out
+  CASSETTE_MISMATCH: 'CASSETTE_MISMATCH', // --replay had no recorded response for a request
   
   // Generic
   UNKNOWN: 'UNKNOWN',                     // Unclassified error
@@ -166,90 +170,8 @@ export function deleteConfig() {
 
 // ============= Response Cache =============
 
-const CACHE_DIR = path.join(CONFIG_DIR, 'cache');
-const DEFAULT_CACHE_TTL = 300; // 5 minutes
-
-import crypto from 'crypto';
-
-/**
- * Generate cache key from endpoint and request body
- */
-function getCacheKey(endpoint, body) {
-  const data = JSON.stringify({ endpoint, body });
-  return crypto.createHash('md5').update(data).digest('hex');
-}
-
-/**
- * Get cached response if valid
- */
-export function getCachedResponse(endpoint, body, ttlSeconds = DEFAULT_CACHE_TTL) {
-  const cacheKey = getCacheKey(endpoint, body);
-  const cacheFile = path.join(CACHE_DIR, `${cacheKey}.json`);
-  
-  if (!fs.existsSync(cacheFile)) {
-    return null;
-  }
-  
-  try {
-    const cached = JSON.parse(fs.readFileSync(cacheFile, 'utf8'));
-    const age = (Date.now() - cached.timestamp) / 1000;
-    
-    if (ttlSeconds <= 0 || age > ttlSeconds) {
-      // Cache expired or TTL is 0, delete it
-      fs.unlinkSync(cacheFile);
-      return null;
-    }
-    
-    return { ...cached.data, _meta: { ...cached.data._meta, fromCache: true, cacheAge: Math.round(age) } };
-  } catch (_e) {
-    // Invalid cache file, delete it
-    try { fs.unlinkSync(cacheFile); } catch { /* ignore */ }
-    return null;
-  }
-}
-
-/**
- * Save response to cache
- */
-export function setCachedResponse(endpoint, body, data) {
-  if (!fs.existsSync(CACHE_DIR)) {
-    fs.mkdirSync(CACHE_DIR, { mode: 0o700, recursive: true });
-  }
-  
-  const cacheKey = getCacheKey(endpoint, body);
-  const cacheFile = path.join(CACHE_DIR, `${cacheKey}.json`);
-  
-  const cached = {
-    timestamp: Date.now(),
-    endpoint,
-    data
-  };
-  
-  fs.writeFileSync(cacheFile, JSON.stringify(cached), { mode: 0o600 });
-}
-
-/**
- * Clear all cached responses
- */
-export function clearCache() {
-  if (fs.existsSync(CACHE_DIR)) {
-    const files = fs.readdirSync(CACHE_DIR);
-    for (const file of files) {
-      if (file.endsWith('.json')) {
-        fs.unlinkSync(path.join(CACHE_DIR, file));
-      }
-    }
-    return files.length;
-  }
-  return 0;
-}
-
-/**
- * Get cache directory path
- */
-export function getCacheDir() {
-  return CACHE_DIR;
-}
+// The cache lives in cache.js; re-exported here for existing importers
+export { getCachedResponse, setCachedResponse, clearCache, getCacheDir } from './cache.js';
 
 // ============= Address Validation =============
 
@@ -393,13 +315,15 @@ function parseRetryAfter(headerValue) {
 }
 
 /**
- * Build a date range from today back N days
+ * Build a date range from today back N days (the recording day while a
+ * cassette is active, see cassetteNow)
  * @param {number} days - Number of days back from today
  * @returns {{from: string, to: string}} Date range with YYYY-MM-DD strings
  */
 export function buildDateRange(days) {
-  const to = new Date().toISOString().split('T')[0];
-  const from = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+  const now = cassetteNow();
+  const to = new Date(now).toISOString().split('T')[0];
+  const from = new Date(now - days * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
   return { from, to };
 }
 
@@ -410,9 +334,25 @@ export class NansenAPI {
     this.retryOptions = { ...DEFAULT_RETRY_OPTIONS, ...options.retry };
     this.cacheOptions = {
       enabled: options.cache?.enabled ?? false,
-      ttl: options.cache?.ttl ?? DEFAULT_CACHE_TTL
+      // null → per-endpoint TTL from cache.js
+      ttl: options.cache?.ttl ?? null,
+      maxBytes: options.cache?.maxBytes ?? DEFAULT_CACHE_MAX_BYTES,
+      // Serve expired entries when the network or the API is down
+      staleOk: options.cache?.staleOk ?? false,
     };
     this.defaultHeaders = options.defaultHeaders || {};
+    // Wallet for x402 auto-payment (profile setting); null uses the default wallet
+    this.wallet = options.wallet || null;
+    // Concurrency cap + token bucket shared by every request made through
+    // this instance; 429s and Retry-After slow everyone down together.
+    this.scheduler = createScheduler(options.scheduler);
+  }
+
+  /**
+   * Time (ms epoch) until which requests wait out a server Retry-After; 0 when clear.
+   */
+  get backoffUntil() {
+    return this.scheduler.pausedUntil;
   }
 
   static cleanBody(body) {
@@ -442,7 +382,7 @@ export class NansenAPI {
    * touching that one method, not hunting inside the retry loop.
    */
   async _x402Retry(signature, walletLabel, network, url, body, options = {}) {
-    const paidResponse = await fetch(url, {
+    const paidResponse = await cassetteFetch(url, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
@@ -472,13 +412,9 @@ export class NansenAPI {
   }
 
   async request(endpoint, body = {}, options = {}) {
-    const url = `${this.baseUrl}${endpoint}`;
-    const { maxRetries, baseDelayMs, maxDelayMs, retryOnStatus } = this.retryOptions;
-    const shouldRetry = options.retry !== false; // Allow disabling retry per-request
-    
     // Check cache first (if enabled and not bypassed)
     const useCache = options.cache !== false && this.cacheOptions.enabled;
-    const cacheTtl = options.cacheTtl ?? this.cacheOptions.ttl;
+    const cacheTtl = options.cacheTtl ?? this.cacheOptions.ttl ?? ttlForEndpoint(endpoint);
     
     if (useCache) {
       const cached = getCachedResponse(endpoint, body, cacheTtl);
@@ -486,15 +422,47 @@ export class NansenAPI {
         return cached;
       }
     }
-    
+
+    let data;
+    try {
+      data = await this._fetchWithRetry(endpoint, body, options);
+    } catch (error) {
+      // --stale-ok: an expired answer beats no answer when we cannot reach the API
+      const unreachable = error.code === ErrorCode.NETWORK_ERROR || error.code === ErrorCode.TIMEOUT || error.status >= 500;
+      if (unreachable && options.cache !== false && this.cacheOptions.staleOk) {
+        const stale = getCachedResponse(endpoint, body, cacheTtl, { allowStale: true });
+        if (stale) {
+          return { ...stale, _meta: { ...stale._meta, staleReason: error.code } };
+        }
+      }
+      throw error;
+    }
+
+    // Cache successful response
+    if (useCache) {
+      setCachedResponse(endpoint, body, data, { ttl: cacheTtl, maxBytes: this.cacheOptions.maxBytes });
+    }
+
+    return data;
+  }
+
+  /**
+   * Send a request with retry/backoff and x402 auto-payment. No caching.
+   */
+  async _fetchWithRetry(endpoint, body, options) {
+    const url = `${this.baseUrl}${endpoint}`;
+    const { maxRetries, baseDelayMs, maxDelayMs, retryOnStatus } = this.retryOptions;
+    const shouldRetry = options.retry !== false; // Allow disabling retry per-request
+
     let lastError;
     
     for (let attempt = 0; attempt <= maxRetries; attempt++) {
+      const release = await this.scheduler.acquire();
       let response;
       try {
         const method = options.method || 'POST';
         const isGet = method === 'GET';
-        response = await fetch(url, {
+        response = await cassetteFetch(url, {
           method,
           headers: {
             ...(!isGet && { 'Content-Type': 'application/json' }),
@@ -508,6 +476,9 @@ export class NansenAPI {
           ...(!isGet && method !== 'DELETE' && { body: JSON.stringify(NansenAPI.cleanBody(body)) })
         });
       } catch (err) {
+        release();
+        // --replay mismatches are not network trouble: never retry or rewrap them
+        if (err.code === ErrorCode.CASSETTE_MISMATCH) throw err;
         // Network-level errors - retry these too
         lastError = new NansenError(
           `Network error: ${err.message}`,
@@ -528,6 +499,7 @@ export class NansenAPI {
       try {
         data = await response.json();
       } catch (_err) {
+        release();
         // Non-JSON response (rare, usually server errors)
         const error = new NansenError(
           `Invalid response from API (status ${response.status})`,
@@ -544,6 +516,7 @@ export class NansenAPI {
         }
         throw error;
       }
+      release();
 
       if (!response.ok) {
         let message = data.message || data.error
@@ -555,6 +528,9 @@ export class NansenAPI {
         if (nestedMatch) message = nestedMatch[1];
         const code = statusToErrorCode(response.status, data);
         const retryAfterMs = parseRetryAfter(response.headers.get('retry-after'));
+        if (response.status === 429) {
+          this.scheduler.throttle(retryAfterMs);
+        }
 
         // Enhance messages for specific error codes
         if (code === ErrorCode.UNAUTHORIZED) {
@@ -573,10 +549,10 @@ export class NansenAPI {
             let defaultWalletName = 'unknown';
             try {
               const { getWalletConfig, showWallet } = await import('./wallet.js');
-              const walletConfig = getWalletConfig();
-              if (walletConfig.defaultWallet) {
-                defaultWalletName = walletConfig.defaultWallet;
-                const wallet = showWallet(walletConfig.defaultWallet);
+              const walletName = this.wallet || getWalletConfig().defaultWallet;
+              if (walletName) {
+                defaultWalletName = walletName;
+                const wallet = showWallet(walletName);
                 defaultWalletProvider = wallet.provider || 'local';
               }
             } catch (err) {
@@ -587,7 +563,7 @@ export class NansenAPI {
               // Default wallet is Privy: sign via Privy
               try {
                 const { createPrivyPaymentSignatures } = await import('./privy.js');
-                for await (const { signature, network } of createPrivyPaymentSignatures(response, url)) {
+                for await (const { signature, network } of createPrivyPaymentSignatures(response, url, { walletName: this.wallet })) {
                   const result = await this._x402Retry(signature, `Privy wallet ${defaultWalletName}`, network, url, body, options);
                   if (result !== null) return result;
                 }
@@ -599,7 +575,7 @@ export class NansenAPI {
               // 1. Try local wallet with fallback across payment networks
               try {
                 const { createPaymentSignatures } = await import('./x402.js');
-                for await (const { signature, network } of createPaymentSignatures(response, url)) {
+                for await (const { signature, network } of createPaymentSignatures(response, url, { walletName: this.wallet })) {
                   const result = await this._x402Retry(signature, `local wallet ${defaultWalletName}`, network, url, body, options);
                   if (result !== null) return result;
                   // This payment option was rejected, try next
@@ -665,16 +641,14 @@ export class NansenAPI {
         throw lastError;
       }
 
+      // The API accepted a request, so any pooled rate-limit window is over
+      this.scheduler.recover();
+
       // Success - add retry metadata if we retried
       if (attempt > 0) {
         data._meta = { ...(data._meta || {}), retriedAttempts: attempt };
       }
       
-      // Cache successful response
-      if (useCache) {
-        setCachedResponse(endpoint, body, data);
-      }
-      
       return data;
     }
     
@@ -688,6 +662,23 @@ export class NansenAPI {
     return this.request('/api/v1/account', {}, { method: 'GET', cache: false });
   }
 
+  /**
+   * Remaining credits from the account endpoint, which does not consume any.
+   * The API reports no per-request cost, so callers measure spend as the drop
+   * in this balance. null without an API key (x402 pays per call in USDC) or
+   * when the balance cannot be read.
+   * @returns {Promise<number|null>}
+   */
+  async getCreditBalance() {
+    if (!this.apiKey) return null;
+    try {
+      const remaining = (await this.getAccount())?.credits_remaining;
+      return typeof remaining === 'number' && Number.isFinite(remaining) ? remaining : null;
+    } catch {
+      return null;
+    }
+  }
+
   // ============= Smart Money Endpoints =============
   
   async smartMoneyNetflow(params = {}) {
@@ -768,7 +759,7 @@ export class NansenAPI {
     });
   }
 
-  async addressLabels(params = {}) {
+  async addressLabels(params = {}, requestOptions = {}) {
     const { address, chain = 'ethereum', pagination = { page: 1, per_page: 100 } } = params;
     if (address) {
       const validation = validateAddress(address, chain);
@@ -777,7 +768,7 @@ export class NansenAPI {
     return this.request('/api/beta/profiler/address/labels', {
       parameters: { address, chain },
       pagination
-    });
+    }, requestOptions);
   }
 
   async addressTransactions(params = {}) {
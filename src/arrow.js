@@ -0,0 +1,326 @@
+/**
+ * Nansen CLI - Arrow IPC writer
+ * Dependency-free writer for the Arrow IPC file format (.arrow / .feather v2):
+ * a Schema message, one RecordBatch per writeRows() call, and a footer
+ * indexing the batches. Metadata is FlatBuffers, built by the small
+ * forward-layout builder below. Batches go straight to a temp file that
+ * close() renames into place.
+ */
+
+import fs from 'fs';
+import { inferColumns, toColumns } from './columnar.js';
+
+const MAGIC = Buffer.from('ARROW1\0\0');
+const CONTINUATION = 0xffffffff;
+const METADATA_V5 = 4;
+
+// Schema.fbs / Message.fbs union ids
+const MessageHeader = { Schema: 1, RecordBatch: 3 };
+const TypeId = { Int: 2, FloatingPoint: 3, Utf8: 5, Bool: 6, Timestamp: 10 };
+const PRECISION_DOUBLE = 2;
+const TIME_UNIT_MILLISECOND = 1;
+
+// ============= FlatBuffers =============
+
+// Inline sizes of scalar table fields
+const SCALAR_SIZE = { bool: 1, u8: 1, i16: 2, i32: 4, i64: 8, offset: 4 };
+
+// Node constructors: tables, strings, vectors of tables and vectors of structs
+const table = (fields) => ({ kind: 'table', fields });
+const string = (value) => ({ kind: 'string', value });
+const vector = (items) => ({ kind: 'vector', items });
+const structs = (buf, count) => ({ kind: 'structs', buf, count });
+
+/**
+ * Serialize a FlatBuffer laid out front to back: each vtable precedes its
+ * table and every referenced object follows the offset pointing at it, so
+ * all offsets are positive. Table fields are [slot, type, value] with type
+ * one of SCALAR_SIZE (offset values are nodes).
+ */
+function buildFlatbuffer(root) {
+  let buf = Buffer.alloc(512);
+  let len = 0;
+  const ensure = (n) => {
+    if (len + n <= buf.length) return;
+    const next = Buffer.alloc(Math.max(buf.length * 2, len + n));
+    buf.copy(next, 0, 0, len);
+    buf = next;
+  };
+  const pad = (align, extra = 0) => {
+    while ((len + extra) % align) {
+      ensure(1);
+      buf[len++] = 0;
+    }
+  };
+  const reserve = (n) => {
+    ensure(n);
+    const at = len;
+    buf.fill(0, at, at + n);
+    len += n;
+    return at;
+  };
+
+  function writeNode(node) {
+    if (node.kind === 'string') {
+      const bytes = Buffer.from(node.value, 'utf8');
+      pad(4);
+      const at = reserve(4 + bytes.length + 1);
+      buf.writeUInt32LE(bytes.length, at);
+      bytes.copy(buf, at + 4);
+      return at;
+    }
+    if (node.kind === 'structs') {
+      // Elements need 8-byte alignment after the 4-byte length
+      pad(8, 4);
+      const at = reserve(4 + node.buf.length);
+      buf.writeUInt32LE(node.count, at);
+      node.buf.copy(buf, at + 4);
+      return at;
+    }
+    if (node.kind === 'vector') {
+      pad(4);
+      const at = reserve(4 + node.items.length * 4);
+      buf.writeUInt32LE(node.items.length, at);
+      node.items.forEach((item, i) => {
+        const slot = at + 4 + i * 4;
+        const child = writeNode(item); // may grow (replace) buf
+        buf.writeUInt32LE(child - slot, slot);
+      });
+      return at;
+    }
+
+    // Table: lay fields out largest first so each is naturally aligned
+    const fields = node.fields.filter(([, , value]) => value !== undefined)
+      .sort((a, b) => SCALAR_SIZE[b[1]] - SCALAR_SIZE[a[1]]);
+    let size = 4;
+    const placed = fields.map(([slot, type, value]) => {
+      const width = SCALAR_SIZE[type];
+      size = Math.ceil(size / width) * width;
+      const field = { slot, type, value, at: size };
+      size += width;
+      return field;
+    });
+    const slots = node.fields.reduce((max, [slot]) => Math.max(max, slot + 1), 0);
+
+    pad(2);
+    const vtable = reserve(4 + slots * 2);
+    buf.writeUInt16LE(4 + slots * 2, vtable);
+    buf.writeUInt16LE(size, vtable + 2);
+    for (const f of placed) buf.writeUInt16LE(f.at, vtable + 4 + f.slot * 2);
+
+    pad(8);
+    const at = reserve(size);
+    buf.writeInt32LE(at - vtable, at);
+    for (const f of placed) {
+      const pos = at + f.at;
+      if (f.type === 'bool' || f.type === 'u8') buf.writeUInt8(Number(f.value), pos);
+      else if (f.type === 'i16') buf.writeInt16LE(f.value, pos);
+      else if (f.type === 'i32') buf.writeInt32LE(f.value, pos);
+      else if (f.type === 'i64') buf.writeBigInt64LE(BigInt(f.value), pos);
+    }
+    for (const f of placed.filter(p => p.type === 'offset')) {
+      const pos = at + f.at;
+      const child = writeNode(f.value);
+      buf.writeUInt32LE(child - pos, pos);
+    }
+    return at;
+  }
+
+  reserve(4);
+  const rootAt = writeNode(root);
+  buf.writeUInt32LE(rootAt, 0);
+  pad(8);
+  return buf.subarray(0, len);
+}
+
+// ============= Schema and batches =============
+
+function fieldType(type) {
+  switch (type) {
+    case 'bool': return [TypeId.Bool, table([])];
+    case 'int64': return [TypeId.Int, table([[0, 'i32', 64], [1, 'bool', true]])];
+    case 'double': return [TypeId.FloatingPoint, table([[0, 'i16', PRECISION_DOUBLE]])];
+    case 'timestamp': return [TypeId.Timestamp, table([[0, 'i16', TIME_UNIT_MILLISECOND], [1, 'offset', string('UTC')]])];
+    default: return [TypeId.Utf8, table([])];
+  }
+}
+
+function schemaTable(columns) {
+  return table([
+    [0, 'i16', 0], // little endian
+    [1, 'offset', vector(columns.map(({ name, type }) => {
+      const [typeId, typeTable] = fieldType(type);
+      return table([
+        [0, 'offset', string(name)],
+        [1, 'bool', true],
+        [2, 'u8', typeId],
+        [3, 'offset', typeTable],
+        [5, 'offset', vector([])],
+      ]);
+    }))],
+  ]);
+}
+
+const message = (headerType, header, bodyLength) => table([
+  [0, 'i16', METADATA_V5],
+  [1, 'u8', headerType],
+  [2, 'offset', header],
+  [3, 'i64', bodyLength],
+]);
+
+const pad8 = (buf) => (buf.length % 8 ? Buffer.concat([buf, Buffer.alloc(8 - (buf.length % 8))]) : buf);
+
+function bitmap(values, test) {
+  const buf = Buffer.alloc(Math.ceil(values.length / 8));
+  values.forEach((v, i) => { if (test(v)) buf[i >> 3] |= 1 << (i & 7); });
+  return buf;
+}
+
+/**
+ * Arrow buffers for one column: validity, then offsets + data for utf8 or
+ * values for everything else.
+ */
+function columnBuffers(type, values) {
+  const validity = bitmap(values, v => v !== null);
+  if (type === 'bool') return [validity, bitmap(values, v => v === true)];
+  if (type === 'double') {
+    const data = Buffer.alloc(values.length * 8);
+    values.forEach((v, i) => data.writeDoubleLE(v ?? 0, i * 8));
+    return [validity, data];
+  }
+  if (type === 'int64' || type === 'timestamp') {
+    const data = Buffer.alloc(values.length * 8);
+    values.forEach((v, i) => data.writeBigInt64LE(BigInt(v ?? 0), i * 8));
+    return [validity, data];
+  }
+  const texts = values.map(v => Buffer.from(v ?? '', 'utf8'));
+  const offsets = Buffer.alloc((values.length + 1) * 4);
+  let end = 0;
+  texts.forEach((t, i) => {
+    end += t.length;
+    offsets.writeInt32LE(end, (i + 1) * 4);
+  });
+  return [validity, offsets, Buffer.concat(texts)];
+}
+
+// ============= Writer =============
+
+/**
+ * Open an Arrow IPC file for streaming writes. The schema is
+ * opts.columns, or else inferred from the first non-empty batch; a later row
+ * with a column the schema lacks or a value its column cannot hold throws.
+ * createSpooledWriter() widens the schema across batches instead.
+ *
+ * @param {string} file - Destination path (written via a temp file + rename)
+ * @param {object} [opts]
+ * @param {{ name: string, type: string }[]} [opts.columns] - Fixed schema
+ * @returns {{ writeRows: (rows: object[]) => void, close: () => object, abort: () => void }}
+ */
+export function createArrowWriter(file, opts = {}) {
+  const tmp = `${file}.${process.pid}.tmp`;
+  const fd = fs.openSync(tmp, 'w');
+  let offset = 0;
+  let columns = opts.columns ?? null;
+  const blocks = [];
+  let numRows = 0;
+
+  const write = (buf) => {
+    fs.writeSync(fd, buf);
+    offset += buf.length;
+  };
+
+  // Encapsulated message: continuation, metadata length, metadata (8-aligned), body
+  const writeMessage = (metadata, body) => {
+    const start = offset;
+    const prefix = Buffer.alloc(8);
+    prefix.writeUInt32LE(CONTINUATION, 0);
+    prefix.writeInt32LE(metadata.length, 4);
+    write(prefix);
+    write(metadata);
+    for (const part of body) write(part);
+    return { start, metaDataLength: 8 + metadata.length };
+  };
+
+  const writeSchema = () => writeMessage(buildFlatbuffer(message(MessageHeader.Schema, schemaTable(columns), 0)), []);
+
+  write(MAGIC);
+  if (columns) writeSchema();
+
+  return {
+    /** Append one record batch. @param {object[]} rows - Flattened records */
+    writeRows(rows) {
+      if (!rows.length) return;
+      if (!columns) {
+        columns = inferColumns(rows);
+        writeSchema();
+      }
+
+      const nodes = Buffer.alloc(columns.length * 16);
+      const body = [];
+      const buffers = [];
+      let bodyLength = 0;
+      toColumns(rows, columns).forEach((values, i) => {
+        nodes.writeBigInt64LE(BigInt(values.length), i * 16);
+        nodes.writeBigInt64LE(BigInt(values.filter(v => v === null).length), i * 16 + 8);
+        for (const part of columnBuffers(columns[i].type, values)) {
+          const padded = pad8(part);
+          buffers.push([bodyLength, part.length]);
+          body.push(padded);
+          bodyLength += padded.length;
+        }
+      });
+      const bufferSpecs = Buffer.alloc(buffers.length * 16);
+      buffers.forEach(([at, length], i) => {
+        bufferSpecs.writeBigInt64LE(BigInt(at), i * 16);
+        bufferSpecs.writeBigInt64LE(BigInt(length), i * 16 + 8);
+      });
+
+      const batch = table([
+        [0, 'i64', rows.length],
+        [1, 'offset', structs(nodes, columns.length)],
+        [2, 'offset', structs(bufferSpecs, buffers.length)],
+      ]);
+      const { start, metaDataLength } = writeMessage(buildFlatbuffer(message(MessageHeader.RecordBatch, batch, bodyLength)), body);
+      blocks.push({ start, metaDataLength, bodyLength });
+      numRows += rows.length;
+    },
+
+    /** Write the end-of-stream marker and footer, then move the file into place. */
+    close() {
+      if (!columns) {
+        columns = [];
+        writeSchema();
+      }
+      const eos = Buffer.alloc(8);
+      eos.writeUInt32LE(CONTINUATION, 0);
+      write(eos);
+
+      const blockBuf = Buffer.alloc(blocks.length * 24);
+      blocks.forEach(({ start, metaDataLength, bodyLength }, i) => {
+        blockBuf.writeBigInt64LE(BigInt(start), i * 24);
+        blockBuf.writeInt32LE(metaDataLength, i * 24 + 8);
+        blockBuf.writeBigInt64LE(BigInt(bodyLength), i * 24 + 16);
+      });
+      const footer = buildFlatbuffer(table([
+        [0, 'i16', METADATA_V5],
+        [1, 'offset', schemaTable(columns)],
+        [2, 'offset', structs(Buffer.alloc(0), 0)],
+        [3, 'offset', structs(blockBuf, blocks.length)],
+      ]));
+      const length = Buffer.alloc(4);
+      length.writeInt32LE(footer.length);
+      write(footer);
+      write(length);
+      write(Buffer.from('ARROW1'));
+      fs.closeSync(fd);
+      fs.renameSync(tmp, file);
+      return { rows: numRows, row_groups: blocks.length, columns };
+    },
+
+    /** Discard a partial file. */
+    abort() {
+      try { fs.closeSync(fd); } catch { /* already closed */ }
+      fs.rmSync(tmp, { force: true });
+    },
+  };
+}
@@ -0,0 +1,343 @@
+/**
+ * Nansen CLI - Response cache
+ * One JSON file per request under ~/.nansen/cache plus an index.json that
+ * tracks size, TTL and last access for each entry. The index drives LRU
+ * eviction under a max size, `cache stats/list/prune`, and --stale-ok
+ * fallbacks to expired entries when the network fails.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+const CACHE_DIR = path.join(process.env.HOME || process.env.USERPROFILE || '', '.nansen', 'cache');
+const INDEX_FILE = 'index.json';
+const INDEX_VERSION = 1;
+
+export const DEFAULT_CACHE_TTL = 300; // 5 minutes
+export const DEFAULT_CACHE_MAX_BYTES = 100 * 1024 * 1024; // 100 MB
+
+const MINUTE = 60;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// Default TTL per endpoint, first match wins. Historical series barely change,
+// flows and trades go stale in minutes. --cache-ttl overrides all of these.
+export const ENDPOINT_TTLS = [
+  [/ohlcv$/, 3 * DAY],
+  [/historical-(balances|holdings)$/, DAY],
+  [/token-information$|\/labels$|\/related-wallets$|\/categories$/, 6 * HOUR],
+  [/\/search\//, HOUR],
+  [/pnl(-summary|-leaderboard)?$|\/counterparties$|\/transactions$|\/indicators$/, 15 * MINUTE],
+  [/orderbook$/, MINUTE],
+];
+
+/**
+ * Default TTL in seconds for an endpoint path.
+ */
+export function ttlForEndpoint(endpoint) {
+  for (const [pattern, ttl] of ENDPOINT_TTLS) {
+    if (pattern.test(endpoint)) return ttl;
+  }
+  return DEFAULT_CACHE_TTL;
+}
+
+/**
+ * Parse a size like "50mb", "1.5GB", "512k" or a plain byte count.
+ * Returns null when the value cannot be parsed.
+ */
+export function parseSize(value) {
+  if (typeof value === 'number') return Number.isFinite(value) && value >= 0 ? Math.floor(value) : null;
+  const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*(b|k|kb|m|mb|g|gb)?$/i);
+  if (!match) return null;
+  const units = { b: 1, k: 1024, kb: 1024, m: 1024 ** 2, mb: 1024 ** 2, g: 1024 ** 3, gb: 1024 ** 3 };
+  return Math.floor(parseFloat(match[1]) * units[(match[2] || 'b').toLowerCase()]);
+}
+
+/**
+ * Generate cache key from endpoint and request body
+ */
+function getCacheKey(endpoint, body) {
+  const data = JSON.stringify({ endpoint, body });
+  return crypto.createHash('md5').update(data).digest('hex');
+}
+
+function entryPath(key) {
+  return path.join(CACHE_DIR, `${key}.json`);
+}
+
+function ensureCacheDir() {
+  if (!fs.existsSync(CACHE_DIR)) {
+    fs.mkdirSync(CACHE_DIR, { mode: 0o700, recursive: true });
+  }
+}
+
+function listEntryFiles() {
+  if (!fs.existsSync(CACHE_DIR)) return [];
+  return fs.readdirSync(CACHE_DIR).filter(f => f.endsWith('.json') && f !== INDEX_FILE);
+}
+
+// ============= Index =============
+
+/**
+ * Rebuild the index from entry files, e.g. for caches written before the
+ * index existed. Unreadable files are skipped (prune removes them).
+ */
+function rebuildIndex() {
+  const entries = {};
+  for (const file of listEntryFiles()) {
+    const full = path.join(CACHE_DIR, file);
+    try {
+      const cached = JSON.parse(fs.readFileSync(full, 'utf8'));
+      entries[file.slice(0, -'.json'.length)] = {
+        endpoint: cached.endpoint || null,
+        size: fs.statSync(full).size,
+        createdAt: cached.timestamp,
+        lastAccess: cached.timestamp,
+        ttl: cached.ttl ?? ttlForEndpoint(cached.endpoint || ''),
+      };
+    } catch { /* skipped */ }
+  }
+  return { version: INDEX_VERSION, entries };
+}
+
+function loadIndex() {
+  const file = path.join(CACHE_DIR, INDEX_FILE);
+  if (fs.existsSync(file)) {
+    try {
+      const index = JSON.parse(fs.readFileSync(file, 'utf8'));
+      if (index.version === INDEX_VERSION && index.entries) return index;
+    } catch { /* fall through to rebuild */ }
+  }
+  return rebuildIndex();
+}
+
+// Write to a temp file and rename so a concurrent reader never sees half an index
+function saveIndex(index) {
+  ensureCacheDir();
+  const file = path.join(CACHE_DIR, INDEX_FILE);
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(index), { mode: 0o600 });
+  fs.renameSync(tmp, file);
+}
+
+function removeEntry(index, key) {
+  try { fs.unlinkSync(entryPath(key)); } catch { /* already gone */ }
+  delete index.entries[key];
+}
+
+/**
+ * Evict least-recently-used entries until the cache fits in maxBytes.
+ * @returns {{ removed: number, freedBytes: number }}
+ */
+function evictToSize(index, maxBytes) {
+  let total = Object.values(index.entries).reduce((sum, e) => sum + e.size, 0);
+  const byAge = Object.entries(index.entries).sort((a, b) => a[1].lastAccess - b[1].lastAccess);
+  let removed = 0;
+  let freedBytes = 0;
+  for (const [key, entry] of byAge) {
+    if (total <= maxBytes) break;
+    removeEntry(index, key);
+    total -= entry.size;
+    freedBytes += entry.size;
+    removed++;
+  }
+  return { removed, freedBytes };
+}
+
+// ============= Read / Write =============
+
+/**
+ * Get cached response if valid.
+ * With allowStale, an expired entry is returned with _meta.stale set instead
+ * of null (used by --stale-ok when the network fails).
+ *
+ * @param {string} endpoint
+ * @param {object} body
+ * @param {number} [ttlSeconds] - Defaults to the endpoint's TTL
+ * @param {object} [opts]
+ * @param {boolean} [opts.allowStale=false]
+ */
+export function getCachedResponse(endpoint, body, ttlSeconds = ttlForEndpoint(endpoint), { allowStale = false } = {}) {
+  const cacheKey = getCacheKey(endpoint, body);
+  const cacheFile = entryPath(cacheKey);
+
+  if (!fs.existsSync(cacheFile)) {
+    return null;
+  }
+
+  let cached;
+  try {
+    cached = JSON.parse(fs.readFileSync(cacheFile, 'utf8'));
+  } catch (_e) {
+    // Invalid cache file, delete it
+    try { fs.unlinkSync(cacheFile); } catch { /* ignore */ }
+    return null;
+  }
+
+  const age = (Date.now() - cached.timestamp) / 1000;
+  const expired = ttlSeconds <= 0 || age > ttlSeconds;
+  // Expired entries stay on disk for --stale-ok until prune or LRU eviction
+  if (expired && !allowStale) return null;
+
+  try {
+    const index = loadIndex();
+    if (index.entries[cacheKey]) {
+      index.entries[cacheKey].lastAccess = Date.now();
+      saveIndex(index);
+    }
+  } catch { /* access time is best-effort */ }
+
+  const meta = { ...cached.data._meta, fromCache: true, cacheAge: Math.round(age) };
+  if (expired) meta.stale = true;
+  return { ...cached.data, _meta: meta };
+}
+
+/**
+ * Save response to cache, then evict LRU entries above maxBytes.
+ *
+ * @param {string} endpoint
+ * @param {object} body
+ * @param {object} data
+ * @param {object} [opts]
+ * @param {number} [opts.ttl] - Recorded for list/prune; defaults to the endpoint's TTL
+ * @param {number} [opts.maxBytes=DEFAULT_CACHE_MAX_BYTES]
+ */
+export function setCachedResponse(endpoint, body, data, { ttl = ttlForEndpoint(endpoint), maxBytes = DEFAULT_CACHE_MAX_BYTES } = {}) {
+  ensureCacheDir();
+
+  const cacheKey = getCacheKey(endpoint, body);
+  const timestamp = Date.now();
+  const content = JSON.stringify({ timestamp, endpoint, ttl, data });
+  fs.writeFileSync(entryPath(cacheKey), content, { mode: 0o600 });
+
+  const index = loadIndex();
+  index.entries[cacheKey] = {
+    endpoint,
+    size: Buffer.byteLength(content),
+    createdAt: timestamp,
+    lastAccess: timestamp,
+    ttl,
+  };
+  evictToSize(index, maxBytes);
+  saveIndex(index);
+}
+
+/**
+ * Clear all cached responses
+ */
+export function clearCache() {
+  if (fs.existsSync(CACHE_DIR)) {
+    const files = listEntryFiles();
+    for (const file of files) {
+      fs.unlinkSync(path.join(CACHE_DIR, file));
+    }
+    try { fs.unlinkSync(path.join(CACHE_DIR, INDEX_FILE)); } catch { /* no index yet */ }
+    return files.length;
+  }
+  return 0;
+}
+
+/**
+ * Get cache directory path
+ */
+export function getCacheDir() {
+  return CACHE_DIR;
+}
+
+// ============= Management =============
+
+function describeEntry(key, entry, now) {
+  const ageSeconds = Math.round((now - entry.createdAt) / 1000);
+  return {
+    key,
+    endpoint: entry.endpoint,
+    bytes: entry.size,
+    ageSeconds,
+    ttlSeconds: entry.ttl,
+    expired: ageSeconds > entry.ttl,
+    lastAccess: new Date(entry.lastAccess).toISOString(),
+  };
+}
+
+/**
+ * List cache entries, most recently used first.
+ * @param {object} [opts]
+ * @param {string} [opts.endpoint] - Only entries whose endpoint contains this string
+ */
+export function listCache({ endpoint } = {}) {
+  const now = Date.now();
+  return Object.entries(loadIndex().entries)
+    .filter(([, e]) => !endpoint || (e.endpoint || '').includes(endpoint))
+    .sort((a, b) => b[1].lastAccess - a[1].lastAccess)
+    .map(([key, entry]) => describeEntry(key, entry, now));
+}
+
+/**
+ * Summarize the cache: totals, expired count and per-endpoint breakdown.
+ */
+export function getCacheStats({ maxBytes = DEFAULT_CACHE_MAX_BYTES } = {}) {
+  const entries = listCache();
+  const byEndpoint = {};
+  for (const e of entries) {
+    const slot = byEndpoint[e.endpoint] || (byEndpoint[e.endpoint] = { endpoint: e.endpoint, entries: 0, bytes: 0 });
+    slot.entries++;
+    slot.bytes += e.bytes;
+  }
+  const totalBytes = entries.reduce((sum, e) => sum + e.bytes, 0);
+  return {
+    dir: CACHE_DIR,
+    entries: entries.length,
+    totalBytes,
+    maxBytes,
+    expired: entries.filter(e => e.expired).length,
+    byEndpoint: Object.values(byEndpoint).sort((a, b) => b.bytes - a.bytes),
+  };
+}
+
+/**
+ * Remove expired entries, files missing from the index (or vice versa), and
+ * LRU entries above maxBytes.
+ * @returns {{ removed: number, freedBytes: number, remaining: number, totalBytes: number }}
+ */
+export function pruneCache({ maxBytes = DEFAULT_CACHE_MAX_BYTES } = {}) {
+  const index = loadIndex();
+  const now = Date.now();
+  let removed = 0;
+  let freedBytes = 0;
+
+  for (const [key, entry] of Object.entries(index.entries)) {
+    const missing = !fs.existsSync(entryPath(key));
+    if (missing || (now - entry.createdAt) / 1000 > entry.ttl) {
+      removeEntry(index, key);
+      if (!missing) {
+        removed++;
+        freedBytes += entry.size;
+      }
+    }
+  }
+
+  // Files the index does not know about (unreadable or written mid-crash)
+  for (const file of listEntryFiles()) {
+    const key = file.slice(0, -'.json'.length);
+    if (!index.entries[key]) {
+      const full = path.join(CACHE_DIR, file);
+      freedBytes += fs.statSync(full).size;
+      fs.unlinkSync(full);
+      removed++;
+    }
+  }
+
+  const evicted = evictToSize(index, maxBytes);
+  removed += evicted.removed;
+  freedBytes += evicted.freedBytes;
+  saveIndex(index);
+
+  const remaining = Object.values(index.entries);
+  return {
+    removed,
+    freedBytes,
+    remaining: remaining.length,
+    totalBytes: remaining.reduce((sum, e) => sum + e.size, 0),
+  };
+}
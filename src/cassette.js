@@ -0,0 +1,287 @@
+/**
+ * Nansen CLI - Record / replay cassettes
+ * `--record <dir>` captures every HTTP exchange made by NansenAPI, the trading
+ * API (quote/execute) and the chain RPC helpers into <dir>/cassette.json.
+ * `--replay <dir>` serves those exchanges back without touching the network.
+ *
+ * Secrets (API keys, auth and payment headers, key-like body fields, query
+ * params and path segments) are scrubbed before anything is written. Replay matching is strict
+ * on method, URL and body; a request with no recorded match throws
+ * CASSETTE_MISMATCH instead of silently going to the network. Default date
+ * ranges are derived from the recording time (cassetteNow), so a cassette
+ * recorded today still matches when replayed on a later day.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { NansenError, ErrorCode } from './api.js';
+
+export const CASSETTE_FILE = 'cassette.json';
+export const CASSETTE_VERSION = 1;
+export const REDACTED = '[REDACTED]';
+
+const SECRET_HEADERS = new Set(['apikey', 'api-key', 'x-api-key', 'authorization', 'payment-signature', 'x-payment', 'cookie', 'set-cookie']);
+const SECRET_KEY_PATTERN = /^(api[-_]?key|apikey|key|token|access[-_]?token|secret|password|passphrase|private[-_]?key|privatekey|mnemonic|seed|signature)$/i;
+
+// RPC providers put the key in the path (/v2/<key>, /rpc/<key>, /<token>/):
+// long URL-safe segments mixing letters and digits. 0x-prefixed values are
+// addresses and hashes, not credentials
+const SECRET_PATH_SEGMENT = /^(?!0x)(?=[A-Za-z0-9_-]*[A-Za-z])(?=[A-Za-z0-9_-]*\d)[A-Za-z0-9_-]{20,}$/;
+
+// Statuses whose Response must be built with a null body
+const NULL_BODY_STATUSES = new Set([204, 205, 304]);
+
+// Headers worth keeping in a cassette; the rest (client version, telemetry ids) only add churn
+const RECORDED_HEADERS = new Set(['content-type', 'accept', 'retry-after', 'payment-required', 'x-payment-response']);
+
+let active = null;
+
+// ============= Scrubbing =============
+
+function scrubHeaders(headers) {
+  const entries = headers instanceof Headers ? [...headers.entries()] : Object.entries(headers || {});
+  const result = {};
+  for (const [name, value] of entries) {
+    const key = name.toLowerCase();
+    if (SECRET_HEADERS.has(key)) result[key] = REDACTED;
+    else if (RECORDED_HEADERS.has(key)) result[key] = String(value);
+  }
+  return result;
+}
+
+/**
+ * Replace secret-looking query params and path segments in a URL.
+ */
+export function scrubUrl(url) {
+  const parsed = new URL(url);
+  parsed.pathname = parsed.pathname.split('/').map(segment => (SECRET_PATH_SEGMENT.test(segment) ? REDACTED : segment)).join('/');
+  for (const key of [...parsed.searchParams.keys()]) {
+    if (SECRET_KEY_PATTERN.test(key)) parsed.searchParams.set(key, REDACTED);
+  }
+  return parsed.toString();
+}
+
+/**
+ * Deep-copy a JSON value with secret-looking keys replaced.
+ */
+export function scrubBody(value) {
+  if (Array.isArray(value)) return value.map(scrubBody);
+  if (value && typeof value === 'object') {
+    const result = {};
+    for (const [key, inner] of Object.entries(value)) {
+      result[key] = SECRET_KEY_PATTERN.test(key) && inner !== null && typeof inner !== 'object' ? REDACTED : scrubBody(inner);
+    }
+    return result;
+  }
+  return value;
+}
+
+// JSON bodies are stored parsed so cassettes stay readable and diffable
+function decodeBody(text) {
+  if (text === undefined || text === null || text === '') return { body: null };
+  try {
+    return { body: JSON.parse(text) };
+  } catch {
+    return { text: String(text) };
+  }
+}
+
+function encodeBody(stored) {
+  if (NULL_BODY_STATUSES.has(stored.status)) return null;
+  if (stored.text !== undefined) return stored.text;
+  return stored.body === null || stored.body === undefined ? '' : JSON.stringify(stored.body);
+}
+
+// Key-order independent serialization for matching
+function canonical(value) {
+  if (Array.isArray(value)) return `[${value.map(canonical).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${canonical(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+/**
+ * Normalize a fetch() call into the scrubbed request stored in a cassette.
+ */
+export function describeRequest(url, init = {}) {
+  const decoded = decodeBody(init.body);
+  return {
+    method: (init.method || 'GET').toUpperCase(),
+    url: scrubUrl(String(url)),
+    headers: scrubHeaders(init.headers),
+    ...(decoded.text !== undefined ? { text: decoded.text } : { body: scrubBody(decoded.body) }),
+  };
+}
+
+function matchKey(request) {
+  return `${request.method} ${request.url} ${request.text !== undefined ? JSON.stringify(request.text) : canonical(request.body)}`;
+}
+
+// ============= Cassette file =============
+
+function cassettePath(dir) {
+  return path.join(dir, CASSETTE_FILE);
+}
+
+/**
+ * Read and validate <dir>/cassette.json.
+ * @throws {NansenError} INVALID_PARAMS when the cassette is missing or unreadable
+ */
+export function loadCassette(dir) {
+  const file = cassettePath(dir);
+  if (!fs.existsSync(file)) {
+    throw new NansenError(`No cassette found at ${file}. Record one first with --record ${dir}`, ErrorCode.INVALID_PARAMS);
+  }
+  let cassette;
+  try {
+    cassette = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new NansenError(`Unreadable cassette ${file}: ${err.message}`, ErrorCode.INVALID_PARAMS);
+  }
+  if (cassette.version !== CASSETTE_VERSION || !Array.isArray(cassette.interactions)) {
+    throw new NansenError(`Unsupported cassette format in ${file} (expected version ${CASSETTE_VERSION})`, ErrorCode.INVALID_PARAMS);
+  }
+  return cassette;
+}
+
+// Written after every interaction (temp file + rename) so a crash mid-run keeps what was captured
+function saveCassette(dir, cassette) {
+  fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+  const file = cassettePath(dir);
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(cassette, null, 2), { mode: 0o600 });
+  fs.renameSync(tmp, file);
+}
+
+// ============= Recorder / Replayer =============
+
+/**
+ * Create a fetch implementation that forwards to the network and records
+ * each scrubbed request/response pair into <dir>/cassette.json.
+ * An existing cassette in <dir> is replaced.
+ *
+ * @param {string} dir
+ * @param {object} [opts]
+ * @param {Function} [opts.fetchImpl] - Underlying fetch (defaults to globalThis.fetch at call time)
+ */
+export function createRecorder(dir, { fetchImpl } = {}) {
+  const cassette = { version: CASSETTE_VERSION, recordedAt: new Date().toISOString(), interactions: [] };
+  saveCassette(dir, cassette);
+
+  const recordingFetch = async (url, init = {}) => {
+    const request = describeRequest(url, init);
+    let response;
+    try {
+      response = await (fetchImpl || globalThis.fetch)(url, init);
+    } catch (err) {
+      // Network failures are part of the story too (e.g. to replay --stale-ok)
+      cassette.interactions.push({ request, error: { message: err.message, code: err.cause?.code ?? err.code ?? null } });
+      saveCassette(dir, cassette);
+      throw err;
+    }
+    const text = await response.text();
+    cassette.interactions.push({
+      request,
+      response: { status: response.status, headers: scrubHeaders(response.headers), ...decodeBody(text) },
+    });
+    saveCassette(dir, cassette);
+    const body = NULL_BODY_STATUSES.has(response.status) ? null : text;
+    return new Response(body, { status: response.status, statusText: response.statusText, headers: response.headers });
+  };
+
+  return { mode: 'record', dir, fetch: recordingFetch, now: Date.parse(cassette.recordedAt), unused: () => [] };
+}
+
+/**
+ * Create a fetch implementation that answers from <dir>/cassette.json.
+ * Each recorded interaction is served once; identical requests are served in
+ * recorded order. A request with no unused match throws CASSETTE_MISMATCH.
+ *
+ * @param {string} dir
+ */
+export function createReplayer(dir) {
+  const cassette = loadCassette(dir);
+  const pending = cassette.interactions.map(interaction => ({ interaction, key: matchKey(interaction.request), used: false }));
+  const recordedAt = Date.parse(cassette.recordedAt);
+
+  const replayingFetch = async (url, init = {}) => {
+    const request = describeRequest(url, init);
+    const key = matchKey(request);
+    const slot = pending.find(p => !p.used && p.key === key);
+    if (!slot) {
+      const expected = pending.find(p => !p.used)?.interaction.request ?? null;
+      const { headers: _headers, ...actual } = request;
+      throw new NansenError(
+        `Cassette mismatch: no recorded response for ${request.method} ${request.url}` +
+          (expected ? ` (next recorded: ${expected.method} ${expected.url})` : ' (cassette exhausted)'),
+        ErrorCode.CASSETTE_MISMATCH,
+        null,
+        { cassette: cassettePath(dir), request: actual, expected: expected && { method: expected.method, url: expected.url, body: expected.body ?? expected.text ?? null } },
+      );
+    }
+    slot.used = true;
+    const { response, error } = slot.interaction;
+    if (error) {
+      throw Object.assign(new TypeError(error.message), error.code ? { cause: { code: error.code } } : {});
+    }
+    return new Response(encodeBody(response), { status: response.status, headers: response.headers });
+  };
+
+  return {
+    mode: 'replay',
+    dir,
+    fetch: replayingFetch,
+    now: Number.isFinite(recordedAt) ? recordedAt : null,
+    unused: () => pending.filter(p => !p.used).map(p => `${p.interaction.request.method} ${p.interaction.request.url}`),
+  };
+}
+
+// ============= Active cassette =============
+
+/**
+ * Activate --record or --replay for this process.
+ * @param {{ record?: string, replay?: string }} opts
+ * @returns {object|null} The active cassette, or null when neither is set
+ */
+export function startCassette({ record, replay } = {}) {
+  if (record !== undefined && replay !== undefined) {
+    throw new NansenError('--record and --replay cannot be used together', ErrorCode.INVALID_PARAMS);
+  }
+  for (const [flag, value] of [['record', record], ['replay', replay]]) {
+    if (value !== undefined && (typeof value !== 'string' || !value)) {
+      throw new NansenError(`--${flag} requires a directory`, ErrorCode.INVALID_PARAMS);
+    }
+  }
+  if (record !== undefined) active = createRecorder(record);
+  else if (replay !== undefined) active = createReplayer(replay);
+  else active = null;
+  return active;
+}
+
+/**
+ * Deactivate the current cassette.
+ * @returns {string[]} Recorded interactions that were never replayed
+ */
+export function stopCassette() {
+  const unused = active ? active.unused() : [];
+  active = null;
+  return unused;
+}
+
+/**
+ * Clock for derived date ranges: the cassette's recording time while one is
+ * active, the real time otherwise.
+ * @returns {number} Milliseconds since the epoch
+ */
+export function cassetteNow() {
+  return active?.now ?? Date.now();
+}
+
+/**
+ * fetch() for every call that --record/--replay should capture.
+ * Passes straight through to globalThis.fetch when no cassette is active.
+ */
+export function cassetteFetch(url, init) {
+  return active ? active.fetch(url, init) : globalThis.fetch(url, init);
+}
@@ -3,12 +3,35 @@
  * Extracted from index.js for coverage
  */
 
-import { NansenAPI, NansenError, ErrorCode, saveConfig, deleteConfig, getConfigFile, clearCache, getCacheDir, validateAddress, sleep } from './api.js';
-import { buildWalletCommands } from './wallet.js';
-import { buildTradingCommands } from './trading.js';
+import { NansenAPI, NansenError, ErrorCode, saveConfig, deleteConfig, getConfigFile, clearCache, getCacheDir, validateAddress, buildDateRange } from './api.js';
+import { buildWalletCommands, listWallets } from './wallet.js';
+import { buildTradingCommands, listQuotes } from './trading.js';
 import { formatAlertsTable, buildAlertsCommands } from './commands/alerts.js';
+import { buildProfileCommands, resolveProfile, applyProfileDefaults } from './commands/profile.js';
+import { buildWatchlistCommands, expandListReferences } from './commands/watchlist.js';
+import { startCassette, stopCassette } from './cassette.js';
 import { resolveAddress, isEnsName } from './ens.js';
+import { buildMcpTools, createMcpServer, serveStdio } from './mcp.js';
+import { startShell } from './shell.js';
+import { preflightResearch, didYouMean, findResearchCommand } from './validate.js';
+import { runWatch, parseInterval, MIN_WATCH_INTERVAL_MS } from './watch.js';
+import { saveSnapshot, validateSnapshotName, listSnapshots, diffSnapshot, formatDiffTable } from './snapshots.js';
+import { COMPLETION_SHELLS, COMPLETION_LISTS, generateCompletion } from './completion.js';
+import { SCHEMA_FORMATS, exportSchema } from './tool-specs.js';
+import { createGatewayHandler, startGateway, GATEWAY_FILE_OPTIONS } from './serve.js';
+import { createMockHandler, mockServerEnv } from './mock-server.js';
+import { DEFAULT_MOCK_SEED } from './mock-fixtures.js';
+import { buildQuery, applyQueryToRows } from './query.js';
+import { getCacheStats, listCache, pruneCache, parseSize } from './cache.js';
+import { mapConcurrent } from './scheduler.js';
+import { GRAPH_FORMATS, decorateGraph, formatGraph } from './graph.js';
+import { tokenDossier, renderDossierMarkdown } from './dossier.js';
+import { formatMarkdown, formatHtml } from './report.js';
+import { flattenRecord, createSpooledWriter } from './columnar.js';
+import { createParquetWriter } from './parquet.js';
+import { createArrowWriter } from './arrow.js';
 import fs from 'fs';
+import path from 'path';
 import { getUpdateNotification, getUpgradeNotice, scheduleUpdateCheck } from './update-check.js';
 import { trackCommandSucceeded, trackCommandFailed } from './telemetry.js';
 import { createRequire } from 'module';
@@ -36,6 +59,145 @@ export function buildPagination(options) {
   };
 }
 
+// Page size used by --all / --max-pages when --limit is not given. A known
+// page size is what lets us detect the short page that ends the walk.
+export const AUTO_PAGINATION_PAGE_SIZE = 100;
+
+/**
+ * Find the row array inside a response.
+ * Returns { records, replace } where replace(rows) builds a copy of the
+ * response with the rows swapped in, or null when there is no row array.
+ */
+export function locateRecords(data) {
+  if (Array.isArray(data)) {
+    return { records: data, replace: (rows) => rows };
+  }
+  if (Array.isArray(data?.data)) {
+    return { records: data.data, replace: (rows) => ({ ...data, data: rows }) };
+  }
+  if (Array.isArray(data?.results)) {
+    return { records: data.results, replace: (rows) => ({ ...data, results: rows }) };
+  }
+  if (Array.isArray(data?.data?.results)) {
+    return { records: data.data.results, replace: (rows) => ({ ...data, data: { ...data.data, results: rows } }) };
+  }
+  return null;
+}
+
+/**
+ * Walk pages until the API returns a short page, the response says it is the
+ * last page, or maxPages is reached, and concatenate the rows.
+ *
+ * Endpoints that ignore the page parameter return the same rows again; the
+ * walk stops there instead of looping forever.
+ *
+ * @param {Function} fetchPage - async (page) => response
+ * @param {object} opts
+ * @param {number} opts.perPage - Requested page size
+ * @param {number} [opts.startPage=1] - First page to fetch
+ * @param {number} [opts.maxPages=Infinity] - Upper bound on requests
+ * @param {Function} [opts.onPage] - async (records, response) called per page, e.g. to stream rows
+ * @param {boolean} [opts.collect=true] - Keep the rows for the merged result; false when onPage consumes them
+ * @param {Function} [opts.creditBalance] - async () => remaining credits or null, read before and after the walk
+ * @returns {Promise<object>} First response with all rows merged and _meta { pages, rows, creditsUsed, complete };
+ *   creditsUsed is the drop in the balance (other use of the key meanwhile included), null when it could not be read
+ */
+export async function paginateAll(fetchPage, { perPage, startPage = 1, maxPages = Infinity, onPage, collect = true, creditBalance } = {}) {
+  let first;
+  let firstLocated = null;
+  let previousKey;
+  let pages = 0;
+  const balanceBefore = creditBalance ? await creditBalance() : null;
+  let complete = false;
+  let rowCount = 0;
+  const rows = [];
+
+  for (let page = startPage; pages < maxPages; page++) {
+    const response = await fetchPage(page);
+    const located = locateRecords(response);
+    const records = located ? located.records : [];
+
+    const key = JSON.stringify(records);
+    if (pages > 0 && key === previousKey) {
+      complete = true;
+      break;
+    }
+    previousKey = key;
+
+    if (pages === 0) {
+      first = response;
+      firstLocated = located;
+    }
+    pages++;
+    rowCount += records.length;
+    if (collect) rows.push(...records);
+    if (onPage) await onPage(records, response);
+
+    if (!located || records.length < perPage || response?.pagination?.is_last_page) {
+      complete = true;
+      break;
+    }
+  }
+
+  // The API reports no per-request cost; cached pages leave the balance alone
+  const balanceAfter = balanceBefore === null ? null : await creditBalance();
+  const creditsUsed = balanceAfter !== null && balanceAfter <= balanceBefore ? balanceBefore - balanceAfter : null;
+
+  const merged = firstLocated ? firstLocated.replace(rows) : first;
+  if (!merged || typeof merged !== 'object' || Array.isArray(merged)) return merged;
+  // The upstream pagination block only describes the first page
+  const { pagination: _pagination, ...rest } = merged;
+  return { ...rest, _meta: { ...merged._meta, pages, rows: rowCount, creditsUsed, complete } };
+}
+
+// ============= Cache Size =============
+
+/**
+ * Resolve the cache size limit in bytes from --cache-max-size (or another
+ * option name) and NANSEN_CACHE_MAX_SIZE. undefined means the built-in default.
+ */
+export function resolveCacheMaxBytes(options = {}, optionName = 'cache-max-size') {
+  const raw = options[optionName] ?? process.env.NANSEN_CACHE_MAX_SIZE;
+  if (raw === undefined || raw === '') return undefined;
+  const bytes = parseSize(raw);
+  if (bytes === null) {
+    throw new NansenError(`Invalid cache size: ${raw}. Use a byte count or a size like 50mb or 1gb.`, ErrorCode.INVALID_PARAMS);
+  }
+  return bytes;
+}
+
+// ============= Request Scheduling =============
+
+/**
+ * Resolve scheduler limits from --concurrency and --rps. The older
+ * per-command --delay <ms> still works as a rate of one request per delay.
+ * Omitted options are left undefined so the scheduler defaults apply.
+ */
+export function resolveSchedulerOptions(options = {}) {
+  const scheduler = {};
+  if (options.concurrency !== undefined) {
+    const concurrency = Number(options.concurrency);
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+      throw new NansenError(`Invalid --concurrency: ${options.concurrency}. Use a whole number of at least 1.`, ErrorCode.INVALID_PARAMS);
+    }
+    scheduler.concurrency = concurrency;
+  }
+  if (options.rps !== undefined) {
+    const rps = Number(options.rps);
+    if (!Number.isFinite(rps) || rps <= 0) {
+      throw new NansenError(`Invalid --rps: ${options.rps}. Use a number of requests per second above 0.`, ErrorCode.INVALID_PARAMS);
+    }
+    scheduler.rps = rps;
+  } else if (options.delay !== undefined) {
+    const delayMs = Number(options.delay);
+    if (!Number.isFinite(delayMs) || delayMs < 0) {
+      throw new NansenError(`Invalid --delay: ${options.delay}`, ErrorCode.INVALID_PARAMS);
+    }
+    scheduler.rps = delayMs === 0 ? Infinity : 1000 / delayMs;
+  }
+  return scheduler;
+}
+
 // ============= Field Filtering =============
 
 /**
@@ -96,6 +258,17 @@ export function parseFields(fieldsOption) {
   return fieldsOption.split(',').map(f => f.trim()).filter(f => f.length > 0);
 }
 
+/**
+ * Run a --where / --sort-local / --compute query over the rows of a response.
+ * Responses without a row array (single objects) pass through unchanged.
+ */
+export function applyQuery(data, query) {
+  if (!query) return data;
+  const located = locateRecords(data);
+  if (!located) return data;
+  return located.replace(applyQueryToRows(located.records, query));
+}
+
 /**
  * Produce a compact schema listing commands with params* notation.
  * Use `nansen schema --full` for the verbose version.
@@ -104,6 +277,7 @@ export function compactSchema(schema) {
   function compactOptions(opts) {
     if (!opts) return '';
     return Object.entries(opts)
+      .filter(([, o]) => !o.alias)
       .map(([name, o]) => `${name}${o.required ? '*' : ''}`)
       .join(', ');
   }
@@ -136,6 +310,7 @@ export function compactSchema(schema) {
     version: schema.version,
     params_legend: '* = required',
     commands,
+    researchOptions: Object.keys(schema.researchOptions).join(', '),
     globalOptions: Object.keys(schema.globalOptions).join(', '),
     chains: schema.chains,
     smartMoneyLabels: schema.smartMoneyLabels
@@ -155,6 +330,12 @@ function compareSemver(a, b) {
   return 0;
 }
 
+// Options that never take a value, even when followed by a non-option word
+export const BOOLEAN_FLAGS = new Set([
+  'pretty', 'help', 'version', 'table', 'no-retry', 'cache', 'no-cache', 'stream', 'enrich',
+  'full', 'human', 'enabled', 'disabled', 'allow-trading', 'all', 'stale-ok', 'append',
+]);
+
 export function parseArgs(args) {
   const result = { _: [], flags: {}, options: {} };
   
@@ -165,7 +346,7 @@ export function parseArgs(args) {
       const key = arg.slice(2);
       const next = args[i + 1];
       
-      if (key === 'pretty' || key === 'help' || key === 'version' || key === 'table' || key === 'no-retry' || key === 'cache' || key === 'no-cache' || key === 'stream' || key === 'enrich' || key === 'full' || key === 'human' || key === 'enabled' || key === 'disabled') {
+      if (BOOLEAN_FLAGS.has(key)) {
         result.flags[key] = true;
       } else if (next && (!next.startsWith('-') || /^-\d/.test(next))) {
         // Try to parse as JSON first (for objects/arrays/booleans),
@@ -236,7 +417,7 @@ export function formatTable(data) {
   }
 
   // Get columns from first record, prioritize common useful fields
-  const priorityFields = ['token_symbol', 'token_name', 'symbol', 'name', 'address', 'label', 'chain', 'value_usd', 'amount', 'pnl_usd', 'price_usd', 'volume_usd', 'net_flow_usd', 'timestamp', 'block_timestamp'];
+  const priorityFields = ['watchlist_entry', 'token_symbol', 'token_name', 'symbol', 'name', 'address', 'label', 'chain', 'value_usd', 'amount', 'pnl_usd', 'price_usd', 'volume_usd', 'net_flow_usd', 'timestamp', 'block_timestamp'];
   const allKeys = [...new Set(records.flatMap(r => Object.keys(r)))];
 
   // Sort: priority fields first, then alphabetically
@@ -323,8 +504,16 @@ export function formatCsv(data) {
 }
 
 // Format output data (returns string, does not print)
-export function formatOutput(data, { pretty = false, table = false, csv = false } = {}) {
-  if (csv) {
+export function formatOutput(data, { pretty = false, table = false, csv = false, markdown = false, html = false, title } = {}) {
+  if (markdown || html) {
+    if (data.success === false) {
+      return { type: 'error', text: `Error: ${data.error}` };
+    }
+    const reportData = data.data || data;
+    return markdown
+      ? { type: 'markdown', text: formatMarkdown(reportData, { title }) }
+      : { type: 'html', text: formatHtml(reportData, { title }) };
+  } else if (csv) {
     if (data.success === false) {
       return { type: 'error', text: `Error: ${data.error}` };
     }
@@ -366,14 +555,9 @@ export function formatError(error) {
 export function formatStream(data) {
   // Extract array of records from various response shapes
   let records = [];
-  if (Array.isArray(data)) {
-    records = data;
-  } else if (data?.data && Array.isArray(data.data)) {
-    records = data.data;
-  } else if (data?.results && Array.isArray(data.results)) {
-    records = data.results;
-  } else if (data?.data?.results && Array.isArray(data.data.results)) {
-    records = data.data.results;
+  const located = locateRecords(data);
+  if (located) {
+    records = located.records;
   } else if (typeof data === 'object' && data !== null) {
     // Single object - output as single line
     records = [data];
@@ -387,6 +571,214 @@ export function formatStream(data) {
   return records.map(record => JSON.stringify(record)).join('\n');
 }
 
+/**
+ * Closing NDJSON line once the records themselves were streamed: _meta from
+ * --all, or the totals a composite command returns next to its records.
+ */
+function streamSummaryLine(result) {
+  if (result?._meta) return JSON.stringify({ _meta: result._meta });
+  const located = locateRecords(result);
+  if (!located || Array.isArray(result)) return '';
+  const { results: _results, data: _data, ...summary } = result;
+  return JSON.stringify({ _meta: summary });
+}
+
+// ============= --output files =============
+
+// File extension -> format written by --output
+export const OUTPUT_EXTENSIONS = {
+  '.json': 'json',
+  '.ndjson': 'ndjson',
+  '.jsonl': 'ndjson',
+  '.csv': 'csv',
+  '.md': 'markdown',
+  '.markdown': 'markdown',
+  '.html': 'html',
+  '.htm': 'html',
+  '.parquet': 'parquet',
+  '.arrow': 'arrow',
+  '.feather': 'arrow',
+};
+
+const APPENDABLE_FORMATS = new Set(['ndjson', 'csv']);
+
+// Binary formats, written through a streaming columnar writer
+const COLUMNAR_WRITERS = { parquet: createParquetWriter, arrow: createArrowWriter };
+
+// Rows per row group (record batch) when a whole result is written at once
+const COLUMNAR_BATCH_ROWS = 10000;
+
+/**
+ * Validate --output / --append up front, before any credits are spent.
+ * @returns {{ template: string, format: string, append: boolean }|null}
+ */
+export function resolveOutputTarget(options, flags = {}) {
+  const binary = COLUMNAR_WRITERS[options.format] ? options.format : null;
+  if (options.output === undefined) {
+    if (flags.append) throw new NansenError('--append requires --output <file>', ErrorCode.INVALID_PARAMS);
+    if (binary) throw new NansenError(`--format ${binary} is binary and needs --output <file>.${binary}`, ErrorCode.INVALID_PARAMS);
+    return null;
+  }
+  const template = String(options.output);
+  const format = OUTPUT_EXTENSIONS[path.extname(template).toLowerCase()];
+  if (!format) {
+    throw new NansenError(
+      `Cannot infer the format of --output ${template}. Use one of: ${Object.keys(OUTPUT_EXTENSIONS).join(', ')}`,
+      ErrorCode.INVALID_PARAMS,
+    );
+  }
+  if (binary && format !== binary) {
+    throw new NansenError(`--format ${binary} conflicts with --output ${template} (${format})`, ErrorCode.INVALID_PARAMS);
+  }
+  const append = !!flags.append;
+  if (append && !APPENDABLE_FORMATS.has(format)) {
+    throw new NansenError(`--append only works with .ndjson and .csv outputs, not ${format}`, ErrorCode.INVALID_PARAMS);
+  }
+  return { template, format, append };
+}
+
+/**
+ * Fill {chain}, {date} (UTC YYYY-MM-DD) and {page} in an --output path.
+ */
+export function expandOutputPath(template, { chain, page, now = new Date() } = {}) {
+  const values = { chain, page, date: now.toISOString().slice(0, 10) };
+  return template.replace(/\{(chain|date|page)\}/g, (match, key) => (values[key] === undefined ? match : String(values[key])));
+}
+
+function renderOutputFile(result, format, { pretty, title }) {
+  switch (format) {
+    case 'ndjson': return formatStream(result);
+    case 'csv': return formatCsv(result);
+    case 'markdown': return formatMarkdown(result, { title });
+    case 'html': return formatHtml(result, { title });
+    default: return JSON.stringify({ success: true, data: result }, null, pretty ? 2 : undefined);
+  }
+}
+
+function readFirstLine(file) {
+  const fd = fs.openSync(file, 'r');
+  try {
+    const buf = Buffer.alloc(64 * 1024);
+    const bytes = fs.readSync(fd, buf, 0, buf.length, 0);
+    return buf.toString('utf8', 0, bytes).split('\n')[0].replace(/\r$/, '');
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Write one output file. Whole files go to a temp file and are renamed into
+ * place so readers never see a partial write; --append adds NDJSON lines or
+ * CSV rows (without repeating the header) to what is already there.
+ */
+export function writeOutputFile(file, text, { format, append = false }) {
+  fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  const body = text && !text.endsWith('\n') ? `${text}\n` : text;
+  if (append) {
+    let chunk = body;
+    if (format === 'csv' && fs.existsSync(file) && fs.statSync(file).size > 0) {
+      const [header, ...rows] = body.split('\n');
+      const existing = readFirstLine(file);
+      if (header && existing !== header) {
+        throw new NansenError(`Cannot append to ${file}: its CSV columns (${existing}) differ from this result's (${header})`, ErrorCode.INVALID_PARAMS);
+      }
+      chunk = rows.join('\n');
+    }
+    if (chunk) fs.appendFileSync(file, chunk);
+    return;
+  }
+  const tmp = `${file}.${process.pid}.tmp`;
+  try {
+    fs.writeFileSync(tmp, body);
+    fs.renameSync(tmp, file);
+  } catch (err) {
+    fs.rmSync(tmp, { force: true });
+    throw err;
+  }
+}
+
+/**
+ * Open a Parquet / Arrow --output for streaming. Each write() spools one row
+ * group (record batch) for every file its rows belong to, split by row.chain
+ * when the path has {chain}; close() writes the files with column types
+ * widened to fit every page.
+ *
+ * @returns {{ write: (records: object[]) => void, close: () => object[], abort: () => void }}
+ */
+export function openColumnarOutput(target, { chain, page } = {}) {
+  const writers = new Map();
+  const writerFor = (file) => {
+    if (!writers.has(file)) {
+      fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+      writers.set(file, createSpooledWriter(file, COLUMNAR_WRITERS[target.format]));
+    }
+    return writers.get(file);
+  };
+  const fileFor = (record) => expandOutputPath(target.template, { chain: record?.chain ?? chain ?? 'all', page });
+
+  return {
+    write(records) {
+      const byFile = new Map();
+      for (const record of records) {
+        const file = fileFor(record);
+        if (!byFile.has(file)) byFile.set(file, []);
+        byFile.get(file).push(flattenRecord(record));
+      }
+      for (const [file, rows] of byFile) writerFor(file).writeRows(rows);
+    },
+    close() {
+      // An empty result still produces a (schema-less) file
+      if (writers.size === 0) writerFor(fileFor(null));
+      return [...writers].map(([file, writer]) => {
+        const { rows, row_groups } = writer.close();
+        return { path: file, format: target.format, records: rows, row_groups };
+      });
+    },
+    abort() {
+      for (const writer of writers.values()) writer.abort();
+    },
+  };
+}
+
+/**
+ * Write a result to --output. With {chain} in the path, rows are split into
+ * one file per row.chain (falling back to the --chain that was queried).
+ *
+ * @returns {{ path: string, format: string, records: number|null }[]}
+ */
+export function writeOutput(result, target, { chain, page, pretty, title } = {}) {
+  const located = locateRecords(result);
+  if (COLUMNAR_WRITERS[target.format]) {
+    const records = located ? located.records : [result];
+    const sink = openColumnarOutput(target, { chain, page });
+    try {
+      for (let i = 0; i < records.length; i += COLUMNAR_BATCH_ROWS) sink.write(records.slice(i, i + COLUMNAR_BATCH_ROWS));
+      return sink.close();
+    } catch (err) {
+      sink.abort();
+      throw err;
+    }
+  }
+  const groups = new Map();
+  if (located && target.template.includes('{chain}')) {
+    for (const record of located.records) {
+      const key = record?.chain ?? chain ?? 'all';
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(record);
+    }
+  }
+  if (groups.size === 0) groups.set(chain ?? 'all', located ? located.records : null);
+
+  const written = [];
+  for (const [groupChain, records] of groups) {
+    const file = expandOutputPath(target.template, { chain: groupChain, page });
+    const data = records && located ? located.replace(records) : result;
+    writeOutputFile(file, renderOutputFile(data, target.format, { pretty, title }), target);
+    written.push({ path: file, format: target.format, records: records ? records.length : null });
+  }
+  return written;
+}
+
 /**
  * Parse --date option into {from, to} object.
  * Accepts: "YYYY-MM-DD" (single date → from=date, to=date),
@@ -408,9 +800,7 @@ export function parseDateOption(dateOption, days = 30) {
     }
   }
   // Default: use days-based range
-  const to = new Date().toISOString().split('T')[0];
-  const from = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
-  return { from, to };
+  return buildDateRange(days);
 }
 
 // Parse simple sort syntax: "field:direction" or "field" (defaults to DESC)
@@ -493,13 +883,101 @@ export function parseAddressList(raw) {
   }
 }
 
+/**
+ * Read addresses from a --file: a JSON array of strings, or one address per line.
+ */
+export function readAddressFile(file) {
+  const content = fs.readFileSync(file, 'utf8');
+  try {
+    const parsed = JSON.parse(content);
+    if (!Array.isArray(parsed) || !parsed.every(item => typeof item === 'string')) {
+      throw new NansenError('File must contain a JSON array of address strings or one address per line', ErrorCode.INVALID_PARAMS);
+    }
+    return parsed.map(a => a.trim()).filter(Boolean);
+  } catch (e) {
+    if (e instanceof NansenError) throw e;
+    return content.split('\n').map(a => a.trim()).filter(Boolean);
+  }
+}
+
 // ============= Composite Functions =============
 
+// Composite commands fan out through mapConcurrent; api.scheduler sets how
+// many run at once and paces the requests (mocked APIs without one run serially).
+const fanOut = (api) => api.scheduler?.concurrency ?? 1;
+
+// Errors that will fail every remaining address too: stop starting new ones
+const BATCH_FATAL_CODES = new Set([ErrorCode.CREDITS_EXHAUSTED, ErrorCode.UNAUTHORIZED, ErrorCode.PAYMENT_REQUIRED]);
+
+/**
+ * Read a `profiler batch --checkpoint` file: a header line recording chain and
+ * include, then one `{ input, entry }` line per finished address. A missing
+ * file starts a fresh checkpoint. Only successful entries are returned, so
+ * failed addresses are retried on the next run.
+ *
+ * @returns {Map<string, object>} input address → finished entry
+ */
+export function loadBatchCheckpoint(file, { chain, include }) {
+  const done = new Map();
+  if (!fs.existsSync(file)) {
+    fs.writeFileSync(file, JSON.stringify({ checkpoint: 1, chain, include }) + '\n');
+    return done;
+  }
+  const [header, ...lines] = fs.readFileSync(file, 'utf8').split('\n').filter(line => line.trim());
+  let meta;
+  try {
+    meta = JSON.parse(header);
+  } catch {
+    meta = null;
+  }
+  if (meta?.checkpoint !== 1) {
+    throw new NansenError(`${file} is not a profiler batch checkpoint`, ErrorCode.INVALID_PARAMS);
+  }
+  if (meta.chain !== chain || [...meta.include].sort().join() !== [...include].sort().join()) {
+    throw new NansenError(
+      `Checkpoint ${file} was written for --chain ${meta.chain} --include ${meta.include.join(',')}. Use the same options or a new checkpoint file.`,
+      ErrorCode.INVALID_PARAMS,
+    );
+  }
+  for (const line of lines) {
+    try {
+      const { input, entry } = JSON.parse(line);
+      if (entry.error) done.delete(input);
+      else done.set(input, entry);
+    } catch {
+      // A line cut short by a crash mid-write: that address simply runs again
+    }
+  }
+  return done;
+}
+
+/**
+ * Profile many addresses. Addresses run concurrently through the API's
+ * scheduler; each finished entry is passed to onResult as soon as it is ready
+ * and, with a checkpoint file, appended there so a rerun skips it.
+ *
+ * @param {object} api - NansenAPI instance
+ * @param {object} params
+ * @param {string[]} params.addresses
+ * @param {string} [params.chain='ethereum']
+ * @param {string[]} [params.include=['labels','balance']]
+ * @param {string} [params.checkpoint] - Checkpoint file path
+ * @param {Function} [params.onResult] - (entry) called per finished address, in completion order
+ * @returns {Promise<{ results: object[], total: number, completed: number, resumed: number, failed: Array<{address: string, error: string}> }>}
+ */
 export async function batchProfile(api, params = {}) {
-  const { addresses = [], chain = 'ethereum', include = ['labels', 'balance'], delayMs = 1000 } = params;
-  const results = [];
-  for (let i = 0; i < addresses.length; i++) {
-    let address = addresses[i].trim();
+  const { addresses = [], chain = 'ethereum', include = ['labels', 'balance'], checkpoint, onResult } = params;
+  const done = checkpoint ? loadBatchCheckpoint(checkpoint, { chain, include }) : new Map();
+  let fatal = null;
+
+  const finish = (input, entry) => {
+    if (checkpoint) fs.appendFileSync(checkpoint, JSON.stringify({ input, entry }) + '\n');
+    if (onResult) onResult(entry);
+    return entry;
+  };
+
+  const profileOne = async (input) => {
+    let address = input;
     const entry = { address, chain };
 
     // Resolve ENS names
@@ -511,18 +989,14 @@ export async function batchProfile(api, params = {}) {
         entry.address = address;
       } catch (err) {
         entry.error = err.message;
-        results.push(entry);
-        if (i < addresses.length - 1) await sleep(delayMs);
-        continue;
+        return entry;
       }
     }
 
     const validation = validateAddress(address, chain);
     if (!validation.valid) {
       entry.error = validation.error;
-      results.push(entry);
-      if (i < addresses.length - 1) await sleep(delayMs);
-      continue;
+      return entry;
     }
     try {
       if (include.includes('labels')) {
@@ -536,15 +1010,34 @@ export async function batchProfile(api, params = {}) {
       }
     } catch (err) {
       entry.error = err.message;
+      if (BATCH_FATAL_CODES.has(err.code)) fatal = fatal || err;
     }
-    results.push(entry);
-    if (i < addresses.length - 1) await sleep(delayMs);
+    return entry;
+  };
+
+  const inputs = addresses.map(a => a.trim());
+  // Entries from an earlier run are reported first, then new ones as they finish
+  for (const input of inputs) {
+    if (done.has(input) && onResult) onResult(done.get(input));
   }
-  return { results, total: addresses.length, completed: results.filter(r => !r.error).length };
+  const results = await mapConcurrent(inputs, fanOut(api), async (input) => {
+    if (done.has(input)) return done.get(input);
+    if (fatal) return finish(input, { address: input, chain, error: `Not attempted: ${fatal.message}` });
+    return finish(input, await profileOne(input));
+  });
+
+  const failed = results.filter(r => r.error).map(r => ({ address: r.address, error: r.error }));
+  return {
+    results,
+    total: addresses.length,
+    completed: results.length - failed.length,
+    resumed: inputs.filter(input => done.has(input)).length,
+    failed,
+  };
 }
 
 export async function traceCounterparties(api, params = {}) {
-  let { address, chain = 'ethereum', depth = 2, width = 10, days = 30, delayMs = 1000 } = params;
+  let { address, chain = 'ethereum', depth = 2, width = 10, days = 30 } = params;
   if (!address) {
     throw new NansenError('address is required for trace', ErrorCode.MISSING_PARAM);
   }
@@ -567,20 +1060,21 @@ export async function traceCounterparties(api, params = {}) {
   const visited = new Set();
   const nodes = [];
   const edges = [];
-  const queue = [{ addr: address, hop: 0 }];
   visited.add(address);
   nodes.push(address);
 
-  while (queue.length > 0) {
-    const { addr, hop } = queue.shift();
-    if (hop >= clampedDepth) continue;
-
-    try {
-      const result = await api.addressCounterparties({
-        address: addr, chain, days,
-        pagination: { page: 1, per_page: width },
-      });
-
+  // Breadth-first, one hop at a time: a hop's addresses are fetched
+  // concurrently, then merged in order so the graph is deterministic.
+  let frontier = [address];
+  for (let hop = 0; hop < clampedDepth && frontier.length > 0; hop++) {
+    const pages = await mapConcurrent(frontier, fanOut(api), (addr) => api.addressCounterparties({
+      address: addr, chain, days,
+      pagination: { page: 1, per_page: width },
+    }).catch(() => null)); // Skip addresses that fail (404, etc) but continue the traversal
+
+    const next = [];
+    frontier.forEach((addr, i) => {
+      const result = pages[i];
       const counterparties = result?.data?.results || result?.counterparties || result?.data || [];
       const items = Array.isArray(counterparties) ? counterparties.slice(0, width) : [];
 
@@ -598,14 +1092,11 @@ export async function traceCounterparties(api, params = {}) {
         if (!visited.has(cpAddr)) {
           visited.add(cpAddr);
           nodes.push(cpAddr);
-          queue.push({ addr: cpAddr, hop: hop + 1 });
+          next.push(cpAddr);
         }
       }
-    } catch {
-      // Skip addresses that fail (404, etc) but continue the traversal
-    }
-
-    if (queue.length > 0) await sleep(delayMs);
+    });
+    frontier = next;
   }
 
   return {
@@ -615,60 +1106,307 @@ export async function traceCounterparties(api, params = {}) {
   };
 }
 
+export const COMPARE_MAX_ADDRESSES = 50;
+
+// Related-wallet relations that mean "this wallet was funded by that address"
+const FUNDER_RELATION = /funder|funded by/i;
+
+const round4 = (n) => Math.round(n * 10000) / 10000;
+
+const jaccard = (a, b) => {
+  const union = new Set([...a, ...b]).size;
+  if (union === 0) return 0;
+  let shared = 0;
+  for (const item of a) if (b.has(item)) shared++;
+  return round4(shared / union);
+};
+
+/**
+ * Compare N wallets: pairwise Jaccard overlap of counterparties and held
+ * tokens, how much of each wallet's balance sits in tokens another wallet in
+ * the set also holds, and funding sources shared by two or more wallets.
+ * A failed lookup counts as empty and is listed in `failed`; errors that would
+ * fail every lookup (BATCH_FATAL_CODES) are thrown instead.
+ *
+ * @param {object} api - NansenAPI instance
+ * @param {object} params
+ * @param {string[]} params.addresses - 2 to COMPARE_MAX_ADDRESSES addresses
+ * @param {string} [params.chain='ethereum']
+ * @param {number} [params.days=30] - Counterparty lookback
+ * @returns {Promise<object>} { addresses, chain, overlap, pairs, shared_counterparties, shared_tokens, balances, common_funders, failed }
+ */
 export async function compareWallets(api, params = {}) {
-  const { addresses = [], chain = 'ethereum', days = 30, delayMs = 1000 } = params;
-  if (addresses.length !== 2) {
-    throw new NansenError('Exactly 2 addresses are required for comparison', ErrorCode.INVALID_PARAMS);
+  const { chain = 'ethereum', days = 30 } = params;
+  const addresses = [...new Set(params.addresses || [])];
+  if (addresses.length < 2) {
+    throw new NansenError('At least 2 distinct addresses are required for comparison', ErrorCode.INVALID_PARAMS);
+  }
+  if (addresses.length > COMPARE_MAX_ADDRESSES) {
+    throw new NansenError(`Compare is limited to ${COMPARE_MAX_ADDRESSES} addresses`, ErrorCode.INVALID_PARAMS);
   }
-  const [addr1, addr2] = addresses;
-  for (const addr of [addr1, addr2]) {
+  for (const addr of addresses) {
     const validation = validateAddress(addr, chain);
     if (!validation.valid) {
       throw new NansenError(validation.error, ErrorCode.INVALID_ADDRESS);
     }
   }
 
-  // Fetch counterparties and balances for both addresses
-  const [cp1, cp2] = await Promise.all([
-    api.addressCounterparties({ address: addr1, chain, days }).catch(() => null),
-    api.addressCounterparties({ address: addr2, chain, days }).catch(() => null),
-  ]);
-  await sleep(delayMs);
-  const [bal1, bal2] = await Promise.all([
-    api.addressBalance({ address: addr1, chain }).catch(() => null),
-    api.addressBalance({ address: addr2, chain }).catch(() => null),
-  ]);
-
-  // Extract counterparty addresses
-  const extractCps = (result) => {
-    const list = result?.data?.results || result?.counterparties || result?.data || [];
+  // Fetch counterparties, balances and related wallets for every address; the API's scheduler paces them
+  const errors = addresses.map(() => ({}));
+  const lookup = (i, name, call) => call.catch((err) => {
+    if (BATCH_FATAL_CODES.has(err.code)) throw err;
+    errors[i][name] = err.message;
+    return null;
+  });
+  const fetched = await Promise.all(addresses.map((address, i) => Promise.all([
+    lookup(i, 'counterparties', api.addressCounterparties({ address, chain, days })),
+    lookup(i, 'balance', api.addressBalance({ address, chain })),
+    api.addressRelatedWallets ? lookup(i, 'related_wallets', api.addressRelatedWallets({ address, chain })) : null,
+  ])));
+  const failed = addresses.flatMap((address, i) => ['counterparties', 'balance', 'related_wallets']
+    .filter(name => errors[i][name] !== undefined)
+    .map(name => ({ address, lookup: name, error: errors[i][name] })));
+
+  const extractList = (result, key) => {
+    const list = result?.data?.results || result?.[key] || result?.data || [];
     return Array.isArray(list) ? list : [];
   };
-  const cps1 = extractCps(cp1);
-  const cps2 = extractCps(cp2);
-  const cpAddrs1 = new Set(cps1.map(c => c.counterparty_address || c.address || c.counterparty).filter(Boolean));
-  const cpAddrs2 = new Set(cps2.map(c => c.counterparty_address || c.address || c.counterparty).filter(Boolean));
-  const sharedCpAddrs = [...cpAddrs1].filter(a => cpAddrs2.has(a));
-
-  // Extract token holdings
-  const extractTokens = (result) => {
-    const list = result?.data?.results || result?.balances || result?.data || [];
-    return Array.isArray(list) ? list : [];
+  const wallets = fetched.map(([cp, bal, related], i) => {
+    const tokens = extractList(bal, 'balances');
+    return {
+      address: addresses[i],
+      counterparties: new Set(extractList(cp, 'counterparties').map(c => c.counterparty_address || c.address || c.counterparty).filter(Boolean)),
+      tokens,
+      symbols: new Set(tokens.map(t => t.token_symbol).filter(Boolean)),
+      funders: extractList(related, 'related_wallets').filter(r => r.address && FUNDER_RELATION.test(r.relation || '')),
+    };
+  });
+
+  // Pairwise overlap; rows and columns follow `addresses`
+  const matrix = () => wallets.map(() => wallets.map(() => 1));
+  const overlap = { counterparties: matrix(), tokens: matrix() };
+  const pairs = [];
+  for (let i = 0; i < wallets.length; i++) {
+    for (let j = i + 1; j < wallets.length; j++) {
+      const a = wallets[i];
+      const b = wallets[j];
+      const cpScore = jaccard(a.counterparties, b.counterparties);
+      const tokenScore = jaccard(a.symbols, b.symbols);
+      overlap.counterparties[i][j] = overlap.counterparties[j][i] = cpScore;
+      overlap.tokens[i][j] = overlap.tokens[j][i] = tokenScore;
+      pairs.push({
+        addresses: [a.address, b.address],
+        counterparty_jaccard: cpScore,
+        token_jaccard: tokenScore,
+        shared_counterparties: [...a.counterparties].filter(x => b.counterparties.has(x)).length,
+        shared_tokens: [...a.symbols].filter(x => b.symbols.has(x)).length,
+      });
+    }
+  }
+  pairs.sort((x, y) => (y.counterparty_jaccard + y.token_jaccard) - (x.counterparty_jaccard + x.token_jaccard));
+
+  // A token counts as shared for a wallet when any other wallet in the set also holds it
+  const holders = new Map();
+  for (const w of wallets) for (const sym of w.symbols) holders.set(sym, (holders.get(sym) || 0) + 1);
+  const usd = (t) => t.value_usd ?? t.balance_usd ?? 0;
+  const balances = wallets.map(w => {
+    const total = w.tokens.reduce((sum, t) => sum + usd(t), 0);
+    const shared = w.tokens.filter(t => holders.get(t.token_symbol) > 1).reduce((sum, t) => sum + usd(t), 0);
+    return {
+      address: w.address,
+      total_usd: total,
+      shared_token_usd: shared,
+      shared_token_pct: total > 0 ? Math.round((shared / total) * 10000) / 100 : 0,
+    };
+  });
+
+  const funders = new Map();
+  for (const w of wallets) {
+    for (const f of w.funders) {
+      const entry = funders.get(f.address) || { address: f.address, label: f.address_label || null, funded: [] };
+      if (!entry.funded.includes(w.address)) entry.funded.push(w.address);
+      funders.set(f.address, entry);
+    }
+  }
+  const commonFunders = [...funders.values()]
+    .filter(f => f.funded.length > 1)
+    .sort((a, b) => b.funded.length - a.funded.length);
+
+  const inAll = (key) => [...wallets[0][key]].filter(x => wallets.every(w => w[key].has(x)));
+
+  return {
+    addresses, chain,
+    overlap,
+    pairs,
+    shared_counterparties: inAll('counterparties'),
+    shared_tokens: inAll('symbols'),
+    balances,
+    common_funders: commonFunders,
+    failed,
   };
-  const tokens1 = extractTokens(bal1);
-  const tokens2 = extractTokens(bal2);
-  const tokenSyms1 = new Set(tokens1.map(t => t.token_symbol).filter(Boolean));
-  const tokenSyms2 = new Set(tokens2.map(t => t.token_symbol).filter(Boolean));
-  const sharedTokens = [...tokenSyms1].filter(s => tokenSyms2.has(s));
+}
+
+// Evidence weights for profiler cluster. A member's confidence is the noisy-OR
+// of its evidence, each weight scaled by the confidence of the member it came from.
+export const CLUSTER_WEIGHTS = {
+  'multisig signer': 0.7,
+  'first funder': 0.6,
+  'funded by': 0.6,
+  'funded': 0.5,
+  'deployed via': 0.4,
+  related: 0.3,
+  shared_funder: 0.5,
+  counterparty: 0.15,
+  two_way_counterparty: 0.3,
+};
+
+// Exchanges, routers and other shared infrastructure touch everyone; they are
+// reported as excluded rather than pulled into the cluster.
+const SERVICE_LABEL = /\b(exchange|cex|dex|router|bridge|hot wallet|deposit|contract|protocol)\b/i;
+
+const labelText = (label) => (Array.isArray(label) ? label.join(', ') : label) || null;
+
+/**
+ * Resolve a likely-same-owner cluster around a seed address.
+ *
+ * Breadth-first like traceCounterparties, but only addresses that reach the
+ * confidence threshold are expanded, so the crawl stays on the cluster.
+ * Evidence comes from related wallets (first funder, funded, multisig signer,
+ * deployer), wallets sharing a funder with a member, and counterparties
+ * (two-way flows count double).
+ *
+ * @param {object} api - NansenAPI instance
+ * @param {object} params
+ * @param {string} params.address - Seed address or ENS name
+ * @param {string} [params.chain='ethereum']
+ * @param {number} [params.depth=2] - Hops to crawl (1-3)
+ * @param {number} [params.width=10] - Related wallets and counterparties read per address
+ * @param {number} [params.days=30] - Counterparty lookback
+ * @param {number} [params.threshold=0.5] - Minimum confidence (0-1) to include and expand a member
+ * @returns {Promise<object>} { seed, chain, threshold, members, excluded, stats }
+ */
+export async function clusterWallet(api, params = {}) {
+  let { address, chain = 'ethereum', depth = 2, width = 10, days = 30, threshold = 0.5 } = params;
+  if (!address) {
+    throw new NansenError('address is required for cluster', ErrorCode.MISSING_PARAM);
+  }
+  if (!(threshold >= 0 && threshold <= 1)) {
+    throw new NansenError(`Invalid threshold: ${threshold}. Use a confidence between 0 and 1.`, ErrorCode.INVALID_PARAMS);
+  }
+
+  if (isEnsName(address)) {
+    try {
+      const resolved = await resolveAddress(address, chain);
+      address = resolved.address;
+    } catch (err) {
+      throw new NansenError(err.message, ErrorCode.INVALID_ADDRESS);
+    }
+  }
+  const validation = validateAddress(address, chain);
+  if (!validation.valid) {
+    throw new NansenError(validation.error, ErrorCode.INVALID_ADDRESS);
+  }
+  const clampedDepth = Math.max(1, Math.min(depth, 3));
+
+  // address -> { address, label, hop, score, reasons }
+  const candidates = new Map([[address, { address, label: null, hop: 0, score: 1, reasons: [{ kind: 'seed' }] }]]);
+  const excluded = new Map();
+  const fundersOf = new Map(); // member -> Set of funder addresses
+  const expanded = new Set();
+
+  const addEvidence = (target, { hop, label, reason }) => {
+    if (target === address) return;
+    if (label && SERVICE_LABEL.test(label)) {
+      if (!excluded.has(target)) excluded.set(target, { address: target, label, reason: 'service address', via: reason.via });
+      return;
+    }
+    const entry = candidates.get(target) || { address: target, label: null, hop, score: 0, reasons: [] };
+    if (!entry.label && label) entry.label = label;
+    entry.reasons.push(reason);
+    entry.score = 1 - entry.reasons.reduce((keep, r) => keep * (1 - r.weight), 1);
+    candidates.set(target, entry);
+  };
+
+  let frontier = [address];
+  for (let hop = 0; hop < clampedDepth && frontier.length > 0; hop++) {
+    frontier.forEach(addr => expanded.add(addr));
+    const pages = await mapConcurrent(frontier, fanOut(api), (addr) => Promise.all([
+      api.addressRelatedWallets({ address: addr, chain, pagination: { page: 1, per_page: width } }).catch(() => null),
+      api.addressCounterparties({ address: addr, chain, days, pagination: { page: 1, per_page: width } }).catch(() => null),
+    ]));
+
+    frontier.forEach((addr, i) => {
+      const [related, counterparties] = pages[i];
+      const source = candidates.get(addr).score;
+      const list = (result, key) => {
+        const rows = result?.data?.results || result?.[key] || result?.data || [];
+        return Array.isArray(rows) ? rows.slice(0, width) : [];
+      };
+
+      for (const row of list(related, 'related_wallets')) {
+        if (!row.address) continue;
+        const relation = String(row.relation || 'related');
+        const weight = (CLUSTER_WEIGHTS[relation.toLowerCase()] ?? CLUSTER_WEIGHTS.related) * source;
+        addEvidence(row.address, {
+          hop: hop + 1,
+          label: labelText(row.address_label),
+          reason: { kind: 'related_wallet', relation, via: addr, weight: round4(weight) },
+        });
+        if (FUNDER_RELATION.test(relation)) {
+          if (!fundersOf.has(addr)) fundersOf.set(addr, new Set());
+          fundersOf.get(addr).add(row.address);
+        }
+        // addr funded row.address: any member addr also funded is a sibling
+        if (/^funded$/i.test(relation)) {
+          for (const [member, funders] of fundersOf) {
+            if (member === row.address || !funders.has(addr)) continue;
+            addEvidence(row.address, {
+              hop: hop + 1,
+              label: labelText(row.address_label),
+              reason: { kind: 'shared_funder', funder: addr, via: member, weight: round4(CLUSTER_WEIGHTS.shared_funder * candidates.get(member).score) },
+            });
+          }
+        }
+      }
+
+      for (const cp of list(counterparties, 'counterparties')) {
+        const cpAddr = cp.counterparty_address || cp.address || cp.counterparty;
+        if (!cpAddr) continue;
+        const twoWay = (cp.volume_in_usd || 0) > 0 && (cp.volume_out_usd || 0) > 0;
+        const weight = (twoWay ? CLUSTER_WEIGHTS.two_way_counterparty : CLUSTER_WEIGHTS.counterparty) * source;
+        addEvidence(cpAddr, {
+          hop: hop + 1,
+          label: labelText(cp.counterparty_address_label),
+          reason: {
+            kind: 'counterparty', via: addr, two_way: twoWay,
+            interaction_count: cp.interaction_count ?? cp.transaction_count ?? cp.tx_count ?? 0,
+            weight: round4(weight),
+          },
+        });
+      }
+    });
+
+    frontier = [...candidates.values()]
+      .filter(c => c.score >= threshold && !expanded.has(c.address))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, width)
+      .map(c => c.address);
+  }
+
+  const members = [...candidates.values()]
+    .filter(c => c.score >= threshold)
+    .map(c => ({ ...c, score: round4(c.score) }))
+    .sort((a, b) => b.score - a.score || a.hop - b.hop);
 
   return {
-    addresses: [addr1, addr2], chain,
-    shared_counterparties: sharedCpAddrs,
-    shared_tokens: sharedTokens,
-    balances: [
-      { address: addr1, total_usd: tokens1.reduce((sum, t) => sum + (t.value_usd ?? t.balance_usd ?? 0), 0) },
-      { address: addr2, total_usd: tokens2.reduce((sum, t) => sum + (t.value_usd ?? t.balance_usd ?? 0), 0) },
-    ],
+    seed: address, chain, threshold, depth: clampedDepth,
+    members,
+    excluded: [...excluded.values()],
+    stats: {
+      addresses_crawled: expanded.size,
+      candidates_scored: candidates.size - 1,
+      below_threshold: candidates.size - members.length,
+    },
   };
 }
 
@@ -686,17 +1424,34 @@ COMMANDS:
   account     Show API key status, plan, and remaining credits
   login       Save API key (--api-key <key> or NANSEN_API_KEY env var)
   logout      Remove saved API key
-  schema      JSON schema for all commands (use "nansen schema <cmd>" for one)
-  cache       clear
+  schema      JSON schema for all commands (use "nansen schema <cmd>" for one, --as openai-tools for tool specs)
+  mcp         Run as an MCP server over stdio (--allow-trading for trade/wallet tools)
+  serve       Local HTTP gateway: GET/POST /research/<category>/<sub> (--port N)
+  shell       Interactive REPL: context, tab completion, history, pipes (holders | profile top 10)
+  completion  bash | zsh | fish tab-completion script (source <(nansen completion bash))
+  mock        Offline mock of the Nansen API, trading API and RPCs (--port N --seed N)
+  profile     create | use | list | delete named configs (--profile <name>)
+  cache       clear | stats | list | prune
+  watchlist   create | add | remove | delete | list | import | export (use as --address @name)
+  diff        <name> [--since 24h] — what changed between runs saved with --snapshot <name>
   changelog   --since <version> to filter
 
 OPTIONS: --chain --limit --sort field:dir --fields a,b --days N --filters '{}'
-FORMAT:  --pretty --table --format csv --stream (NDJSON)
-RETRY:   --no-retry --retries N --cache --cache-ttl N
+FORMAT:  --pretty --table --format csv|markdown|html|parquet|arrow --stream (NDJSON)
+OUTPUT:  --output <file.json|.ndjson|.csv|.md|.html|.parquet|.arrow> ({chain} {date} {page} in the path) --append
+PAGES:   --all (walk every page) --max-pages N
+SAVE:    --snapshot <name> (store rows in ~/.nansen/snapshots for nansen diff)
+WATCH:   --watch 30s (NDJSON added/removed/changed events) --watch-key a,b --max-polls N
+QUERY:   --where 'value_usd > 10000 and label contains "Fund"' --sort-local expr:desc
+         --compute 'name=expr' (runs on rows before any output format)
+RETRY:   --no-retry --retries N --cache --cache-ttl N --cache-max-size 50mb --stale-ok
+RATE:    --concurrency N (in flight, default 4) --rps N (requests/sec, default uncapped)
+REPLAY:  --record <dir> (capture HTTP, secrets scrubbed) --replay <dir> (offline, strict)
 
 EXAMPLES:
   nansen research smart-money netflow --chain solana
   nansen research token screener --chain solana --timeframe 24h
+  nansen research smart-money dex-trades --chain base --watch 1m
   nansen research profiler balance --address 0x... --chain ethereum
   nansen trade quote --chain base --from ETH --to USDC --amount 1000000000000000000
 
@@ -763,15 +1518,33 @@ export function buildCommands(deps = {}) {
     api: _api = null,
     promptFn = prompt,
     log = console.log,
-    errorOutput: _errorOutput = console.error,
+    errorOutput = console.error,
     NansenAPIClass: _NansenAPIClass = NansenAPI,
     saveConfigFn = saveConfig,
     deleteConfigFn = deleteConfig,
     getConfigFileFn = getConfigFile,
     exit = process.exit,
-    isTTY = process.stdin.isTTY
+    isTTY = process.stdin.isTTY,
+    mcpInput = process.stdin,
+    mcpOutput = process.stdout,
+    shellInput = process.stdin,
+    shellOutput = process.stdout,
+    shellHistoryFile,
+    onServerListening = () => {}
   } = deps;
 
+  // Split a plain params object (MCP arguments, gateway query/body) into the
+  // (flags, options) pair the command handlers expect: booleans are flags.
+  const splitParams = (params) => {
+    const flags = {};
+    const options = {};
+    for (const [key, value] of Object.entries(params)) {
+      if (typeof value === 'boolean') flags[key] = value;
+      else if (value !== undefined && value !== null) options[key] = value;
+    }
+    return { flags, options };
+  };
+
   const cmds = {
     'account': async (_args, apiInstance, _flags, _options) => {
       return apiInstance.getAccount();
@@ -923,10 +1696,25 @@ export function buildCommands(deps = {}) {
       }
     },
 
-    'schema': async (args, _apiInstance, flags, _options) => {
+    'schema': async (args, _apiInstance, flags, options) => {
       const subcommand = args[0];
       const schemaEntry = subcommand && (SCHEMA.commands[subcommand] || SCHEMA.commands.research.subcommands[subcommand]);
 
+      // --as: function-calling specs for agent frameworks, optionally for one command
+      if (options.as !== undefined) {
+        if (!SCHEMA_FORMATS.includes(options.as)) {
+          const suggestions = typeof options.as === 'string' ? didYouMean(options.as, SCHEMA_FORMATS, 1) : [];
+          throw new NansenError(
+            `Unknown --as ${JSON.stringify(options.as)}${suggestions.length ? ` (did you mean ${suggestions[0]}?)` : ''}. Use: ${SCHEMA_FORMATS.join(', ')}`,
+            ErrorCode.INVALID_PARAMS,
+          );
+        }
+        if (subcommand && !schemaEntry) {
+          throw new NansenError(`Unknown command: ${subcommand}`, ErrorCode.INVALID_PARAMS);
+        }
+        return exportSchema(options.as, SCHEMA, { allowTrading: !!flags['allow-trading'], command: subcommand, version: VERSION });
+      }
+
       if (schemaEntry) {
         return {
           command: subcommand,
@@ -944,7 +1732,175 @@ export function buildCommands(deps = {}) {
       return compactSchema(SCHEMA);
     },
 
-    'cache': async (args, _apiInstance, _flags, _options) => {
+    'mcp': async (_args, apiInstance, flags, _options) => {
+      const tools = buildMcpTools(SCHEMA, { allowTrading: !!flags['allow-trading'] });
+
+      // Dispatch a tool call through the same handlers the CLI uses. Trade and
+      // wallet handlers print instead of returning, so their output is captured.
+      const callTool = async (tool, toolArgs) => {
+        const logged = [];
+        let exitCode = 0;
+        const toolDeps = { ...deps, log: (...parts) => logged.push(parts.join(' ')), exit: (code) => { exitCode = code; } };
+        const toolCmds = { ...buildCommands(toolDeps), ...buildWalletCommands(toolDeps) };
+        const { flags: toolFlags, options: toolOptions } = splitParams(toolArgs);
+        const [command, ...subArgs] = tool.command;
+        try {
+          let result = await toolCmds[command](subArgs, apiInstance, toolFlags, toolOptions);
+          if (result === undefined) {
+            return { text: logged.join('\n'), isError: exitCode !== 0 };
+          }
+          const fields = parseFields(toolOptions.fields);
+          if (fields) result = filterFields(result, fields);
+          return { text: JSON.stringify({ success: true, data: result }) };
+        } catch (error) {
+          return { text: JSON.stringify(formatError(error)), isError: true };
+        }
+      };
+
+      const server = createMcpServer({ tools, callTool, version: VERSION });
+      errorOutput(`nansen MCP server listening on stdio (${tools.length} tools)`);
+      await serveStdio(server, { input: mcpInput, output: mcpOutput });
+    },
+
+    'shell': async (_args, apiInstance, flags) => {
+      // Every line runs through runCLI on this one client, so the cache,
+      // rate limits and retry budget carry over from command to command
+      const outputFlags = ['pretty', 'table'].filter(flag => flags[flag]);
+      await startShell({
+        schema: SCHEMA,
+        aliases: RESEARCH_CATEGORY_ALIASES,
+        defaultArgs: outputFlags.map(flag => `--${flag}`),
+        input: shellInput,
+        output: shellOutput,
+        historyFile: shellHistoryFile,
+        print: log,
+        render: (envelope) => formatOutput(envelope, { pretty: flags.pretty, table: flags.table }).text,
+        formatError,
+        execute: (args, { print }) => runCLI(args, { ...deps, api: apiInstance, output: print ? log : () => {}, exit: () => {} }),
+      });
+    },
+
+    'completion': async (args, _apiInstance, _flags, options) => {
+      // --list is what the scripts call back into on every Tab
+      if (options.list !== undefined) {
+        if (!COMPLETION_LISTS.includes(options.list)) {
+          throw new NansenError(`Invalid --list: ${options.list}. Available: ${COMPLETION_LISTS.join(', ')}`, ErrorCode.INVALID_PARAMS);
+        }
+        try {
+          const names = options.list === 'wallets'
+            ? listWallets().wallets.map(w => w.name)
+            : listQuotes().map(q => q.quoteId);
+          if (names.length) log(names.join('\n'));
+        } catch {
+          // An unreadable wallet or quote file must not end up as a completion
+        }
+        return;
+      }
+      const shell = args[0];
+      if (!COMPLETION_SHELLS.includes(shell)) {
+        throw new NansenError(`Usage: nansen completion ${COMPLETION_SHELLS.join('|')}`, shell ? ErrorCode.INVALID_PARAMS : ErrorCode.MISSING_PARAM);
+      }
+      log(generateCompletion(shell, SCHEMA, {
+        aliases: COMMAND_ALIASES,
+        commands: Object.keys(cmds),
+        flags: [...BOOLEAN_FLAGS],
+      }).trimEnd());
+    },
+
+    'serve': async (_args, apiInstance, flags, options) => {
+      const port = options.port !== undefined ? parseInt(options.port, 10) : 8787;
+      const host = options.host || '127.0.0.1';
+      if (Number.isNaN(port) || port < 0 || port > 65535) {
+        throw new NansenError(`Invalid --port: ${options.port}`, ErrorCode.INVALID_PARAMS);
+      }
+
+      // One shared client: cache hits and rate-limit backoff are pooled across
+      // every caller. Caching is on unless --no-cache is passed.
+      apiInstance.cacheOptions = { ...apiInstance.cacheOptions, enabled: !flags['no-cache'] };
+
+      const dispatch = async (researchArgs, params) => {
+        const { flags: reqFlags, options: reqOptions } = splitParams(params);
+        try {
+          const category = RESEARCH_CATEGORY_ALIASES[researchArgs[0]] || researchArgs[0];
+          if (!RESEARCH_CATEGORIES.has(category)) {
+            throw new NansenError(`Unknown research category: ${researchArgs[0]}. Available: ${[...RESEARCH_CATEGORIES].join(', ')}`, ErrorCode.NOT_FOUND, 404);
+          }
+          // Only the command's own research options: HTTP callers never get
+          // the ones that read or write local files
+          const found = findResearchCommand(researchArgs, SCHEMA, RESEARCH_CATEGORY_ALIASES);
+          if (found) {
+            const allowed = new Set([...Object.keys(found.spec.options || {}), ...Object.keys(SCHEMA.researchOptions), 'fields']);
+            const rejected = Object.keys(params).filter(key => !allowed.has(key) || GATEWAY_FILE_OPTIONS.has(key));
+            if (rejected.length) {
+              throw new NansenError(`Not accepted by the gateway: ${rejected.join(', ')}`, ErrorCode.INVALID_PARAMS, null, { rejected });
+            }
+          }
+          let result = await cmds.research(researchArgs, apiInstance, reqFlags, reqOptions);
+          // Category handlers report unknown subcommands in-band; surface them as 404s
+          if (result && typeof result === 'object' && result.error && result.available) {
+            throw new NansenError(result.error, ErrorCode.NOT_FOUND, 404, { available: result.available });
+          }
+          const fields = parseFields(reqOptions.fields);
+          if (fields) result = filterFields(result, fields);
+          return { success: true, data: result };
+        } catch (error) {
+          return formatError(error);
+        }
+      };
+
+      const server = await startGateway(createGatewayHandler({ dispatch, version: VERSION, host }), { port, host });
+      const { port: boundPort } = server.address();
+      errorOutput(`nansen gateway listening on http://${host}:${boundPort} (routes: /research/<category>/<subcommand>, /health)`);
+      if (!['127.0.0.1', 'localhost', '::1'].includes(host)) {
+        errorOutput(`Warning: --host ${host} exposes your API key's credits to anyone who can reach this port.`);
+      }
+
+      await new Promise((resolve) => {
+        const stop = () => server.close();
+        process.once('SIGINT', stop);
+        process.once('SIGTERM', stop);
+        server.once('close', () => {
+          process.off('SIGINT', stop);
+          process.off('SIGTERM', stop);
+          resolve();
+        });
+        onServerListening(server);
+      });
+    },
+
+    'mock': async (_args, _apiInstance, _flags, options) => {
+      const port = options.port !== undefined ? parseInt(options.port, 10) : 8788;
+      const host = options.host || '127.0.0.1';
+      if (Number.isNaN(port) || port < 0 || port > 65535) {
+        throw new NansenError(`Invalid --port: ${options.port}`, ErrorCode.INVALID_PARAMS);
+      }
+      const seed = options.seed !== undefined ? parseInt(options.seed, 10) : DEFAULT_MOCK_SEED;
+      if (Number.isNaN(seed)) {
+        throw new NansenError(`Invalid --seed: ${options.seed}`, ErrorCode.INVALID_PARAMS);
+      }
+
+      const server = await startGateway(createMockHandler({ seed, apiKey: options['api-key'] || null }), { port, host });
+      const { port: boundPort } = server.address();
+      const baseUrl = `http://${host}:${boundPort}`;
+      errorOutput(`nansen mock server listening on ${baseUrl} (seed ${seed}; routes: /api/..., /quote, /execute, /rpc/<chain>)`);
+      for (const [name, value] of Object.entries(mockServerEnv(baseUrl))) {
+        log(`export ${name}=${value}`);
+      }
+
+      await new Promise((resolve) => {
+        const stop = () => server.close();
+        process.once('SIGINT', stop);
+        process.once('SIGTERM', stop);
+        server.once('close', () => {
+          process.off('SIGINT', stop);
+          process.off('SIGTERM', stop);
+          resolve();
+        });
+        onServerListening(server);
+      });
+    },
+
+    'cache': async (args, _apiInstance, _flags, options) => {
       const subcommand = args[0] || 'help';
       
       const handlers = {
@@ -953,14 +1909,22 @@ export function buildCommands(deps = {}) {
           log(`✓ Cleared ${count} cached responses`);
           log(`  Cache dir: ${getCacheDir()}`);
         },
+        'stats': () => getCacheStats({ maxBytes: resolveCacheMaxBytes(options) }),
+        'list': () => listCache({ endpoint: options.endpoint }),
+        'prune': () => pruneCache({ maxBytes: resolveCacheMaxBytes(options, 'max-size') }),
         'help': () => {
           log('Cache Management\n');
           log('USAGE:');
-          log('  nansen cache clear    Clear all cached responses\n');
+          log('  nansen cache clear    Clear all cached responses');
+          log('  nansen cache stats    Entry count, size, expired entries, size per endpoint');
+          log('  nansen cache list     Entries, most recently used first (--endpoint <substr>)');
+          log('  nansen cache prune    Drop expired entries and shrink to the size limit (--max-size 50mb)\n');
           log('CACHE OPTIONS (for any command):');
-          log('  --cache               Enable caching for this session');
-          log('  --no-cache            Bypass cache for this request');
-          log('  --cache-ttl <seconds> Set cache TTL (default: 300)');
+          log('  --cache                  Enable caching for this session');
+          log('  --no-cache               Bypass cache for this request');
+          log('  --cache-ttl <seconds>    Override the per-endpoint TTL (5m for flows/trades, up to 3d for OHLCV)');
+          log('  --cache-max-size <size>  LRU size limit, e.g. 50mb (default: 100mb, env NANSEN_CACHE_MAX_SIZE)');
+          log('  --stale-ok               Serve expired entries when the API is unreachable (implies --cache)');
         }
       };
       
@@ -973,6 +1937,13 @@ export function buildCommands(deps = {}) {
       return handlers[subcommand]();
     },
 
+    'diff': async (args, _apiInstance, _flags, options) => {
+      const name = args[0];
+      // No name: what is there to compare
+      if (!name) return listSnapshots();
+      return diffSnapshot(name, { since: options.since, keyFields: parseFields(options.key) ?? undefined });
+    },
+
     'smart-money': async (args, apiInstance, flags, options) => {
       const subcommand = args[0] || 'help';
       const chain = options.chain || 'solana';
@@ -1011,7 +1982,7 @@ export function buildCommands(deps = {}) {
       return handlers[subcommand]();
     },
 
-    'profiler': async (args, apiInstance, flags, options) => {
+    'profiler': async (args, apiInstance, flags, options, context = {}) => {
       const subcommand = args[0] || 'help';
       let address = options.address;
       const entityName = options.entity || options['entity-name'];
@@ -1056,42 +2027,42 @@ export function buildCommands(deps = {}) {
           if (options.addresses) {
             addresses = parseAddressList(options.addresses);
           } else if (options.file) {
-            const content = fs.readFileSync(options.file, 'utf8');
-            try {
-              const parsed = JSON.parse(content);
-              if (!Array.isArray(parsed)) {
-                throw new NansenError('File must contain a JSON array of address strings or one address per line', ErrorCode.INVALID_PARAMS);
-              }
-              if (!parsed.every(item => typeof item === 'string')) {
-                throw new NansenError('File must contain a JSON array of address strings or one address per line', ErrorCode.INVALID_PARAMS);
-              }
-              addresses = parsed.map(a => a.trim()).filter(Boolean);
-            } catch (e) {
-              if (e instanceof NansenError) throw e;
-              addresses = content.split('\n').map(a => a.trim()).filter(Boolean);
-            }
+            addresses = readAddressFile(options.file);
           }
           if (addresses.length > 100) {
             throw new NansenError('Batch is limited to 100 addresses', ErrorCode.INVALID_PARAMS);
           }
           const include = options.include ? options.include.split(',').map(s => s.trim()) : ['labels', 'balance'];
-          const delayMs = options.delay ? parseInt(options.delay) : 1000;
-          return batchProfile(apiInstance, { addresses, chain, include, delayMs });
+          return batchProfile(apiInstance, { addresses, chain, include, checkpoint: options.checkpoint, onResult: context.onRecord });
         },
-        'trace': () => {
+        'trace': async () => {
           const depth = options.depth ? Math.max(1, Math.min(parseInt(options.depth), 5)) : 2;
           const width = options.width ? parseInt(options.width) : 10;
-          const delayMs = options.delay ? parseInt(options.delay) : 1000;
-          return traceCounterparties(apiInstance, { address, chain, depth, width, days, delayMs });
+          const graphFormat = options['graph-format'];
+          if (graphFormat !== undefined && !GRAPH_FORMATS.includes(graphFormat)) {
+            throw new NansenError(`Invalid --graph-format: ${graphFormat}. Must be one of: ${GRAPH_FORMATS.join(', ')}`, ErrorCode.INVALID_PARAMS);
+          }
+          const trace = await traceCounterparties(apiInstance, { address, chain, depth, width, days });
+          if (!graphFormat) return trace;
+          // Graph documents are printed as-is so they can be piped into dot, Gephi, etc.
+          const graph = await decorateGraph(apiInstance, trace, { noCache: !!flags['no-cache'] });
+          log(formatGraph(graph, graphFormat));
+        },
+        'cluster': () => {
+          const depth = options.depth ? parseInt(options.depth) : 2;
+          const width = options.width ? parseInt(options.width) : 10;
+          const threshold = options.threshold !== undefined ? Number(options.threshold) : 0.5;
+          return clusterWallet(apiInstance, { address, chain, depth, width, days, threshold });
         },
         'compare': () => {
-          const addrs = parseAddressList(options.addresses);
+          const addrs = options.addresses ? parseAddressList(options.addresses)
+            : options.file ? readAddressFile(options.file) : [];
           return compareWallets(apiInstance, { addresses: addrs, chain, days });
         },
         'help': () => ({
-          commands: ['balance', 'labels', 'transactions', 'pnl', 'search', 'historical-balances', 'related-wallets', 'counterparties', 'pnl-summary', 'perp-positions', 'perp-trades', 'batch', 'trace', 'compare'],
+          commands: ['balance', 'labels', 'transactions', 'pnl', 'search', 'historical-balances', 'related-wallets', 'counterparties', 'pnl-summary', 'perp-positions', 'perp-trades', 'batch', 'trace', 'cluster', 'compare'],
           description: 'Wallet profiling endpoints',
-          example: 'nansen research profiler compare --addresses "0xABC...,0xDEF..." --chain ethereum'
+          example: 'nansen research profiler compare --addresses "0xABC...,0xDEF...,0x123..." --chain ethereum'
         })
       };
 
@@ -1176,8 +2147,23 @@ export function buildCommands(deps = {}) {
         'perp-trades': () => apiInstance.tokenPerpTrades({ tokenSymbol, filters, orderBy, pagination, days }),
         'perp-positions': () => apiInstance.tokenPerpPositions({ tokenSymbol, filters, orderBy, pagination }),
         'perp-pnl-leaderboard': () => apiInstance.tokenPerpPnlLeaderboard({ tokenSymbol, filters, orderBy, pagination, days }),
+        'dossier': async () => {
+          const dossier = await tokenDossier(apiInstance, { tokenAddress, chain, days });
+          // --report <file> writes Markdown alongside the JSON; a bare --report prints only the Markdown
+          if (flags.report) {
+            log(renderDossierMarkdown(dossier));
+            return;
+          }
+          if (!options.report) return dossier;
+          const markdown = renderDossierMarkdown(dossier);
+          // Temp file + rename so an interrupted run never leaves half a report
+          const tmp = `${options.report}.${process.pid}.tmp`;
+          fs.writeFileSync(tmp, markdown);
+          fs.renameSync(tmp, options.report);
+          return { ...dossier, report: options.report };
+        },
         'help': () => ({
-          commands: ['info', 'ohlcv', 'screener', 'holders', 'flows', 'dex-trades', 'pnl', 'who-bought-sold', 'flow-intelligence', 'transfers', 'jup-dca', 'perp-trades', 'perp-positions', 'perp-pnl-leaderboard'],
+          commands: ['info', 'ohlcv', 'screener', 'holders', 'flows', 'dex-trades', 'pnl', 'who-bought-sold', 'flow-intelligence', 'transfers', 'jup-dca', 'perp-trades', 'perp-positions', 'perp-pnl-leaderboard', 'dossier'],
           description: 'Token God Mode endpoints',
           example: 'nansen token screener --chain solana --timeframe 24h --smart-money'
         })
@@ -1337,7 +2323,7 @@ export function buildCommands(deps = {}) {
   // 'research' delegates to the category handlers defined above
   const RESEARCH_CATEGORIES = new Set(['smart-money', 'profiler', 'token', 'search', 'perp', 'portfolio', 'points', 'prediction-market']);
 
-  cmds['research'] = async (args, apiInstance, flags, options) => {
+  cmds['research'] = async (args, apiInstance, flags, options, context) => {
     const rawCategory = args[0];
     if (!rawCategory || rawCategory === 'help') {
       return {
@@ -1351,7 +2337,7 @@ export function buildCommands(deps = {}) {
     if (!RESEARCH_CATEGORIES.has(category)) {
       throw new NansenError(`Unknown research category: ${rawCategory}. Available: ${[...RESEARCH_CATEGORIES].join(', ')}`, ErrorCode.UNKNOWN);
     }
-    return cmds[category](args.slice(1), apiInstance, flags, options);
+    return cmds[category](args.slice(1), apiInstance, flags, options, context);
   };
 
   // 'trade' delegates to quote/execute from buildTradingCommands
@@ -1459,6 +2445,138 @@ export function generateSubcommandHelp(command, subcommand, prefix = null) {
   return lines.join('\n');
 }
 
+/**
+ * Run a command once per watchlist entry (--address @list, --token @list) and
+ * merge the rows, each tagged with the entry it came from. An entry that fails
+ * is listed in _meta.errors; errors that would fail every entry stop the run.
+ *
+ * @param {{option: string, list: string, entries: object[]}} listFanOut - From expandListReferences
+ * @param {Function} run - async (entryOptions) => command result
+ * @param {object} opts
+ * @param {object} opts.api - For its scheduler's concurrency
+ * @param {boolean} opts.entryChain - Use each entry's chain (no --chain given)
+ */
+async function runListFanOut({ option, list, entries }, run, { api, entryChain }) {
+  const results = await mapConcurrent(entries, fanOut(api), async (entry) => {
+    try {
+      return { entry, result: await run({ [option]: entry.value, ...(entryChain && entry.chain && { chain: entry.chain }) }) };
+    } catch (error) {
+      if (BATCH_FATAL_CODES.has(error.code)) throw error;
+      return { entry, error };
+    }
+  });
+
+  const tag = (entry) => ({
+    watchlist_entry: entry.value,
+    ...(entry.chain && { watchlist_chain: entry.chain }),
+    ...(entry.note && { watchlist_note: entry.note }),
+  });
+  const rows = [];
+  const errors = [];
+  for (const { entry, result, error } of results) {
+    if (error) {
+      errors.push({ ...tag(entry), code: error.code || ErrorCode.UNKNOWN, error: error.message });
+      continue;
+    }
+    const records = locateRecords(result)?.records ?? (result === undefined || result === null ? [] : [result]);
+    rows.push(...records.map(row => ({ ...tag(entry), ...row })));
+  }
+  return { data: rows, _meta: { watchlist: list, entries: entries.length, failed: errors.length, ...(errors.length && { errors }) } };
+}
+
+// Options that shape the rows of a research command, recorded with a snapshot
+const SNAPSHOT_QUERY_OPTIONS = ['fields', 'where', 'sort-local', 'compute', 'all', 'max-pages'];
+
+/**
+ * Check --snapshot before any request and pick the options worth recording
+ * (never credentials such as --x402-payment-signature).
+ * @returns {{name: string, command: string, options: object}}
+ */
+function prepareSnapshot(positional, givenOptions, options) {
+  const found = findResearchCommand(positional, SCHEMA, RESEARCH_CATEGORY_ALIASES);
+  if (!found) {
+    throw new NansenError('--snapshot works with research commands only', ErrorCode.INVALID_PARAMS);
+  }
+  validateSnapshotName(options.snapshot);
+  const recorded = new Set([...Object.keys(found.spec.options || {}), ...Object.keys(SCHEMA.researchOptions), ...SNAPSHOT_QUERY_OPTIONS]);
+  return {
+    name: options.snapshot,
+    command: [found.name, ...found.args].join(' '),
+    options: Object.fromEntries(Object.entries(givenOptions).filter(([name]) => recorded.has(name))),
+  };
+}
+
+/**
+ * Run a research command under --watch until interrupted or --max-polls is
+ * reached, writing one NDJSON event per added, removed or changed row.
+ * @returns {Promise<{polls: number, events: number, errors: number, keyFields: string[]|null}>}
+ */
+async function watchResearch({ commands, command, subArgs, api, flags, options, fields, query, outputTarget, output, sleep }) {
+  if (!findResearchCommand([command, ...subArgs], SCHEMA, RESEARCH_CATEGORY_ALIASES)) {
+    throw new NansenError('--watch works with research commands only', ErrorCode.INVALID_PARAMS);
+  }
+  if (options.watch === undefined) {
+    throw new NansenError('--watch needs an interval, e.g. --watch 30s', ErrorCode.INVALID_PARAMS);
+  }
+  const intervalMs = parseInterval(options.watch);
+  if (intervalMs === null) {
+    throw new NansenError(`Invalid --watch: ${options.watch}. Use an interval such as 30s, 5m or 1h.`, ErrorCode.INVALID_PARAMS);
+  }
+  if (intervalMs < MIN_WATCH_INTERVAL_MS) {
+    throw new NansenError(`--watch interval must be at least ${MIN_WATCH_INTERVAL_MS / 1000}s`, ErrorCode.INVALID_PARAMS);
+  }
+  if (outputTarget || flags.table || flags.t || (options.format && options.format !== 'json')) {
+    throw new NansenError('--watch writes NDJSON events to stdout and cannot be combined with --output, --table or --format', ErrorCode.INVALID_PARAMS);
+  }
+  let maxPolls = Infinity;
+  if (options['max-polls'] !== undefined) {
+    maxPolls = Number(options['max-polls']);
+    if (!Number.isInteger(maxPolls) || maxPolls < 1) {
+      throw new NansenError(`Invalid --max-polls: ${options['max-polls']}. Must be a positive integer.`, ErrorCode.INVALID_PARAMS);
+    }
+  }
+  const keyFields = options['watch-key'] ? parseFields(String(options['watch-key'])) : undefined;
+
+  const fetchRows = async () => {
+    let result;
+    if (flags.all || options['max-pages'] !== undefined) {
+      const maxPages = options['max-pages'] !== undefined ? Number(options['max-pages']) : Infinity;
+      const perPage = parseInt(options.limit, 10) || AUTO_PAGINATION_PAGE_SIZE;
+      const startPage = Math.max(1, parseInt(options.page, 10) || 1);
+      result = await paginateAll(
+        (page) => commands[command](subArgs, api, flags, { ...options, limit: perPage, page }),
+        { perPage, startPage, maxPages },
+      );
+    } else {
+      result = await commands[command](subArgs, api, flags, options);
+    }
+    let rows = locateRecords(result)?.records ?? (result === undefined || result === null ? [] : [result]);
+    if (query) rows = applyQueryToRows(rows, query);
+    return fields ? filterFields(rows, fields) : rows;
+  };
+
+  // Ctrl-C finishes the current poll and stops cleanly
+  const controller = new AbortController();
+  const stop = () => controller.abort();
+  process.once('SIGINT', stop);
+  process.once('SIGTERM', stop);
+  try {
+    return await runWatch({
+      fetchRows,
+      emit: (event) => output(JSON.stringify(event)),
+      intervalMs,
+      maxPolls,
+      keyFields,
+      signal: controller.signal,
+      sleep,
+      backoffUntil: () => api.backoffUntil || 0,
+    });
+  } finally {
+    process.removeListener('SIGINT', stop);
+    process.removeListener('SIGTERM', stop);
+  }
+}
+
 // Run CLI with given args (returns result, allows custom output/exit handlers)
 export async function runCLI(rawArgs, deps = {}) {
   const {
@@ -1466,7 +2584,9 @@ export async function runCLI(rawArgs, deps = {}) {
     errorOutput = console.error,
     exit = process.exit,
     NansenAPIClass = NansenAPI,
-    commandOverrides = {}
+    api: sharedApi = null,
+    commandOverrides = {},
+    sleep
   } = deps;
 
   const { _: positional, flags, options } = parseArgs(rawArgs);
@@ -1484,10 +2604,31 @@ export async function runCLI(rawArgs, deps = {}) {
     errorOutput(`Warning: "nansen ${command}" is deprecated. Use "nansen trade ${command}" instead.`);
   }
 
+  // Config profile: --profile, NANSEN_PROFILE, then `nansen profile use`.
+  // Its defaults only fill in what was not passed on the command line.
+  let profile;
+  try {
+    profile = resolveProfile(options.profile);
+  } catch (error) {
+    const errorData = formatError(error);
+    output(formatOutput(errorData, { pretty: flags.pretty || flags.p }).text);
+    exit(1);
+    return { type: 'error', data: errorData };
+  }
+  // Pre-flight validation looks only at what was typed, not profile defaults
+  const given = { flags: { ...flags }, options: { ...options } };
+  if (command !== 'profile') {
+    applyProfileDefaults(profile, command, flags, options);
+  }
+
   const pretty = flags.pretty || flags.p;
   const table = flags.table || flags.t;
-  const stream = flags.stream || flags.s;
+  // --output takes the place of stdout, so nothing streams there
+  const stream = (flags.stream || flags.s) && options.output === undefined;
   const csv = options.format === 'csv';
+  const markdown = options.format === 'markdown' || options.format === 'md';
+  const html = options.format === 'html';
+  const reportTitle = `nansen ${positional.join(' ')}`;
 
   // Update check (read cached result + schedule background refresh)
   const updateNotification = getUpdateNotification(VERSION);
@@ -1498,7 +2639,7 @@ export async function runCLI(rawArgs, deps = {}) {
     if (updateNotification) errorOutput(updateNotification);
   };
 
-  const commands = { ...buildCommands(deps), ...buildWalletCommands(deps), ...buildTradingCommands(deps), ...buildAlertsCommands(deps), ...commandOverrides };
+  const commands = { ...buildCommands(deps), ...buildWalletCommands(deps), ...buildTradingCommands(deps), ...buildAlertsCommands(deps), ...buildProfileCommands(deps), ...buildWatchlistCommands(deps), ...commandOverrides };
 
   if (flags.version || flags.v) {
     output(VERSION);
@@ -1564,8 +2705,8 @@ export async function runCLI(rawArgs, deps = {}) {
     if (commands[command]) {
       const simpleHelp = {
         'logout': 'nansen logout — Remove saved API key from ~/.nansen/config.json',
-        'schema': 'nansen schema [command] [--pretty] — Show JSON schema for all commands (or a specific command)',
-        'cache':  'nansen cache clear — Clear the API response cache',
+        'schema': 'nansen schema [command] [--pretty] [--as openai-tools|anthropic-tools|jsonschema|openapi] [--allow-trading] — Show JSON schema for all commands (or a specific command), or export it as function-calling tool specs',
+        'cache':  'nansen cache clear|stats|list|prune — Manage the API response cache (see: nansen cache help)',
       };
       if (simpleHelp[command]) {
         output(simpleHelp[command]);
@@ -1583,7 +2724,8 @@ export async function runCLI(rawArgs, deps = {}) {
 
   // ── Telemetry setup ──
   const startTime = Date.now();
-  const fullCommand = subcommand ? `${command} ${subcommand}` : command;
+  // diff's first argument is a user-chosen snapshot name, not a subcommand
+  const fullCommand = subcommand && command !== 'diff' ? `${command} ${subcommand}` : command;
   const flagNames = Object.keys(flags).filter(k => flags[k]).map(k => `--${k}`);
   const optionNames = Object.keys(options).map(k => `--${k}`);
   const usedFlags = [...flagNames, ...optionNames];
@@ -1602,25 +2744,135 @@ export async function runCLI(rawArgs, deps = {}) {
     return { type: 'error', data: errorData };
   }
 
+  let cassette = null;
+  let columnarOutput = null;
   try {
+    // @name in --address / --token / --addresses: a watchlist (see nansen watchlist)
+    const listFanOut = command !== 'watchlist' ? expandListReferences(options) : null;
+
+    // Unknown options, bad values and missing parameters fail before any request
+    if (!flags.help && !flags.h) {
+      preflightResearch([command, ...subArgs], given, SCHEMA, RESEARCH_CATEGORY_ALIASES);
+    }
+
+    // --record / --replay: capture or serve HTTP exchanges (API, trading, RPC)
+    cassette = startCassette({ record: options.record, replay: options.replay });
+
     // Configure retry options
     const retryOptions = flags['no-retry']
       ? { maxRetries: 0 }
       : { maxRetries: options.retries !== undefined ? (Number.isNaN(parseInt(options.retries, 10)) ? 3 : parseInt(options.retries, 10)) : 3 };
 
-    // Configure cache options
-    const cacheTtl = options['cache-ttl'] !== undefined ? parseInt(options['cache-ttl'], 10) : 300;
+    // Configure cache options. Without --cache-ttl each endpoint uses its own TTL;
+    // --stale-ok implies --cache so there is something to fall back on.
+    const cacheTtl = options['cache-ttl'] !== undefined ? parseInt(options['cache-ttl'], 10) : undefined;
     const cacheOptions = {
-      enabled: flags['cache'] && !flags['no-cache'],
-      ttl: Number.isNaN(cacheTtl) ? 300 : cacheTtl
+      enabled: (flags['cache'] || flags['stale-ok']) && !flags['no-cache'],
+      ttl: Number.isNaN(cacheTtl) ? undefined : cacheTtl,
+      maxBytes: resolveCacheMaxBytes(options),
+      staleOk: !!flags['stale-ok'] && !flags['no-cache'],
     };
 
     const defaultHeaders = {};
     if (options['x402-payment-signature']) {
       defaultHeaders['Payment-Signature'] = options['x402-payment-signature'];
     }
-    const api = new NansenAPIClass(undefined, undefined, { retry: retryOptions, cache: cacheOptions, defaultHeaders });
-    let result = await commands[command](subArgs, api, flags, options);
+    // NANSEN_API_KEY / NANSEN_BASE_URL beat the profile; undefined falls back to config.json
+    const profileApiKey = !process.env.NANSEN_API_KEY ? profile?.apiKey : undefined;
+    const profileBaseUrl = !process.env.NANSEN_BASE_URL ? profile?.baseUrl : undefined;
+    const scheduler = resolveSchedulerOptions(options);
+    // `nansen shell` passes its long-lived client in as api
+    const api = sharedApi || new NansenAPIClass(profileApiKey, profileBaseUrl, { retry: retryOptions, cache: cacheOptions, scheduler, defaultHeaders, wallet: profile?.wallet });
+    const fields = parseFields(options.fields);
+    // Compiled up front so a bad expression fails before any credits are spent
+    const query = buildQuery(options);
+    if (options['graph-format'] !== undefined && (options.output !== undefined || options.snapshot !== undefined || flags.snapshot)) {
+      throw new NansenError('--graph-format prints the graph to stdout and cannot be combined with --output or --snapshot; redirect stdout instead', ErrorCode.INVALID_PARAMS);
+    }
+    const outputTarget = resolveOutputTarget(options, flags);
+    const outputOptions = { chain: options.chain, pretty, title: reportTitle };
+    let outputFiles = null;
+    const snapshot = options.snapshot !== undefined || flags.snapshot
+      ? prepareSnapshot([command, ...subArgs], given.options, options)
+      : null;
+
+    // --watch: poll on an interval and emit NDJSON change events instead of the data
+    if (listFanOut && (options.watch !== undefined || flags.watch || flags.all || options['max-pages'] !== undefined)) {
+      throw new NansenError(`--${listFanOut.option} @${listFanOut.list} runs once per entry and cannot be combined with --watch, --all or --max-pages`, ErrorCode.INVALID_PARAMS);
+    }
+    if (options.watch !== undefined || flags.watch) {
+      if (snapshot) throw new NansenError('--snapshot cannot be combined with --watch', ErrorCode.INVALID_PARAMS);
+      const stats = await watchResearch({ commands, command, subArgs, api, flags, options, fields, query, outputTarget, output, sleep });
+      trackCommandSucceeded({ command: fullCommand, duration_ms: Date.now() - startTime, flags: usedFlags, chain });
+      notify();
+      return { type: 'watch', data: stats };
+    }
+
+    let result;
+    let streamedRecords = false;
+    if (flags.all || options['max-pages'] !== undefined) {
+      let maxPages = Infinity;
+      if (options['max-pages'] !== undefined) {
+        maxPages = Number(options['max-pages']);
+        if (!Number.isInteger(maxPages) || maxPages < 1) {
+          throw new NansenError(`Invalid --max-pages: ${options['max-pages']}. Must be a positive integer.`, ErrorCode.INVALID_PARAMS);
+        }
+      }
+      const perPage = parseInt(options.limit, 10) || AUTO_PAGINATION_PAGE_SIZE;
+      // Under --stream each page is flushed as soon as it arrives, unless
+      // --sort-local needs every row before the first one can be written
+      streamedRecords = !!stream && !query?.sort.length;
+      const startPage = Math.max(1, parseInt(options.page, 10) || 1);
+      let pageNumber = startPage - 1;
+      // --output with {page} writes every page to its own file as it arrives
+      if (outputTarget?.template.includes('{page}')) outputFiles = [];
+      // Parquet / Arrow append a row group per page instead of holding every row
+      if (outputTarget && !outputFiles && COLUMNAR_WRITERS[outputTarget.format] && !query?.sort.length) {
+        columnarOutput = openColumnarOutput(outputTarget, outputOptions);
+        streamedRecords = true;
+      }
+      const onPage = columnarOutput
+        ? (records) => {
+          const rows = query ? applyQueryToRows(records, query) : records;
+          columnarOutput.write(fields ? filterFields(rows, fields) : rows);
+        }
+        : streamedRecords
+          ? (records) => {
+            const rows = query ? applyQueryToRows(records, query) : records;
+            const text = formatStream(fields ? filterFields(rows, fields) : rows);
+            if (text) output(text);
+          }
+          : outputFiles
+            ? (records) => {
+              pageNumber++;
+              const rows = query ? applyQueryToRows(records, query) : records;
+              outputFiles.push(...writeOutput(fields ? filterFields(rows, fields) : rows, outputTarget, { ...outputOptions, page: pageNumber }));
+            }
+            : undefined;
+      // Spend is measured on the account balance (mock APIs may not have one)
+      const creditBalance = typeof api.getCreditBalance === 'function' ? () => api.getCreditBalance() : undefined;
+      result = await paginateAll(
+        (page) => commands[command](subArgs, api, flags, { ...options, limit: perPage, page }),
+        { perPage, startPage, maxPages, onPage, collect: !columnarOutput || !!snapshot, creditBalance },
+      );
+    } else {
+      // Commands that finish records one at a time (profiler batch) hand each
+      // to onRecord, which under --stream writes it as soon as it is ready
+      const onRecord = stream && !query?.sort.length
+        ? (record) => {
+          streamedRecords = true;
+          const rows = query ? applyQueryToRows([record], query) : [record];
+          const text = formatStream(fields ? filterFields(rows, fields) : rows);
+          if (text) output(text);
+        }
+        : undefined;
+      result = listFanOut
+        ? await runListFanOut(listFanOut, (entryOptions) => commands[command](subArgs, api, flags, { ...options, ...entryOptions }), {
+          api,
+          entryChain: given.options.chain === undefined,
+        })
+        : await commands[command](subArgs, api, flags, options, { onRecord });
+    }
 
     // Commands that handle their own output return undefined
     if (result === undefined) {
@@ -1638,12 +2890,44 @@ export async function runCLI(rawArgs, deps = {}) {
       return { type: 'schema', data: result };
     }
 
-    // Apply field filtering if --fields is specified
-    const fields = parseFields(options.fields);
-    if (fields) {
+    // Client-side query and --fields projection (streamed pages were handled as they went)
+    if (query && !streamedRecords) {
+      result = applyQuery(result, query);
+    }
+    if (fields && !streamedRecords) {
       result = filterFields(result, fields);
     }
 
+    // --snapshot: store the rows as they are shown, for nansen diff
+    if (snapshot) {
+      let shown = result;
+      if (streamedRecords) {
+        if (query) shown = applyQuery(shown, query);
+        if (fields) shown = filterFields(shown, fields);
+      }
+      const saved = saveSnapshot(snapshot.name, { ...snapshot, rows: locateRecords(shown)?.records ?? [shown] });
+      errorOutput(`✓ Snapshot ${saved.name}: ${saved.rows} rows at ${saved.takenAt} (compare with: nansen diff ${saved.name})`);
+    }
+
+    // --output: write the file(s) and report what was written instead of the data
+    if (outputTarget) {
+      if (columnarOutput) outputFiles = columnarOutput.close();
+      outputFiles ??= writeOutput(result, outputTarget, { ...outputOptions, page: parseInt(options.page, 10) || 1 });
+      const summary = { files: outputFiles, ...(result?._meta && { _meta: result._meta }) };
+      output(formatOutput({ success: true, data: summary }, { pretty }).text);
+      trackCommandSucceeded({ command: fullCommand, duration_ms: Date.now() - startTime, from_cache: !!result?.fromCache, flags: usedFlags, chain });
+      notify();
+      return { type: 'output', data: result, files: outputFiles };
+    }
+
+    // Diff of two snapshot runs with --table: changed rows and totals
+    if (command === 'diff' && subArgs[0] && table) {
+      output(formatDiffTable(result));
+      trackCommandSucceeded({ command: fullCommand, duration_ms: Date.now() - startTime, flags: usedFlags, chain });
+      notify();
+      return { type: 'success', data: result };
+    }
+
     // Alerts list with --table uses custom table format
     if (command === 'alerts' && subcommand === 'list' && table) {
       output(formatAlertsTable(result));
@@ -1653,8 +2937,11 @@ export async function runCLI(rawArgs, deps = {}) {
 
     // Output in requested format
     if (stream) {
-      // Stream mode: output each record as a JSON line (NDJSON)
-      const streamOutput = formatStream(result);
+      // Stream mode: output each record as a JSON line (NDJSON).
+      // Paginated rows / finished records were already flushed; close with the totals line.
+      const streamOutput = streamedRecords
+        ? streamSummaryLine(result)
+        : formatStream(result);
       if (streamOutput) {
         output(streamOutput);
       }
@@ -1664,14 +2951,15 @@ export async function runCLI(rawArgs, deps = {}) {
     }
 
     const successData = { success: true, data: result };
-    const formatted = formatOutput(successData, { pretty, table, csv });
+    const formatted = formatOutput(successData, { pretty, table, csv, markdown, html, title: reportTitle });
     output(formatted.text);
     trackCommandSucceeded({ command: fullCommand, duration_ms: Date.now() - startTime, from_cache: !!result?.fromCache, flags: usedFlags, chain });
     notify();
-    return { type: csv ? 'csv' : 'success', data: result };
+    return { type: formatted.type === 'json' || formatted.type === 'table' ? 'success' : formatted.type, data: result };
   } catch (error) {
+    columnarOutput?.abort();
     const errorData = formatError(error);
-    const formatted = formatOutput(errorData, { pretty, table, csv });
+    const formatted = formatOutput(errorData, { pretty, table, csv, markdown, html });
     output(formatted.text);
     trackCommandFailed({
       command: fullCommand,
@@ -1684,5 +2972,12 @@ export async function runCLI(rawArgs, deps = {}) {
     notify();
     exit(1);
     return { type: 'error', data: errorData };
+  } finally {
+    if (cassette) {
+      const unused = stopCassette();
+      if (unused.length > 0) {
+        errorOutput(`Warning: ${unused.length} recorded interaction(s) in ${cassette.dir} were not replayed: ${unused.slice(0, 3).join(', ')}${unused.length > 3 ? ', …' : ''}`);
+      }
+    }
   }
 }
@@ -0,0 +1,213 @@
+/**
+ * Nansen CLI - Columnar schema inference
+ * Shared by the Parquet and Arrow writers: flattens nested records into
+ * dotted column names, infers one type per column, widens it when a later
+ * batch needs more (int64 -> double -> string), and coerces values to it.
+ */
+
+import fs from 'fs';
+import { StringDecoder } from 'string_decoder';
+
+// Column types understood by both writers
+export const COLUMN_TYPES = ['bool', 'int64', 'double', 'timestamp', 'string'];
+
+// ISO 8601 date or date-time, as the API returns them: date, time, zone
+const ISO_TIMESTAMP = /^(\d{4}-\d{2}-\d{2})(?:[T ](\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?)(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+/**
+ * Epoch ms of an ISO timestamp string, NaN when it is not one. Zone-less
+ * date-times are read as UTC, like bare dates, since both writers label
+ * timestamp columns as UTC.
+ */
+function parseTimestamp(value) {
+  const match = typeof value === 'string' ? ISO_TIMESTAMP.exec(value) : null;
+  if (!match) return NaN;
+  const [, date, time, zone] = match;
+  return Date.parse(time ? `${date}T${time}${zone ?? 'Z'}` : date);
+}
+
+const isPlainObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+/**
+ * Flatten nested objects into dotted keys ({ token: { symbol } } -> 'token.symbol').
+ * Arrays are kept as values and stored as JSON strings.
+ */
+export function flattenRecord(record, prefix = '', out = {}) {
+  if (!isPlainObject(record)) {
+    out[prefix || 'value'] = record;
+    return out;
+  }
+  for (const [key, value] of Object.entries(record)) {
+    const name = prefix ? `${prefix}.${key}` : key;
+    if (isPlainObject(value) && Object.keys(value).length > 0) flattenRecord(value, name, out);
+    else out[name] = value;
+  }
+  return out;
+}
+
+// Narrowest type holding every present value, or null when all are missing
+function presentType(values) {
+  const present = values.filter(v => v !== null && v !== undefined);
+  if (present.length === 0) return null;
+  if (present.every(v => typeof v === 'boolean')) return 'bool';
+  if (present.every(v => typeof v === 'number' && Number.isFinite(v))) {
+    return present.every(Number.isSafeInteger) ? 'int64' : 'double';
+  }
+  if (present.every(v => !Number.isNaN(parseTimestamp(v)))) return 'timestamp';
+  return 'string';
+}
+
+function batchColumns(rows) {
+  const names = [...new Set(rows.flatMap(r => Object.keys(r)))];
+  return names.map(name => ({ name, type: presentType(rows.map(r => r[name])) }));
+}
+
+/**
+ * Infer the columns of a batch of flattened rows, in first-seen order.
+ * Columns with no values are strings.
+ * @param {object[]} rows - From flattenRecord()
+ * @returns {{ name: string, type: string }[]}
+ */
+export function inferColumns(rows) {
+  return batchColumns(rows).map(({ name, type }) => ({ name, type: type ?? 'string' }));
+}
+
+/**
+ * The type a column needs to hold values of both types: int64 and double
+ * widen to double, any other mix to string. null (no values yet) defers to
+ * the other side.
+ */
+export function widenType(a, b) {
+  if (a === null || a === b) return b;
+  if (b === null) return a;
+  if ((a === 'int64' && b === 'double') || (a === 'double' && b === 'int64')) return 'double';
+  return 'string';
+}
+
+/**
+ * Coerce one value to a column type. Throws on values that do not fit (a
+ * fraction in an int64 column, text in a timestamp column) rather than
+ * writing them as null.
+ *
+ * @returns {boolean|bigint|number|string|null} bigint for int64, epoch ms for timestamp
+ */
+export function coerceValue(value, type) {
+  if (value === null || value === undefined) return null;
+  let coerced = null;
+  switch (type) {
+    case 'bool':
+      if (typeof value === 'boolean') coerced = value;
+      break;
+    case 'int64':
+      if (typeof value === 'number' && Number.isSafeInteger(value)) coerced = BigInt(value);
+      break;
+    case 'double':
+      if (typeof value === 'number' && Number.isFinite(value)) coerced = value;
+      break;
+    case 'timestamp': {
+      const ms = parseTimestamp(value);
+      if (!Number.isNaN(ms)) coerced = ms;
+      break;
+    }
+    default:
+      return typeof value === 'string' ? value : JSON.stringify(value);
+  }
+  if (coerced === null) throw new TypeError(`${JSON.stringify(value)} does not fit a ${type} column`);
+  return coerced;
+}
+
+/**
+ * Column-major values for a batch, coerced to the given columns. Throws when
+ * a row has a column the schema lacks or a value its column cannot hold.
+ * @returns {Array[]} One array of values per column
+ */
+export function toColumns(rows, columns) {
+  const known = new Set(columns.map(c => c.name));
+  for (const row of rows) {
+    const extra = Object.keys(row).find(key => !known.has(key));
+    if (extra !== undefined) throw new Error(`Column ${extra} is not in the schema (${[...known].join(', ')})`);
+  }
+  return columns.map(({ name, type }) => rows.map(r => {
+    try {
+      return coerceValue(r[name], type);
+    } catch (err) {
+      throw new Error(`Column ${name}: ${err.message}`, { cause: err });
+    }
+  }));
+}
+
+// Lines of a file, read in chunks so a large spool never sits in memory
+function* readLines(file) {
+  const fd = fs.openSync(file, 'r');
+  try {
+    const buf = Buffer.alloc(1 << 20);
+    const decoder = new StringDecoder('utf8');
+    let rest = '';
+    let bytes;
+    while ((bytes = fs.readSync(fd, buf, 0, buf.length, null)) > 0) {
+      const lines = (rest + decoder.write(buf.subarray(0, bytes))).split('\n');
+      rest = lines.pop();
+      yield* lines;
+    }
+    rest += decoder.end();
+    if (rest) yield rest;
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Hold batches of flattened rows in an NDJSON spool next to the destination
+ * until the schema is final, then write them through openWriter. Column types
+ * widen across batches and columns first seen in a later batch are added, so
+ * a page that disagrees with the first one loses nothing. Each writeRows()
+ * batch still becomes one row group (record batch).
+ *
+ * @param {string} file - Destination path
+ * @param {(file: string, opts: { columns: object[] }) => object} openWriter - createParquetWriter or createArrowWriter
+ * @returns {{ writeRows: (rows: object[]) => void, close: () => object, abort: () => void }}
+ */
+export function createSpooledWriter(file, openWriter) {
+  const spool = `${file}.${process.pid}.rows.tmp`;
+  const fd = fs.openSync(spool, 'w');
+  const types = new Map();
+  const batches = [];
+
+  return {
+    writeRows(rows) {
+      if (!rows.length) return;
+      for (const { name, type } of batchColumns(rows)) types.set(name, widenType(types.get(name) ?? null, type));
+      fs.writeSync(fd, rows.map(row => `${JSON.stringify(row)}\n`).join(''));
+      batches.push(rows.length);
+    },
+
+    close() {
+      fs.closeSync(fd);
+      const columns = [...types].map(([name, type]) => ({ name, type: type ?? 'string' }));
+      const writer = openWriter(file, { columns });
+      try {
+        let batch = 0;
+        let rows = [];
+        for (const line of readLines(spool)) {
+          rows.push(JSON.parse(line));
+          if (rows.length === batches[batch]) {
+            writer.writeRows(rows);
+            rows = [];
+            batch++;
+          }
+        }
+        return writer.close();
+      } catch (err) {
+        writer.abort();
+        throw err;
+      } finally {
+        fs.rmSync(spool, { force: true });
+      }
+    },
+
+    abort() {
+      try { fs.closeSync(fd); } catch { /* already closed */ }
+      fs.rmSync(spool, { force: true });
+    },
+  };
+}
@@ -0,0 +1,254 @@
+/**
+ * Nansen CLI - Config profiles
+ * Named bundles of API key, base URL and per-command defaults stored in
+ * ~/.nansen/profiles.json, so one machine can switch between a prod key,
+ * a staging base URL and an x402-only setup.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { NansenError, ErrorCode } from '../api.js';
+
+// "default" always means the plain ~/.nansen/config.json from `nansen login`
+export const DEFAULT_PROFILE = 'default';
+
+// Output formats a profile may pick as its default
+export const PROFILE_FORMATS = ['json', 'pretty', 'table', 'csv', 'markdown', 'html', 'stream'];
+
+const PROFILE_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_.-]*$/;
+
+// ============= Storage =============
+
+function getProfilesPath() {
+  const configDir = path.join(process.env.HOME || process.env.USERPROFILE || '', '.nansen');
+  return path.join(configDir, 'profiles.json');
+}
+
+/**
+ * Read ~/.nansen/profiles.json. A missing file is an empty store; one that
+ * does not parse is an error, so the next save cannot drop stored keys.
+ * @returns {{ active: string|null, profiles: Object<string, object> }}
+ */
+export function loadProfiles() {
+  const file = getProfilesPath();
+  if (!fs.existsSync(file)) return { active: null, profiles: {} };
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new NansenError(`Unreadable profiles file ${file}: ${error.message}. Fix or move it; nothing was changed.`, ErrorCode.UNKNOWN);
+  }
+  return { active: data?.active || null, profiles: data?.profiles || {} };
+}
+
+function saveProfiles(store) {
+  const file = getProfilesPath();
+  fs.mkdirSync(path.dirname(file), { mode: 0o700, recursive: true });
+  // Profiles hold API keys — same permissions as config.json. Temp file and
+  // rename so a crash mid-write never leaves half a store
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(store, null, 2), { mode: 0o600 });
+  fs.renameSync(tmp, file);
+}
+
+function maskApiKey(apiKey) {
+  if (!apiKey) return null;
+  return apiKey.length <= 8 ? '****' : `${apiKey.slice(0, 4)}…${apiKey.slice(-4)}`;
+}
+
+/**
+ * Build a profile from CLI options. Only options that were given are stored,
+ * so unset fields fall through to config.json and built-in defaults.
+ */
+export function profileFromOptions(flags = {}, options = {}) {
+  const profile = {};
+  if (options['api-key'] !== undefined) profile.apiKey = String(options['api-key']);
+  if (options['base-url'] !== undefined) profile.baseUrl = String(options['base-url']).replace(/\/+$/, '');
+  if (options.chain !== undefined) profile.chain = String(options.chain);
+  if (options.format !== undefined) {
+    if (!PROFILE_FORMATS.includes(options.format)) {
+      throw new NansenError(`Invalid --format: ${options.format}. Must be one of: ${PROFILE_FORMATS.join(', ')}`, ErrorCode.INVALID_PARAMS);
+    }
+    profile.format = options.format;
+  }
+  if (options.retries !== undefined) {
+    const retries = Number(options.retries);
+    if (!Number.isInteger(retries) || retries < 0) {
+      throw new NansenError(`Invalid --retries: ${options.retries}. Must be a non-negative integer.`, ErrorCode.INVALID_PARAMS);
+    }
+    profile.retries = retries;
+  }
+  if (flags['no-retry']) profile.retries = 0;
+  if (flags.cache) profile.cache = true;
+  if (flags['no-cache']) profile.cache = false;
+  if (options['cache-ttl'] !== undefined) {
+    const ttl = Number(options['cache-ttl']);
+    if (!Number.isInteger(ttl) || ttl < 0) {
+      throw new NansenError(`Invalid --cache-ttl: ${options['cache-ttl']}. Must be a non-negative integer (seconds).`, ErrorCode.INVALID_PARAMS);
+    }
+    profile.cacheTtl = ttl;
+  }
+  if (options.wallet !== undefined) profile.wallet = String(options.wallet);
+  return profile;
+}
+
+/**
+ * Resolve the profile for this invocation: --profile, then NANSEN_PROFILE,
+ * then the one chosen with `nansen profile use`.
+ * An explicitly requested profile that does not exist is an error; a stale
+ * active profile is ignored.
+ *
+ * @param {string} [requested] - Value of --profile
+ * @returns {{ name: string, [key: string]: any }|null} null for the default profile
+ */
+export function resolveProfile(requested) {
+  const explicit = requested ?? process.env.NANSEN_PROFILE;
+  const store = loadProfiles();
+  const name = explicit ?? store.active;
+  if (!name || name === DEFAULT_PROFILE) return null;
+  const profile = store.profiles[name];
+  if (!profile) {
+    if (explicit === undefined) return null;
+    const available = [DEFAULT_PROFILE, ...Object.keys(store.profiles)];
+    throw new NansenError(`Unknown profile: ${name}. Available: ${available.join(', ')}`, ErrorCode.NOT_FOUND, null, { available });
+  }
+  return { name, ...profile };
+}
+
+// Commands whose --wallet names a local wallet (portfolio uses --wallet for an address)
+const WALLET_COMMANDS = new Set(['trade', 'quote', 'execute', 'wallet']);
+
+/**
+ * Fill CLI flags/options from a profile where the user did not pass them.
+ * Mutates and returns { flags, options }. apiKey/baseUrl are handled by the
+ * caller because NANSEN_API_KEY / NANSEN_BASE_URL must keep priority.
+ */
+export function applyProfileDefaults(profile, command, flags, options) {
+  if (!profile) return { flags, options };
+  if (options.chain === undefined && profile.chain) options.chain = profile.chain;
+  if (options.wallet === undefined && profile.wallet && WALLET_COMMANDS.has(command)) {
+    options.wallet = profile.wallet;
+  }
+  if (options.retries === undefined && !flags['no-retry'] && profile.retries !== undefined) {
+    options.retries = String(profile.retries);
+  }
+  if (!flags.cache && !flags['no-cache'] && profile.cache !== undefined) {
+    flags[profile.cache ? 'cache' : 'no-cache'] = true;
+  }
+  if (options['cache-ttl'] === undefined && profile.cacheTtl !== undefined) {
+    options['cache-ttl'] = String(profile.cacheTtl);
+  }
+  const formatChosen = options.format !== undefined || flags.pretty || flags.p || flags.table || flags.t || flags.stream || flags.s;
+  if (!formatChosen && profile.format && profile.format !== 'json') {
+    if (['csv', 'markdown', 'html'].includes(profile.format)) options.format = profile.format;
+    else flags[profile.format] = true;
+  }
+  return { flags, options };
+}
+
+// ============= Command =============
+
+export function buildProfileCommands(deps = {}) {
+  const { log = console.log } = deps;
+
+  return {
+    'profile': async (args, _apiInstance, flags, options) => {
+      const sub = args[0];
+      const name = args[1];
+
+      const HELP = `nansen profile — Named config profiles (~/.nansen/profiles.json)
+
+SUBCOMMANDS:
+  create <name> [options]  Create a profile
+  use <name>               Make a profile active ("default" = config.json from nansen login)
+  list                     List profiles (API keys masked)
+  delete <name>            Delete a profile
+
+PROFILE OPTIONS:
+  --api-key <key>          API key for this profile
+  --base-url <url>         API base URL, e.g. a staging endpoint
+  --chain <chain>          Default --chain
+  --format <fmt>           Default output: ${PROFILE_FORMATS.join(', ')}
+  --retries <n> | --no-retry
+  --cache | --no-cache     Response cache on/off
+  --cache-ttl <seconds>
+  --wallet <name>          Default wallet for trading and x402 payments
+
+Select per command with --profile <name> or NANSEN_PROFILE. NANSEN_API_KEY and
+NANSEN_BASE_URL still take priority over the profile.`;
+
+      if (!sub || sub === 'help' || flags.help || flags.h) {
+        log(HELP);
+        return;
+      }
+
+      const requireName = () => {
+        if (!name) throw new NansenError(`Required: <name>. Usage: nansen profile ${sub} <name>`, ErrorCode.MISSING_PARAM);
+        if (name === DEFAULT_PROFILE) {
+          throw new NansenError(`"${DEFAULT_PROFILE}" is reserved for ~/.nansen/config.json`, ErrorCode.INVALID_PARAMS);
+        }
+        if (!PROFILE_NAME_PATTERN.test(name)) {
+          throw new NansenError(`Invalid profile name: ${name}. Use letters, digits, '.', '_' or '-'.`, ErrorCode.INVALID_PARAMS);
+        }
+      };
+      const notFound = (store) => new NansenError(`Unknown profile: ${name}`, ErrorCode.NOT_FOUND, null, {
+        available: [DEFAULT_PROFILE, ...Object.keys(store.profiles)],
+      });
+
+      const handlers = {
+        'create': () => {
+          requireName();
+          const store = loadProfiles();
+          if (store.profiles[name]) {
+            throw new NansenError(`Profile already exists: ${name}. Delete it first to recreate.`, ErrorCode.INVALID_PARAMS);
+          }
+          const profile = profileFromOptions(flags, options);
+          store.profiles[name] = profile;
+          saveProfiles(store);
+          return { created: name, profile: { ...profile, apiKey: maskApiKey(profile.apiKey) ?? undefined } };
+        },
+        'use': () => {
+          if (name === DEFAULT_PROFILE) {
+            const store = loadProfiles();
+            store.active = null;
+            saveProfiles(store);
+            return { active: DEFAULT_PROFILE };
+          }
+          requireName();
+          const store = loadProfiles();
+          if (!store.profiles[name]) throw notFound(store);
+          store.active = name;
+          saveProfiles(store);
+          return { active: name };
+        },
+        'list': () => {
+          const store = loadProfiles();
+          const active = store.active && store.profiles[store.active] ? store.active : DEFAULT_PROFILE;
+          return {
+            active,
+            profiles: Object.entries(store.profiles).map(([profileName, profile]) => ({
+              name: profileName,
+              active: profileName === active,
+              ...profile,
+              apiKey: maskApiKey(profile.apiKey),
+            })),
+          };
+        },
+        'delete': () => {
+          requireName();
+          const store = loadProfiles();
+          if (!store.profiles[name]) throw notFound(store);
+          delete store.profiles[name];
+          if (store.active === name) store.active = null;
+          saveProfiles(store);
+          return { deleted: name, active: store.active || DEFAULT_PROFILE };
+        },
+      };
+
+      if (!handlers[sub]) {
+        throw new NansenError(`Unknown profile subcommand: ${sub}. Available: ${Object.keys(handlers).join(', ')}`, ErrorCode.UNKNOWN);
+      }
+      return handlers[sub]();
+    },
+  };
+}
@@ -0,0 +1,345 @@
+/**
+ * Nansen CLI - Watchlists
+ * Named lists of addresses and tokens, each entry with an optional chain and
+ * note, stored in ~/.nansen/watchlists.json. `@name` in --address, --token or
+ * --addresses stands for the list: --addresses gets every address, --address
+ * and --token run the command once per entry.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { NansenError, ErrorCode } from '../api.js';
+
+export const ENTRY_KINDS = ['address', 'token'];
+
+const LIST_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_.-]*$/;
+
+// Options that accept @name, and the entries they take from the list
+const LIST_OPTIONS = { address: 'address', token: 'token', addresses: 'address' };
+
+// ============= Storage =============
+
+function getWatchlistsPath() {
+  const configDir = path.join(process.env.HOME || process.env.USERPROFILE || '', '.nansen');
+  return path.join(configDir, 'watchlists.json');
+}
+
+/**
+ * Read ~/.nansen/watchlists.json. A missing file is an empty store; one that
+ * does not parse is an error, so the next save cannot overwrite curated lists.
+ * @returns {{ lists: Object<string, { entries: Array<{kind: string, value: string, chain?: string, note?: string}>, note?: string }> }}
+ */
+export function loadWatchlists() {
+  const file = getWatchlistsPath();
+  if (!fs.existsSync(file)) return { lists: {} };
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new NansenError(`Unreadable watchlists file ${file}: ${error.message}. Fix or move it; nothing was changed.`, ErrorCode.UNKNOWN);
+  }
+  return { lists: data?.lists || {} };
+}
+
+// Write to a temp file and rename so a crash never leaves half a store
+function saveWatchlists(store) {
+  const file = getWatchlistsPath();
+  fs.mkdirSync(path.dirname(file), { mode: 0o700, recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(store, null, 2));
+  fs.renameSync(tmp, file);
+}
+
+function validateListName(name) {
+  if (!LIST_NAME_PATTERN.test(name)) {
+    throw new NansenError(`Invalid watchlist name: ${name}. Use letters, digits, '.', '_' or '-'.`, ErrorCode.INVALID_PARAMS);
+  }
+}
+
+function unknownList(name, store) {
+  return new NansenError(`Unknown watchlist: ${name}`, ErrorCode.NOT_FOUND, null, { available: Object.keys(store.lists) });
+}
+
+/**
+ * Look up a list by name.
+ * @throws {NansenError} NOT_FOUND with the available names
+ */
+export function getWatchlist(name) {
+  const store = loadWatchlists();
+  const list = store.lists[name];
+  if (!list) throw unknownList(name, store);
+  return list;
+}
+
+// Same kind, value and chain: one entry (addresses compare case-insensitively on EVM)
+const sameEntry = (a, b) => a.kind === b.kind && (a.chain || null) === (b.chain || null)
+  && (a.value === b.value || (a.value.startsWith('0x') && a.value.toLowerCase() === b.value.toLowerCase()));
+
+/**
+ * Add entries to a list, updating the note of ones already there.
+ * @returns {{ added: number, updated: number }}
+ */
+export function mergeEntries(list, entries) {
+  let added = 0;
+  let updated = 0;
+  for (const entry of entries) {
+    const existing = list.entries.find(e => sameEntry(e, entry));
+    if (!existing) {
+      list.entries.push(entry);
+      added++;
+    } else if (entry.note && entry.note !== existing.note) {
+      existing.note = entry.note;
+      updated++;
+    }
+  }
+  return { added, updated };
+}
+
+function makeEntry(kind, value, { chain, note } = {}) {
+  const entry = { kind, value: String(value).trim() };
+  if (chain) entry.chain = String(chain);
+  if (note) entry.note = String(note);
+  return entry;
+}
+
+// ============= Import =============
+
+// One CSV line; quoted fields may hold commas and "" escapes
+function parseCsvLine(line) {
+  const cells = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') { cell += '"'; i++; } else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === ',') { cells.push(cell); cell = ''; } else cell += ch;
+  }
+  cells.push(cell);
+  return cells.map(c => c.trim());
+}
+
+// A record from JSON or CSV: { kind, value } as exported, or a research row with address / token_address
+function entryFromRecord(record, defaultKind) {
+  const chain = record.chain || undefined;
+  const note = record.note || undefined;
+  if (record.value && ENTRY_KINDS.includes(record.kind)) return makeEntry(record.kind, record.value, { chain, note });
+  if (record.token_address || record.token) return makeEntry('token', record.token_address || record.token, { chain, note });
+  if (record.address) return makeEntry('address', record.address, { chain, note });
+  if (record.value) return makeEntry(defaultKind, record.value, { chain, note });
+  return null;
+}
+
+/**
+ * Parse a watchlist file: what `watchlist export` writes (JSON or CSV with
+ * kind,value,chain,note), research output rows with address / token_address
+ * columns, or one address or token per line.
+ *
+ * @param {string} content - File contents
+ * @param {object} [opts]
+ * @param {string} [opts.kind='address'] - Kind for entries that do not say
+ * @param {string} [opts.chain] - Chain for entries that do not say
+ */
+export function parseWatchlistFile(content, { kind = 'address', chain } = {}) {
+  let records;
+  const text = content.trim();
+  if (text.startsWith('[') || text.startsWith('{')) {
+    const parsed = JSON.parse(text);
+    records = Array.isArray(parsed) ? parsed : parsed.data || parsed.entries || [];
+    records = records.map(r => (typeof r === 'string' ? { value: r } : r));
+  } else {
+    const lines = text.split(/\r?\n/).filter(line => line.trim());
+    const header = parseCsvLine(lines[0] || '');
+    if (header.some(h => ['value', 'address', 'token', 'token_address'].includes(h))) {
+      records = lines.slice(1).map(line => {
+        const cells = parseCsvLine(line);
+        return Object.fromEntries(header.map((h, i) => [h, cells[i]]));
+      });
+    } else {
+      records = lines.map(line => ({ value: line.trim() }));
+    }
+  }
+
+  const entries = [];
+  for (const record of records) {
+    const entry = entryFromRecord(record, kind);
+    if (!entry) continue;
+    if (!entry.chain && chain) entry.chain = String(chain);
+    entries.push(entry);
+  }
+  return entries;
+}
+
+// ============= @name references =============
+
+/**
+ * Expand @name in --address, --token and --addresses. --addresses is replaced
+ * with the list's addresses; --address / --token come back as a fan-out the
+ * caller runs once per entry.
+ *
+ * @param {object} options - Parsed CLI options (mutated for --addresses)
+ * @returns {{ option: string, list: string, entries: object[] }|null}
+ */
+export function expandListReferences(options) {
+  let fanOut = null;
+  for (const [option, kind] of Object.entries(LIST_OPTIONS)) {
+    const value = options[option];
+    if (typeof value !== 'string' || !value.startsWith('@') || value.length < 2) continue;
+    const name = value.slice(1);
+    const entries = getWatchlist(name).entries.filter(e => e.kind === kind);
+    if (entries.length === 0) {
+      throw new NansenError(`Watchlist ${name} has no ${kind === 'token' ? 'tokens' : 'addresses'} for --${option}`, ErrorCode.INVALID_PARAMS);
+    }
+    if (option === 'addresses') {
+      options.addresses = entries.map(e => e.value).join(',');
+      continue;
+    }
+    if (fanOut) {
+      throw new NansenError('Only one of --address and --token can name a watchlist', ErrorCode.INVALID_PARAMS);
+    }
+    fanOut = { option, list: name, entries };
+  }
+  return fanOut;
+}
+
+// ============= Command =============
+
+export function buildWatchlistCommands(deps = {}) {
+  const { log = console.log } = deps;
+
+  return {
+    'watchlist': async (args, _apiInstance, flags, options) => {
+      const sub = args[0];
+      const name = args[1];
+
+      const HELP = `nansen watchlist — Named lists of addresses and tokens (~/.nansen/watchlists.json)
+
+SUBCOMMANDS:
+  create <name> [--note <text>]                Create an empty list
+  add <name> --address <a>|--token <t>         Add entries (--addresses a,b for several)
+             [--chain <chain>] [--note <text>]
+  remove <name> --address <a>|--token <t>      Remove entries (every chain unless --chain)
+  delete <name>                                Delete a list
+  list [name]                                  Lists with counts, or one list's entries
+  import <name> --file <path> [--kind token]   Add from JSON, CSV (kind,value,chain,note or
+             [--chain <chain>]                 address/token_address columns) or one per line
+  export <name>                                Entries as rows (--format csv, --output list.csv)
+
+USE A LIST: @name in --address, --token or --addresses
+  nansen research profiler balance --address @whales --table
+  nansen research profiler batch --addresses @whales
+--address / --token run once per entry (the entry's chain unless --chain is given)
+and merge the rows, each tagged with watchlist_entry.`;
+
+      if (!sub || sub === 'help' || flags.help || flags.h) {
+        log(HELP);
+        return;
+      }
+
+      const requireName = () => {
+        if (!name) throw new NansenError(`Required: <name>. Usage: nansen watchlist ${sub} <name>`, ErrorCode.MISSING_PARAM);
+        validateListName(name);
+      };
+      // Entries named by --address / --addresses / --token
+      const givenEntries = () => {
+        const values = [
+          ...[options.address, options.addresses].flat().filter(v => v !== undefined)
+            .flatMap(v => String(v).split(',')).map(v => ['address', v]),
+          ...[options.token].flat().filter(v => v !== undefined).map(v => ['token', v]),
+        ].filter(([, v]) => String(v).trim());
+        if (values.length === 0) {
+          throw new NansenError(`Required: --address, --addresses or --token. Usage: nansen watchlist ${sub} <name> --address <a>`, ErrorCode.MISSING_PARAM);
+        }
+        return values.map(([kind, value]) => makeEntry(kind, value, { chain: options.chain, note: options.note }));
+      };
+      const summary = (listName, list) => ({
+        name: listName,
+        addresses: list.entries.filter(e => e.kind === 'address').length,
+        tokens: list.entries.filter(e => e.kind === 'token').length,
+        ...(list.note && { note: list.note }),
+      });
+
+      const handlers = {
+        'create': () => {
+          requireName();
+          const store = loadWatchlists();
+          if (store.lists[name]) {
+            throw new NansenError(`Watchlist already exists: ${name}. Add to it with: nansen watchlist add ${name}`, ErrorCode.INVALID_PARAMS);
+          }
+          store.lists[name] = { entries: [], ...(options.note && { note: String(options.note) }) };
+          saveWatchlists(store);
+          return { created: name };
+        },
+        'add': () => {
+          requireName();
+          const store = loadWatchlists();
+          const list = store.lists[name];
+          if (!list) throw unknownList(name, store);
+          const result = mergeEntries(list, givenEntries());
+          saveWatchlists(store);
+          return { ...summary(name, list), ...result };
+        },
+        'remove': () => {
+          requireName();
+          const store = loadWatchlists();
+          const list = store.lists[name];
+          if (!list) throw unknownList(name, store);
+          const targets = givenEntries();
+          const before = list.entries.length;
+          // Without --chain, an address goes from every chain it was added for
+          list.entries = list.entries.filter(e => !targets.some(t => sameEntry(e, options.chain ? t : { ...t, chain: e.chain })));
+          saveWatchlists(store);
+          return { ...summary(name, list), removed: before - list.entries.length };
+        },
+        'delete': () => {
+          requireName();
+          const store = loadWatchlists();
+          if (!store.lists[name]) throw unknownList(name, store);
+          delete store.lists[name];
+          saveWatchlists(store);
+          return { deleted: name };
+        },
+        'list': () => {
+          const store = loadWatchlists();
+          if (name) {
+            if (!store.lists[name]) throw unknownList(name, store);
+            return store.lists[name].entries;
+          }
+          return Object.entries(store.lists).map(([listName, list]) => summary(listName, list));
+        },
+        'import': () => {
+          requireName();
+          if (!options.file) throw new NansenError(`Required: --file. Usage: nansen watchlist import ${name} --file <path>`, ErrorCode.MISSING_PARAM);
+          const kind = options.kind || 'address';
+          if (!ENTRY_KINDS.includes(kind)) {
+            throw new NansenError(`Invalid --kind: ${kind}. Must be one of: ${ENTRY_KINDS.join(', ')}`, ErrorCode.INVALID_PARAMS);
+          }
+          let entries;
+          try {
+            entries = parseWatchlistFile(fs.readFileSync(options.file, 'utf8'), { kind, chain: options.chain });
+          } catch (error) {
+            throw new NansenError(`Cannot import ${options.file}: ${error.message}`, ErrorCode.INVALID_PARAMS);
+          }
+          if (entries.length === 0) throw new NansenError(`No addresses or tokens found in ${options.file}`, ErrorCode.INVALID_PARAMS);
+          const store = loadWatchlists();
+          // Importing into a new name creates the list
+          const list = store.lists[name] ??= { entries: [] };
+          const result = mergeEntries(list, entries);
+          saveWatchlists(store);
+          return { ...summary(name, list), ...result };
+        },
+        'export': () => {
+          requireName();
+          return getWatchlist(name).entries;
+        },
+      };
+
+      if (!handlers[sub]) {
+        throw new NansenError(`Unknown watchlist subcommand: ${sub}. Available: ${Object.keys(handlers).join(', ')}`, ErrorCode.UNKNOWN);
+      }
+      return handlers[sub]();
+    },
+  };
+}
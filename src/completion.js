@@ -0,0 +1,329 @@
+/**
+ * Nansen CLI - Shell completion scripts
+ * `nansen completion bash|zsh|fish` prints a script generated from the
+ * schema: commands, research categories and their aliases, subcommands,
+ * option names and enum values. Wallet names and saved quote IDs change
+ * between sessions, so the scripts ask the CLI for them at completion time:
+ *
+ *   nansen completion --list wallets
+ *   nansen completion --list quotes
+ */
+
+export const COMPLETION_SHELLS = ['bash', 'zsh', 'fish'];
+export const COMPLETION_LISTS = ['wallets', 'quotes'];
+
+// Options whose values are looked up live (research --wallet is an address)
+const DYNAMIC_OPTIONS = { wallet: 'wallets', quote: 'quotes' };
+
+// Subcommands whose positional argument (and --name) is a wallet or quote
+const DYNAMIC_POSITIONALS = {
+  'wallet show': 'wallets',
+  'wallet export': 'wallets',
+  'wallet default': 'wallets',
+  'wallet delete': 'wallets',
+  'trade execute': 'quotes',
+};
+
+// First sentence of a schema description, short enough for a menu
+function summary(text = '') {
+  const first = text.split(/(?<=\.)\s+(?=[A-Z])|\s—\s/)[0].replace(/\.$/, '');
+  return first.length > 60 ? `${first.slice(0, 57)}...` : first;
+}
+
+/**
+ * Flatten the schema into what every script needs: a node per command path
+ * (the words and options that may follow it), option values, alias
+ * rewrites and the options that take no value.
+ *
+ * @param {object} schema - SCHEMA
+ * @param {object} [opts]
+ * @param {Object<string,string>} [opts.aliases] - Research category aliases (sm -> smart-money)
+ * @param {string[]} [opts.commands] - Top-level commands the schema does not describe (login, logout, ...)
+ * @param {string[]} [opts.flags] - Options the argument parser always treats as booleans
+ */
+export function buildCompletionSpec(schema, { aliases = {}, commands = [], flags = [] } = {}) {
+  const research = schema.commands.research?.subcommands || {};
+  const nodes = [];
+  const values = [];
+  const booleans = new Set(flags);
+
+  const addNode = (path, spec) => {
+    const list = DYNAMIC_POSITIONALS[path] || null;
+    const subcommands = Object.entries(spec.subcommands || {});
+    // Aliases (--token-address) are accepted but not offered
+    const options = Object.entries(spec.options || {}).filter(([, opt]) => !opt.alias);
+    nodes.push({
+      path,
+      words: subcommands.map(([name, sub]) => [name, summary(sub.description)]),
+      options: options.map(([name, opt]) => [`--${name}`, summary(opt.description)]),
+      list,
+    });
+    for (const [name, opt] of options) {
+      if (opt.type === 'boolean') booleans.add(name);
+      if (opt.enum) values.push({ path, option: name, values: opt.enum.map(String) });
+      else if (DYNAMIC_OPTIONS[name] && !path.startsWith('research ')) values.push({ path, option: name, list: DYNAMIC_OPTIONS[name] });
+      else if (name === 'name' && list) values.push({ path, option: name, list });
+    }
+    for (const [name, sub] of subcommands) addNode(`${path} ${name}`.trim(), sub);
+  };
+
+  const topLevel = Object.entries(schema.commands).map(([name, cmd]) => [name, summary(cmd.description)]);
+  for (const name of commands) {
+    if (!research[name] && !topLevel.some(([known]) => known === name)) topLevel.push([name, '']);
+  }
+  nodes.push({ path: '', words: topLevel, options: [], list: null });
+  for (const [name, cmd] of Object.entries(schema.commands)) addNode(name, cmd);
+  const researchNode = nodes.find(node => node.path === 'research');
+  for (const [alias, category] of Object.entries(aliases)) {
+    if (researchNode && research[category]) researchNode.words.push([alias, `Alias for ${category}`]);
+  }
+
+  // `nansen sm ...`, `nansen smart-money ...` and `nansen research sm ...`
+  // all complete like `nansen research smart-money ...`
+  const rewrites = [];
+  for (const category of Object.keys(research)) rewrites.push([category, `research ${category}`]);
+  for (const [alias, category] of Object.entries(aliases)) {
+    if (!research[category]) continue;
+    rewrites.push([alias, `research ${category}`], [`research ${alias}`, `research ${category}`]);
+  }
+
+  const globals = Object.entries(schema.globalOptions || {});
+  for (const [name, opt] of globals) {
+    if (opt.type === 'boolean') booleans.add(name);
+  }
+
+  // Values that hold for an option anywhere come after the per-command ones
+  const generic = [{ option: 'chain', values: schema.chains || [] }];
+  for (const [name, opt] of globals) {
+    if (opt.enum) generic.push({ option: name, values: opt.enum.map(String) });
+  }
+  values.push(...generic.map(entry => ({ path: null, ...entry })));
+
+  return {
+    nodes,
+    values,
+    rewrites,
+    globals: globals.map(([name, opt]) => [`--${name}`, summary(opt.description)]),
+    flags: [...booleans],
+  };
+}
+
+// ============= Quoting =============
+
+const shQuote = (text) => `'${String(text).replace(/'/g, `'\\''`)}'`;
+const fishQuote = (text) => `'${String(text).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+// _describe entries are name:description; colons in the name need escaping
+const zshItem = ([name, description]) => shQuote(description ? `${name.replace(/:/g, '\\:')}:${description}` : name);
+
+const names = (pairs) => pairs.map(([name]) => name).join(' ');
+const valuePattern = (entry, quote) => (entry.path === null
+  ? `*${quote(` --${entry.option}`)}`
+  : quote(`${entry.path} --${entry.option}`));
+
+// ============= Bash =============
+
+function bashScript(spec) {
+  const rewrites = spec.rewrites.map(([from, to]) => `        ${shQuote(from)}) cmdpath=${shQuote(to)} ;;`);
+  const values = spec.values.map(entry => `    ${valuePattern(entry, shQuote)}) values=${entry.list
+    ? `$(_nansen_list ${entry.list})`
+    : shQuote(entry.values.join(' '))} ;;`);
+  const nodes = spec.nodes.map(node => `    ${shQuote(node.path)}) words=${shQuote(names(node.words))}; opts=${shQuote(names(node.options))}${node.list
+    ? `; values=$(_nansen_list ${node.list})`
+    : ''} ;;`);
+
+  return `# bash completion for nansen, generated by \`nansen completion bash\` from the CLI schema.
+# Load it with: source <(nansen completion bash)
+
+_nansen_list() {
+  DO_NOT_TRACK=1 NO_UPDATE_NOTIFIER=1 command nansen completion --list "$1" 2>/dev/null
+}
+
+_nansen() {
+  local cur="\${COMP_WORDS[COMP_CWORD]}" prev="\${COMP_WORDS[COMP_CWORD-1]}"
+  local flags=${shQuote(` ${spec.flags.join(' ')} `)}
+  local cmdpath='' word i words='' opts='' values=''
+
+  # The command path so far, skipping options and their values
+  for ((i = 1; i < COMP_CWORD; i++)); do
+    word="\${COMP_WORDS[i]}"
+    if [[ $word == --* ]]; then
+      [[ $flags == *" \${word#--} "* ]] || ((i++))
+    elif [[ $word != -* ]]; then
+      cmdpath="\${cmdpath:+$cmdpath }$word"
+      case "$cmdpath" in
+${rewrites.join('\n')}
+      esac
+    fi
+  done
+
+  if [[ $prev == --* && $flags != *" \${prev#--} "* ]]; then
+    case "$cmdpath $prev" in
+${values.join('\n')}
+    *) compopt -o default 2>/dev/null; COMPREPLY=(); return ;;
+    esac
+    COMPREPLY=($(compgen -W "$values" -- "$cur"))
+    return
+  fi
+
+  case "$cmdpath" in
+${nodes.join('\n')}
+  esac
+  if [[ $cur == -* ]]; then
+    COMPREPLY=($(compgen -W "$opts "${shQuote(names(spec.globals))} -- "$cur"))
+  else
+    COMPREPLY=($(compgen -W "$words $values" -- "$cur"))
+  fi
+}
+
+complete -F _nansen nansen
+`;
+}
+
+// ============= Zsh =============
+
+function zshScript(spec) {
+  const rewrites = spec.rewrites.map(([from, to]) => `        (${shQuote(from)}) cmdpath=${shQuote(to)} ;;`);
+  const list = (source) => `vals=(\${(f)"$(_nansen_list ${source})"})`;
+  const values = spec.values.map(entry => `    (${valuePattern(entry, shQuote)}) ${entry.list
+    ? list(entry.list)
+    : `vals=(${entry.values.map(shQuote).join(' ')})`} ;;`);
+  const nodes = spec.nodes.map(node => `    (${shQuote(node.path)}) cmds=(${node.words.map(zshItem).join(' ')}); opts=(${node.options.map(zshItem).join(' ')})${node.list
+    ? `; ${list(node.list)}`
+    : ''} ;;`);
+
+  return `#compdef nansen
+# zsh completion for nansen, generated by \`nansen completion zsh\` from the CLI schema.
+# Save as _nansen in a directory on $fpath, or load it with: source <(nansen completion zsh)
+
+_nansen_list() {
+  DO_NOT_TRACK=1 NO_UPDATE_NOTIFIER=1 command nansen completion --list "$1" 2>/dev/null
+}
+
+_nansen() {
+  local flags=${shQuote(` ${spec.flags.join(' ')} `)}
+  local cmdpath='' word prev="\${words[CURRENT-1]}" i
+  local -a cmds opts vals
+
+  # The command path so far, skipping options and their values
+  for ((i = 2; i < CURRENT; i++)); do
+    word="\${words[i]}"
+    if [[ $word == --* ]]; then
+      [[ $flags == *" \${word#--} "* ]] || ((i++))
+    elif [[ $word != -* ]]; then
+      cmdpath="\${cmdpath:+$cmdpath }$word"
+      case "$cmdpath" in
+${rewrites.join('\n')}
+      esac
+    fi
+  done
+
+  if [[ $prev == --* && $flags != *" \${prev#--} "* ]]; then
+    case "$cmdpath $prev" in
+${values.join('\n')}
+    (*) _files; return ;;
+    esac
+    compadd -a vals
+    return
+  fi
+
+  case "$cmdpath" in
+${nodes.join('\n')}
+  esac
+  if [[ $PREFIX == -* ]]; then
+    opts+=(${spec.globals.map(zshItem).join(' ')})
+    _describe -t options option opts
+  else
+    (( \${#vals} )) && compadd -a vals
+    _describe -t commands command cmds
+  fi
+}
+
+if [[ "\${funcstack[1]}" == _nansen ]]; then
+  _nansen "$@"
+else
+  compdef _nansen nansen
+fi
+`;
+}
+
+// ============= Fish =============
+
+function fishScript(spec) {
+  const fishItem = ([name, description]) => (description ? `${fishQuote(name)}\\t${fishQuote(description)}` : fishQuote(name));
+  const rewrites = spec.rewrites.map(([from, to]) => `                case ${fishQuote(from)}\n                    set cmdpath ${fishQuote(to)}`);
+  const values = spec.values.map(entry => `            case ${valuePattern(entry, fishQuote)}\n                ${entry.list
+    ? `__nansen_list ${entry.list}`
+    : `printf '%s\\n' ${entry.values.map(fishQuote).join(' ')}`}`);
+  const nodes = spec.nodes.map(node => [
+    `        case ${fishQuote(node.path)}`,
+    node.words.length ? `            set words ${node.words.map(fishItem).join(' ')}` : null,
+    node.options.length ? `            set opts ${node.options.map(fishItem).join(' ')}` : null,
+    node.list ? `            set list ${node.list}` : null,
+  ].filter(Boolean).join('\n'));
+
+  return `# fish completion for nansen, generated by \`nansen completion fish\` from the CLI schema.
+# Save as ~/.config/fish/completions/nansen.fish
+
+function __nansen_list
+    env DO_NOT_TRACK=1 NO_UPDATE_NOTIFIER=1 nansen completion --list $argv[1] 2>/dev/null
+end
+
+function __nansen_complete
+    set -l flags ${spec.flags.map(fishQuote).join(' ')}
+    set -l tokens (commandline -opc)
+    set -l cmdpath ''
+    set -l skip 0
+
+    # The command path so far, skipping options and their values
+    for word in $tokens[2..-1]
+        if test $skip = 1
+            set skip 0
+        else if string match -q -- '--*' $word
+            contains -- (string sub -s 3 -- $word) $flags; or set skip 1
+        else if not string match -q -- '-*' $word
+            set cmdpath (string trim -- "$cmdpath $word")
+            switch "$cmdpath"
+${rewrites.join('\n')}
+            end
+        end
+    end
+
+    if test $skip = 1
+        switch "$cmdpath $tokens[-1]"
+${values.join('\n')}
+            case '*'
+                __fish_complete_path (commandline -ct)
+        end
+        return
+    end
+
+    set -l words
+    set -l opts
+    set -l list
+    switch "$cmdpath"
+${nodes.join('\n')}
+    end
+    if string match -q -- '-*' (commandline -ct)
+        printf '%s\\n' $opts ${spec.globals.map(fishItem).join(' ')}
+    else
+        printf '%s\\n' $words
+        test -n "$list"; and __nansen_list $list
+    end
+end
+
+complete -c nansen -f -a '(__nansen_complete)'
+`;
+}
+
+const GENERATORS = { bash: bashScript, zsh: zshScript, fish: fishScript };
+
+/**
+ * Generate the completion script for one shell.
+ * @param {'bash'|'zsh'|'fish'} shell
+ * @param {object} schema - SCHEMA
+ * @param {object} [opts] - See buildCompletionSpec
+ * @returns {string}
+ */
+export function generateCompletion(shell, schema, opts) {
+  return GENERATORS[shell](buildCompletionSpec(schema, opts));
+}
@@ -1,6 +1,6 @@
 /**
  * Shared cryptographic primitives for EVM transaction signing.
- * Exports keccak256, secp256k1 ECDSA signing, RLP encoding.
+ * Exports keccak256, secp256k1 ECDSA signing/recovery, RLP encoding/decoding.
  * Uses audited libraries: @noble/hashes, @noble/curves, @ethereumjs/rlp.
  */
 
@@ -45,6 +45,24 @@ export function signSecp256k1(hash, privateKey) {
   };
 }
 
+/**
+ * Recover the EVM address that signed a 32-byte hash.
+ * @param {Uint8Array} hash
+ * @param {Buffer|Uint8Array} r - 32 bytes
+ * @param {Buffer|Uint8Array} s - 32 bytes
+ * @param {number} recovery - Recovery ID (0 or 1)
+ * @returns {string} Lowercase 0x address
+ */
+export function recoverSecp256k1Address(hash, r, s, recovery) {
+  const compact = Buffer.concat([Buffer.from(r).subarray(-32), Buffer.from(s).subarray(-32)]);
+  const padded = compact.length === 64 ? compact : Buffer.concat([Buffer.alloc(64 - compact.length), compact]);
+  const pubKey = secp256k1.Signature.fromBytes(padded, "compact")
+    .addRecoveryBit(recovery)
+    .recoverPublicKey(hash)
+    .toBytes(false);
+  return "0x" + keccak256(pubKey.subarray(1)).subarray(-20).toString("hex");
+}
+
 // ============= RLP Encoding =============
 
 export function bigIntToMinBuf(n) {
@@ -57,6 +75,14 @@ export function rlpEncode(input) {
   return Buffer.from(RLP.encode(toRlpInput(input)));
 }
 
+/**
+ * Decode RLP bytes into nested arrays of Buffers.
+ */
+export function rlpDecode(input) {
+  const toBuffers = (item) => Array.isArray(item) ? item.map(toBuffers) : Buffer.from(item);
+  return toBuffers(RLP.decode(Uint8Array.from(input)));
+}
+
 /**
  * Convert our legacy input format to what @ethereumjs/rlp expects.
  * Handles: arrays (recursive), Buffers, hex strings, empty values.
@@ -0,0 +1,228 @@
+/**
+ * Nansen CLI - Token dossier
+ * Fans out the token due-diligence commands (info, indicators, holders,
+ * flow-intelligence, who-bought-sold, dex-trades, pnl) into one report.
+ * Each section succeeds or fails on its own, holder concentration is computed
+ * from the holders sample, and the credits spent are measured on the account
+ * balance (the API reports no per-request cost, so there is no per-section
+ * breakdown).
+ */
+
+import { NansenError, ErrorCode } from './api.js';
+
+// Rows read for each list section; holders gets more for concentration stats
+const SECTION_ROWS = 25;
+const HOLDER_ROWS = 100;
+
+/**
+ * Section name -> (api, params) => Promise. Order is the report order.
+ */
+export const DOSSIER_SECTIONS = {
+  info: (api, { tokenAddress, chain }) => api.tokenInformation({ tokenAddress, chain }),
+  indicators: (api, { tokenAddress, chain }) => api.tokenIndicators({ tokenAddress, chain }),
+  holders: (api, { tokenAddress, chain }) => api.tokenHolders({ tokenAddress, chain, pagination: { page: 1, per_page: HOLDER_ROWS } }),
+  flow_intelligence: (api, { tokenAddress, chain, days }) => api.tokenFlowIntelligence({ tokenAddress, chain, days }),
+  who_bought_sold: (api, { tokenAddress, chain, days }) => api.tokenWhoBoughtSold({ tokenAddress, chain, days, pagination: { page: 1, per_page: SECTION_ROWS } }),
+  dex_trades: (api, { tokenAddress, chain, days }) => api.tokenDexTrades({ tokenAddress, chain, days, pagination: { page: 1, per_page: SECTION_ROWS } }),
+  pnl: (api, { tokenAddress, chain, days }) => api.tokenPnlLeaderboard({ tokenAddress, chain, days, pagination: { page: 1, per_page: SECTION_ROWS } }),
+};
+
+/**
+ * Rows of a list response, whatever its wrapping.
+ */
+function rowsOf(response) {
+  const rows = Array.isArray(response) ? response : (response?.data?.results ?? response?.results ?? response?.data);
+  return Array.isArray(rows) ? rows : [];
+}
+
+/**
+ * Object payload of a single-record response (info, indicators, flow-intelligence).
+ */
+function recordOf(response) {
+  let record = response?.data ?? response;
+  if (Array.isArray(record)) record = record[0];
+  if (!record || typeof record !== 'object') return record ?? null;
+  const { _meta, ...rest } = record;
+  return rest;
+}
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * Concentration of the sampled holders. Shares come from ownership_percentage
+ * when the API sends it, else from each holder's share of the sampled amount.
+ *
+ * @param {object[]} holders - Rows from tokenHolders, largest first
+ * @returns {object|null} { sampled, top_1_pct, top_10_pct, top_25_pct, hhi, gini, exchange_pct }
+ */
+export function holderConcentration(holders) {
+  if (!holders.length) return null;
+  const hasPct = holders.every(h => Number.isFinite(Number(h.ownership_percentage)));
+  const sampledAmount = holders.reduce((sum, h) => sum + (Number(h.token_amount) || 0), 0);
+  const pcts = holders.map(h => (hasPct
+    ? Number(h.ownership_percentage)
+    : (sampledAmount > 0 ? ((Number(h.token_amount) || 0) / sampledAmount) * 100 : 0)));
+  const sorted = [...pcts].sort((a, b) => b - a);
+  const top = (n) => round2(sorted.slice(0, n).reduce((sum, p) => sum + p, 0));
+
+  // Gini over the sample: 0 = evenly spread, 1 = one holder has everything
+  const ascending = [...sorted].reverse();
+  const total = ascending.reduce((sum, p) => sum + p, 0);
+  const gini = total > 0
+    ? ascending.reduce((sum, p, i) => sum + (2 * (i + 1) - ascending.length - 1) * p, 0) / (ascending.length * total)
+    : 0;
+
+  const exchange = holders.reduce((sum, h, i) => sum + (/exchange|cex/i.test(h.address_label || '') ? pcts[i] : 0), 0);
+
+  return {
+    sampled: holders.length,
+    share_basis: hasPct ? 'supply' : 'sample',
+    top_1_pct: top(1),
+    top_10_pct: top(10),
+    top_25_pct: top(25),
+    // Herfindahl-Hirschman index on percentage points (10000 = single holder)
+    hhi: Math.round(pcts.reduce((sum, p) => sum + p * p, 0)),
+    gini: Math.round(gini * 10000) / 10000,
+    exchange_pct: round2(exchange),
+  };
+}
+
+/**
+ * Build a token dossier.
+ *
+ * @param {object} api - NansenAPI instance
+ * @param {object} params
+ * @param {string} params.tokenAddress
+ * @param {string} [params.chain='solana']
+ * @param {number} [params.days=30] - Lookback for flows, trades and PnL
+ * @returns {Promise<object>} { token, chain, generated_at, sections, holder_concentration, credits };
+ *   credits.total is the drop in the account balance, null when it could not be read
+ */
+export async function tokenDossier(api, params = {}) {
+  const { tokenAddress, chain = 'solana', days = 30 } = params;
+  if (!tokenAddress) {
+    throw new NansenError('--token is required for dossier', ErrorCode.MISSING_PARAM);
+  }
+
+  const names = Object.keys(DOSSIER_SECTIONS);
+  const creditBalance = async () => (typeof api.getCreditBalance === 'function' ? api.getCreditBalance() : null);
+  const balanceBefore = await creditBalance();
+  // The API's scheduler paces these; a failing section never sinks the others
+  const settled = await Promise.allSettled(names.map(name => DOSSIER_SECTIONS[name](api, { tokenAddress, chain, days })));
+  const balanceAfter = balanceBefore === null ? null : await creditBalance();
+
+  const sections = {};
+  names.forEach((name, i) => {
+    const { status, value, reason } = settled[i];
+    if (status === 'rejected') {
+      sections[name] = { ok: false, error: { code: reason?.code || ErrorCode.UNKNOWN, message: reason?.message || String(reason) } };
+      return;
+    }
+    const isList = name !== 'info' && name !== 'indicators' && name !== 'flow_intelligence';
+    sections[name] = { ok: true, data: isList ? rowsOf(value) : recordOf(value) };
+  });
+
+  // Nothing to report (bad token, no credits, no network): surface the error itself
+  const failed = names.filter(name => !sections[name].ok);
+  if (failed.length === names.length) throw settled[0].reason;
+
+  return {
+    token: tokenAddress,
+    chain,
+    days,
+    generated_at: new Date().toISOString(),
+    sections,
+    holder_concentration: sections.holders.ok ? holderConcentration(sections.holders.data) : null,
+    failed_sections: failed,
+    credits: {
+      total: balanceAfter !== null && balanceAfter <= balanceBefore ? balanceBefore - balanceAfter : null,
+    },
+  };
+}
+
+// ============= Markdown report =============
+
+const TITLES = {
+  info: 'Overview',
+  indicators: 'Indicators',
+  holders: 'Top holders',
+  flow_intelligence: 'Flow intelligence',
+  who_bought_sold: 'Who bought / sold',
+  dex_trades: 'Recent DEX trades',
+  pnl: 'PnL leaderboard',
+};
+
+// Columns shown for each list section (missing ones are skipped)
+const COLUMNS = {
+  holders: ['address', 'address_label', 'ownership_percentage', 'value_usd', 'balance_change_24h'],
+  who_bought_sold: ['address', 'address_label', 'bought_volume_usd', 'sold_volume_usd'],
+  dex_trades: ['block_timestamp', 'trader_address_label', 'action', 'token_bought_symbol', 'token_sold_symbol', 'trade_value_usd', 'estimated_value_usd'],
+  pnl: ['trader_address', 'trader_address_label', 'pnl_usd_realised', 'pnl_usd_unrealised', 'roi_percent_realised'],
+};
+const TABLE_ROWS = 10;
+
+const mdCell = (value) => {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'number') return Number.isInteger(value) ? String(value) : value.toFixed(2);
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return text.replace(/\|/g, '\\|').replace(/\n/g, ' ');
+};
+
+function mdTable(rows, columns) {
+  const present = columns.filter(c => rows.some(r => r[c] !== undefined));
+  const cols = present.length ? present : Object.keys(rows[0] || {}).slice(0, 6);
+  if (!rows.length || !cols.length) return '_No rows._';
+  return [
+    `| ${cols.join(' | ')} |`,
+    `| ${cols.map(() => '---').join(' | ')} |`,
+    ...rows.slice(0, TABLE_ROWS).map(r => `| ${cols.map(c => mdCell(r[c])).join(' | ')} |`),
+  ].join('\n');
+}
+
+function mdKeyValues(record) {
+  if (!record || typeof record !== 'object') return '_No data._';
+  return Object.entries(record).map(([key, value]) => `- **${key}**: ${mdCell(value)}`).join('\n');
+}
+
+/**
+ * Render a dossier as a Markdown report.
+ * @param {object} dossier - From tokenDossier()
+ * @returns {string}
+ */
+export function renderDossierMarkdown(dossier) {
+  const info = dossier.sections.info?.ok ? dossier.sections.info.data : null;
+  const name = info?.symbol ? `${info.name || info.symbol} (${info.symbol})` : dossier.token;
+  const out = [
+    `# Token dossier: ${name}`,
+    '',
+    `- **Token**: \`${dossier.token}\``,
+    `- **Chain**: ${dossier.chain}`,
+    `- **Lookback**: ${dossier.days} days`,
+    `- **Generated**: ${dossier.generated_at}`,
+    `- **Credits used**: ${dossier.credits.total ?? 'unknown (the account balance could not be read)'}`,
+  ];
+  if (dossier.failed_sections.length) {
+    out.push(`- **Missing sections**: ${dossier.failed_sections.join(', ')}`);
+  }
+
+  const hc = dossier.holder_concentration;
+  if (hc) {
+    out.push('', '## Holder concentration', '',
+      `Top 1 holds ${hc.top_1_pct}%, top 10 hold ${hc.top_10_pct}%, top 25 hold ${hc.top_25_pct}% of ${hc.share_basis === 'supply' ? 'supply' : 'the sampled balance'}.`,
+      '',
+      mdKeyValues(hc));
+  }
+
+  for (const [key, section] of Object.entries(dossier.sections)) {
+    out.push('', `## ${TITLES[key] || key}`, '');
+    if (!section.ok) {
+      out.push(`> Unavailable: ${section.error.message} (${section.error.code})`);
+    } else if (Array.isArray(section.data)) {
+      out.push(mdTable(section.data, COLUMNS[key] || []));
+    } else {
+      out.push(mdKeyValues(section.data));
+    }
+  }
+
+  return out.join('\n') + '\n';
+}
@@ -0,0 +1,243 @@
+/**
+ * Nansen CLI - Counterparty graph export
+ * Turns a `profiler trace` result into DOT (Graphviz), GraphML, GEXF (Gephi),
+ * Mermaid or Cytoscape.js JSON. Nodes carry labels and entity names from
+ * addressLabels; edges carry volume_usd, tx_count and the hop they were found on.
+ */
+
+import { mapConcurrent } from './scheduler.js';
+
+export const GRAPH_FORMATS = ['dot', 'graphml', 'gexf', 'mermaid', 'cytoscape-json'];
+
+/**
+ * Pull label rows out of an addressLabels response, whatever its wrapping.
+ */
+function labelRows(response) {
+  const rows = Array.isArray(response) ? response : (response?.data ?? response?.labels ?? []);
+  return Array.isArray(rows) ? rows : [];
+}
+
+/**
+ * Build a decorated graph from traceCounterparties() output.
+ * Labels are looked up once per address for the whole trace; noCache also
+ * keeps these calls out of the client's response cache.
+ *
+ * @param {object} api - NansenAPI instance
+ * @param {object} trace - { root, chain, nodes, edges }
+ * @param {object} [opts]
+ * @param {boolean} [opts.noCache=false]
+ * @returns {Promise<{ root: string, chain: string, nodes: object[], edges: object[] }>}
+ */
+export async function decorateGraph(api, trace, { noCache = false } = {}) {
+  const { root, chain } = trace;
+  const hops = new Map([[root, 0]]);
+  for (const edge of trace.edges) {
+    if (!hops.has(edge.to)) hops.set(edge.to, edge.hop);
+  }
+
+  const labelCache = new Map();
+  const lookupLabels = (address) => {
+    if (!labelCache.has(address)) {
+      labelCache.set(address, api.addressLabels({ address, chain }, noCache ? { cache: false } : {})
+        .then(labelRows)
+        // Unlabelled (or unsupported) addresses still appear, just without labels
+        .catch(() => []));
+    }
+    return labelCache.get(address);
+  };
+
+  const nodes = await mapConcurrent(trace.nodes, api.scheduler?.concurrency ?? 1, async (address) => {
+    const rows = await lookupLabels(address);
+    const labels = rows.map(r => r.label || r.fullname).filter(Boolean);
+    const entity = rows.find(r => r.category === 'entity');
+    return {
+      id: address,
+      labels,
+      entity: entity ? (entity.fullname || entity.label) : null,
+      hop: hops.get(address) ?? null,
+    };
+  });
+
+  const edges = trace.edges.map(e => ({
+    source: e.from,
+    target: e.to,
+    volume_usd: Number(e.volume_usd) || 0,
+    tx_count: Number(e.tx_count) || 0,
+    hop: e.hop,
+  }));
+  return { root, chain, nodes, edges };
+}
+
+// ============= Serializers =============
+
+const shortAddress = (address) => (address.length > 14 ? `${address.slice(0, 6)}…${address.slice(-4)}` : address);
+
+/**
+ * Display name for a node: entity name, else first label, else short address.
+ */
+function nodeTitle(node) {
+  return node.entity || node.labels[0] || shortAddress(node.id);
+}
+
+/**
+ * Two-line caption: the title and, for labelled nodes, the short address under it.
+ */
+function nodeCaption(node, separator) {
+  const title = nodeTitle(node);
+  return title === shortAddress(node.id) ? title : `${title}${separator}${shortAddress(node.id)}`;
+}
+
+function formatUsd(value) {
+  const abs = Math.abs(value);
+  if (abs >= 1e9) return `$${(value / 1e9).toFixed(1)}B`;
+  if (abs >= 1e6) return `$${(value / 1e6).toFixed(1)}M`;
+  if (abs >= 1e3) return `$${(value / 1e3).toFixed(1)}k`;
+  return `$${value.toFixed(0)}`;
+}
+
+const edgeCaption = (edge) => `${formatUsd(edge.volume_usd)} · ${edge.tx_count} tx`;
+
+const xmlEscape = (s) => String(s)
+  .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&apos;');
+
+const dotEscape = (s) => String(s).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+function toDot(graph) {
+  const maxVolume = Math.max(1, ...graph.edges.map(e => e.volume_usd));
+  const lines = [`digraph trace {`, `  rankdir=LR;`, `  node [shape=box, style=rounded];`];
+  for (const node of graph.nodes) {
+    const attrs = [`label="${dotEscape(nodeCaption(node, '\n'))}"`];
+    if (node.hop !== null) attrs.push(`hop=${node.hop}`);
+    if (node.labels.length) attrs.push(`tooltip="${dotEscape(node.labels.join(', '))}"`);
+    if (node.id === graph.root) attrs.push('penwidth=2');
+    lines.push(`  "${dotEscape(node.id)}" [${attrs.join(', ')}];`);
+  }
+  for (const edge of graph.edges) {
+    const penwidth = (1 + 4 * (edge.volume_usd / maxVolume)).toFixed(2);
+    // Graphviz only accepts integer weights for dot layouts; volume_usd keeps the exact figure
+    lines.push(`  "${dotEscape(edge.source)}" -> "${dotEscape(edge.target)}" [label="${dotEscape(edgeCaption(edge))}", weight=${Math.round(edge.volume_usd)}, penwidth=${penwidth}, volume_usd=${edge.volume_usd}, tx_count=${edge.tx_count}, hop=${edge.hop}];`);
+  }
+  lines.push('}');
+  return lines.join('\n');
+}
+
+function toGraphml(graph) {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+    '  <key id="label" for="node" attr.name="label" attr.type="string"/>',
+    '  <key id="entity" for="node" attr.name="entity" attr.type="string"/>',
+    '  <key id="labels" for="node" attr.name="labels" attr.type="string"/>',
+    '  <key id="node_hop" for="node" attr.name="hop" attr.type="int"/>',
+    '  <key id="weight" for="edge" attr.name="weight" attr.type="double"/>',
+    '  <key id="volume_usd" for="edge" attr.name="volume_usd" attr.type="double"/>',
+    '  <key id="tx_count" for="edge" attr.name="tx_count" attr.type="int"/>',
+    '  <key id="edge_hop" for="edge" attr.name="hop" attr.type="int"/>',
+    `  <graph id="trace" edgedefault="directed">`,
+  ];
+  for (const node of graph.nodes) {
+    lines.push(`    <node id="${xmlEscape(node.id)}">`);
+    lines.push(`      <data key="label">${xmlEscape(nodeTitle(node))}</data>`);
+    if (node.entity) lines.push(`      <data key="entity">${xmlEscape(node.entity)}</data>`);
+    if (node.labels.length) lines.push(`      <data key="labels">${xmlEscape(node.labels.join(', '))}</data>`);
+    if (node.hop !== null) lines.push(`      <data key="node_hop">${node.hop}</data>`);
+    lines.push('    </node>');
+  }
+  graph.edges.forEach((edge, i) => {
+    lines.push(`    <edge id="e${i}" source="${xmlEscape(edge.source)}" target="${xmlEscape(edge.target)}">`);
+    lines.push(`      <data key="weight">${edge.volume_usd}</data>`);
+    lines.push(`      <data key="volume_usd">${edge.volume_usd}</data>`);
+    lines.push(`      <data key="tx_count">${edge.tx_count}</data>`);
+    lines.push(`      <data key="edge_hop">${edge.hop}</data>`);
+    lines.push('    </edge>');
+  });
+  lines.push('  </graph>', '</graphml>');
+  return lines.join('\n');
+}
+
+function toGexf(graph) {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gexf xmlns="http://gexf.net/1.3" version="1.3">',
+    `  <graph defaultedgetype="directed">`,
+    '    <attributes class="node">',
+    '      <attribute id="0" title="entity" type="string"/>',
+    '      <attribute id="1" title="labels" type="string"/>',
+    '      <attribute id="2" title="hop" type="integer"/>',
+    '    </attributes>',
+    '    <attributes class="edge">',
+    '      <attribute id="0" title="volume_usd" type="double"/>',
+    '      <attribute id="1" title="tx_count" type="integer"/>',
+    '      <attribute id="2" title="hop" type="integer"/>',
+    '    </attributes>',
+    '    <nodes>',
+  ];
+  for (const node of graph.nodes) {
+    lines.push(`      <node id="${xmlEscape(node.id)}" label="${xmlEscape(nodeTitle(node))}">`);
+    lines.push('        <attvalues>');
+    lines.push(`          <attvalue for="0" value="${xmlEscape(node.entity ?? '')}"/>`);
+    lines.push(`          <attvalue for="1" value="${xmlEscape(node.labels.join(', '))}"/>`);
+    if (node.hop !== null) lines.push(`          <attvalue for="2" value="${node.hop}"/>`);
+    lines.push('        </attvalues>');
+    lines.push('      </node>');
+  }
+  lines.push('    </nodes>', '    <edges>');
+  graph.edges.forEach((edge, i) => {
+    lines.push(`      <edge id="${i}" source="${xmlEscape(edge.source)}" target="${xmlEscape(edge.target)}" weight="${edge.volume_usd}" label="${xmlEscape(edgeCaption(edge))}">`);
+    lines.push('        <attvalues>');
+    lines.push(`          <attvalue for="0" value="${edge.volume_usd}"/>`);
+    lines.push(`          <attvalue for="1" value="${edge.tx_count}"/>`);
+    lines.push(`          <attvalue for="2" value="${edge.hop}"/>`);
+    lines.push('        </attvalues>');
+    lines.push('      </edge>');
+  });
+  lines.push('    </edges>', '  </graph>', '</gexf>');
+  return lines.join('\n');
+}
+
+function toMermaid(graph) {
+  // Mermaid ids cannot be raw addresses in every renderer; use n0, n1, ...
+  const ids = new Map(graph.nodes.map((node, i) => [node.id, `n${i}`]));
+  const quote = (s) => `"${String(s).replace(/"/g, '#quot;')}"`;
+  const lines = ['flowchart LR'];
+  for (const node of graph.nodes) {
+    lines.push(`  ${ids.get(node.id)}[${quote(nodeCaption(node, '<br/>'))}]`);
+  }
+  for (const edge of graph.edges) {
+    if (!ids.has(edge.source) || !ids.has(edge.target)) continue;
+    lines.push(`  ${ids.get(edge.source)} -->|${quote(`${edgeCaption(edge)} · hop ${edge.hop}`)}| ${ids.get(edge.target)}`);
+  }
+  lines.push(`  style ${ids.get(graph.root)} stroke-width:3px`);
+  return lines.join('\n');
+}
+
+function toCytoscape(graph) {
+  return JSON.stringify({
+    elements: {
+      nodes: graph.nodes.map(node => ({
+        data: { id: node.id, label: nodeTitle(node), entity: node.entity, labels: node.labels, hop: node.hop, root: node.id === graph.root },
+      })),
+      edges: graph.edges.map((edge, i) => ({
+        data: { id: `e${i}`, source: edge.source, target: edge.target, weight: edge.volume_usd, volume_usd: edge.volume_usd, tx_count: edge.tx_count, hop: edge.hop },
+      })),
+    },
+  });
+}
+
+const SERIALIZERS = {
+  dot: toDot,
+  graphml: toGraphml,
+  gexf: toGexf,
+  mermaid: toMermaid,
+  'cytoscape-json': toCytoscape,
+};
+
+/**
+ * Serialize a decorated graph.
+ * @param {object} graph - From decorateGraph()
+ * @param {string} format - One of GRAPH_FORMATS
+ * @returns {string}
+ */
+export function formatGraph(graph, format) {
+  return SERIALIZERS[format](graph);
+}
@@ -0,0 +1,229 @@
+/**
+ * Nansen CLI - MCP server
+ * Speaks the Model Context Protocol (JSON-RPC 2.0, newline-delimited) over stdio
+ * and publishes one tool per research subcommand, generated from schema.json.
+ * Zero external dependencies — the protocol surface we need is small.
+ */
+
+import * as readline from 'readline';
+
+// Newest first. We answer initialize with the client's version when we know it.
+export const MCP_PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+
+// JSON-RPC error codes used by MCP
+const RPC_PARSE_ERROR = -32700;
+const RPC_INVALID_REQUEST = -32600;
+const RPC_METHOD_NOT_FOUND = -32601;
+const RPC_INVALID_PARAMS = -32602;
+const RPC_INTERNAL_ERROR = -32603;
+
+// Wallet subcommands that are safe to hand to an agent. export/delete are never
+// exposed: they leak or destroy key material.
+const MCP_WALLET_SUBCOMMANDS = ['list', 'show', 'create', 'send', 'default'];
+
+/**
+ * Convert a schema.json option definition to a JSON Schema property.
+ * schema.json is intentionally minimal, so the type is inferred from the
+ * default value when it is not declared.
+ */
+export function optionToJsonSchema(opt = {}) {
+  let type = opt.type;
+  if (!type) {
+    if (typeof opt.default === 'number') type = 'number';
+    else if (typeof opt.default === 'boolean') type = 'boolean';
+    else type = 'string';
+  }
+  const prop = { type };
+  if (opt.description) prop.description = opt.description;
+  if (opt.enum) prop.enum = opt.enum;
+  if (opt.default !== undefined) prop.default = opt.default;
+  return prop;
+}
+
+/**
+ * Build a JSON Schema object for a command's options.
+ * @param {object} options - schema.json options map
+ * @param {object} [extra] - Additional properties merged underneath (schema wins)
+ */
+export function optionsToInputSchema(options = {}, extra = {}) {
+  const properties = {};
+  for (const [name, opt] of Object.entries(extra)) {
+    properties[name] = optionToJsonSchema(opt);
+  }
+  const required = [];
+  for (const [name, opt] of Object.entries(options)) {
+    // Aliases (--token-address for --token) are CLI spellings, not tool inputs
+    if (opt.alias) continue;
+    properties[name] = optionToJsonSchema(opt);
+    if (opt.required) required.push(name);
+  }
+  const inputSchema = { type: 'object', properties };
+  if (required.length > 0) inputSchema.required = required;
+  return inputSchema;
+}
+
+/**
+ * Tool name for a command path, e.g. ['research', 'smart-money', 'netflow'] →
+ * "research_smart_money_netflow". MCP clients reject most punctuation in names.
+ */
+export function toolName(commandPath) {
+  return commandPath.join('_').replace(/[^a-zA-Z0-9_]/g, '_');
+}
+
+/**
+ * Generate MCP tool definitions from the CLI schema.
+ * Every research subcommand becomes a tool. Trade and wallet tools are only
+ * included when allowTrading is set, so a read-only agent cannot move funds.
+ *
+ * @param {object} schema - SCHEMA from cli.js
+ * @param {object} [opts]
+ * @param {boolean} [opts.allowTrading=false] - Include trade_* and wallet_* tools
+ * @returns {Array<{name: string, description: string, inputSchema: object, command: string[]}>}
+ */
+export function buildMcpTools(schema, { allowTrading = false } = {}) {
+  const tools = [];
+
+  for (const [category, cat] of Object.entries(schema.commands.research.subcommands)) {
+    const entries = cat.subcommands
+      ? Object.entries(cat.subcommands).map(([sub, def]) => [['research', category, sub], def])
+      : [[['research', category], cat]];
+
+    for (const [command, def] of entries) {
+      const extra = { ...schema.researchOptions, fields: schema.globalOptions.fields };
+      const inputSchema = optionsToInputSchema(def.options, extra);
+      if (inputSchema.properties.chain && !inputSchema.properties.chain.enum) {
+        inputSchema.properties.chain.enum = schema.chains;
+      }
+      tools.push({
+        name: toolName(command),
+        description: def.description || cat.description || command.join(' '),
+        inputSchema,
+        command,
+      });
+    }
+  }
+
+  if (allowTrading) {
+    for (const [sub, def] of Object.entries(schema.commands.trade?.subcommands || {})) {
+      const options = sub === 'execute'
+        ? { ...def.options, quote: { type: 'string', required: true, description: 'Quote ID returned by trade_quote' } }
+        : def.options;
+      tools.push({
+        name: toolName(['trade', sub]),
+        description: def.description,
+        inputSchema: optionsToInputSchema(options),
+        command: ['trade', sub],
+      });
+    }
+    const walletSubs = schema.commands.wallet?.subcommands || {};
+    for (const sub of MCP_WALLET_SUBCOMMANDS) {
+      const def = walletSubs[sub];
+      if (!def) continue;
+      const options = ['create', 'default'].includes(sub)
+        ? { name: { type: 'string', description: 'Wallet name' }, ...def.options }
+        : def.options;
+      tools.push({
+        name: toolName(['wallet', sub]),
+        description: def.description,
+        inputSchema: optionsToInputSchema(options),
+        command: ['wallet', sub],
+      });
+    }
+  }
+
+  return tools;
+}
+
+/**
+ * Create a transport-agnostic MCP server.
+ *
+ * @param {object} params
+ * @param {Array} params.tools - Tool definitions from buildMcpTools()
+ * @param {Function} params.callTool - async (tool, args) => { text, isError }
+ * @param {string} params.version - Server version reported to clients
+ * @returns {{ handleMessage: (msg: object) => Promise<object|null> }}
+ */
+export function createMcpServer({ tools, callTool, version }) {
+  const toolsByName = new Map(tools.map(t => [t.name, t]));
+
+  const methods = {
+    'initialize': (params = {}) => ({
+      protocolVersion: MCP_PROTOCOL_VERSIONS.includes(params.protocolVersion)
+        ? params.protocolVersion
+        : MCP_PROTOCOL_VERSIONS[0],
+      capabilities: { tools: { listChanged: false } },
+      serverInfo: { name: 'nansen-cli', version },
+    }),
+    'ping': () => ({}),
+    'tools/list': () => ({
+      tools: tools.map(({ name, description, inputSchema }) => ({ name, description, inputSchema })),
+    }),
+    'tools/call': async (params = {}) => {
+      const tool = toolsByName.get(params.name);
+      if (!tool) {
+        throw Object.assign(new Error(`Unknown tool: ${params.name}`), { rpcCode: RPC_INVALID_PARAMS });
+      }
+      const { text, isError } = await callTool(tool, params.arguments || {});
+      return { content: [{ type: 'text', text }], isError: !!isError };
+    },
+  };
+
+  async function handleMessage(msg) {
+    if (!msg || typeof msg !== 'object' || msg.jsonrpc !== '2.0' || typeof msg.method !== 'string') {
+      // Responses from the client (we never send requests) are ignored
+      if (msg && typeof msg === 'object' && ('result' in msg || 'error' in msg)) return null;
+      return { jsonrpc: '2.0', id: msg?.id ?? null, error: { code: RPC_INVALID_REQUEST, message: 'Invalid request' } };
+    }
+
+    // Notifications (no id) never get a response
+    const isNotification = msg.id === undefined || msg.id === null;
+    const handler = methods[msg.method];
+    if (isNotification) return null;
+
+    if (!handler) {
+      return { jsonrpc: '2.0', id: msg.id, error: { code: RPC_METHOD_NOT_FOUND, message: `Method not found: ${msg.method}` } };
+    }
+
+    try {
+      const result = await handler(msg.params);
+      return { jsonrpc: '2.0', id: msg.id, result };
+    } catch (err) {
+      return { jsonrpc: '2.0', id: msg.id, error: { code: err.rpcCode || RPC_INTERNAL_ERROR, message: err.message } };
+    }
+  }
+
+  return { handleMessage };
+}
+
+/**
+ * Serve an MCP server over newline-delimited JSON streams (stdio transport).
+ * Resolves once the input stream closes and all in-flight requests are answered.
+ * Nothing but protocol messages may be written to output.
+ */
+export function serveStdio(server, { input = process.stdin, output = process.stdout } = {}) {
+  return new Promise((resolve) => {
+    const rl = readline.createInterface({ input, terminal: false });
+    const pending = new Set();
+    const send = (msg) => output.write(JSON.stringify(msg) + '\n');
+
+    rl.on('line', (line) => {
+      if (!line.trim()) return;
+      let msg;
+      try {
+        msg = JSON.parse(line);
+      } catch {
+        send({ jsonrpc: '2.0', id: null, error: { code: RPC_PARSE_ERROR, message: 'Parse error' } });
+        return;
+      }
+      const p = server.handleMessage(msg)
+        .then(res => { if (res) send(res); })
+        .finally(() => pending.delete(p));
+      pending.add(p);
+    });
+
+    rl.on('close', async () => {
+      await Promise.allSettled([...pending]);
+      resolve();
+    });
+  });
+}
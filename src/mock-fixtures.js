@@ -0,0 +1,479 @@
+/**
+ * Nansen CLI - Seeded fixtures for the mock API server
+ * Every response is a pure function of (seed, endpoint, request body), so the
+ * same request always returns the same rows and pages line up across calls.
+ */
+
+import crypto from 'crypto';
+import { base58Encode } from './x402-svm.js';
+
+export const DEFAULT_MOCK_SEED = 42;
+
+const TOKENS = [
+  { symbol: 'WETH', name: 'Wrapped Ether', address: '0xc02aaa39b223fe8d0a0e5c4f27ead9083c756cc2', price: 3200 },
+  { symbol: 'USDC', name: 'USD Coin', address: '0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48', price: 1 },
+  { symbol: 'PEPE', name: 'Pepe', address: '0x6982508145454ce325ddbe47a25d4ec3d2311933', price: 0.0000091 },
+  { symbol: 'LINK', name: 'Chainlink', address: '0x514910771af9ca656af840dff83e8264ecf986ca', price: 14.2 },
+  { symbol: 'SOL', name: 'Solana', address: 'So11111111111111111111111111111111111111112', price: 145 },
+  { symbol: 'JUP', name: 'Jupiter', address: 'JUPyiwrYJFskUPiHa7hkeR8VUtAeFoSYbKedZNsDvCN', price: 0.82 },
+  { symbol: 'BONK', name: 'Bonk', address: 'DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263', price: 0.000021 },
+  { symbol: 'AERO', name: 'Aerodrome', address: '0x940181a94a35a4569e4529a3cdfb74e38fd98631', price: 1.1 },
+];
+
+const LABELS = ['Fund', 'Smart Trader', '30D Smart Trader', '90D Smart Trader', 'Whale', 'Exchange', 'DEX Router', 'Public Figure'];
+const ENTITIES = ['Wintermute', 'Jump Trading', 'a16z', 'Binance', 'Coinbase', 'Paradigm', 'Alameda Research', 'DWF Labs'];
+const PERP_SYMBOLS = ['BTC', 'ETH', 'SOL', 'HYPE', 'DOGE'];
+const MARKETS = ['Will BTC close above $100k in 2026?', 'Fed cuts rates in December?', 'ETH ETF net inflows positive this week?', 'Will SOL flip ETH by market cap?'];
+
+// ============= Seeded randomness =============
+
+function hashString(text) {
+  return crypto.createHash('sha256').update(text).digest().readUInt32LE(0);
+}
+
+/**
+ * Small deterministic PRNG (mulberry32). Returns floats in [0, 1).
+ */
+export function createRng(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function faker(rng) {
+  const f = {
+    float: (min, max) => min + rng() * (max - min),
+    int: (min, max) => Math.floor(min + rng() * (max - min + 1)),
+    usd: (min, max) => Math.round(f.float(min, max) * 100) / 100,
+    signedUsd: (max) => Math.round(f.float(-max, max) * 100) / 100,
+    pick: (list) => list[Math.floor(rng() * list.length)],
+    bytes: (n) => Buffer.from(Array.from({ length: n }, () => Math.floor(rng() * 256))),
+    evmAddress: () => '0x' + f.bytes(20).toString('hex'),
+    solAddress: () => base58Encode(f.bytes(32)),
+    address: (chain) => (chain === 'solana' ? f.solAddress() : f.evmAddress()),
+    txHash: (chain) => (chain === 'solana' ? base58Encode(f.bytes(64)) : '0x' + f.bytes(32).toString('hex')),
+    token: () => f.pick(TOKENS),
+    label: () => f.pick(LABELS),
+    timestamp: (daysBack = 30) => new Date(Date.UTC(2026, 0, 1) - f.int(0, daysBack * 86400) * 1000).toISOString(),
+  };
+  return f;
+}
+
+function chainOf(body) {
+  return body.chain || body.chains?.[0] || body.parameters?.chain || 'ethereum';
+}
+
+// ============= Row templates =============
+
+const tokenFields = (f) => {
+  const token = f.token();
+  return { token_symbol: token.symbol, token_name: token.name, token_address: token.address, price_usd: token.price };
+};
+
+const trade = (f, chain) => {
+  const bought = f.token();
+  const sold = f.token();
+  return {
+    block_timestamp: f.timestamp(7),
+    transaction_hash: f.txHash(chain),
+    trader_address: f.address(chain),
+    trader_address_label: f.label(),
+    token_bought_symbol: bought.symbol,
+    token_bought_address: bought.address,
+    token_sold_symbol: sold.symbol,
+    token_sold_address: sold.address,
+    trade_value_usd: f.usd(100, 250000),
+    chain,
+  };
+};
+
+const perpTrade = (f) => ({
+  block_timestamp: f.timestamp(7),
+  trader_address: f.evmAddress(),
+  trader_address_label: f.label(),
+  token_symbol: f.pick(PERP_SYMBOLS),
+  side: f.pick(['Long', 'Short']),
+  action: f.pick(['Open', 'Close', 'Add', 'Reduce']),
+  price_usd: f.usd(0.1, 100000),
+  value_usd: f.usd(1000, 2000000),
+});
+
+const pmTrade = (f) => ({
+  timestamp: f.timestamp(14),
+  market_id: String(f.int(100000, 999999)),
+  market_question: f.pick(MARKETS),
+  taker_action: f.pick(['BUY', 'SELL']),
+  side: f.pick(['YES', 'NO']),
+  price: Math.round(f.float(0.01, 0.99) * 100) / 100,
+  size: f.usd(10, 50000),
+  trader_address: f.evmAddress(),
+});
+
+// Endpoint path → (f, index, body) => row. Paths are matched exactly.
+const ROW_TEMPLATES = {
+  '/api/v1/smart-money/netflow': (f) => ({
+    ...tokenFields(f),
+    chain: f.pick(['ethereum', 'solana', 'base']),
+    net_flow_1h_usd: f.signedUsd(50000),
+    net_flow_24h_usd: f.signedUsd(500000),
+    net_flow_7d_usd: f.signedUsd(2000000),
+    net_flow_30d_usd: f.signedUsd(5000000),
+    trader_count: f.int(1, 120),
+    market_cap_usd: f.usd(1e6, 5e10),
+  }),
+  '/api/v1/smart-money/dex-trades': (f, _i, body) => trade(f, chainOf(body)),
+  '/api/v1/smart-money/perp-trades': (f) => perpTrade(f),
+  '/api/v1/smart-money/holdings': (f, _i, body) => ({
+    ...tokenFields(f),
+    chain: chainOf(body),
+    value_usd: f.usd(10000, 50000000),
+    holders_count: f.int(1, 400),
+    balance_24h_percent_change: Math.round(f.float(-30, 30) * 100) / 100,
+    share_of_holdings_percent: Math.round(f.float(0, 15) * 100) / 100,
+  }),
+  '/api/v1/smart-money/dcas': (f) => ({
+    ...tokenFields(f),
+    trader_address: f.solAddress(),
+    trader_address_label: f.label(),
+    deposit_usd: f.usd(1000, 500000),
+    orders_filled: f.int(0, 50),
+    status: f.pick(['Active', 'Closed']),
+  }),
+  '/api/v1/smart-money/historical-holdings': (f, i) => ({
+    date: new Date(Date.UTC(2026, 0, 1) - i * 86400000).toISOString().slice(0, 10),
+    ...tokenFields(f),
+    value_usd: f.usd(10000, 50000000),
+    holders_count: f.int(1, 400),
+  }),
+  '/api/v1/profiler/address/current-balance': (f, _i, body) => ({
+    chain: chainOf(body),
+    ...tokenFields(f),
+    token_amount: Math.round(f.float(0.01, 100000) * 1e4) / 1e4,
+    value_usd: f.usd(1, 2000000),
+  }),
+  '/api/beta/profiler/address/labels': (f) => ({
+    label: f.label(),
+    category: f.pick(['behavioral', 'entity', 'social']),
+    definition: 'Seeded mock label',
+  }),
+  '/api/v1/profiler/address/transactions': (f, _i, body) => ({
+    block_timestamp: f.timestamp(30),
+    transaction_hash: f.txHash(chainOf(body)),
+    chain: chainOf(body),
+    method: f.pick(['transfer', 'swap', 'approve', 'deposit']),
+    tokens_sent: [{ ...tokenFields(f), token_amount: f.float(0.1, 1000), value_usd: f.usd(1, 100000) }],
+    tokens_received: [{ ...tokenFields(f), token_amount: f.float(0.1, 1000), value_usd: f.usd(1, 100000) }],
+    volume_usd: f.usd(1, 100000),
+  }),
+  '/api/v1/profiler/address/pnl': (f) => ({
+    ...tokenFields(f),
+    realized_pnl_usd: f.signedUsd(250000),
+    unrealized_pnl_usd: f.signedUsd(250000),
+    roi_percent_realised: Math.round(f.float(-90, 400) * 100) / 100,
+    nof_buys: f.int(1, 60),
+    nof_sells: f.int(0, 60),
+  }),
+  '/api/v1/search/entity-name': (f) => ({ entity_name: f.pick(ENTITIES), address_count: f.int(1, 500) }),
+  '/api/v1/search/general': (f, _i, body) => ({
+    result_type: f.pick(['token', 'entity', 'address']),
+    name: `${body.search_query || 'result'} ${f.pick(['Token', 'Labs', 'Capital'])}`,
+    address: f.evmAddress(),
+    chain: body.chain || 'ethereum',
+  }),
+  '/api/v1/profiler/address/historical-balances': (f, i, body) => ({
+    block_timestamp: new Date(Date.UTC(2026, 0, 1) - i * 86400000).toISOString(),
+    chain: chainOf(body),
+    ...tokenFields(f),
+    token_amount: f.float(0.01, 100000),
+    value_usd: f.usd(1, 2000000),
+  }),
+  '/api/v1/profiler/address/related-wallets': (f, _i, body) => ({
+    address: f.address(chainOf(body)),
+    address_label: f.label(),
+    relation: f.pick(['First Funder', 'Funded', 'Deployed via', 'Multisig Signer']),
+    transaction_hash: f.txHash(chainOf(body)),
+    block_timestamp: f.timestamp(365),
+    chain: chainOf(body),
+  }),
+  '/api/v1/profiler/address/counterparties': (f, _i, body) => ({
+    counterparty_address: f.address(chainOf(body)),
+    counterparty_address_label: [f.label()],
+    interaction_count: f.int(1, 500),
+    total_volume_usd: f.usd(100, 10000000),
+    volume_in_usd: f.usd(0, 5000000),
+    volume_out_usd: f.usd(0, 5000000),
+    tokens_info: [tokenFields(f)],
+  }),
+  '/api/v1/profiler/perp-positions': (f) => ({
+    token_symbol: f.pick(PERP_SYMBOLS),
+    side: f.pick(['Long', 'Short']),
+    position_size: f.float(0.1, 500),
+    entry_price_usd: f.usd(0.1, 100000),
+    mark_price: f.usd(0.1, 100000),
+    unrealized_pnl_usd: f.signedUsd(100000),
+    leverage: f.int(1, 50),
+  }),
+  '/api/v1/profiler/perp-trades': (f) => perpTrade(f),
+  '/api/v1/token-screener': (f, _i, body) => ({
+    ...tokenFields(f),
+    chain: chainOf(body),
+    market_cap_usd: f.usd(1e5, 5e10),
+    volume_usd: f.usd(1e4, 1e9),
+    netflow: f.signedUsd(1e6),
+    buy_volume: f.usd(1e3, 5e8),
+    sell_volume: f.usd(1e3, 5e8),
+    token_age_days: f.int(1, 2000),
+    price_change: Math.round(f.float(-0.5, 0.5) * 1e4) / 1e4,
+  }),
+  '/api/v1/tgm/holders': (f, _i, body) => ({
+    address: f.address(chainOf(body)),
+    address_label: f.label(),
+    token_amount: f.float(1, 1e9),
+    value_usd: f.usd(100, 1e8),
+    ownership_percentage: Math.round(f.float(0.001, 8) * 1000) / 1000,
+    balance_change_24h: f.signedUsd(1e6),
+  }),
+  '/api/v1/tgm/flows': (f, i) => ({
+    date: new Date(Date.UTC(2026, 0, 1) - i * 86400000).toISOString().slice(0, 10),
+    price_usd: f.usd(0.01, 5000),
+    total_inflows_count: f.int(0, 500),
+    total_outflows_count: f.int(0, 500),
+    value_usd: f.usd(1e4, 1e8),
+    holders_count: f.int(10, 10000),
+  }),
+  '/api/v1/tgm/dex-trades': (f, _i, body) => trade(f, chainOf(body)),
+  '/api/v1/tgm/pnl-leaderboard': (f, _i, body) => ({
+    trader_address: f.address(chainOf(body)),
+    trader_address_label: f.label(),
+    pnl_usd_realised: f.signedUsd(1e6),
+    pnl_usd_unrealised: f.signedUsd(1e6),
+    roi_percent_realised: Math.round(f.float(-90, 900) * 100) / 100,
+    nof_trades: f.int(1, 300),
+    holding_usd: f.usd(0, 5e6),
+  }),
+  '/api/v1/tgm/who-bought-sold': (f, _i, body) => ({
+    address: f.address(chainOf(body)),
+    address_label: f.label(),
+    bought_volume_usd: f.usd(0, 5e6),
+    sold_volume_usd: f.usd(0, 5e6),
+    trade_volume_usd: f.usd(0, 1e7),
+  }),
+  '/api/v1/tgm/flow-intelligence': (f) => ({
+    public_figure_net_flow_usd: f.signedUsd(1e5),
+    top_pnl_net_flow_usd: f.signedUsd(1e6),
+    whale_net_flow_usd: f.signedUsd(5e6),
+    smart_trader_net_flow_usd: f.signedUsd(1e6),
+    exchange_net_flow_usd: f.signedUsd(1e7),
+    fresh_wallets_net_flow_usd: f.signedUsd(5e5),
+  }),
+  '/api/v1/tgm/transfers': (f, _i, body) => ({
+    block_timestamp: f.timestamp(7),
+    transaction_hash: f.txHash(chainOf(body)),
+    from_address: f.address(chainOf(body)),
+    from_address_label: f.label(),
+    to_address: f.address(chainOf(body)),
+    to_address_label: f.label(),
+    transfer_amount: f.float(1, 1e7),
+    transfer_value_usd: f.usd(10, 1e7),
+  }),
+  '/api/v1/tgm/jup-dca': (f) => ({
+    trader_address: f.solAddress(),
+    deposit_usd: f.usd(1000, 500000),
+    orders_filled: f.int(0, 50),
+    status: f.pick(['Active', 'Closed']),
+  }),
+  '/api/v1/tgm/perp-trades': (f) => perpTrade(f),
+  '/api/v1/tgm/perp-positions': (f) => ({
+    address: f.evmAddress(),
+    address_label: f.label(),
+    side: f.pick(['Long', 'Short']),
+    position_value_usd: f.usd(1000, 5e7),
+    entry_price_usd: f.usd(0.1, 100000),
+    unrealized_pnl_usd: f.signedUsd(1e6),
+  }),
+  '/api/v1/tgm/perp-pnl-leaderboard': (f) => ({
+    trader_address: f.evmAddress(),
+    trader_address_label: f.label(),
+    pnl_usd_realised: f.signedUsd(5e6),
+    roi_percent_realised: Math.round(f.float(-90, 900) * 100) / 100,
+  }),
+  '/api/v1/tgm/token-ohlcv': (f, i) => {
+    const open = f.usd(0.5, 5000);
+    return {
+      period_start: new Date(Date.UTC(2026, 0, 1) - i * 3600000).toISOString(),
+      open, high: Math.round(open * 1.05 * 100) / 100, low: Math.round(open * 0.95 * 100) / 100,
+      close: Math.round(open * f.float(0.95, 1.05) * 100) / 100,
+      volume_usd: f.usd(1e4, 1e8),
+    };
+  },
+  '/api/v1/perp-screener': (f) => ({
+    token_symbol: f.pick(PERP_SYMBOLS),
+    mark_price: f.usd(0.1, 100000),
+    open_interest: f.usd(1e6, 5e9),
+    volume_usd: f.usd(1e6, 1e10),
+    funding: Math.round(f.float(-0.001, 0.001) * 1e6) / 1e6,
+    smart_money_net_flow_usd: f.signedUsd(5e6),
+  }),
+  '/api/v1/perp-leaderboard': (f) => ({
+    trader_address: f.evmAddress(),
+    trader_address_label: f.label(),
+    total_pnl: f.signedUsd(1e7),
+    account_value: f.usd(1e4, 1e8),
+    roi: Math.round(f.float(-90, 900) * 100) / 100,
+  }),
+  '/api/v1/prediction-market/ohlcv': (f, i) => ({
+    period_start: new Date(Date.UTC(2026, 0, 1) - i * 3600000).toISOString(),
+    open: Math.round(f.float(0.01, 0.99) * 100) / 100,
+    close: Math.round(f.float(0.01, 0.99) * 100) / 100,
+    volume_usd: f.usd(100, 1e6),
+  }),
+  '/api/v1/prediction-market/top-holders': (f) => ({
+    address: f.evmAddress(),
+    side_held: f.pick(['YES', 'NO']),
+    position_size: f.usd(10, 1e6),
+    avg_entry_price: Math.round(f.float(0.01, 0.99) * 100) / 100,
+    unrealized_pnl_usd: f.signedUsd(1e5),
+  }),
+  '/api/v1/prediction-market/trades-by-market': (f) => pmTrade(f),
+  '/api/v1/prediction-market/trades-by-address': (f) => pmTrade(f),
+  '/api/v1/prediction-market/market-screener': (f) => ({
+    market_id: String(f.int(100000, 999999)),
+    market_question: f.pick(MARKETS),
+    last_trade_price: Math.round(f.float(0.01, 0.99) * 100) / 100,
+    volume_24hr: f.usd(100, 1e7),
+    open_interest: f.usd(1000, 1e8),
+    unique_traders_24h: f.int(1, 5000),
+  }),
+  '/api/v1/prediction-market/event-screener': (f) => ({
+    event_id: String(f.int(1000, 9999)),
+    event_title: f.pick(MARKETS),
+    market_count: f.int(1, 20),
+    total_volume_24hr: f.usd(100, 1e7),
+    total_open_interest: f.usd(1000, 1e8),
+  }),
+  '/api/v1/prediction-market/pnl-by-market': (f) => ({
+    address: f.evmAddress(),
+    total_pnl_usd: f.signedUsd(1e6),
+    side_held: f.pick(['YES', 'NO']),
+  }),
+  '/api/v1/prediction-market/pnl-by-address': (f) => ({
+    market_id: String(f.int(100000, 999999)),
+    market_question: f.pick(MARKETS),
+    total_pnl_usd: f.signedUsd(1e6),
+    market_resolved: f.pick([true, false]),
+  }),
+  '/api/v1/prediction-market/position-detail': (f) => ({
+    market_id: String(f.int(100000, 999999)),
+    side_held: f.pick(['YES', 'NO']),
+    position_size: f.usd(10, 1e6),
+    avg_entry_price: Math.round(f.float(0.01, 0.99) * 100) / 100,
+  }),
+  '/api/v1/prediction-market/categories': (f, i) => ({
+    category: ['Politics', 'Crypto', 'Sports', 'Economics', 'Culture'][i % 5],
+    market_count: f.int(10, 2000),
+  }),
+  '/api/v1/points/leaderboard': (f, i) => ({
+    rank: i + 1,
+    address: f.evmAddress(),
+    points: f.int(100, 1e6),
+  }),
+  '/api/v1/portfolio/defi-holdings': (f) => ({
+    protocol_name: f.pick(['Aave', 'Uniswap', 'Lido', 'Morpho', 'Kamino']),
+    chain: f.pick(['ethereum', 'base', 'solana']),
+    total_assets_usd: f.usd(100, 1e7),
+    total_debts_usd: f.usd(0, 1e6),
+    total_rewards_usd: f.usd(0, 1e4),
+  }),
+};
+
+// Endpoints that answer with a single object under `data` instead of rows
+const OBJECT_TEMPLATES = {
+  '/api/v1/profiler/address/pnl-summary': (f) => ({
+    realized_pnl_usd: f.signedUsd(1e6),
+    realized_pnl_percent: Math.round(f.float(-90, 400) * 100) / 100,
+    win_rate: Math.round(f.float(0, 1) * 100) / 100,
+    traded_token_count: f.int(1, 300),
+    traded_times: f.int(1, 3000),
+    top5_tokens: Array.from({ length: 5 }, () => ({ ...tokenFields(f), realized_pnl: f.signedUsd(1e5) })),
+  }),
+  '/api/v1/tgm/indicators': (f) => ({
+    risk_indicators: [{ name: 'holder_concentration', signal_percentile: f.int(0, 100) }],
+    reward_indicators: [{ name: 'smart_money_inflow', signal_percentile: f.int(0, 100) }],
+  }),
+  '/api/v1/tgm/token-information': (f, body) => {
+    const token = TOKENS.find(t => t.address === body.token_address) || f.token();
+    return {
+      token_address: body.token_address || token.address,
+      symbol: token.symbol,
+      name: token.name,
+      chain: chainOf(body),
+      price_usd: token.price,
+      market_cap_usd: f.usd(1e6, 5e10),
+      holders_count: f.int(100, 2000000),
+      volume_24h_usd: f.usd(1e5, 1e9),
+    };
+  },
+  '/api/v1/prediction-market/orderbook': (f) => ({
+    bids: Array.from({ length: 5 }, (_, i) => ({ price: Math.round((0.5 - i * 0.01) * 100) / 100, size: f.usd(10, 1e5) })),
+    asks: Array.from({ length: 5 }, (_, i) => ({ price: Math.round((0.51 + i * 0.01) * 100) / 100, size: f.usd(10, 1e5) })),
+  }),
+};
+
+/**
+ * Every data endpoint the mock server knows, for route listings and tests.
+ */
+export const FIXTURE_ENDPOINTS = [...Object.keys(ROW_TEMPLATES), ...Object.keys(OBJECT_TEMPLATES)];
+
+/**
+ * Build the seeded response for a data endpoint, or null if it is unknown.
+ * List endpoints honour body.pagination ({ page, per_page }) over a fixed
+ * seeded total, so --all walks a finite number of pages.
+ *
+ * @param {string} endpoint - Path, e.g. /api/v1/smart-money/netflow
+ * @param {object} body - Parsed request body
+ * @param {number} [seed=DEFAULT_MOCK_SEED]
+ */
+export function buildFixture(endpoint, body = {}, seed = DEFAULT_MOCK_SEED) {
+  const { pagination, ...query } = body || {};
+  const baseSeed = hashString(`${seed}:${endpoint}:${JSON.stringify(query)}`);
+
+  if (OBJECT_TEMPLATES[endpoint]) {
+    return { data: OBJECT_TEMPLATES[endpoint](faker(createRng(baseSeed)), query) };
+  }
+
+  const template = ROW_TEMPLATES[endpoint];
+  if (!template) return null;
+
+  const total = faker(createRng(baseSeed)).int(20, 250);
+  const perPage = Math.max(1, parseInt(pagination?.per_page ?? body.limit, 10) || 10);
+  const page = Math.max(1, parseInt(pagination?.page, 10) || 1);
+  const start = (page - 1) * perPage;
+  const rows = [];
+  for (let i = start; i < Math.min(total, start + perPage); i++) {
+    rows.push(template(faker(createRng(baseSeed + i + 1)), i, query));
+  }
+  return {
+    data: rows,
+    pagination: { page, per_page: perPage, is_last_page: start + perPage >= total },
+  };
+}
+
+/**
+ * Seeded account summary for GET /api/v1/account.
+ */
+export function buildAccount(seed = DEFAULT_MOCK_SEED) {
+  const f = faker(createRng(hashString(`${seed}:account`)));
+  return { plan: 'mock', credits_remaining: f.int(1000, 100000), credits_used: f.int(0, 1000), email: 'mock@example.com' };
+}
+
+/**
+ * Seeded 32-byte value (e.g. a Solana blockhash), stable for a seed and label.
+ */
+export function seededBytes(seed, label, length = 32) {
+  return faker(createRng(hashString(`${seed}:${label}`))).bytes(length);
+}
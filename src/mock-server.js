@@ -0,0 +1,651 @@
+/**
+ * Nansen CLI - Mock API server
+ * One local HTTP server that stands in for every service the CLI talks to, so
+ * end-to-end runs need no network, API key or funds:
+ *   /api/...            Nansen API (seeded fixtures, x402 402 challenges)
+ *   /quote, /execute    Trading API (signed transactions are verified)
+ *   /rpc/<evm chain>    Fake EVM JSON-RPC
+ *   /rpc/solana         Fake Solana RPC
+ * Point NANSEN_BASE_URL, NANSEN_TRADING_API_URL, NANSEN_EVM_RPC,
+ * NANSEN_BASE_RPC and NANSEN_SOLANA_RPC at it (see mockServerEnv()).
+ */
+
+import crypto from 'crypto';
+import { EVM_CHAIN_IDS } from './chain-ids.js';
+import { keccak256, recoverSecp256k1Address, rlpDecode, rlpEncode } from './crypto.js';
+import { hashTypedData, AUTHORIZATION_TYPES } from './x402-evm.js';
+import { base58Encode, base58Decode, deriveATA } from './x402-svm.js';
+import { readCompactU16 } from './trading.js';
+import { buildFixture, buildAccount, FIXTURE_ENDPOINTS, seededBytes, DEFAULT_MOCK_SEED } from './mock-fixtures.js';
+
+const MAX_BODY_BYTES = 1024 * 1024;
+
+export const MOCK_X402_PRICE = '10000'; // $0.01 in USDC base units
+const USDC_BASE = '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913';
+const USDC_SOLANA = 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v';
+const SOLANA_MAINNET = 'solana:5eykt4UsFv8P8NJdTREpY1vzqKqZKvdp';
+const TOKEN_PROGRAM = 'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA';
+const MEMO_PROGRAM = 'MemoSq4gqABAXKb96qnH8TysNcWxMyWCqXgDLGmfcHr';
+const EVM_NATIVE = '0xeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeee';
+const SOL_NATIVE = 'So11111111111111111111111111111111111111112';
+
+const DEFAULT_ETH_BALANCE = 10n * 10n ** 18n;
+const DEFAULT_TOKEN_BALANCE = 1000n * 10n ** 6n;
+const DEFAULT_SOL_LAMPORTS = 5 * 1e9;
+
+// ============= State =============
+
+/**
+ * Create the mutable state behind one mock server: seeded payment
+ * addresses, alerts, nonces, receipts and seen payments.
+ *
+ * @param {object} [opts]
+ * @param {number} [opts.seed=DEFAULT_MOCK_SEED]
+ * @param {string|null} [opts.apiKey] - Only this key is accepted; null accepts any key
+ */
+export function createMockState({ seed = DEFAULT_MOCK_SEED, apiKey = null } = {}) {
+  return {
+    seed,
+    apiKey,
+    evmPayTo: '0x' + seededBytes(seed, 'evm-pay-to', 20).toString('hex'),
+    solanaPayTo: base58Encode(seededBytes(seed, 'solana-pay-to')),
+    solanaFeePayer: base58Encode(seededBytes(seed, 'solana-fee-payer')),
+    blockhash: base58Encode(seededBytes(seed, 'blockhash')),
+    alerts: new Map(),
+    nonces: new Map(),
+    receipts: new Map(),
+    allowances: new Map(),
+    solanaSignatures: new Set(),
+    usedPayments: new Set(),
+    payments: [],
+    // Credits charged to API-key calls, taken off the account balance
+    creditsSpent: 0,
+    blockNumber: 20_000_000,
+  };
+}
+
+// ============= Transaction decoding =============
+
+/**
+ * Parse a serialized Solana transaction (legacy or v0).
+ * @returns {{ signatures: Buffer[], message: Buffer, numRequiredSignatures: number, accountKeys: string[], instructions: object[] }}
+ */
+export function parseSolanaTransaction(txBytes) {
+  const sigCount = readCompactU16(txBytes, 0);
+  let offset = sigCount.size;
+  const signatures = [];
+  for (let i = 0; i < sigCount.value; i++) {
+    signatures.push(txBytes.subarray(offset, offset + 64));
+    offset += 64;
+  }
+  const message = txBytes.subarray(offset);
+
+  let pos = message[0] & 0x80 ? 1 : 0;
+  const numRequiredSignatures = message[pos];
+  pos += 3;
+  const keyCount = readCompactU16(message, pos);
+  pos += keyCount.size;
+  const accountKeys = [];
+  for (let i = 0; i < keyCount.value; i++) {
+    accountKeys.push(base58Encode(message.subarray(pos, pos + 32)));
+    pos += 32;
+  }
+  pos += 32; // recent blockhash
+  const ixCount = readCompactU16(message, pos);
+  pos += ixCount.size;
+  const instructions = [];
+  for (let i = 0; i < ixCount.value; i++) {
+    const programIdIndex = message[pos++];
+    const accCount = readCompactU16(message, pos);
+    pos += accCount.size;
+    const accounts = [...message.subarray(pos, pos + accCount.value)];
+    pos += accCount.value;
+    const dataLen = readCompactU16(message, pos);
+    pos += dataLen.size;
+    instructions.push({ programId: accountKeys[programIdIndex], accounts: accounts.map(a => accountKeys[a]), data: message.subarray(pos, pos + dataLen.value) });
+    pos += dataLen.value;
+  }
+  return { signatures, message, numRequiredSignatures, accountKeys, instructions };
+}
+
+function verifyEd25519(signature, message, pubkeyBase58) {
+  try {
+    const key = crypto.createPublicKey({
+      key: { kty: 'OKP', crv: 'Ed25519', x: base58Decode(pubkeyBase58).toString('base64url') },
+      format: 'jwk',
+    });
+    return crypto.verify(null, message, key, signature);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Check every required signature of a Solana transaction, except slots
+ * listed in skipSigners (e.g. the x402 facilitator's fee-payer slot).
+ */
+function verifySolanaSignatures(tx, skipSigners = []) {
+  for (let i = 0; i < tx.numRequiredSignatures; i++) {
+    if (skipSigners.includes(tx.accountKeys[i])) continue;
+    if (!tx.signatures[i] || !verifyEd25519(tx.signatures[i], tx.message, tx.accountKeys[i])) {
+      return `invalid signature for ${tx.accountKeys[i]}`;
+    }
+  }
+  return null;
+}
+
+const bigintOf = (buf) => (buf.length ? BigInt('0x' + buf.toString('hex')) : 0n);
+
+/**
+ * Decode a signed EVM transaction (legacy/EIP-155 or EIP-1559) and recover its sender.
+ * @param {string} rawHex - 0x-prefixed signed transaction
+ * @returns {{ from: string, to: string, nonce: number, value: bigint, data: string, chainId: number|null, hash: string }}
+ */
+export function decodeEvmTransaction(rawHex) {
+  const raw = Buffer.from(rawHex.replace(/^0x/, ''), 'hex');
+  let fields, recovery, signingHash, chainId;
+
+  if (raw[0] === 0x02) {
+    const decoded = rlpDecode(raw.subarray(1));
+    fields = { nonce: decoded[1], to: decoded[5], value: decoded[6], data: decoded[7], r: decoded[10], s: decoded[11] };
+    chainId = Number(bigintOf(decoded[0]));
+    recovery = Number(bigintOf(decoded[9]));
+    signingHash = keccak256(Buffer.concat([Buffer.from([0x02]), rlpEncode(decoded.slice(0, 9))]));
+  } else {
+    const decoded = rlpDecode(raw);
+    fields = { nonce: decoded[0], to: decoded[3], value: decoded[4], data: decoded[5], r: decoded[7], s: decoded[8] };
+    const v = Number(bigintOf(decoded[6]));
+    if (v >= 35) {
+      chainId = (v - 35) >> 1;
+      recovery = (v - 35) & 1;
+      signingHash = keccak256(rlpEncode([...decoded.slice(0, 6), '0x' + chainId.toString(16), Buffer.alloc(0), Buffer.alloc(0)]));
+    } else {
+      chainId = null;
+      recovery = v - 27;
+      signingHash = keccak256(rlpEncode(decoded.slice(0, 6)));
+    }
+  }
+
+  return {
+    from: recoverSecp256k1Address(signingHash, fields.r, fields.s, recovery),
+    to: '0x' + fields.to.toString('hex'),
+    nonce: Number(bigintOf(fields.nonce)),
+    value: bigintOf(fields.value),
+    data: '0x' + fields.data.toString('hex'),
+    chainId,
+    hash: '0x' + keccak256(raw).toString('hex'),
+  };
+}
+
+// ============= x402 =============
+
+/**
+ * The payment options advertised in a 402 challenge: USDC on Base (EIP-3009)
+ * and USDC on Solana (SPL TransferChecked with a facilitator fee payer).
+ */
+export function paymentRequirements(state) {
+  return [
+    {
+      scheme: 'exact',
+      network: 'eip155:8453',
+      amount: MOCK_X402_PRICE,
+      asset: USDC_BASE,
+      payTo: state.evmPayTo,
+      maxTimeoutSeconds: 300,
+      extra: { name: 'USD Coin', version: '2' },
+    },
+    {
+      scheme: 'exact',
+      network: SOLANA_MAINNET,
+      amount: MOCK_X402_PRICE,
+      asset: USDC_SOLANA,
+      payTo: state.solanaPayTo,
+      maxTimeoutSeconds: 300,
+      extra: { feePayer: state.solanaFeePayer },
+    },
+  ];
+}
+
+function verifyEvmPayment(state, requirement, payload) {
+  const { authorization, signature } = payload.payload || {};
+  if (!authorization || typeof signature !== 'string') return { error: 'missing authorization' };
+  if (authorization.to?.toLowerCase() !== requirement.payTo.toLowerCase()) return { error: 'wrong payTo' };
+  if (BigInt(authorization.value) < BigInt(requirement.amount)) return { error: 'amount too low' };
+  const now = BigInt(Math.floor(Date.now() / 1000));
+  if (BigInt(authorization.validBefore) <= now || BigInt(authorization.validAfter) > now) return { error: 'authorization expired' };
+
+  const hash = hashTypedData(
+    { name: requirement.extra.name, version: requirement.extra.version, chainId: 8453, verifyingContract: requirement.asset },
+    'TransferWithAuthorization',
+    AUTHORIZATION_TYPES,
+    {
+      from: authorization.from,
+      to: authorization.to,
+      value: BigInt(authorization.value),
+      validAfter: BigInt(authorization.validAfter),
+      validBefore: BigInt(authorization.validBefore),
+      nonce: authorization.nonce,
+    },
+  );
+  const sig = Buffer.from(signature.replace(/^0x/, ''), 'hex');
+  if (sig.length !== 65) return { error: 'malformed signature' };
+  let signer;
+  try {
+    signer = recoverSecp256k1Address(hash, sig.subarray(0, 32), sig.subarray(32, 64), sig[64] >= 27 ? sig[64] - 27 : sig[64]);
+  } catch {
+    return { error: 'unrecoverable signature' };
+  }
+  if (signer !== authorization.from.toLowerCase()) return { error: 'signature does not match payer' };
+  return { payer: authorization.from, replayKey: `evm:${authorization.nonce}` };
+}
+
+function verifySolanaPayment(state, requirement, payload) {
+  let tx;
+  try {
+    tx = parseSolanaTransaction(Buffer.from(payload.payload?.transaction || '', 'base64'));
+  } catch {
+    return { error: 'malformed transaction' };
+  }
+  if (tx.accountKeys[0] !== requirement.extra.feePayer) return { error: 'wrong fee payer' };
+  const sigError = verifySolanaSignatures(tx, [requirement.extra.feePayer]);
+  if (sigError) return { error: sigError };
+
+  const destination = deriveATA(requirement.payTo, requirement.asset, TOKEN_PROGRAM);
+  const transfer = tx.instructions.find(ix => ix.programId === TOKEN_PROGRAM && ix.data[0] === 12);
+  if (!transfer) return { error: 'no TransferChecked instruction' };
+  if (transfer.accounts[2] !== destination) return { error: 'wrong payTo' };
+  if (transfer.data.readBigUInt64LE(1) < BigInt(requirement.amount)) return { error: 'amount too low' };
+  return { payer: tx.accountKeys[1], replayKey: `svm:${tx.signatures[1].toString('hex')}` };
+}
+
+/**
+ * Verify a Payment-Signature header against this server's requirements.
+ * Each signed payment is accepted once.
+ *
+ * @returns {{ valid: true, payer: string, network: string } | { valid: false, reason: string }}
+ */
+export function verifyPayment(state, header) {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(header, 'base64').toString('utf8'));
+  } catch {
+    return { valid: false, reason: 'Payment-Signature is not base64 JSON' };
+  }
+  const network = payload.accepted?.network;
+  const requirement = paymentRequirements(state).find(r => r.network === network);
+  if (!requirement) return { valid: false, reason: `unsupported network: ${network}` };
+
+  const result = network.startsWith('eip155:')
+    ? verifyEvmPayment(state, requirement, payload)
+    : verifySolanaPayment(state, requirement, payload);
+  if (result.error) return { valid: false, reason: result.error };
+  if (state.usedPayments.has(result.replayKey)) return { valid: false, reason: 'payment already used' };
+  state.usedPayments.add(result.replayKey);
+  state.payments.push({ payer: result.payer, network, amount: requirement.amount });
+  return { valid: true, payer: result.payer, network };
+}
+
+function challengeHeaders(state, resourceUrl, reason) {
+  const challenge = { x402Version: 2, error: reason, resource: { url: resourceUrl }, accepts: paymentRequirements(state) };
+  return { 'payment-required': Buffer.from(JSON.stringify(challenge)).toString('base64') };
+}
+
+// ============= Nansen API =============
+
+function handleAlerts(state, method, pathname, body) {
+  if (pathname.startsWith('/api/v1/smart-alert/list') && method === 'GET') {
+    return [200, [...state.alerts.values()]];
+  }
+  if (pathname === '/api/v1/smart-alert' && method === 'POST') {
+    const alert = { id: `alert-${state.alerts.size + 1}`, isEnabled: true, ...body };
+    state.alerts.set(alert.id, alert);
+    return [200, alert];
+  }
+  if ((pathname === '/api/v1/smart-alert' || pathname === '/api/v1/smart-alert/toggle') && method === 'PATCH') {
+    const existing = state.alerts.get(body.id);
+    if (!existing) return [404, { message: `Alert not found: ${body.id}` }];
+    const updated = { ...existing, ...body };
+    state.alerts.set(body.id, updated);
+    return [200, updated];
+  }
+  const match = pathname.match(/^\/api\/v1\/smart-alert\/([^/]+)$/);
+  if (match && method === 'DELETE') {
+    const id = decodeURIComponent(match[1]);
+    if (!state.alerts.delete(id)) return [404, { message: `Alert not found: ${id}` }];
+    return [200, { deleted: id }];
+  }
+  return null;
+}
+
+function handleNansenApi(state, req, pathname, body, resourceUrl) {
+  const known = pathname === '/api/v1/account' || pathname.startsWith('/api/v1/smart-alert') || FIXTURE_ENDPOINTS.includes(pathname);
+  if (!known) return [404, { message: `Unknown endpoint: ${req.method} ${pathname}` }, {}];
+  const headers = {};
+
+  // Auth: an API key, or an x402 payment when no key is sent
+  const apiKey = req.headers['apikey'];
+  if (apiKey) {
+    if (state.apiKey && apiKey !== state.apiKey) return [401, { message: 'Invalid API key' }, {}];
+  } else {
+    const signature = req.headers['payment-signature'];
+    if (!signature) {
+      return [402, { message: 'Payment required' }, challengeHeaders(state, resourceUrl, 'Payment required')];
+    }
+    const verdict = verifyPayment(state, signature);
+    if (!verdict.valid) {
+      return [402, { message: `Payment rejected: ${verdict.reason}` }, challengeHeaders(state, resourceUrl, verdict.reason)];
+    }
+    headers['payment-response'] = Buffer.from(JSON.stringify({ success: true, payer: verdict.payer, network: verdict.network })).toString('base64');
+  }
+
+  if (pathname === '/api/v1/account') {
+    const account = buildAccount(state.seed);
+    return [200, { ...account, credits_remaining: account.credits_remaining - state.creditsSpent, credits_used: account.credits_used + state.creditsSpent }, headers];
+  }
+  const alerts = handleAlerts(state, req.method, pathname, body);
+  if (alerts) return [...alerts, headers];
+
+  const fixture = req.method === 'POST' ? buildFixture(pathname, body, state.seed) : null;
+  if (!fixture) return [404, { message: `Unknown endpoint: ${req.method} ${pathname}` }, {}];
+  if (apiKey) state.creditsSpent++;
+  return [200, fixture, headers];
+}
+
+// ============= Trading API =============
+
+function isNative(token) {
+  return !token || token.toLowerCase() === EVM_NATIVE || token === SOL_NATIVE;
+}
+
+// Unsigned v0 transaction with the user as fee payer and a single memo instruction
+function buildSolanaSwapTransaction(state, userWallet, memo) {
+  const memoData = Buffer.from(memo);
+  const message = Buffer.concat([
+    Buffer.from([0x80, 1, 0, 1, 2]),
+    base58Decode(userWallet),
+    base58Decode(MEMO_PROGRAM),
+    base58Decode(state.blockhash),
+    Buffer.from([1, 1, 0, memoData.length]),
+    memoData,
+    Buffer.from([0]),
+  ]);
+  return Buffer.concat([Buffer.from([1]), Buffer.alloc(64), message]).toString('base64');
+}
+
+function handleQuote(state, params) {
+  const { chainIndex, fromTokenAddress: from, toTokenAddress: to, amount, userWalletAddress: wallet } = params;
+  if (!chainIndex || !from || !to || !amount || !wallet) {
+    return [400, { code: 'INVALID_PARAMS', message: 'chainIndex, fromTokenAddress, toTokenAddress, amount and userWalletAddress are required' }];
+  }
+  const requestId = crypto.createHash('sha256').update(`${state.seed}:${JSON.stringify(params)}`).digest('hex').slice(0, 16);
+  const outAmount = (BigInt(amount) * 997n / 1000n).toString();
+  const quote = {
+    aggregator: 'mock',
+    source: 'mock',
+    inputMint: from,
+    outputMint: to,
+    inAmount: String(amount),
+    outAmount,
+    inUsdValue: '1.00',
+    outUsdValue: '0.997',
+    priceImpactPct: '0.1',
+    tradingFeeInUsd: '0.003',
+    networkFeeInUsd: '0.001',
+    metadata: { requestId },
+  };
+
+  if (String(chainIndex) === '501') {
+    quote.transaction = buildSolanaSwapTransaction(state, wallet, `mock-swap:${requestId}`);
+  } else {
+    const router = '0x' + seededBytes(state.seed, 'router', 20).toString('hex');
+    quote.transaction = {
+      to: router,
+      data: '0x' + 'deadbeef' + requestId.padStart(64, '0'),
+      value: isNative(from) ? String(amount) : '0',
+      gas: '250000',
+      gasPrice: '1000000',
+    };
+    if (!isNative(from)) quote.approvalAddress = router;
+  }
+  return [200, { success: true, quotes: [quote], warnings: [] }];
+}
+
+function recordEvmTransaction(state, tx) {
+  const expected = state.nonces.get(tx.from) || 0;
+  state.nonces.set(tx.from, Math.max(expected, tx.nonce + 1));
+  // approve(spender, amount) — remember it so allowance() reflects the approval
+  if (tx.data.startsWith('0x095ea7b3')) {
+    const spender = '0x' + tx.data.slice(34, 74);
+    state.allowances.set(`${tx.to}:${tx.from}:${spender}`, BigInt('0x' + tx.data.slice(74)));
+  }
+  state.blockNumber++;
+  state.receipts.set(tx.hash, {
+    transactionHash: tx.hash,
+    from: tx.from,
+    to: tx.to,
+    status: '0x1',
+    blockNumber: '0x' + state.blockNumber.toString(16),
+    gasUsed: '0x5208',
+  });
+}
+
+function handleExecute(state, body) {
+  const { signedTransaction } = body;
+  if (typeof signedTransaction !== 'string' || !signedTransaction) {
+    return [400, { code: 'INVALID_PARAMS', message: 'signedTransaction is required' }];
+  }
+  if (signedTransaction.startsWith('0x')) {
+    let tx;
+    try {
+      tx = decodeEvmTransaction(signedTransaction);
+    } catch (err) {
+      return [400, { code: 'INVALID_SIGNATURE', message: `Could not decode EVM transaction: ${err.message}` }];
+    }
+    recordEvmTransaction(state, tx);
+    return [200, { status: 'Success', txHash: tx.hash, from: tx.from, chain: body.chain }];
+  }
+
+  let tx;
+  try {
+    tx = parseSolanaTransaction(Buffer.from(signedTransaction, 'base64'));
+  } catch {
+    return [400, { code: 'INVALID_SIGNATURE', message: 'Could not decode Solana transaction' }];
+  }
+  const sigError = verifySolanaSignatures(tx);
+  if (sigError) return [400, { code: 'INVALID_SIGNATURE', message: sigError }];
+  const signature = base58Encode(tx.signatures[0]);
+  state.solanaSignatures.add(signature);
+  return [200, { status: 'Success', signature, chain: body.chain || 'solana' }];
+}
+
+// ============= RPC =============
+
+const hex = (n) => '0x' + BigInt(n).toString(16);
+const word = (n) => '0x' + BigInt(n).toString(16).padStart(64, '0');
+
+function evmCall(state, { to = '', data = '0x' }) {
+  const selector = data.slice(0, 10);
+  const token = to.toLowerCase();
+  if (selector === '0x313ce567') return word(token === USDC_BASE.toLowerCase() ? 6 : 18); // decimals()
+  if (selector === '0x70a08231') return word(DEFAULT_TOKEN_BALANCE); // balanceOf(address)
+  if (selector === '0xdd62ed3e') { // allowance(owner, spender)
+    const owner = '0x' + data.slice(34, 74);
+    const spender = '0x' + data.slice(98, 138);
+    return word(state.allowances.get(`${token}:${owner}:${spender}`) || 0n);
+  }
+  return '0x';
+}
+
+function evmRpc(state, chain, method, params) {
+  switch (method) {
+    case 'eth_chainId': return hex(EVM_CHAIN_IDS[chain] || 1);
+    case 'eth_blockNumber': return hex(state.blockNumber);
+    case 'eth_getBalance': return hex(DEFAULT_ETH_BALANCE);
+    case 'eth_getTransactionCount': return hex(state.nonces.get(String(params[0]).toLowerCase()) || 0);
+    case 'eth_gasPrice': return hex(1_000_000_000);
+    case 'eth_maxPriorityFeePerGas': return hex(1_000_000);
+    case 'eth_feeHistory': return {
+      oldestBlock: hex(state.blockNumber - 4),
+      baseFeePerGas: Array(5).fill(hex(50_000_000)),
+      gasUsedRatio: Array(4).fill(0.5),
+      reward: Array(4).fill([hex(1_000_000)]),
+    };
+    case 'eth_estimateGas': return hex(params[0]?.data && params[0].data !== '0x' ? 150_000 : 21_000);
+    case 'eth_call': return evmCall(state, params[0] || {});
+    case 'eth_getCode': return '0x6080604052';
+    case 'eth_getBlockByNumber': return { number: hex(state.blockNumber), baseFeePerGas: hex(50_000_000), timestamp: hex(Math.floor(Date.now() / 1000)) };
+    case 'eth_sendRawTransaction': {
+      const tx = decodeEvmTransaction(params[0]);
+      recordEvmTransaction(state, tx);
+      return tx.hash;
+    }
+    case 'eth_getTransactionReceipt': return state.receipts.get(params[0]) || null;
+    default: throw Object.assign(new Error(`Method not found: ${method}`), { rpcCode: -32601 });
+  }
+}
+
+function solanaRpc(state, method, params) {
+  const context = { slot: 300_000_000 };
+  switch (method) {
+    case 'getLatestBlockhash': return { context, value: { blockhash: state.blockhash, lastValidBlockHeight: 280_000_150 } };
+    case 'getBalance': return { context, value: DEFAULT_SOL_LAMPORTS };
+    case 'getAccountInfo':
+      if (params[0] === USDC_SOLANA || params[0] === SOL_NATIVE) {
+        return { context, value: { owner: TOKEN_PROGRAM, lamports: 1_461_600, executable: false, data: { parsed: { type: 'mint', info: { decimals: params[0] === USDC_SOLANA ? 6 : 9 } }, program: 'spl-token' } } };
+      }
+      return { context, value: { owner: '11111111111111111111111111111111', lamports: DEFAULT_SOL_LAMPORTS, executable: false, data: ['', 'base64'] } };
+    case 'getTokenAccountBalance': return { context, value: { amount: String(DEFAULT_TOKEN_BALANCE), decimals: 6, uiAmount: 1000, uiAmountString: '1000' } };
+    case 'getTokenAccountsByOwner': return {
+      context,
+      value: [{
+        pubkey: deriveATA(params[0], params[1]?.mint || USDC_SOLANA, TOKEN_PROGRAM),
+        account: { data: { parsed: { info: { tokenAmount: { amount: String(DEFAULT_TOKEN_BALANCE), decimals: 6, uiAmountString: '1000' } } } } },
+      }],
+    };
+    case 'getMinimumBalanceForRentExemption': return 2_039_280;
+    case 'simulateTransaction': return { context, value: { err: null, logs: [], unitsConsumed: 5000 } };
+    case 'sendTransaction': {
+      // Solana's default wire encoding is base58; transfer.js asks for base64
+      const raw = params[1]?.encoding === 'base64' ? Buffer.from(params[0], 'base64') : base58Decode(params[0]);
+      const tx = parseSolanaTransaction(raw);
+      const sigError = verifySolanaSignatures(tx);
+      if (sigError) throw Object.assign(new Error(`Transaction signature verification failure: ${sigError}`), { rpcCode: -32003 });
+      const signature = base58Encode(tx.signatures[0]);
+      state.solanaSignatures.add(signature);
+      return signature;
+    }
+    case 'getSignatureStatuses': return {
+      context,
+      value: (params[0] || []).map(sig => (state.solanaSignatures.has(sig)
+        ? { slot: context.slot, confirmations: null, err: null, confirmationStatus: 'finalized' }
+        : null)),
+    };
+    default: throw Object.assign(new Error(`Method not found: ${method}`), { rpcCode: -32601 });
+  }
+}
+
+function handleRpc(state, chain, payload) {
+  const one = ({ id = null, method, params = [] }) => {
+    try {
+      const result = chain === 'solana' ? solanaRpc(state, method, params) : evmRpc(state, chain, method, params);
+      return { jsonrpc: '2.0', id, result };
+    } catch (err) {
+      return { jsonrpc: '2.0', id, error: { code: err.rpcCode || -32000, message: err.message } };
+    }
+  };
+  return [200, Array.isArray(payload) ? payload.map(one) : one(payload || {})];
+}
+
+// ============= HTTP =============
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(Object.assign(new Error('Request body too large'), { status: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      const text = Buffer.concat(chunks).toString('utf8');
+      if (!text.trim()) return resolve({});
+      try {
+        resolve(JSON.parse(text));
+      } catch {
+        reject(Object.assign(new Error('Request body must be valid JSON'), { status: 400 }));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Build the request listener for the mock server.
+ *
+ * @param {object} [opts]
+ * @param {object} [opts.state] - From createMockState(); created from seed/apiKey when omitted
+ * @param {number} [opts.seed]
+ * @param {string|null} [opts.apiKey]
+ * @returns {Function} (req, res) listener for http.createServer, with .state attached
+ */
+export function createMockHandler({ state, seed, apiKey } = {}) {
+  const mockState = state || createMockState({ seed, apiKey });
+
+  const handler = async (req, res) => {
+    const send = (status, body, headers = {}) => {
+      res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+      res.end(JSON.stringify(body));
+    };
+
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+    let body = {};
+    if (req.method !== 'GET' && req.method !== 'DELETE') {
+      try {
+        body = await readBody(req);
+      } catch (err) {
+        return send(err.status || 400, { message: err.message });
+      }
+    }
+
+    try {
+      if (url.pathname === '/health') return send(200, { status: 'ok', seed: mockState.seed });
+      if (url.pathname.startsWith('/api/')) {
+        const [status, payload, headers] = handleNansenApi(mockState, req, url.pathname, body, url.toString());
+        return send(status, payload, headers);
+      }
+      if (url.pathname === '/quote' && req.method === 'GET') {
+        return send(...handleQuote(mockState, Object.fromEntries(url.searchParams)));
+      }
+      if (url.pathname === '/execute' && req.method === 'POST') {
+        return send(...handleExecute(mockState, body));
+      }
+      const rpc = url.pathname.match(/^\/rpc\/([a-z0-9-]+)$/);
+      if (rpc && req.method === 'POST') {
+        return send(...handleRpc(mockState, rpc[1], body));
+      }
+      send(404, { message: `Unknown route: ${req.method} ${url.pathname}` });
+    } catch (err) {
+      send(500, { message: err.message });
+    }
+  };
+  handler.state = mockState;
+  return handler;
+}
+
+/**
+ * Environment variables that route the CLI to a mock server at baseUrl.
+ */
+export function mockServerEnv(baseUrl) {
+  return {
+    NANSEN_BASE_URL: baseUrl,
+    NANSEN_TRADING_API_URL: baseUrl,
+    NANSEN_EVM_RPC: `${baseUrl}/rpc/ethereum`,
+    NANSEN_BASE_RPC: `${baseUrl}/rpc/base`,
+    NANSEN_SOLANA_RPC: `${baseUrl}/rpc/solana`,
+  };
+}
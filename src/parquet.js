@@ -0,0 +1,291 @@
+/**
+ * Nansen CLI - Parquet writer
+ * Dependency-free writer for flat Parquet files: one uncompressed,
+ * PLAIN-encoded data page per column per row group, OPTIONAL columns,
+ * and a Thrift compact-protocol footer. Each writeRows() call appends a
+ * row group to a temp file, so paginated pulls never sit in memory; close()
+ * writes the footer and renames the file into place.
+ */
+
+import fs from 'fs';
+import { inferColumns, toColumns } from './columnar.js';
+
+const MAGIC = Buffer.from('PAR1');
+
+// parquet.thrift enums
+const PhysicalType = { BOOLEAN: 0, INT64: 2, DOUBLE: 5, BYTE_ARRAY: 6 };
+const ConvertedType = { UTF8: 0, TIMESTAMP_MILLIS: 9 };
+const REPETITION_OPTIONAL = 1;
+const ENCODING_PLAIN = 0;
+const ENCODING_RLE = 3;
+const CODEC_UNCOMPRESSED = 0;
+const PAGE_DATA = 0;
+
+// ============= Thrift compact protocol =============
+
+const Wire = { TRUE: 1, FALSE: 2, I32: 5, I64: 6, BINARY: 8, LIST: 9, STRUCT: 12 };
+
+class ThriftWriter {
+  constructor() {
+    this.bytes = [];
+  }
+
+  varint(n) {
+    let v = BigInt(n);
+    while (v >= 0x80n) {
+      this.bytes.push(Number(v & 0x7fn) | 0x80);
+      v >>= 7n;
+    }
+    this.bytes.push(Number(v));
+  }
+
+  zigzag(n) {
+    const v = BigInt(n);
+    this.varint(v >= 0n ? v << 1n : (-v << 1n) - 1n);
+  }
+
+  binary(value) {
+    const buf = Buffer.isBuffer(value) ? value : Buffer.from(String(value), 'utf8');
+    this.varint(buf.length);
+    for (const b of buf) this.bytes.push(b);
+  }
+
+  /**
+   * Fields are [id, type, value] in ascending id order; undefined values are
+   * skipped. type is 'bool', 'i32', 'i64', 'string', 'struct' or
+   * ['list', elementType].
+   */
+  struct(fields) {
+    let last = 0;
+    for (const [id, type, value] of fields) {
+      if (value === undefined) continue;
+      const wire = type === 'bool' ? (value ? Wire.TRUE : Wire.FALSE) : Wire[wireName(type)];
+      const delta = id - last;
+      if (delta > 0 && delta <= 15) this.bytes.push((delta << 4) | wire);
+      else {
+        this.bytes.push(wire);
+        this.zigzag(id);
+      }
+      last = id;
+      if (type !== 'bool') this.value(type, value);
+    }
+    this.bytes.push(0);
+  }
+
+  value(type, value) {
+    if (Array.isArray(type)) {
+      const elem = Wire[wireName(type[1])];
+      if (value.length < 15) this.bytes.push((value.length << 4) | elem);
+      else {
+        this.bytes.push(0xf0 | elem);
+        this.varint(value.length);
+      }
+      for (const item of value) this.value(type[1], item);
+    } else if (type === 'i32' || type === 'i64') this.zigzag(value);
+    else if (type === 'string') this.binary(value);
+    else this.struct(value);
+  }
+
+  toBuffer() {
+    return Buffer.from(this.bytes);
+  }
+}
+
+function wireName(type) {
+  if (Array.isArray(type)) return 'LIST';
+  return { i32: 'I32', i64: 'I64', string: 'BINARY', struct: 'STRUCT' }[type];
+}
+
+const thrift = (fields) => {
+  const w = new ThriftWriter();
+  w.struct(fields);
+  return w.toBuffer();
+};
+
+// ============= Encoding =============
+
+/**
+ * Definition levels (0 = null, 1 = present) as RLE runs, with the 4-byte
+ * length prefix data page v1 expects.
+ */
+function encodeDefinitionLevels(values) {
+  const w = new ThriftWriter();
+  let i = 0;
+  while (i < values.length) {
+    const level = values[i] === null ? 0 : 1;
+    let run = 1;
+    while (i + run < values.length && (values[i + run] === null ? 0 : 1) === level) run++;
+    w.varint(run << 1);
+    w.bytes.push(level);
+    i += run;
+  }
+  const levels = w.toBuffer();
+  const prefix = Buffer.alloc(4);
+  prefix.writeUInt32LE(levels.length);
+  return Buffer.concat([prefix, levels]);
+}
+
+function encodePlain(type, values) {
+  const present = values.filter(v => v !== null);
+  switch (type) {
+    case 'bool': {
+      const buf = Buffer.alloc(Math.ceil(present.length / 8));
+      present.forEach((v, i) => { if (v) buf[i >> 3] |= 1 << (i & 7); });
+      return buf;
+    }
+    case 'int64':
+    case 'timestamp': {
+      const buf = Buffer.alloc(present.length * 8);
+      present.forEach((v, i) => buf.writeBigInt64LE(BigInt(v), i * 8));
+      return buf;
+    }
+    case 'double': {
+      const buf = Buffer.alloc(present.length * 8);
+      present.forEach((v, i) => buf.writeDoubleLE(v, i * 8));
+      return buf;
+    }
+    default:
+      return Buffer.concat(present.flatMap((v) => {
+        const text = Buffer.from(v, 'utf8');
+        const len = Buffer.alloc(4);
+        len.writeUInt32LE(text.length);
+        return [len, text];
+      }));
+  }
+}
+
+// Column type -> physical type
+const PHYSICAL = {
+  bool: PhysicalType.BOOLEAN,
+  int64: PhysicalType.INT64,
+  double: PhysicalType.DOUBLE,
+  timestamp: PhysicalType.INT64,
+  string: PhysicalType.BYTE_ARRAY,
+};
+
+function schemaElement({ name, type }) {
+  let converted, logical;
+  if (type === 'timestamp') {
+    converted = ConvertedType.TIMESTAMP_MILLIS;
+    // LogicalType.TIMESTAMP { isAdjustedToUTC: true, unit: MILLIS }; zone-less values were read as UTC
+    logical = [[8, 'struct', [[1, 'bool', true], [2, 'struct', [[1, 'struct', []]]]]]];
+  } else if (type === 'string') {
+    converted = ConvertedType.UTF8;
+    logical = [[1, 'struct', []]];
+  }
+  return [
+    [1, 'i32', PHYSICAL[type]],
+    [3, 'i32', REPETITION_OPTIONAL],
+    [4, 'string', name],
+    [6, 'i32', converted],
+    [10, 'struct', logical],
+  ];
+}
+
+// ============= Writer =============
+
+/**
+ * Open a Parquet file for streaming writes. The schema is
+ * opts.columns, or else inferred from the first non-empty batch; a later row
+ * with a column the schema lacks or a value its column cannot hold throws.
+ * createSpooledWriter() widens the schema across batches instead.
+ *
+ * @param {string} file - Destination path (written via a temp file + rename)
+ * @param {object} [opts]
+ * @param {{ name: string, type: string }[]} [opts.columns] - Fixed schema
+ * @returns {{ writeRows: (rows: object[]) => void, close: () => object, abort: () => void }}
+ */
+export function createParquetWriter(file, opts = {}) {
+  const tmp = `${file}.${process.pid}.tmp`;
+  const fd = fs.openSync(tmp, 'w');
+  let offset = 0;
+  let columns = opts.columns ?? null;
+  const rowGroups = [];
+  let numRows = 0;
+
+  const write = (buf) => {
+    fs.writeSync(fd, buf);
+    offset += buf.length;
+  };
+  write(MAGIC);
+
+  return {
+    /** Append one row group. @param {object[]} rows - Flattened records */
+    writeRows(rows) {
+      if (!rows.length) return;
+      if (!columns) columns = inferColumns(rows);
+
+      const chunks = toColumns(rows, columns).map((values, i) => {
+        const { name, type } = columns[i];
+        const page = Buffer.concat([encodeDefinitionLevels(values), encodePlain(type, values)]);
+        const header = thrift([
+          [1, 'i32', PAGE_DATA],
+          [2, 'i32', page.length],
+          [3, 'i32', page.length],
+          [5, 'struct', [
+            [1, 'i32', values.length],
+            [2, 'i32', ENCODING_PLAIN],
+            [3, 'i32', ENCODING_RLE],
+            [4, 'i32', ENCODING_RLE],
+          ]],
+        ]);
+        const pageOffset = offset;
+        write(header);
+        write(page);
+        const size = header.length + page.length;
+        return {
+          size,
+          fields: [
+            [2, 'i64', pageOffset],
+            [3, 'struct', [
+              [1, 'i32', PHYSICAL[type]],
+              [2, ['list', 'i32'], [ENCODING_PLAIN, ENCODING_RLE]],
+              [3, ['list', 'string'], [name]],
+              [4, 'i32', CODEC_UNCOMPRESSED],
+              [5, 'i64', values.length],
+              [6, 'i64', size],
+              [7, 'i64', size],
+              [9, 'i64', pageOffset],
+            ]],
+          ],
+        };
+      });
+
+      rowGroups.push([
+        [1, ['list', 'struct'], chunks.map(c => c.fields)],
+        [2, 'i64', chunks.reduce((sum, c) => sum + c.size, 0)],
+        [3, 'i64', rows.length],
+      ]);
+      numRows += rows.length;
+    },
+
+    /** Write the footer and move the file into place. */
+    close() {
+      const cols = columns || [];
+      const footer = thrift([
+        [1, 'i32', 1],
+        [2, ['list', 'struct'], [
+          [[4, 'string', 'schema'], [5, 'i32', cols.length]],
+          ...cols.map(schemaElement),
+        ]],
+        [3, 'i64', numRows],
+        [4, ['list', 'struct'], rowGroups],
+        [6, 'string', 'nansen-cli'],
+      ]);
+      const length = Buffer.alloc(4);
+      length.writeUInt32LE(footer.length);
+      write(footer);
+      write(length);
+      write(MAGIC);
+      fs.closeSync(fd);
+      fs.renameSync(tmp, file);
+      return { rows: numRows, row_groups: rowGroups.length, columns: cols };
+    },
+
+    /** Discard a partial file. */
+    abort() {
+      try { fs.closeSync(fd); } catch { /* already closed */ }
+      fs.rmSync(tmp, { force: true });
+    },
+  };
+}
@@ -194,9 +194,9 @@ export async function createPrivyWalletPair(name) {
 
 /**
  * Resolve the EVM wallet for x402 payments.
- * Priority: PRIVY_WALLET_ID env > default local wallet's privyWalletId > first Privy EVM wallet.
+ * Priority: PRIVY_WALLET_ID env > named (or default) local wallet's privyWalletId > first Privy EVM wallet.
  */
-async function getPrivyEvmWallet(client) {
+async function getPrivyEvmWallet(client, walletName) {
   if (process.env.PRIVY_WALLET_ID) {
     return client.getWallet(process.env.PRIVY_WALLET_ID);
   }
@@ -207,8 +207,9 @@ async function getPrivyEvmWallet(client) {
     const configPath = path.join(walletsDir, "config.json");
     if (fs.existsSync(configPath)) {
       const config = JSON.parse(fs.readFileSync(configPath, "utf8"));
-      if (config.defaultWallet) {
-        const walletFile = path.join(walletsDir, `${config.defaultWallet}.json`);
+      const name = walletName || config.defaultWallet;
+      if (name) {
+        const walletFile = path.join(walletsDir, `${name}.json`);
         if (fs.existsSync(walletFile)) {
           const data = JSON.parse(fs.readFileSync(walletFile, "utf8"));
           if (data.provider === "privy" && data.evm?.privyWalletId) {
@@ -230,16 +231,17 @@ async function getPrivyEvmWallet(client) {
 
 /**
  * Resolve the Solana wallet for x402 payments.
- * Priority: default local wallet's solana.privyWalletId > first Privy Solana wallet.
+ * Priority: named (or default) local wallet's solana.privyWalletId > first Privy Solana wallet.
  */
-async function getPrivySolanaWallet(client) {
+async function getPrivySolanaWallet(client, walletName) {
   try {
     const walletsDir = path.join(process.env.HOME || process.env.USERPROFILE || "", ".nansen", "wallets");
     const configPath = path.join(walletsDir, "config.json");
     if (fs.existsSync(configPath)) {
       const config = JSON.parse(fs.readFileSync(configPath, "utf8"));
-      if (config.defaultWallet) {
-        const walletFile = path.join(walletsDir, `${config.defaultWallet}.json`);
+      const name = walletName || config.defaultWallet;
+      if (name) {
+        const walletFile = path.join(walletsDir, `${name}.json`);
         if (fs.existsSync(walletFile)) {
           const data = JSON.parse(fs.readFileSync(walletFile, "utf8"));
           if (data.provider === "privy" && data.solana?.privyWalletId) {
@@ -264,9 +266,11 @@ async function getPrivySolanaWallet(client) {
  *
  * @param {Response} response - The 402 HTTP response
  * @param {string} url - The original request URL
+ * @param {object} [options]
+ * @param {string} [options.walletName] - Local wallet to pay from (defaults to the default wallet)
  * @returns {AsyncGenerator<{ signature: string, network: string }>}
  */
-export async function* createPrivyPaymentSignatures(response, url) {
+export async function* createPrivyPaymentSignatures(response, url, options = {}) {
   const requirements = parsePaymentRequirements(response);
   if (!requirements || requirements.length === 0) return;
 
@@ -275,7 +279,7 @@ export async function* createPrivyPaymentSignatures(response, url) {
   // EVM requirements
   const evmRequirements = requirements.filter((r) => isEvmNetwork(r.network));
   if (evmRequirements.length > 0) {
-    const evmWallet = await getPrivyEvmWallet(client);
+    const evmWallet = await getPrivyEvmWallet(client, options.walletName);
     if (evmWallet) {
       for (const requirement of evmRequirements) {
         try {
@@ -320,7 +324,7 @@ export async function* createPrivyPaymentSignatures(response, url) {
   // Solana requirements
   const svmRequirements = requirements.filter((r) => isSvmNetwork(r.network));
   if (svmRequirements.length > 0) {
-    const solWallet = await getPrivySolanaWallet(client);
+    const solWallet = await getPrivySolanaWallet(client, options.walletName);
     if (solWallet) {
       for (const requirement of svmRequirements) {
         try {
@@ -0,0 +1,464 @@
+/**
+ * Nansen CLI - Client-side query language
+ * Filters, sorts and derives columns on rows after the response arrives,
+ * so common jq pipelines (`select(.value_usd > 10000)`, `sort_by(...)`) are
+ * built in and behave the same in every output format.
+ *
+ * Grammar (lowest to highest precedence):
+ *   or  →  and  →  not  →  comparison  →  + -  →  * / %  →  unary -  →  primary
+ * Comparisons: = == != > >= < <= contains startswith endswith matches in
+ * Primaries: numbers, "strings" / 'strings', true, false, null, [lists],
+ *   dotted field paths (token.symbol), function calls, ( parentheses ).
+ */
+
+import { NansenError, ErrorCode } from './api.js';
+
+const KEYWORDS = new Set(['and', 'or', 'not', 'contains', 'startswith', 'endswith', 'matches', 'in', 'true', 'false', 'null']);
+const COMPARISON_OPS = new Set(['=', '==', '!=', '>', '>=', '<', '<=', 'contains', 'startswith', 'endswith', 'matches', 'in']);
+
+const FUNCTIONS = {
+  abs: (x) => (toNumber(x) === null ? null : Math.abs(toNumber(x))),
+  round: (x, digits = 0) => {
+    const n = toNumber(x);
+    if (n === null) return null;
+    const factor = 10 ** (toNumber(digits) || 0);
+    return Math.round(n * factor) / factor;
+  },
+  lower: (s) => (s == null ? s : String(s).toLowerCase()),
+  upper: (s) => (s == null ? s : String(s).toUpperCase()),
+  len: (v) => (v == null ? 0 : (Array.isArray(v) || typeof v === 'string' ? v.length : Object.keys(v).length)),
+  coalesce: (...args) => args.find(v => v !== null && v !== undefined) ?? null,
+  number: (v) => toNumber(v),
+  string: (v) => (v == null ? v : (typeof v === 'object' ? JSON.stringify(v) : String(v))),
+};
+
+function queryError(message, source, pos) {
+  const where = pos === undefined ? '' : ` at position ${pos + 1}`;
+  return new NansenError(`Invalid expression "${source}"${where}: ${message}`, ErrorCode.INVALID_PARAMS);
+}
+
+// Numbers often arrive as strings (big integers, amounts); compare them as numbers
+function toNumber(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value === 'string' && value.trim() !== '' && !Number.isNaN(Number(value))) return Number(value);
+  return null;
+}
+
+// ============= Tokenizer =============
+
+function tokenize(source) {
+  const tokens = [];
+  let i = 0;
+  while (i < source.length) {
+    const ch = source[i];
+    if (/\s/.test(ch)) { i++; continue; }
+
+    const start = i;
+    if (/[0-9]/.test(ch) || (ch === '.' && /[0-9]/.test(source[i + 1]))) {
+      const match = source.slice(i).match(/^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/);
+      tokens.push({ type: 'number', value: Number(match[0]), pos: start });
+      i += match[0].length;
+    } else if (ch === '"' || ch === "'") {
+      let value = '';
+      i++;
+      while (i < source.length && source[i] !== ch) {
+        if (source[i] === '\\' && i + 1 < source.length) i++;
+        value += source[i++];
+      }
+      if (i >= source.length) throw queryError('unterminated string', source, start);
+      i++;
+      tokens.push({ type: 'string', value, pos: start });
+    } else if (/[A-Za-z_$]/.test(ch)) {
+      const match = source.slice(i).match(/^[A-Za-z_$][\w$]*(\.[\w$]+)*/);
+      const word = match[0];
+      i += word.length;
+      if (KEYWORDS.has(word.toLowerCase()) && !word.includes('.')) {
+        tokens.push({ type: 'keyword', value: word.toLowerCase(), pos: start });
+      } else {
+        tokens.push({ type: 'ident', value: word, pos: start });
+      }
+    } else {
+      const two = source.slice(i, i + 2);
+      if (['==', '!=', '>=', '<=', '&&', '||'].includes(two)) {
+        const value = two === '&&' ? 'and' : two === '||' ? 'or' : two;
+        tokens.push({ type: value === 'and' || value === 'or' ? 'keyword' : 'op', value, pos: start });
+        i += 2;
+      } else if ('=<>+-*/%(),[]!'.includes(ch)) {
+        tokens.push(ch === '!' ? { type: 'keyword', value: 'not', pos: start } : { type: 'op', value: ch, pos: start });
+        i++;
+      } else {
+        throw queryError(`unexpected character '${ch}'`, source, start);
+      }
+    }
+  }
+  tokens.push({ type: 'eof', pos: source.length });
+  return tokens;
+}
+
+// ============= Parser =============
+
+/**
+ * Parse an expression into an AST. Throws NansenError(INVALID_PARAMS) with
+ * the offending position on syntax errors.
+ */
+export function parseExpression(source) {
+  if (typeof source !== 'string' || !source.trim()) {
+    throw queryError('expression is empty', String(source ?? ''));
+  }
+  const tokens = tokenize(source);
+  let pos = 0;
+
+  const peek = () => tokens[pos];
+  const isOp = (value) => (peek().type === 'op' || peek().type === 'keyword') && peek().value === value;
+  const expect = (value) => {
+    if (!isOp(value)) throw queryError(`expected '${value}'`, source, peek().pos);
+    pos++;
+  };
+
+  function parseOr() {
+    let left = parseAnd();
+    while (isOp('or')) {
+      pos++;
+      left = { type: 'logical', op: 'or', left, right: parseAnd() };
+    }
+    return left;
+  }
+
+  function parseAnd() {
+    let left = parseNot();
+    while (isOp('and')) {
+      pos++;
+      left = { type: 'logical', op: 'and', left, right: parseNot() };
+    }
+    return left;
+  }
+
+  function parseNot() {
+    if (isOp('not')) {
+      pos++;
+      return { type: 'not', operand: parseNot() };
+    }
+    return parseComparison();
+  }
+
+  function parseComparison() {
+    const left = parseAdditive();
+    const token = peek();
+    if ((token.type === 'op' || token.type === 'keyword') && COMPARISON_OPS.has(token.value)) {
+      pos++;
+      return { type: 'compare', op: token.value === '==' ? '=' : token.value, left, right: parseAdditive() };
+    }
+    return left;
+  }
+
+  function parseAdditive() {
+    let left = parseMultiplicative();
+    while (isOp('+') || isOp('-')) {
+      const op = tokens[pos++].value;
+      left = { type: 'arith', op, left, right: parseMultiplicative() };
+    }
+    return left;
+  }
+
+  function parseMultiplicative() {
+    let left = parseUnary();
+    while (isOp('*') || isOp('/') || isOp('%')) {
+      const op = tokens[pos++].value;
+      left = { type: 'arith', op, left, right: parseUnary() };
+    }
+    return left;
+  }
+
+  function parseUnary() {
+    if (isOp('-')) {
+      pos++;
+      return { type: 'negate', operand: parseUnary() };
+    }
+    return parsePrimary();
+  }
+
+  function parseList(close) {
+    const items = [];
+    if (!isOp(close)) {
+      do {
+        if (items.length > 0) pos++;
+        items.push(parseOr());
+      } while (isOp(','));
+    }
+    expect(close);
+    return items;
+  }
+
+  function parsePrimary() {
+    const token = tokens[pos++];
+    switch (token.type) {
+      case 'number':
+      case 'string':
+        return { type: 'literal', value: token.value };
+      case 'keyword':
+        if (token.value === 'true') return { type: 'literal', value: true };
+        if (token.value === 'false') return { type: 'literal', value: false };
+        if (token.value === 'null') return { type: 'literal', value: null };
+        break;
+      case 'ident':
+        if (isOp('(')) {
+          const fn = FUNCTIONS[token.value.toLowerCase()];
+          if (!fn) {
+            throw queryError(`unknown function '${token.value}'. Available: ${Object.keys(FUNCTIONS).join(', ')}`, source, token.pos);
+          }
+          pos++;
+          return { type: 'call', fn, args: parseList(')') };
+        }
+        return { type: 'field', path: token.value.split('.') };
+      case 'op':
+        if (token.value === '(') {
+          const inner = parseOr();
+          expect(')');
+          return inner;
+        }
+        if (token.value === '[') {
+          return { type: 'list', items: parseList(']') };
+        }
+        break;
+    }
+    throw queryError(token.type === 'eof' ? 'unexpected end of expression' : `unexpected '${token.value}'`, source, token.pos);
+  }
+
+  const ast = parseOr();
+  if (peek().type !== 'eof') {
+    throw queryError(`unexpected '${peek().value}'`, source, peek().pos);
+  }
+  return ast;
+}
+
+// ============= Evaluator =============
+
+function getPath(row, path) {
+  let value = row;
+  for (const key of path) {
+    if (value === null || value === undefined) return undefined;
+    value = value[key];
+  }
+  return value;
+}
+
+function looseEquals(a, b) {
+  if (a === b) return true;
+  if (a == null || b == null) return a == null && b == null;
+  const na = toNumber(a);
+  const nb = toNumber(b);
+  if (na !== null && nb !== null) return na === nb;
+  return String(a) === String(b);
+}
+
+function containsValue(haystack, needle) {
+  if (haystack == null) return false;
+  if (Array.isArray(haystack)) {
+    return haystack.some(item => looseEquals(item, needle) || (typeof item === 'string' && containsValue(item, needle)));
+  }
+  if (typeof haystack === 'object') return Object.prototype.hasOwnProperty.call(haystack, needle);
+  return String(haystack).includes(String(needle));
+}
+
+function compare(op, a, b) {
+  switch (op) {
+    case '=': return looseEquals(a, b);
+    case '!=': return !looseEquals(a, b);
+    case 'contains': return containsValue(a, b);
+    case 'startswith': return a != null && b != null && String(a).startsWith(String(b));
+    case 'endswith': return a != null && b != null && String(a).endsWith(String(b));
+    case 'matches': {
+      if (a == null || b == null) return false;
+      try {
+        return new RegExp(String(b)).test(String(a));
+      } catch (err) {
+        throw new NansenError(`Invalid regular expression for matches: ${err.message}`, ErrorCode.INVALID_PARAMS);
+      }
+    }
+    case 'in': return Array.isArray(b) ? b.some(item => looseEquals(a, item)) : containsValue(b, a);
+  }
+  // Ordering comparisons: numeric when both sides are numeric, else lexical.
+  // Missing values never satisfy an ordering comparison.
+  if (a == null || b == null) return false;
+  const na = toNumber(a);
+  const nb = toNumber(b);
+  const [x, y] = na !== null && nb !== null ? [na, nb] : [String(a), String(b)];
+  switch (op) {
+    case '>': return x > y;
+    case '>=': return x >= y;
+    case '<': return x < y;
+    case '<=': return x <= y;
+  }
+  return false;
+}
+
+function arith(op, a, b) {
+  if (op === '+' && (typeof a === 'string' || typeof b === 'string') && (toNumber(a) === null || toNumber(b) === null)) {
+    return a == null || b == null ? null : String(a) + String(b);
+  }
+  const x = toNumber(a);
+  const y = toNumber(b);
+  if (x === null || y === null) return null;
+  switch (op) {
+    case '+': return x + y;
+    case '-': return x - y;
+    case '*': return x * y;
+    case '/': return y === 0 ? null : x / y;
+    case '%': return y === 0 ? null : x % y;
+  }
+  return null;
+}
+
+/**
+ * Evaluate a parsed expression against a row.
+ */
+export function evaluate(node, row) {
+  switch (node.type) {
+    case 'literal': return node.value;
+    case 'field': return getPath(row, node.path);
+    case 'list': return node.items.map(item => evaluate(item, row));
+    case 'call': return node.fn(...node.args.map(arg => evaluate(arg, row)));
+    case 'not': return !evaluate(node.operand, row);
+    case 'negate': {
+      const n = toNumber(evaluate(node.operand, row));
+      return n === null ? null : -n;
+    }
+    case 'logical':
+      return node.op === 'and'
+        ? !!evaluate(node.left, row) && !!evaluate(node.right, row)
+        : !!evaluate(node.left, row) || !!evaluate(node.right, row);
+    case 'compare': return compare(node.op, evaluate(node.left, row), evaluate(node.right, row));
+    case 'arith': return arith(node.op, evaluate(node.left, row), evaluate(node.right, row));
+  }
+  return undefined;
+}
+
+/**
+ * Compile an expression to a (row) => value function.
+ */
+export function compileExpression(source) {
+  const ast = parseExpression(source);
+  return (row) => evaluate(ast, row);
+}
+
+// Split on commas that are not inside parentheses, brackets or quotes
+function splitTopLevel(source) {
+  const parts = [];
+  let depth = 0;
+  let quote = null;
+  let current = '';
+  for (let i = 0; i < source.length; i++) {
+    const ch = source[i];
+    if (quote) {
+      if (ch === '\\') { current += ch + (source[++i] ?? ''); continue; }
+      if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+    } else if (ch === '(' || ch === '[') {
+      depth++;
+    } else if (ch === ')' || ch === ']') {
+      depth--;
+    } else if (ch === ',' && depth === 0) {
+      parts.push(current);
+      current = '';
+      continue;
+    }
+    current += ch;
+  }
+  parts.push(current);
+  return parts.map(p => p.trim()).filter(Boolean);
+}
+
+/**
+ * Parse --sort-local: comma-separated keys, each an expression with an
+ * optional :asc / :desc suffix (default asc), e.g. "value_usd / amount:desc,symbol".
+ */
+export function parseLocalSort(source) {
+  return splitTopLevel(String(source)).map(part => {
+    const match = part.match(/^(.*?)(?::(asc|desc))?$/i);
+    return { key: compileExpression(match[1]), direction: (match[2] || 'asc').toLowerCase() };
+  });
+}
+
+/**
+ * Parse --compute: "name=expression", repeatable (string or array).
+ */
+export function parseComputed(spec) {
+  const specs = Array.isArray(spec) ? spec : [spec];
+  return specs.map(item => {
+    const match = String(item).match(/^\s*([A-Za-z_$][\w$]*)\s*=(?!=)(.*)$/s);
+    if (!match) {
+      throw new NansenError(`Invalid --compute "${item}". Use name=expression, e.g. --compute 'price=value_usd / amount'`, ErrorCode.INVALID_PARAMS);
+    }
+    return { name: match[1], value: compileExpression(match[2]) };
+  });
+}
+
+/**
+ * Build a query from CLI options. Returns null when no query option is set,
+ * so callers can skip the row pass entirely.
+ *
+ * @param {object} options - Parsed CLI options (where, sort-local, compute)
+ * @returns {{ compute: Array, where: Function|null, sort: Array }|null}
+ */
+export function buildQuery(options = {}) {
+  const { where, compute } = options;
+  const sortLocal = options['sort-local'];
+  if (where === undefined && sortLocal === undefined && compute === undefined) return null;
+
+  const whereSources = where === undefined ? [] : [].concat(where).map(String);
+  const predicates = whereSources.map(compileExpression);
+  return {
+    compute: compute === undefined ? [] : parseComputed(compute),
+    // Repeated --where options must all hold
+    where: predicates.length > 0 ? (row) => predicates.every(p => p(row)) : null,
+    sort: sortLocal === undefined ? [] : parseLocalSort(sortLocal),
+  };
+}
+
+function compareSortValues(a, b) {
+  const na = toNumber(a);
+  const nb = toNumber(b);
+  if (na !== null && nb !== null) return na - nb;
+  return String(a).localeCompare(String(b));
+}
+
+/**
+ * Apply compute → where → sort to a list of rows.
+ */
+export function applyQueryToRows(rows, query) {
+  let result = rows;
+  if (query.compute.length > 0) {
+    result = result.map(row => {
+      if (row === null || typeof row !== 'object' || Array.isArray(row)) return row;
+      const extended = { ...row };
+      // Later columns may refer to earlier ones
+      for (const { name, value } of query.compute) extended[name] = value(extended);
+      return extended;
+    });
+  }
+  if (query.where) {
+    result = result.filter(row => query.where(row));
+  }
+  if (query.sort.length > 0) {
+    const keyed = result.map(row => ({ row, keys: query.sort.map(s => s.key(row)) }));
+    keyed.sort((a, b) => {
+      for (let i = 0; i < query.sort.length; i++) {
+        const x = a.keys[i];
+        const y = b.keys[i];
+        // Missing values sort last in either direction
+        const xMissing = x === null || x === undefined;
+        const yMissing = y === null || y === undefined;
+        if (xMissing || yMissing) {
+          if (xMissing && yMissing) continue;
+          return xMissing ? 1 : -1;
+        }
+        const cmp = compareSortValues(x, y);
+        if (cmp !== 0) return query.sort[i].direction === 'desc' ? -cmp : cmp;
+      }
+      return 0;
+    });
+    result = keyed.map(k => k.row);
+  }
+  return result;
+}
@@ -0,0 +1,248 @@
+/**
+ * Nansen CLI - Markdown and HTML reports
+ * `--format markdown` renders GitHub tables; `--format html` renders one
+ * self-contained page with sortable tables and inline SVG sparklines for
+ * time series (token ohlcv, historical-balances, flows, ...).
+ *
+ * Both walk the response into the same blocks: scalar fields become a
+ * key/value list, arrays of objects become tables (nested objects flattened
+ * into dotted columns), and nested objects get their own heading.
+ */
+
+// Keys that just wrap the rows; their tables are shown without a heading
+const ROW_KEYS = new Set(['data', 'results']);
+
+// Columns that mark a row as a point in time, in preference order
+const TIME_KEYS = ['date', 'period_start', 'timestamp', 'block_timestamp', 'interval_start', 'time', 'datetime'];
+
+// Series split (e.g. historical-balances has one row per token per day)
+const GROUP_KEYS = ['token_symbol', 'symbol', 'token_address'];
+
+// Which numeric column to chart per group
+const VALUE_KEYS = ['close', 'value_usd', 'price_usd', 'balance_usd', 'token_amount', 'amount', 'net_flow_usd'];
+
+const MAX_SPARKLINES = 12;
+const MAX_CELL_JSON = 60;
+
+const isPlainObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+const isRecordArray = (v) => Array.isArray(v) && v.length > 0 && v.every(isPlainObject);
+const isScalar = (v) => v === null || typeof v !== 'object';
+
+/**
+ * Flatten nested plain objects into dotted keys: { token: { symbol } } -> { 'token.symbol' }.
+ * Arrays stay as values and are collapsed when rendered.
+ */
+function flattenRow(row, prefix = '', out = {}) {
+  for (const [key, value] of Object.entries(row)) {
+    const name = prefix ? `${prefix}.${key}` : key;
+    if (isPlainObject(value) && Object.keys(value).length > 0) flattenRow(value, name, out);
+    else out[name] = value;
+  }
+  return out;
+}
+
+/**
+ * Collapse a cell value to display text: arrays of scalars are joined, short
+ * structures are shown as JSON and long ones summarised.
+ */
+function cellText(value) {
+  if (value === null || value === undefined) return '';
+  if (Array.isArray(value)) {
+    if (value.every(isScalar)) return value.join(', ');
+    const json = JSON.stringify(value);
+    return json.length <= MAX_CELL_JSON ? json : `${value.length} items`;
+  }
+  if (typeof value === 'object') {
+    const json = JSON.stringify(value);
+    return json.length <= MAX_CELL_JSON ? json : `${Object.keys(value).length} fields`;
+  }
+  return String(value);
+}
+
+function tableBlock(rows) {
+  const flat = rows.map(r => flattenRow(r));
+  const columns = [...new Set(flat.flatMap(r => Object.keys(r)))];
+  return { type: 'table', columns, rows: flat };
+}
+
+/**
+ * Walk a response into render blocks.
+ * @returns {object[]} [{ type: 'heading'|'fields'|'table'|'list'|'text', ... }]
+ */
+export function reportBlocks(data, level = 2, blocks = []) {
+  if (isRecordArray(data)) {
+    blocks.push(tableBlock(data));
+  } else if (Array.isArray(data)) {
+    blocks.push(data.length ? { type: 'list', items: data.map(cellText) } : { type: 'text', text: 'No data' });
+  } else if (isPlainObject(data)) {
+    const entries = Object.entries(data);
+    const fields = entries.filter(([, v]) => isScalar(v) || (Array.isArray(v) && v.every(isScalar)));
+    if (fields.length) blocks.push({ type: 'fields', entries: fields.map(([k, v]) => [k, cellText(v)]) });
+    for (const [key, value] of entries) {
+      if (isScalar(value) || (Array.isArray(value) && value.every(isScalar))) continue;
+      if (!ROW_KEYS.has(key)) blocks.push({ type: 'heading', level: Math.min(level, 6), text: key });
+      reportBlocks(value, ROW_KEYS.has(key) ? level : level + 1, blocks);
+    }
+  } else {
+    blocks.push({ type: 'text', text: cellText(data) });
+  }
+  return blocks;
+}
+
+// ============= Markdown =============
+
+const mdEscape = (s) => String(s).replace(/\\/g, '\\\\').replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+
+function markdownBlock(block) {
+  switch (block.type) {
+    case 'heading': return `${'#'.repeat(block.level)} ${block.text}`;
+    case 'fields': return block.entries.map(([k, v]) => `- **${k}**: ${v}`).join('\n');
+    case 'list': return block.items.map(item => `- ${item}`).join('\n');
+    case 'table': return [
+      `| ${block.columns.map(mdEscape).join(' | ')} |`,
+      `| ${block.columns.map(c => (block.rows.every(r => typeof r[c] !== 'string') && block.rows.some(r => typeof r[c] === 'number') ? '---:' : '---')).join(' | ')} |`,
+      ...block.rows.map(r => `| ${block.columns.map(c => mdEscape(cellText(r[c]))).join(' | ')} |`),
+    ].join('\n');
+    default: return block.text;
+  }
+}
+
+/**
+ * Render a response as Markdown with GitHub tables.
+ * @param {*} data - Command result
+ * @param {object} [opts]
+ * @param {string} [opts.title] - Document heading, e.g. the command line
+ * @returns {string}
+ */
+export function formatMarkdown(data, { title } = {}) {
+  const parts = title ? [`# ${title}`] : [];
+  for (const block of reportBlocks(data)) parts.push(markdownBlock(block));
+  return parts.join('\n\n') + '\n';
+}
+
+// ============= HTML =============
+
+const htmlEscape = (s) => String(s)
+  .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+const toNumber = (v) => (typeof v === 'number' ? v : (typeof v === 'string' && v.trim() !== '' && Number.isFinite(Number(v)) ? Number(v) : null));
+
+/**
+ * Find the series to chart in a table: rows need a time column and numeric columns.
+ * @returns {{ label: string, points: number[] }[]} Oldest point first
+ */
+export function timeSeries(rows) {
+  const timeKey = TIME_KEYS.find(k => rows.filter(r => !Number.isNaN(Date.parse(r[k]))).length >= Math.max(2, rows.length / 2));
+  if (!timeKey) return [];
+  const sorted = rows
+    .filter(r => !Number.isNaN(Date.parse(r[timeKey])))
+    .sort((a, b) => Date.parse(a[timeKey]) - Date.parse(b[timeKey]));
+  const numeric = Object.keys(sorted[0] || {})
+    .filter(k => k !== timeKey && sorted.every(r => r[k] === null || r[k] === undefined || toNumber(r[k]) !== null) && sorted.some(r => toNumber(r[k]) !== null));
+  if (!numeric.length) return [];
+
+  const series = (label, list, key) => ({ label, points: list.map(r => toNumber(r[key])).filter(v => v !== null) });
+  const groupKey = GROUP_KEYS.find(k => new Set(sorted.map(r => r[k]).filter(v => v !== undefined)).size > 1);
+  if (groupKey) {
+    const valueKey = VALUE_KEYS.find(k => numeric.includes(k)) || numeric[0];
+    const groups = new Map();
+    for (const row of sorted) {
+      const name = row[groupKey] ?? '(none)';
+      if (!groups.has(name)) groups.set(name, []);
+      groups.get(name).push(row);
+    }
+    return [...groups].slice(0, MAX_SPARKLINES).map(([name, list]) => series(`${name} ${valueKey}`, list, valueKey)).filter(s => s.points.length > 1);
+  }
+  return numeric.slice(0, MAX_SPARKLINES).map(k => series(k, sorted, k)).filter(s => s.points.length > 1);
+}
+
+/**
+ * Inline SVG sparkline.
+ */
+export function sparkline(points, { width = 160, height = 32 } = {}) {
+  const min = Math.min(...points);
+  const max = Math.max(...points);
+  const span = max - min || 1;
+  const step = points.length > 1 ? width / (points.length - 1) : 0;
+  const coords = points.map((p, i) => `${(i * step).toFixed(1)},${(height - 2 - ((p - min) / span) * (height - 4)).toFixed(1)}`);
+  const rising = points[points.length - 1] >= points[0];
+  return `<svg class="spark" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" role="img"><polyline fill="none" stroke="${rising ? '#16a34a' : '#dc2626'}" stroke-width="1.5" points="${coords.join(' ')}"/></svg>`;
+}
+
+const compact = (n) => (Math.abs(n) >= 1e9 ? `${(n / 1e9).toFixed(2)}B`
+  : Math.abs(n) >= 1e6 ? `${(n / 1e6).toFixed(2)}M`
+    : Math.abs(n) >= 1e3 ? `${(n / 1e3).toFixed(2)}K`
+      : Number.isInteger(n) ? String(n) : n.toPrecision(4));
+
+function htmlTable(block) {
+  const numericCols = new Set(block.columns.filter(c => block.rows.some(r => typeof r[c] === 'number') && block.rows.every(r => typeof r[c] !== 'string')));
+  const charts = timeSeries(block.rows).map(s => `<figure><figcaption>${htmlEscape(s.label)}</figcaption>${sparkline(s.points)}<span>${compact(s.points[0])} → ${compact(s.points[s.points.length - 1])}</span></figure>`);
+  const head = block.columns.map(c => `<th${numericCols.has(c) ? ' class="num"' : ''}>${htmlEscape(c)}</th>`).join('');
+  const body = block.rows.map(r => `<tr>${block.columns.map(c => {
+    const value = r[c];
+    if (numericCols.has(c) && typeof value === 'number') return `<td class="num" data-sort="${value}">${htmlEscape(value)}</td>`;
+    return `<td>${htmlEscape(cellText(value))}</td>`;
+  }).join('')}</tr>`).join('\n');
+  return [
+    charts.length ? `<div class="sparks">${charts.join('')}</div>` : '',
+    `<table class="sortable"><thead><tr>${head}</tr></thead><tbody>\n${body}\n</tbody></table>`,
+  ].join('');
+}
+
+function htmlBlock(block) {
+  switch (block.type) {
+    case 'heading': return `<h${block.level}>${htmlEscape(block.text)}</h${block.level}>`;
+    case 'fields': return `<dl>${block.entries.map(([k, v]) => `<dt>${htmlEscape(k)}</dt><dd>${htmlEscape(v)}</dd>`).join('')}</dl>`;
+    case 'list': return `<ul>${block.items.map(item => `<li>${htmlEscape(item)}</li>`).join('')}</ul>`;
+    case 'table': return htmlTable(block);
+    default: return `<p>${htmlEscape(block.text)}</p>`;
+  }
+}
+
+const STYLE = `body{font:14px/1.45 system-ui,-apple-system,sans-serif;margin:2rem;color:#111}
+h1{font-size:1.4rem}h2{font-size:1.15rem;margin-top:2rem}.meta{color:#666}
+table{border-collapse:collapse;margin:1rem 0;font-size:13px}th,td{border:1px solid #ddd;padding:4px 8px;text-align:left;vertical-align:top}
+th{background:#f5f5f5;cursor:pointer;user-select:none;white-space:nowrap}th[aria-sort=ascending]::after{content:" ▲"}th[aria-sort=descending]::after{content:" ▼"}
+td.num,th.num{text-align:right;font-variant-numeric:tabular-nums}tbody tr:nth-child(even){background:#fafafa}
+dl{display:grid;grid-template-columns:max-content auto;gap:2px 12px}dt{font-weight:600}dd{margin:0}
+.sparks{display:flex;flex-wrap:wrap;gap:12px}figure{margin:0;padding:6px 8px;border:1px solid #eee;border-radius:4px}figcaption{font-size:12px;color:#444}figure span{font-size:11px;color:#666}`;
+
+// Click a header to sort; numbers sort by data-sort, everything else as text
+const SCRIPT = `document.querySelectorAll('table.sortable th').forEach((th, col) => th.addEventListener('click', () => {
+  const body = th.closest('table').tBodies[0];
+  const dir = th.getAttribute('aria-sort') === 'ascending' ? -1 : 1;
+  th.parentNode.querySelectorAll('th').forEach(h => h.removeAttribute('aria-sort'));
+  th.setAttribute('aria-sort', dir === 1 ? 'ascending' : 'descending');
+  const key = td => td.dataset.sort !== undefined ? Number(td.dataset.sort) : td.textContent;
+  [...body.rows].sort((a, b) => {
+    const x = key(a.cells[col]), y = key(b.cells[col]);
+    return (typeof x === 'number' && typeof y === 'number' ? x - y : String(x).localeCompare(String(y), undefined, { numeric: true })) * dir;
+  }).forEach(row => body.appendChild(row));
+}));`;
+
+/**
+ * Render a response as one self-contained HTML page (no external assets).
+ * @param {*} data - Command result
+ * @param {object} [opts]
+ * @param {string} [opts.title]
+ * @param {Date} [opts.now] - Generation time shown under the title
+ * @returns {string}
+ */
+export function formatHtml(data, { title = 'Nansen report', now = new Date() } = {}) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${htmlEscape(title)}</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<h1>${htmlEscape(title)}</h1>
+<p class="meta">Generated ${htmlEscape(now.toISOString())}</p>
+${reportBlocks(data).map(htmlBlock).join('\n')}
+<script>${SCRIPT}</script>
+</body>
+</html>
+`;
+}
@@ -0,0 +1,160 @@
+/**
+ * Nansen CLI - Request scheduler
+ * A token bucket (--rps) plus a concurrency cap (--concurrency) shared by
+ * every request made through one NansenAPI instance. On a 429 the
+ * concurrency (and the rate, when capped) is halved and everyone waits out
+ * Retry-After together; each success then adds a little back until the
+ * configured limits are reached again.
+ */
+
+export const DEFAULT_CONCURRENCY = 4;
+export const DEFAULT_RPS = Infinity;
+
+// Floor for the adaptive rate, and the step added back per success
+const MIN_RPS = 0.25;
+const RECOVERY_STEP_RPS = 0.5;
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Create a scheduler.
+ *
+ * @param {object} [opts]
+ * @param {number} [opts.concurrency=DEFAULT_CONCURRENCY] - Max requests in flight
+ * @param {number} [opts.rps=DEFAULT_RPS] - Max requests started per second (Infinity = no cap)
+ * @returns {{ acquire: Function, throttle: Function, recover: Function }}
+ */
+export function createScheduler({ concurrency = DEFAULT_CONCURRENCY, rps = DEFAULT_RPS } = {}) {
+  const state = {
+    maxConcurrency: concurrency, // configured --concurrency
+    concurrency,       // current (adaptive) cap
+    limit: rps,        // configured --rps
+    rate: rps,         // current (adaptive) rate
+    tokens: Number.isFinite(rps) ? Math.max(1, rps) : 0,
+    refilledAt: Date.now(),
+    pausedUntil: 0,
+    active: 0,
+    waiters: [],
+  };
+
+  const burst = () => Math.max(1, state.rate);
+
+  function refill() {
+    const now = Date.now();
+    state.tokens = Math.min(burst(), state.tokens + ((now - state.refilledAt) / 1000) * state.rate);
+    state.refilledAt = now;
+  }
+
+  async function takeToken() {
+    for (;;) {
+      const pausedMs = state.pausedUntil - Date.now();
+      if (pausedMs > 0) {
+        await wait(pausedMs);
+        continue;
+      }
+      if (!Number.isFinite(state.rate)) return;
+      refill();
+      if (state.tokens >= 1) {
+        state.tokens -= 1;
+        return;
+      }
+      await wait(Math.ceil(((1 - state.tokens) / state.rate) * 1000));
+    }
+  }
+
+  function releaseSlot() {
+    // Hand the slot straight to the next waiter so nobody can jump the queue,
+    // unless a 429 has since lowered the cap below what is in flight
+    if (state.active > state.concurrency || state.waiters.length === 0) state.active--;
+    else state.waiters.shift()();
+  }
+
+  function wakeWaiters() {
+    while (state.waiters.length > 0 && state.active < state.concurrency) {
+      state.active++;
+      state.waiters.shift()();
+    }
+  }
+
+  const scheduler = {
+    get concurrency() { return state.concurrency; },
+    get rate() { return state.rate; },
+    get pausedUntil() { return state.pausedUntil; },
+
+    /**
+     * Wait for a concurrency slot and a rate token.
+     * @returns {Promise<Function>} Idempotent release function; call it once the response is read
+     */
+    async acquire() {
+      if (state.active < state.concurrency) state.active++;
+      else await new Promise(resolve => state.waiters.push(resolve));
+
+      try {
+        await takeToken();
+      } catch (err) {
+        releaseSlot();
+        throw err;
+      }
+
+      let released = false;
+      return () => {
+        if (released) return;
+        released = true;
+        releaseSlot();
+      };
+    },
+
+    /**
+     * Back off after a 429: halve the concurrency and any rate cap and, when
+     * the server sent Retry-After, hold every request until it has passed.
+     * @param {number|null} retryAfterMs
+     */
+    throttle(retryAfterMs = null) {
+      state.concurrency = Math.max(1, Math.floor(state.concurrency / 2));
+      if (Number.isFinite(state.rate)) {
+        refill();
+        state.rate = Math.max(MIN_RPS, state.rate / 2);
+        state.tokens = Math.min(state.tokens, burst());
+      }
+      if (retryAfterMs) state.pausedUntil = Math.max(state.pausedUntil, Date.now() + retryAfterMs);
+    },
+
+    /**
+     * Record a successful response: the pause is over and the limits climb back.
+     */
+    recover() {
+      state.pausedUntil = 0;
+      if (state.concurrency < state.maxConcurrency) {
+        state.concurrency++;
+        wakeWaiters();
+      }
+      if (state.rate < state.limit) {
+        refill();
+        state.rate = Math.min(state.limit, state.rate + RECOVERY_STEP_RPS);
+      }
+    },
+  };
+  return scheduler;
+}
+
+/**
+ * Map over items with at most `limit` calls of fn in flight, keeping result order.
+ *
+ * @param {Array} items
+ * @param {number} limit
+ * @param {Function} fn - (item, index) => Promise
+ * @returns {Promise<Array>}
+ */
+export async function mapConcurrent(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  };
+  const workers = Math.max(1, Math.min(limit || 1, items.length));
+  await Promise.all(Array.from({ length: workers }, worker));
+  return results;
+}
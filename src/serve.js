@@ -0,0 +1,198 @@
+/**
+ * Nansen CLI - HTTP gateway
+ * One long-lived local process holds the API key, response cache and retry
+ * budget, and several agents call research commands over localhost.
+ * Routes mirror the CLI: GET/POST /research/<category>/<subcommand>.
+ */
+
+import http from 'http';
+import { ErrorCode } from './api.js';
+
+const MAX_BODY_BYTES = 1024 * 1024;
+
+// Error codes caused by the caller's input rather than the upstream API
+const CLIENT_ERROR_CODES = new Set([
+  ErrorCode.INVALID_PARAMS,
+  ErrorCode.MISSING_PARAM,
+  ErrorCode.INVALID_ADDRESS,
+  ErrorCode.INVALID_TOKEN,
+  ErrorCode.INVALID_CHAIN,
+  ErrorCode.UNSUPPORTED_FILTER,
+]);
+
+/**
+ * Parse a query-string value the same way parseArgs() parses option values:
+ * JSON objects/arrays/booleans are decoded, numeric strings stay strings.
+ */
+export function parseQueryValue(value) {
+  try {
+    const parsed = JSON.parse(value);
+    return typeof parsed === 'number' ? value : parsed;
+  } catch {
+    return value;
+  }
+}
+
+/**
+ * Pick an HTTP status for an error envelope produced by formatError().
+ * Upstream statuses pass through so clients can see 401/403/429 as-is.
+ */
+export function statusForError(envelope) {
+  if (envelope.status) return envelope.status;
+  if (CLIENT_ERROR_CODES.has(envelope.code)) return 400;
+  if (envelope.code === ErrorCode.NOT_FOUND) return 404;
+  return 500;
+}
+
+// Research options naming local files (batch input, checkpoints, reports).
+// Whoever can reach the port must not read or write files as the CLI's user.
+export const GATEWAY_FILE_OPTIONS = new Set(['file', 'checkpoint', 'report', 'output', 'append']);
+
+// Host names a loopback-bound gateway answers to
+const LOOPBACK_HOSTS = new Set(['127.0.0.1', 'localhost', '[::1]']);
+
+/**
+ * Whether a request's Host header names the address the gateway is bound to.
+ * Rejecting other names stops DNS rebinding: a web page whose domain resolves
+ * to 127.0.0.1 still sends its own name as Host. A wildcard bind (0.0.0.0, ::)
+ * was asked to answer on any address, so only the port is checked.
+ *
+ * @param {string|undefined} hostHeader - req.headers.host
+ * @param {string} boundHost - --host the server listens on
+ * @param {number} boundPort - Port the server listens on
+ */
+export function isAllowedHost(hostHeader, boundHost, boundPort) {
+  const match = /^(\[[^\]]+\]|[^:]+)(?::(\d+))?$/.exec(hostHeader || '');
+  if (!match || Number(match[2] || 80) !== boundPort) return false;
+  const name = match[1].toLowerCase();
+  const bound = boundHost.includes(':') ? `[${boundHost}]` : boundHost.toLowerCase();
+  if (bound === '0.0.0.0' || bound === '[::]') return true;
+  if (LOOPBACK_HOSTS.has(bound)) return LOOPBACK_HOSTS.has(name);
+  return name === bound;
+}
+
+function errorEnvelope(message, code, status) {
+  return { success: false, error: message, code, status };
+}
+
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(Object.assign(new Error('Request body too large'), { status: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      const text = Buffer.concat(chunks).toString('utf8');
+      if (!text.trim()) return resolve({});
+      try {
+        const parsed = JSON.parse(text);
+        if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+          reject(Object.assign(new Error('Request body must be a JSON object'), { status: 400 }));
+          return;
+        }
+        resolve(parsed);
+      } catch {
+        reject(Object.assign(new Error('Request body must be valid JSON'), { status: 400 }));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Build the request listener for the gateway.
+ *
+ * @param {object} params
+ * @param {Function} params.dispatch - async (researchArgs, params) => { success, data } | error envelope
+ * @param {string} params.version - Reported by GET /health
+ * @param {string} [params.host] - Bound host; when set, other Host and Origin headers get a 403
+ * @returns {Function} (req, res) listener for http.createServer
+ */
+export function createGatewayHandler({ dispatch, version, host }) {
+  return async (req, res) => {
+    const send = (status, body) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    };
+
+    // Only this gateway's own name, and no cross-site browser requests
+    if (host !== undefined) {
+      const hostHeader = req.headers.host;
+      if (!isAllowedHost(hostHeader, host, req.socket.localPort)) {
+        return send(403, errorEnvelope(`Host not allowed: ${hostHeader || '(none)'}`, ErrorCode.FORBIDDEN, 403));
+      }
+      const origin = req.headers.origin;
+      if (origin !== undefined && origin !== `http://${hostHeader}`) {
+        return send(403, errorEnvelope(`Origin not allowed: ${origin}`, ErrorCode.FORBIDDEN, 403));
+      }
+    }
+
+    let url;
+    let segments;
+    try {
+      url = new URL(req.url, 'http://localhost');
+      segments = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+    } catch {
+      return send(400, errorEnvelope('Malformed request URL', ErrorCode.INVALID_PARAMS, 400));
+    }
+
+    if (url.pathname === '/health') {
+      return send(200, { success: true, data: { status: 'ok', version } });
+    }
+
+    if (segments[0] !== 'research' || segments.length < 2) {
+      return send(404, errorEnvelope(`Unknown route: ${req.method} ${url.pathname}. Use /research/<category>/<subcommand>`, ErrorCode.NOT_FOUND, 404));
+    }
+    if (req.method !== 'GET' && req.method !== 'POST') {
+      res.setHeader('Allow', 'GET, POST');
+      return send(405, errorEnvelope(`Method not allowed: ${req.method}`, ErrorCode.INVALID_PARAMS, 405));
+    }
+
+    // Query params first, then a JSON body on POST (body wins on conflicts).
+    // Repeated query keys accumulate into arrays like repeated CLI options.
+    const params = {};
+    for (const [key, raw] of url.searchParams) {
+      const value = parseQueryValue(raw);
+      if (key in params) {
+        params[key] = [].concat(params[key], value);
+      } else {
+        params[key] = value;
+      }
+    }
+    if (req.method === 'POST') {
+      try {
+        Object.assign(params, await readJsonBody(req));
+      } catch (err) {
+        return send(err.status || 400, errorEnvelope(err.message, ErrorCode.INVALID_PARAMS, err.status || 400));
+      }
+    }
+
+    try {
+      const envelope = await dispatch(segments.slice(1), params);
+      send(envelope.success === false ? statusForError(envelope) : 200, envelope);
+    } catch (err) {
+      send(500, errorEnvelope(err.message, ErrorCode.UNKNOWN, 500));
+    }
+  };
+}
+
+/**
+ * Start listening. Resolves with the http.Server once the port is bound.
+ */
+export function startGateway(handler, { port, host }) {
+  return new Promise((resolve, reject) => {
+    const server = http.createServer(handler);
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      server.off('error', reject);
+      resolve(server);
+    });
+  });
+}
@@ -0,0 +1,516 @@
+/**
+ * Nansen CLI - Interactive shell
+ * `nansen shell` keeps one API client (cache, rate limits, retry budget)
+ * alive across commands, remembers the chain / token / address being
+ * explored, completes commands and options from the schema, keeps history in
+ * ~/.nansen/shell_history, and pipes one result into the next command:
+ *
+ *   nansen> use token DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263
+ *   nansen (solana)> holders | profile top 10
+ *   nansen (solana)> | where value_usd > 1000
+ */
+
+import fs from 'fs';
+import path from 'path';
+import * as readline from 'readline';
+import { NansenError, ErrorCode, getConfigDir } from './api.js';
+import { buildQuery, applyQueryToRows } from './query.js';
+import { mapConcurrent } from './scheduler.js';
+
+// Options remembered between commands and filled in when a command takes them
+export const CONTEXT_KEYS = ['chain', 'token', 'address'];
+
+const HISTORY_SIZE = 1000;
+// Lines that may carry secrets never reach the history file
+const SECRET_OPTION = /--(api-key|private-key|password|x402-payment-signature)\b/;
+
+// Most addresses or tokens a piped command fans out over without `top N`
+export const PIPE_FANOUT_LIMIT = 25;
+const PIPE_CONCURRENCY = 4;
+
+// Commands that take the piped addresses as one --addresses list
+const ADDRESS_LIST_COMMANDS = new Set(['profiler batch', 'profiler compare']);
+
+// Verbs that only make sense on piped rows
+const PIPE_VERBS = { profile: ['profiler', 'batch'] };
+
+// Row fields holding a wallet or token address, most specific first
+const ADDRESS_FIELDS = ['address', 'trader_address', 'wallet_address', 'holder_address', 'owner_address', 'counterparty_address'];
+const TOKEN_FIELDS = ['token_address', 'contract_address'];
+
+// Commands that take over stdin/stdout and cannot run inside the shell
+const UNAVAILABLE = new Set(['shell', 'mcp', 'serve', 'mock']);
+
+const BUILTINS = ['help', 'use', 'unset', 'context', 'last', 'exit', 'quit'];
+const LOCAL_VERBS = ['top', 'where', 'sort', 'fields'];
+
+// runCommand() result for a command that failed (its error is already printed)
+const FAILED = Symbol('failed');
+
+const SHELL_HELP = `Shell commands:
+  use chain|token|address <value>   Remember a value; commands that take it get it by default
+  unset chain|token|address         Forget it
+  context                           Show what is remembered
+  last                              Print the last result again
+  exit                              Leave (or Ctrl-D)
+
+Run any nansen command without the "nansen" prefix. Research commands can be
+shortened to "token holders" or just "holders" when the name is unique.
+
+Pipes feed the rows of one result into the next stage:
+  holders | profile top 10          Profile the top 10 holders (profiler batch)
+  netflow | where net_flow_usd > 0 | sort net_flow_usd:desc | top 5
+  | fields address,value_usd        A leading | starts from the last result
+Piped rows fill --address/--token on the next command (one call per row) and
+--addresses on profiler batch and compare.`;
+
+/**
+ * Split a line into words the way a POSIX shell would: single quotes are
+ * literal, double quotes and backslashes escape.
+ *
+ * @returns {string[]}
+ */
+export function tokenizeLine(line) {
+  const words = [];
+  let word = null;
+  let quote = null;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quote) {
+      if (ch === quote) quote = null;
+      else if (ch === '\\' && quote === '"' && i + 1 < line.length) word += line[++i];
+      else word += ch;
+    } else if (ch === '\'' || ch === '"') {
+      quote = ch;
+      word ??= '';
+    } else if (ch === '\\' && i + 1 < line.length) {
+      word = (word ?? '') + line[++i];
+    } else if (/\s/.test(ch)) {
+      if (word !== null) words.push(word);
+      word = null;
+    } else {
+      word = (word ?? '') + ch;
+    }
+  }
+  if (word !== null) words.push(word);
+  return words;
+}
+
+/**
+ * Split a line at unquoted | into trimmed stage texts. A leading | yields an
+ * empty first stage, meaning "start from the last result".
+ *
+ * @returns {string[]}
+ */
+export function splitPipeline(line) {
+  const stages = [];
+  let start = 0;
+  let quote = null;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (ch === '\\') i++;
+    else if (quote) {
+      if (ch === quote) quote = null;
+    } else if (ch === '\'' || ch === '"') {
+      quote = ch;
+    } else if (ch === '|') {
+      stages.push(line.slice(start, i).trim());
+      start = i + 1;
+    }
+  }
+  stages.push(line.slice(start).trim());
+  return stages;
+}
+
+function researchCategories(schema) {
+  return schema.commands.research?.subcommands || {};
+}
+
+/**
+ * Resolve the words of a command stage to full CLI args. Research commands
+ * may drop the "research" prefix, and the category too when the subcommand
+ * name is unique (or only one candidate takes the remembered token/address).
+ *
+ * @returns {{ args: string[], category?: string, subcommand?: string, spec?: object }}
+ */
+export function resolveCommand(words, schema, { aliases = {}, context = {} } = {}) {
+  const categories = researchCategories(schema);
+  const [first, ...rest] = words;
+  const research = (category, subcommand, tail) => ({
+    args: ['research', category, ...(subcommand ? [subcommand] : []), ...tail],
+    category,
+    subcommand,
+    spec: categories[category]?.subcommands?.[subcommand],
+  });
+
+  if (first === 'research') {
+    const category = aliases[rest[0]] || rest[0];
+    return research(category, rest[1], rest.slice(2));
+  }
+  const category = aliases[first] || first;
+  if (categories[category]) return research(category, rest[0], rest.slice(1));
+  if (schema.commands[first]) return { args: words };
+
+  const candidates = Object.entries(categories)
+    .filter(([, cat]) => cat.subcommands?.[first])
+    .map(([name]) => name);
+  if (candidates.length === 1) return research(candidates[0], first, rest);
+  if (candidates.length > 1) {
+    // Prefer the one whose required --token / --address is already remembered
+    const fitting = candidates.filter(name => Object.entries(categories[name].subcommands[first].options || {})
+      .some(([key, opt]) => opt.required && (key === 'token' || key === 'address') && context[key]));
+    if (fitting.length === 1) return research(fitting[0], first, rest);
+    throw new NansenError(`"${first}" is ambiguous: ${candidates.map(c => `${c} ${first}`).join(', ')}`, ErrorCode.INVALID_PARAMS);
+  }
+  throw new NansenError(`Unknown command: ${first}. Type "help" for shell commands.`, ErrorCode.INVALID_PARAMS);
+}
+
+const optionValue = (words, key) => {
+  const i = words.indexOf(`--${key}`);
+  return i >= 0 && i + 1 < words.length && !String(words[i + 1]).startsWith('-') ? words[i + 1] : undefined;
+};
+const hasOption = (words, key) => words.includes(`--${key}`);
+
+/**
+ * Rows of a result, whatever its wrapping.
+ */
+export function rowsOf(data) {
+  const rows = Array.isArray(data) ? data : (data?.data?.results ?? data?.results ?? data?.data);
+  return Array.isArray(rows) ? rows : null;
+}
+
+function pickField(row, fields, fallback) {
+  if (!row || typeof row !== 'object') return typeof row === 'string' ? row : undefined;
+  for (const field of fields) if (typeof row[field] === 'string' && row[field]) return row[field];
+  const key = Object.keys(row).find(k => fallback(k) && typeof row[k] === 'string');
+  return key ? row[key] : undefined;
+}
+
+/**
+ * Distinct wallet (or token) addresses in piped rows, in row order.
+ */
+export function pipedValues(rows, kind) {
+  const values = rows.map(row => (kind === 'token'
+    ? pickField(row, TOKEN_FIELDS, k => /^token.*address$/.test(k))
+    : pickField(row, ADDRESS_FIELDS, k => /(^|_)address$/.test(k) && !/token|contract/.test(k))));
+  return [...new Set(values.filter(Boolean))];
+}
+
+// Local verbs take the rest of the stage text verbatim, quotes included
+function applyLocalVerb(text, rows) {
+  const [verb] = tokenizeLine(text);
+  const arg = text.slice(text.indexOf(verb) + verb.length).trim();
+  switch (verb) {
+    case 'top': {
+      const n = Number(arg);
+      if (!Number.isInteger(n) || n < 1) throw new NansenError(`top needs a positive count, got "${arg}"`, ErrorCode.INVALID_PARAMS);
+      return rows.slice(0, n);
+    }
+    case 'where':
+      return applyQueryToRows(rows, buildQuery({ where: arg }));
+    case 'sort':
+      return applyQueryToRows(rows, buildQuery({ 'sort-local': arg }));
+    default: {
+      const keep = arg.split(',').map(f => f.trim()).filter(Boolean);
+      return rows.map(row => Object.fromEntries(keep.filter(k => row && k in row).map(k => [k, row[k]])));
+    }
+  }
+}
+
+/**
+ * Create the line interpreter behind `nansen shell`, separate from readline
+ * so it can be driven directly.
+ *
+ * @param {object} deps
+ * @param {Function} deps.execute - async (args, { print }) => runCLI result ({ type, data })
+ * @param {object} deps.schema - SCHEMA
+ * @param {Function} deps.print - Writes one block of output
+ * @param {Function} deps.render - (envelope) => string, for results the shell builds itself
+ * @param {Function} deps.formatError - error => error envelope
+ * @param {object} [deps.aliases] - Research category aliases (sm, tgm, ...)
+ * @param {string[]} [deps.defaultArgs] - Appended to every command (e.g. --table from `nansen shell --table`)
+ * @returns {{ runLine: (line: string) => Promise<void>, prompt: () => string, context: object }}
+ */
+export function createShell({ execute, schema, print, render, formatError, aliases = {}, defaultArgs = [] }) {
+  const context = {};
+  let last;
+
+  const fail = (message) => { throw new NansenError(message, ErrorCode.INVALID_PARAMS); };
+
+  // Run one nansen command; returns its data, or FAILED once the error is printed
+  async function runCommand(words, { input, print: shouldPrint }) {
+    if (input !== undefined && PIPE_VERBS[words[0]]) words = [...PIPE_VERBS[words[0]], ...words.slice(1)];
+    const resolved = resolveCommand(words, schema, { aliases, context });
+    if (UNAVAILABLE.has(resolved.args[0])) fail(`${resolved.args[0]} is not available inside the shell`);
+    const name = `${resolved.category} ${resolved.subcommand}`;
+    const options = resolved.spec?.options || {};
+
+    // Remembered context fills options the command takes but was not given
+    const args = [...resolved.args];
+    for (const key of CONTEXT_KEYS) {
+      if (options[key] && context[key] && !hasOption(args, key)) args.push(`--${key}`, context[key]);
+    }
+
+    let fanOut = null;
+    if (input !== undefined) {
+      const rows = rowsOf(input) || [input];
+      if (ADDRESS_LIST_COMMANDS.has(name) && !hasOption(args, 'addresses') && !hasOption(args, 'file')) {
+        const addresses = pipedValues(rows, 'address');
+        if (!addresses.length) fail(`No addresses in the piped rows for ${name}`);
+        args.push('--addresses', addresses.join(','));
+      } else {
+        // Piped rows beat remembered context: drop what context filled in
+        const kind = options.address ? 'address' : options.token ? 'token' : null;
+        if (!kind || hasOption(resolved.args, kind)) fail(`Cannot pipe into ${words.join(' ')}: it takes no --address or --token`);
+        const at = args.indexOf(`--${kind}`);
+        if (at >= 0) args.splice(at, 2);
+        const values = pipedValues(rows, kind);
+        if (!values.length) fail(`No ${kind === 'token' ? 'token addresses' : 'addresses'} in the piped rows`);
+        if (values.length > PIPE_FANOUT_LIMIT) {
+          fail(`Piping ${values.length} rows into ${words[0]} would make ${values.length} calls; narrow it first, e.g. "... | ${words[0]} top 10"`);
+        }
+        fanOut = { kind, values };
+      }
+    }
+
+    if (fanOut) {
+      const results = await mapConcurrent(fanOut.values, PIPE_CONCURRENCY, async (value) => {
+        const result = await execute([...args, `--${fanOut.kind}`, value, ...defaultArgs], { print: false });
+        return result.type === 'error'
+          ? { [fanOut.kind]: value, error: { code: result.data.code, message: result.data.error } }
+          : { [fanOut.kind]: value, result: result.data };
+      });
+      if (shouldPrint) print(render({ success: true, data: results }));
+      return results;
+    }
+
+    const result = await execute([...args, ...defaultArgs], { print: shouldPrint });
+    if (result.type === 'error') {
+      if (!shouldPrint) print(render(result.data));
+      return FAILED;
+    }
+    // Remember what was passed explicitly
+    for (const key of CONTEXT_KEYS) {
+      const value = optionValue(resolved.args, key);
+      if (value !== undefined) context[key] = value;
+    }
+    if (result.data === undefined && !shouldPrint) fail(`${words.join(' ')} prints its own output; there is nothing to pipe`);
+    return result.data;
+  }
+
+  function runBuiltin([name, key, ...values]) {
+    switch (name) {
+      case 'help':
+        print(SHELL_HELP);
+        return;
+      case 'use':
+        if (!CONTEXT_KEYS.includes(key) || !values.length) fail(`Usage: use ${CONTEXT_KEYS.join('|')} <value>`);
+        context[key] = values.join(' ');
+        return;
+      case 'unset':
+        if (!CONTEXT_KEYS.includes(key)) fail(`Usage: unset ${CONTEXT_KEYS.join('|')}`);
+        delete context[key];
+        return;
+      case 'context':
+        print(render({ success: true, data: { ...context } }));
+        return;
+      case 'exit':
+      case 'quit':
+        return;
+      default:
+        if (last === undefined) fail('No result yet');
+        print(render({ success: true, data: last }));
+    }
+  }
+
+  async function runPipeline(stages) {
+    let input;
+    if (stages[0] === '') {
+      if (last === undefined) fail('No result to pipe yet');
+      input = last;
+      stages = stages.slice(1);
+    }
+    if (!stages.length || stages.includes('')) fail('Empty pipeline stage');
+
+    // "profile top 10" reads the top 10 piped rows; "holders top 10" keeps its top 10
+    const plan = [];
+    stages.forEach((text, i) => {
+      const words = tokenizeLine(text);
+      const n = words.length;
+      if (n > 2 && !LOCAL_VERBS.includes(words[0]) && words[n - 2] === 'top' && /^\d+$/.test(words[n - 1])) {
+        const top = { local: true, text: `top ${words[n - 1]}` };
+        const command = { words: words.slice(0, -2) };
+        if (i > 0 || input !== undefined) plan.push(top, command);
+        else plan.push(command, top);
+      } else {
+        plan.push(LOCAL_VERBS.includes(words[0]) ? { local: true, text } : { words });
+      }
+    });
+
+    for (let i = 0; i < plan.length; i++) {
+      const stage = plan[i];
+      const isLast = i === plan.length - 1;
+      if (stage.local) {
+        if (input === undefined) fail(`${stage.text} works on piped rows, e.g. "holders | ${stage.text}"`);
+        const rows = rowsOf(input);
+        if (!rows) fail(`${stage.text.split(' ')[0]} needs a list of rows to work on`);
+        input = applyLocalVerb(stage.text, rows);
+        if (isLast) print(render({ success: true, data: input }));
+      } else {
+        input = await runCommand(stage.words, { input, print: isLast });
+        if (input === FAILED) return;
+      }
+    }
+    if (input !== undefined) last = input;
+  }
+
+  return {
+    context,
+
+    prompt: () => `nansen${context.chain ? ` (${context.chain})` : ''}> `,
+
+    async runLine(line) {
+      if (!line.trim()) return;
+      try {
+        const stages = splitPipeline(line);
+        const words = tokenizeLine(stages[0]);
+        if (stages.length === 1 && BUILTINS.includes(words[0])) return runBuiltin(words);
+        await runPipeline(stages);
+      } catch (error) {
+        print(render(formatError(error)));
+      }
+    },
+  };
+}
+
+// ============= Completion =============
+
+/**
+ * Tab completion for a line, from the schema: commands, subcommands, option
+ * names, enum values and chains. Same contract as a readline completer.
+ *
+ * @returns {[string[], string]} [matches, word being completed]
+ */
+export function completeLine(line, schema, { aliases = {} } = {}) {
+  const stages = splitPipeline(line);
+  const words = tokenizeLine(stages[stages.length - 1]);
+  const current = /\s$/.test(line) || !words.length ? '' : words.pop();
+  const categories = researchCategories(schema);
+  const match = (candidates) => [[...new Set(candidates)].filter(c => c.startsWith(current)).sort(), current];
+
+  if (!words.length) {
+    const subcommands = Object.values(categories).flatMap(cat => Object.keys(cat.subcommands || {}));
+    const piped = stages.length > 1 ? [...LOCAL_VERBS, ...Object.keys(PIPE_VERBS)] : BUILTINS;
+    return match([...piped, ...Object.keys(schema.commands), ...Object.keys(categories), ...subcommands]);
+  }
+  if (words[0] === 'use' || words[0] === 'unset') {
+    if (words.length === 1) return match(CONTEXT_KEYS);
+    return match(words[0] === 'use' && words[1] === 'chain' ? schema.chains || [] : []);
+  }
+
+  // Walk research / category / subcommand to the spec whose options apply
+  let head = words;
+  if (head[0] === 'research') {
+    if (head.length === 1) return match(Object.keys(categories));
+    head = head.slice(1);
+  }
+  const category = aliases[head[0]] || head[0];
+  let spec = schema.commands[head[0]] && head[0] !== 'research' ? schema.commands[head[0]] : null;
+  if (categories[category]) {
+    if (head.length === 1) return match(Object.keys(categories[category].subcommands || {}));
+    spec = categories[category].subcommands?.[head[1]];
+  } else if (spec?.subcommands) {
+    if (head.length === 1) return match(Object.keys(spec.subcommands));
+    spec = spec.subcommands[head[1]] || spec;
+  } else if (!spec) {
+    spec = Object.values(categories).map(cat => cat.subcommands?.[head[0]]).find(Boolean);
+  }
+  const options = { ...schema.globalOptions, ...spec?.options };
+
+  // Value of the option before the cursor
+  const previous = words[words.length - 1];
+  if (typeof previous === 'string' && previous.startsWith('--') && !current.startsWith('-')) {
+    const name = previous.slice(2);
+    if (name === 'chain') return match(schema.chains || []);
+    if (options[name]?.enum) return match(options[name].enum.map(String));
+    if (options[name] && options[name].type !== 'boolean') return [[], current];
+  }
+  return match(Object.keys(options).filter(name => !options[name].alias && !words.includes(`--${name}`)).map(name => `--${name}`));
+}
+
+// ============= History =============
+
+/**
+ * Default history file, next to config.json.
+ */
+export function getHistoryFile() {
+  return path.join(getConfigDir(), 'shell_history');
+}
+
+/**
+ * Read history newest first, as readline expects.
+ */
+export function loadHistory(file, limit = HISTORY_SIZE) {
+  try {
+    return fs.readFileSync(file, 'utf8').split('\n').filter(Boolean).slice(-limit).reverse();
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Append one line to the history file, skipping lines that carry secrets.
+ * The file is trimmed back to the limit when it grows past twice that.
+ */
+export function appendHistory(file, line, limit = HISTORY_SIZE) {
+  if (!line.trim() || SECRET_OPTION.test(line)) return;
+  try {
+    fs.mkdirSync(path.dirname(file), { recursive: true, mode: 0o700 });
+    fs.appendFileSync(file, `${line.replace(/\n/g, ' ')}\n`, { mode: 0o600 });
+    const lines = fs.readFileSync(file, 'utf8').split('\n').filter(Boolean);
+    if (lines.length > limit * 2) fs.writeFileSync(file, `${lines.slice(-limit).join('\n')}\n`);
+  } catch {
+    // History is a convenience; never fail a command over it
+  }
+}
+
+/**
+ * Run the interactive loop until exit, Ctrl-D or end of input.
+ *
+ * @param {object} deps - createShell() deps plus:
+ * @param {object} [deps.input=process.stdin]
+ * @param {object} [deps.output=process.stdout]
+ * @param {string|null} [deps.historyFile] - null disables history
+ */
+export async function startShell(deps) {
+  const { input = process.stdin, output = process.stdout, historyFile = getHistoryFile(), aliases = {} } = deps;
+  const shell = createShell(deps);
+  const terminal = !!output.isTTY;
+  const rl = readline.createInterface({
+    input,
+    output,
+    terminal,
+    completer: (line) => completeLine(line, deps.schema, { aliases }),
+    history: historyFile ? loadHistory(historyFile) : [],
+    historySize: HISTORY_SIZE,
+  });
+  // Ctrl-C clears the line instead of leaving
+  rl.on('SIGINT', () => {
+    rl.write(null, { ctrl: true, name: 'u' });
+    output.write('\n');
+    rl.prompt();
+  });
+
+  if (terminal) deps.print('Nansen shell. Type "help" for shell commands, "exit" to leave.');
+  rl.setPrompt(shell.prompt());
+  rl.prompt();
+  for await (const line of rl) {
+    if (/^\s*(exit|quit)\s*$/.test(line)) break;
+    if (historyFile) appendHistory(historyFile, line);
+    await shell.runLine(line);
+    rl.setPrompt(shell.prompt());
+    rl.prompt();
+  }
+  rl.close();
+  if (terminal) output.write('\n');
+}
@@ -0,0 +1,246 @@
+/**
+ * Nansen CLI - Research snapshots
+ * `--snapshot <name>` stores the rows of a research result with a timestamp
+ * under ~/.nansen/snapshots/<name>/, one JSON file per run. `nansen diff <name>`
+ * compares two runs: rows added and removed, field changes per row (matched by
+ * the same identity --watch uses) and totals of the numeric columns.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { NansenError, ErrorCode } from './api.js';
+import { detectKey, indexRows, diffSnapshots, parseInterval } from './watch.js';
+
+const SNAPSHOT_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_.-]*$/;
+
+// 2026-10-19T08:30:00.000Z <-> 2026-10-19T08-30-00-000Z.json (sorts by time, valid on every filesystem)
+const STAMP_PATTERN = /^(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z\.json$/;
+
+const toStamp = (iso) => `${iso.replace(/[:.]/g, '-')}.json`;
+
+function fromStamp(file) {
+  const match = file.match(STAMP_PATTERN);
+  return match ? `${match[1]}T${match[2]}:${match[3]}:${match[4]}.${match[5]}Z` : null;
+}
+
+// ============= Storage =============
+
+/**
+ * Snapshot root, resolved per call so a changed HOME is picked up
+ */
+export function getSnapshotsDir() {
+  return path.join(process.env.HOME || process.env.USERPROFILE || '', '.nansen', 'snapshots');
+}
+
+/**
+ * Throw INVALID_PARAMS unless name is usable as a directory name
+ */
+export function validateSnapshotName(name) {
+  if (typeof name !== 'string' || !name) {
+    throw new NansenError('--snapshot needs a name, e.g. --snapshot sm-holdings', ErrorCode.INVALID_PARAMS);
+  }
+  if (!SNAPSHOT_NAME_PATTERN.test(name)) {
+    throw new NansenError(`Invalid snapshot name: ${name}. Use letters, digits, '.', '_' or '-'.`, ErrorCode.INVALID_PARAMS);
+  }
+}
+
+/**
+ * Store one run of a research command.
+ *
+ * @param {string} name - Snapshot name (a directory under getSnapshotsDir())
+ * @param {object} snapshot
+ * @param {string} snapshot.command - e.g. "research smart-money holdings"
+ * @param {object} [snapshot.options] - Options that shaped the rows (chain, filters, --where…)
+ * @param {object[]} snapshot.rows
+ * @param {object} [opts]
+ * @param {Function} [opts.now] - () => ms epoch
+ * @returns {{name: string, takenAt: string, rows: number, file: string}}
+ */
+export function saveSnapshot(name, { command, options = {}, rows }, { now = Date.now } = {}) {
+  validateSnapshotName(name);
+  const dir = path.join(getSnapshotsDir(), name);
+  fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+  let time = now();
+  // Two runs in the same millisecond would share a file name
+  while (fs.existsSync(path.join(dir, toStamp(new Date(time).toISOString())))) time++;
+  const takenAt = new Date(time).toISOString();
+  const file = path.join(dir, toStamp(takenAt));
+  // Write to a temp file and rename so diff never reads half a run
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify({ name, command, options, takenAt, rows }), { mode: 0o600 });
+  fs.renameSync(tmp, file);
+  return { name, takenAt, rows: rows.length, file };
+}
+
+/**
+ * Runs stored under a name, oldest first. Reads file names only.
+ * @returns {Array<{takenAt: string, file: string}>}
+ */
+export function listSnapshotRuns(name) {
+  validateSnapshotName(name);
+  const dir = path.join(getSnapshotsDir(), name);
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .map(file => ({ takenAt: fromStamp(file), file: path.join(dir, file) }))
+    .filter(run => run.takenAt)
+    .sort((a, b) => a.takenAt.localeCompare(b.takenAt));
+}
+
+/**
+ * Every snapshot name with its run count, first and latest run and command
+ */
+export function listSnapshots() {
+  const root = getSnapshotsDir();
+  if (!fs.existsSync(root)) return [];
+  return fs.readdirSync(root, { withFileTypes: true })
+    .filter(entry => entry.isDirectory() && SNAPSHOT_NAME_PATTERN.test(entry.name))
+    .map(entry => {
+      const runs = listSnapshotRuns(entry.name);
+      if (runs.length === 0) return null;
+      const latest = loadSnapshot(runs[runs.length - 1].file);
+      return { name: entry.name, command: latest.command, runs: runs.length, first: runs[0].takenAt, latest: latest.takenAt };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+export function loadSnapshot(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new NansenError(`Unreadable snapshot ${file}: ${error.message}`, ErrorCode.UNKNOWN);
+  }
+}
+
+// ============= Diff =============
+
+// Sum of every top-level numeric column, per side
+function numericTotals(fromRows, toRows) {
+  const sum = (rows, field) => rows.reduce((total, row) => total + (typeof row[field] === 'number' ? row[field] : 0), 0);
+  const fields = new Set([...fromRows, ...toRows].flatMap(row => Object.keys(row).filter(field => typeof row[field] === 'number')));
+  const totals = { rows: { from: fromRows.length, to: toRows.length, delta: toRows.length - fromRows.length } };
+  for (const field of fields) {
+    const from = sum(fromRows, field);
+    const to = sum(toRows, field);
+    totals[field] = { from, to, delta: to - from };
+  }
+  return totals;
+}
+
+/**
+ * Row-level and aggregate differences between two row sets.
+ *
+ * @param {object[]} fromRows - Older rows
+ * @param {object[]} toRows - Newer rows
+ * @param {object} [opts]
+ * @param {string[]} [opts.keyFields] - Identity fields; detected when omitted
+ * @returns {{keyFields: string[]|null, summary: object, totals: object, added: object[], removed: object[], changed: object[]}}
+ */
+export function diffRows(fromRows, toRows, { keyFields } = {}) {
+  const key = keyFields ?? detectKey(toRows) ?? detectKey(fromRows);
+  const events = diffSnapshots(indexRows(fromRows, key), indexRows(toRows, key));
+  const of = (type) => events.filter(e => e.event === type);
+  const added = of('added');
+  const changed = of('changed');
+  const removed = of('removed');
+  return {
+    keyFields: key,
+    summary: { added: added.length, removed: removed.length, changed: changed.length, unchanged: toRows.length - added.length - changed.length },
+    totals: numericTotals(fromRows, toRows),
+    added: added.map(e => e.row),
+    removed: removed.map(e => e.row),
+    changed: changed.map(({ key: k, changes, row }) => ({ ...(k && { key: k }), changes, row })),
+  };
+}
+
+/**
+ * Compare the latest run of a snapshot with an earlier one: the run before it,
+ * or with since, the newest run at least that old (the oldest run if none is).
+ *
+ * @param {string} name
+ * @param {object} [opts]
+ * @param {string} [opts.since] - Interval such as 24h or 7d
+ * @param {string[]} [opts.keyFields]
+ * @param {Function} [opts.now] - () => ms epoch
+ */
+export function diffSnapshot(name, { since, keyFields, now = Date.now } = {}) {
+  const runs = listSnapshotRuns(name);
+  if (runs.length === 0) {
+    throw new NansenError(`No snapshot named ${name}. Save one with: nansen research <category> <subcommand> --snapshot ${name}`, ErrorCode.NOT_FOUND);
+  }
+  if (runs.length === 1) {
+    throw new NansenError(`Snapshot ${name} has one run (${runs[0].takenAt}); run the command again with --snapshot ${name} to compare`, ErrorCode.INVALID_PARAMS);
+  }
+
+  const latest = runs[runs.length - 1];
+  let base = runs[runs.length - 2];
+  if (since !== undefined) {
+    const ms = parseInterval(since);
+    if (ms === null) {
+      throw new NansenError(`Invalid --since: ${since}. Use an interval such as 24h or 7d.`, ErrorCode.INVALID_PARAMS);
+    }
+    const cutoff = new Date(now() - ms).toISOString();
+    base = runs.slice(0, -1).filter(run => run.takenAt <= cutoff).pop() || runs[0];
+  }
+
+  const from = loadSnapshot(base.file);
+  const to = loadSnapshot(latest.file);
+  return {
+    name,
+    command: to.command,
+    from: { takenAt: from.takenAt, rows: from.rows.length },
+    to: { takenAt: to.takenAt, rows: to.rows.length },
+    ...diffRows(from.rows, to.rows, { keyFields }),
+  };
+}
+
+// ============= Table =============
+
+const formatValue = (value) => {
+  if (value === null || value === undefined) return '';
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+const formatDelta = (delta) => (delta === undefined ? '' : `${delta > 0 ? '+' : ''}${delta}`);
+const truncate = (str, maxLen) => (str.length > maxLen ? str.slice(0, maxLen - 1) + '…' : str);
+
+// Key values, plus the symbol when it is not part of the key
+function rowLabel(row, key) {
+  const symbol = row.token_symbol ?? row.symbol;
+  if (!key) return formatValue(symbol ?? row);
+  const label = Object.values(key).map(formatValue).join(' / ');
+  return symbol !== undefined && !Object.keys(key).some(f => f === 'token_symbol' || f === 'symbol') ? `${label} (${symbol})` : label;
+}
+
+function renderTable(headers, rows) {
+  const widths = headers.map((header, i) => Math.min(48, Math.max(header.length, ...rows.map(row => row[i].length))));
+  const line = (cells) => cells.map((cell, i) => truncate(cell, widths[i]).padEnd(widths[i])).join(' │ ').trimEnd();
+  return [line(headers), widths.map(w => '─'.repeat(w)).join('─┼─'), ...rows.map(line)].join('\n');
+}
+
+/**
+ * Human-readable diff: a summary line, one line per added/removed row and
+ * changed field, then the numeric totals that moved.
+ */
+export function formatDiffTable(diff) {
+  const { summary } = diff;
+  const lines = [
+    `${diff.name} (${diff.command}): ${diff.from.takenAt} → ${diff.to.takenAt}`,
+    `${summary.added} added, ${summary.removed} removed, ${summary.changed} changed, ${summary.unchanged} unchanged`,
+  ];
+
+  const key = (row) => (diff.keyFields ? Object.fromEntries(diff.keyFields.map(f => [f, row[f]])) : null);
+  const rows = [
+    ...diff.added.map(row => ['added', rowLabel(row, key(row)), '', '', '', '']),
+    ...diff.removed.map(row => ['removed', rowLabel(row, key(row)), '', '', '', '']),
+    ...diff.changed.flatMap(({ key: k, changes, row }) => Object.entries(changes).map(([field, c]) => [
+      'changed', rowLabel(row, k), field, formatValue(c.from), formatValue(c.to), formatDelta(c.delta),
+    ])),
+  ];
+  if (rows.length) lines.push('', renderTable(['CHANGE', 'ROW', 'FIELD', 'FROM', 'TO', 'DELTA'], rows));
+
+  const moved = Object.entries(diff.totals).filter(([, t]) => t.delta !== 0);
+  if (moved.length) {
+    lines.push('', renderTable(['TOTAL', 'FROM', 'TO', 'DELTA'], moved.map(([field, t]) => [field, formatValue(t.from), formatValue(t.to), formatDelta(t.delta)])));
+  }
+  return lines.join('\n');
+}
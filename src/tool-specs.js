@@ -0,0 +1,230 @@
+/**
+ * Nansen CLI - Tool specs
+ * Converts schema.json into the function-calling formats agent frameworks
+ * expect: OpenAI tools, Anthropic tools, a JSON Schema document with one
+ * definition per command, and an OpenAPI document for the `nansen serve`
+ * gateway. Built on the same tool list as the MCP server.
+ */
+
+import { ErrorCode } from './api.js';
+import { buildMcpTools, optionsToInputSchema, toolName } from './mcp.js';
+import { GATEWAY_FILE_OPTIONS } from './serve.js';
+
+export const SCHEMA_FORMATS = ['openai-tools', 'anthropic-tools', 'jsonschema', 'openapi'];
+
+// Not request/response calls (servers, the REPL, completion scripts) or
+// holding API keys (profile). research, trade and wallet
+// come from buildMcpTools so they get the same options and trading gate.
+const NOT_TOOLS = new Set(['research', 'trade', 'wallet', 'mcp', 'serve', 'shell', 'mock', 'completion', 'profile']);
+
+function commandDef(schema, command) {
+  return command.reduce((def, word) => def?.subcommands?.[word], { subcommands: schema.commands });
+}
+
+// Schema for one documented record, from a `returns` field list
+function returnsSchema(returns) {
+  return {
+    type: 'object',
+    description: 'Documented fields of each returned record',
+    properties: Object.fromEntries(returns.map(field => [field, {}])),
+  };
+}
+
+/**
+ * Every command that can be called as a tool, with its JSON Schema input and
+ * documented return fields. Trade and wallet tools need allowTrading.
+ *
+ * @param {object} schema - SCHEMA from cli.js
+ * @param {object} [opts]
+ * @param {boolean} [opts.allowTrading=false]
+ * @returns {Array<{name: string, description: string, inputSchema: object, command: string[], returns?: string[]}>}
+ */
+export function buildToolSpecs(schema, { allowTrading = false } = {}) {
+  const tools = buildMcpTools(schema, { allowTrading });
+
+  for (const [name, cmd] of Object.entries(schema.commands)) {
+    if (NOT_TOOLS.has(name)) continue;
+    const entries = cmd.subcommands
+      ? Object.entries(cmd.subcommands).map(([sub, def]) => [[name, sub], def])
+      : [[[name], cmd]];
+    for (const [command, def] of entries) {
+      tools.push({
+        name: toolName(command),
+        description: def.description || cmd.description,
+        inputSchema: optionsToInputSchema(def.options),
+        command,
+      });
+    }
+  }
+
+  return tools.map(tool => {
+    const def = commandDef(schema, tool.command) || {};
+    // A positional argument with no matching option (alerts update <id>)
+    // still has to be passed, so it becomes a required input
+    if (def.positional && !tool.inputSchema.properties[def.positional]) {
+      tool.inputSchema.properties[def.positional] = { type: 'string', description: `${def.positional} (positional argument)` };
+      tool.inputSchema.required = [...(tool.inputSchema.required || []), def.positional];
+    }
+    return def.returns ? { ...tool, returns: def.returns } : tool;
+  });
+}
+
+// Formats without an output schema get the return fields in the description
+const describe = (tool) => (tool.returns ? `${tool.description.replace(/\.$/, '')}. Returns: ${tool.returns.join(', ')}` : tool.description);
+
+/** OpenAI Chat Completions / Responses `tools` array. */
+export function toOpenAITools(tools) {
+  return tools.map(tool => ({
+    type: 'function',
+    function: { name: tool.name, description: describe(tool), parameters: tool.inputSchema },
+  }));
+}
+
+/** Anthropic Messages API `tools` array. */
+export function toAnthropicTools(tools) {
+  return tools.map(tool => ({ name: tool.name, description: describe(tool), input_schema: tool.inputSchema }));
+}
+
+/**
+ * One JSON Schema document: a definition per command input, plus
+ * `<name>_output` where return fields are documented.
+ */
+export function toJsonSchema(tools, { version } = {}) {
+  const defs = {};
+  for (const tool of tools) {
+    defs[tool.name] = { title: `nansen ${tool.command.join(' ')}`, description: tool.description, ...tool.inputSchema };
+    if (tool.returns) defs[`${tool.name}_output`] = { title: `nansen ${tool.command.join(' ')} output`, ...returnsSchema(tool.returns) };
+  }
+  return {
+    $schema: 'https://json-schema.org/draft/2020-12/schema',
+    title: `nansen-cli${version ? ` ${version}` : ''} command inputs`,
+    $defs: defs,
+  };
+}
+
+// Query parameters: scalars as-is, objects and arrays JSON-encoded like CLI option values
+function queryParameter(name, prop, required) {
+  const structured = prop.type === 'object' || prop.type === 'array';
+  return {
+    name,
+    in: 'query',
+    ...(required && { required: true }),
+    ...(prop.description && { description: prop.description }),
+    ...(structured ? { content: { 'application/json': { schema: prop } } } : { schema: prop }),
+  };
+}
+
+/**
+ * OpenAPI 3.1 document for the `nansen serve` gateway, which exposes the
+ * research tools as GET (query string) and POST (JSON body) routes.
+ */
+export function toOpenAPI(tools, { version, serverUrl = 'http://127.0.0.1:8787' } = {}) {
+  const responses = (tool) => ({
+    200: {
+      description: 'Success envelope',
+      content: {
+        'application/json': {
+          schema: {
+            type: 'object',
+            required: ['success', 'data'],
+            properties: {
+              success: { const: true },
+              data: tool.returns ? { type: 'array', items: returnsSchema(tool.returns) } : {},
+            },
+          },
+        },
+      },
+    },
+    400: { $ref: '#/components/responses/Error' },
+    default: { $ref: '#/components/responses/Error' },
+  });
+
+  const paths = {
+    '/health': {
+      get: {
+        operationId: 'health',
+        summary: 'Gateway liveness and version',
+        responses: { 200: { description: 'Gateway is up' } },
+      },
+    },
+  };
+  for (const tool of tools.filter(t => t.command[0] === 'research')) {
+    // The gateway refuses options that name local files
+    const properties = Object.fromEntries(Object.entries(tool.inputSchema.properties).filter(([name]) => !GATEWAY_FILE_OPTIONS.has(name)));
+    const inputSchema = { ...tool.inputSchema, properties };
+    const required = (tool.inputSchema.required || []).filter(name => properties[name]);
+    if (inputSchema.required) inputSchema.required = required;
+    paths[`/${tool.command.join('/')}`] = {
+      get: {
+        operationId: tool.name,
+        summary: tool.description,
+        parameters: Object.entries(properties).map(([name, prop]) => queryParameter(name, prop, required.includes(name))),
+        responses: responses(tool),
+      },
+      post: {
+        operationId: `${tool.name}_post`,
+        summary: tool.description,
+        requestBody: { required: required.length > 0, content: { 'application/json': { schema: inputSchema } } },
+        responses: responses(tool),
+      },
+    };
+  }
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'nansen serve gateway',
+      version: version || '0.0.0',
+      description: 'Local HTTP gateway started by `nansen serve`. Routes mirror `nansen research <category> <subcommand>`.',
+    },
+    servers: [{ url: serverUrl }],
+    paths,
+    components: {
+      responses: {
+        Error: {
+          description: 'Error envelope',
+          content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } },
+        },
+      },
+      schemas: {
+        Error: {
+          type: 'object',
+          required: ['success', 'error', 'code'],
+          properties: {
+            success: { const: false },
+            error: { type: 'string' },
+            code: { type: 'string', enum: [...new Set(Object.values(ErrorCode))] },
+            status: { type: ['integer', 'null'] },
+            details: { type: 'object' },
+          },
+        },
+      },
+    },
+  };
+}
+
+/**
+ * Convert the schema to one of SCHEMA_FORMATS.
+ *
+ * @param {string} format - One of SCHEMA_FORMATS
+ * @param {object} schema - SCHEMA from cli.js
+ * @param {object} [opts]
+ * @param {boolean} [opts.allowTrading=false] - Include trade and wallet tools
+ * @param {string} [opts.command] - Only this command or research category
+ * @param {string} [opts.version] - CLI version, recorded in the document
+ */
+export function exportSchema(format, schema, { allowTrading = false, command, version } = {}) {
+  const tools = buildToolSpecs(schema, { allowTrading })
+    .filter(tool => !command || tool.command[0] === command || (tool.command[0] === 'research' && tool.command[1] === command));
+  switch (format) {
+    case 'openai-tools': return toOpenAITools(tools);
+    case 'anthropic-tools': return toAnthropicTools(tools);
+    case 'jsonschema': return toJsonSchema(tools, { version });
+    case 'openapi': {
+      const serve = schema.commands.serve?.options || {};
+      const serverUrl = `http://${serve.host?.default || '127.0.0.1'}:${serve.port?.default || 8787}`;
+      return toOpenAPI(tools, { version, serverUrl });
+    }
+    default: throw new Error(`Unknown schema format: ${format}`);
+  }
+}
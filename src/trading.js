@@ -14,6 +14,7 @@ import { keccak256, signSecp256k1, rlpEncode } from './crypto.js';
 import { getWalletConnectAddress, sendTransactionViaWalletConnect, sendSolanaTransactionViaWalletConnect, sendApprovalViaWalletConnect } from './walletconnect-trading.js';
 import { retrievePassword } from './keychain.js';
 import { CHAIN_RPCS } from './rpc-urls.js';
+import { cassetteFetch } from './cassette.js';
 
 // ============= Constants =============
 
@@ -76,7 +77,7 @@ export function resolveTokenAddress(symbolOrAddress, chainName) {
 async function evmRpcCall(chain, method, params = []) {
   const rpcUrl = CHAIN_RPCS[chain];
   if (!rpcUrl) throw new Error(`No RPC URL configured for chain: ${chain}`);
-  const res = await fetch(rpcUrl, {
+  const res = await cassetteFetch(rpcUrl, {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
     body: JSON.stringify({ jsonrpc: '2.0', id: 1, method, params }),
@@ -119,7 +120,7 @@ export async function getQuote(params) {
     headers['Authorization'] = `Bearer ${process.env.NANSEN_API_KEY}`;
   }
 
-  const res = await fetch(url.toString(), { headers });
+  const res = await cassetteFetch(url.toString(), { headers });
 
   const text = await res.text();
   let body;
@@ -166,7 +167,7 @@ export async function executeTransaction(params, { retries = 2, retryDelayMs = 1
       await new Promise(r => setTimeout(r, retryDelayMs));
     }
 
-    const res = await fetch(`${TRADING_API_URL}/execute`, {
+    const res = await cassetteFetch(`${TRADING_API_URL}/execute`, {
       method: 'POST',
       headers,
       body: JSON.stringify(params),
@@ -245,6 +246,25 @@ export function loadQuote(quoteId) {
   return data;
 }
 
+/**
+ * List saved quotes that have not expired, newest first.
+ * @returns {Array<{quoteId: string, chain: string, timestamp: number}>}
+ */
+export function listQuotes() {
+  const dir = getQuotesDir();
+  if (!fs.existsSync(dir)) return [];
+  const now = Date.now();
+  const quotes = [];
+  for (const file of fs.readdirSync(dir)) {
+    if (!file.endsWith('.json')) continue;
+    try {
+      const { quoteId, chain, timestamp } = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+      if (now - timestamp <= 3600000) quotes.push({ quoteId, chain, timestamp });
+    } catch { /* ignore */ }
+  }
+  return quotes.sort((a, b) => b.timestamp - a.timestamp);
+}
+
 /**
  * Remove quotes older than 1 hour.
  */
@@ -1138,7 +1158,7 @@ EXAMPLES:
               if (finalGas === 0) {
                 try {
                   const rpcUrl = CHAIN_RPCS[chain];
-                  const estRes = await fetch(rpcUrl, {
+                  const estRes = await cassetteFetch(rpcUrl, {
                     method: 'POST',
                     headers: { 'Content-Type': 'application/json' },
                     body: JSON.stringify({
@@ -10,6 +10,7 @@ import { keccak256, signSecp256k1, rlpEncode } from './crypto.js';
 import { getWalletConnectAddress, sendTransactionViaWalletConnect } from './walletconnect-trading.js';
 import { EVM_CHAIN_IDS } from './chain-ids.js';
 import { CHAIN_RPCS } from './rpc-urls.js';
+import { cassetteFetch } from './cassette.js';
 
 // ============= Constants =============
 
@@ -71,7 +72,7 @@ function formatAmount(rawAmount, decimals) {
 // ============= RPC =============
 
 async function rpcCall(url, method, params = []) {
-  const response = await fetch(url, {
+  const response = await cassetteFetch(url, {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
     body: JSON.stringify({ jsonrpc: '2.0', id: 1, method, params }),
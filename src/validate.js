@@ -0,0 +1,182 @@
+/**
+ * Nansen CLI - Pre-flight validation
+ * Checks a research command's options against schema.json before any request
+ * is made: unknown options (with did-you-mean suggestions), value types, enum
+ * values, required parameters and the chains each endpoint takes. A typo such
+ * as --chian or --timeframe 2h then fails locally with INVALID_PARAMS instead
+ * of spending a credit on a request that fails remotely or runs on defaults.
+ */
+
+import { NansenError, ErrorCode } from './api.js';
+import { optionToJsonSchema } from './mcp.js';
+
+// Accepted everywhere and handled before any command runs
+const META_OPTIONS = new Set(['help', 'version']);
+
+// Options whose allowed values are a top-level list in schema.json
+const VALUE_LISTS = { chain: 'chains', chains: 'chains', labels: 'smartMoneyLabels' };
+
+/**
+ * Edit distance counting a swap of two adjacent characters as one edit,
+ * so "chian" is one step from "chain".
+ */
+export function editDistance(a, b) {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) d[0][j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return d[a.length][b.length];
+}
+
+/**
+ * Closest candidates to a mistyped value: within one edit per three
+ * characters, or starting with it ("eth" -> "ethereum"). Best first.
+ * @returns {string[]} Up to max candidates
+ */
+export function didYouMean(input, candidates, max = 3) {
+  const text = String(input).toLowerCase();
+  const limit = Math.max(1, Math.floor(text.length / 3));
+  return candidates
+    .map(candidate => {
+      const lower = candidate.toLowerCase();
+      const distance = text.length >= 2 && lower.startsWith(text) ? 1 : editDistance(text, lower);
+      return [candidate, distance];
+    })
+    .filter(([, distance]) => distance <= limit)
+    .sort((a, b) => a[1] - b[1])
+    .slice(0, max)
+    .map(([candidate]) => candidate);
+}
+
+const quoteList = (items, prefix = '') => {
+  const quoted = items.map(item => `${prefix}${item}`);
+  return quoted.length > 1 ? `${quoted.slice(0, -1).join(', ')} or ${quoted[quoted.length - 1]}` : quoted[0];
+};
+const hint = (suggestions, prefix = '') => (suggestions.length ? ` (did you mean ${quoteList(suggestions, prefix)}?)` : '');
+
+/**
+ * Find the schema entry for a research command line, following category
+ * aliases and the deprecated top-level form (`nansen token holders`).
+ *
+ * @param {string[]} positional - [command, ...subArgs], command already alias-resolved
+ * @param {object} schema - SCHEMA
+ * @param {Object<string,string>} [aliases] - Research category aliases
+ * @returns {{ name: string, spec: object, args: string[] }|null} null when not a known research leaf
+ */
+export function findResearchCommand(positional, schema, aliases = {}) {
+  const categories = schema.commands.research?.subcommands || {};
+  const words = positional[0] === 'research' ? positional.slice(1) : positional;
+  const category = aliases[words[0]] || words[0];
+  const cat = categories[category];
+  if (!cat) return null;
+  if (!cat.subcommands) return { name: `research ${category}`, spec: cat, args: words.slice(1) };
+  const spec = cat.subcommands[words[1]];
+  return spec ? { name: `research ${category} ${words[1]}`, spec, args: words.slice(2) } : null;
+}
+
+// Problems with one option value, or null
+function checkValue(command, name, value, opt, schema) {
+  const type = optionToJsonSchema(opt).type;
+  const items = Array.isArray(value) ? value : [value];
+
+  if (type === 'number' && items.some(v => typeof v !== 'string' || v.trim() === '' || !Number.isFinite(Number(v)))) {
+    return { problem: 'type', expected: 'number', message: `--${name} expects a number, got ${JSON.stringify(value)}` };
+  }
+  if (type === 'boolean' && items.some(v => typeof v !== 'boolean')) {
+    return { problem: 'type', expected: 'boolean', message: `--${name} is a flag and takes no value, got ${JSON.stringify(value)}` };
+  }
+  if (type === 'object' && (value === null || typeof value !== 'object' || Array.isArray(value))) {
+    return { problem: 'type', expected: 'object', message: `--${name} expects a JSON object, got ${JSON.stringify(value)}` };
+  }
+  if (type === 'array' && !Array.isArray(value)) {
+    return { problem: 'type', expected: 'array', message: `--${name} expects a JSON array, got ${JSON.stringify(value)}` };
+  }
+
+  const allowed = opt.enum?.map(String) || schema[VALUE_LISTS[name]];
+  const invalid = allowed ? items.map(String).filter(v => !allowed.includes(v)) : [];
+  if (!invalid.length) return null;
+  const suggestions = didYouMean(invalid[0], allowed);
+  const isChain = VALUE_LISTS[name] === 'chains' && !opt.enum;
+  return {
+    problem: isChain ? 'chain' : 'enum',
+    received: invalid.length === 1 ? invalid[0] : invalid,
+    expected: allowed,
+    ...(suggestions.length && { suggestions }),
+    message: isChain
+      ? `Unsupported chain "${invalid[0]}" for ${command}${hint(suggestions)}`
+      : `Invalid --${name} "${invalid[0]}"${hint(suggestions)}`,
+  };
+}
+
+/**
+ * List everything wrong with a research command's options. Options set by a
+ * profile should not be passed in: they are not the user's to fix here.
+ *
+ * @param {{ name: string, spec: object, args: string[] }} command - From findResearchCommand
+ * @param {{ flags: object, options: object }} parsed - parseArgs output
+ * @param {object} schema - SCHEMA
+ * @returns {Array<{ option: string, problem: string, message: string }>}
+ */
+export function validateResearchOptions(command, { flags = {}, options = {} }, schema) {
+  const declared = { ...schema.researchOptions, ...command.spec.options };
+  const known = { ...schema.globalOptions, ...declared };
+  const issues = [];
+
+  // Single-letter flags (-p, -t) are shorthands, not options
+  const given = [...Object.keys(options), ...Object.keys(flags).filter(name => name.length > 1 && !(name in options))];
+  for (const name of given) {
+    if (META_OPTIONS.has(name)) continue;
+    if (!known[name]) {
+      const suggestions = didYouMean(name, Object.keys(known).filter(n => !known[n].alias));
+      issues.push({ option: name, problem: 'unknown', ...(suggestions.length && { suggestions }), message: `Unknown option --${name}${hint(suggestions, '--')}` });
+      continue;
+    }
+    // Global options are checked where they are used; a bare --x has no value to check
+    const opt = declared[name];
+    if (!opt || !(name in options)) continue;
+    const issue = checkValue(command.name, name, options[name], opt.alias ? declared[opt.alias] : opt, schema);
+    if (issue) issues.push({ option: name, ...issue });
+  }
+
+  // Required options may come through an alias, a positional, or the
+  // option named by `unless` (profiler balance takes --address or --entity)
+  const supplied = (name) => name in options || Object.keys(declared).some(other => declared[other].alias === name && other in options);
+  for (const [name, opt] of Object.entries(command.spec.options || {})) {
+    if (!opt.required || supplied(name) || (opt.unless && supplied(opt.unless))) continue;
+    if (command.spec.positional === name && command.args.length) continue;
+    issues.push({ option: name, problem: 'required', message: `Missing required --${name}${opt.unless ? ` or --${opt.unless}` : ''}` });
+  }
+  return issues;
+}
+
+/**
+ * Throw INVALID_PARAMS (MISSING_PARAM when only required options are absent)
+ * listing every problem, so an agent can correct the whole command in one go.
+ * Commands outside research are left to their handlers.
+ */
+export function preflightResearch(positional, parsed, schema, aliases) {
+  const command = findResearchCommand(positional, schema, aliases);
+  if (!command) return;
+  const issues = validateResearchOptions(command, parsed, schema);
+  if (!issues.length) return;
+  const options = { ...schema.researchOptions, ...command.spec.options };
+  // Only missing parameters: keep the code the handlers themselves use
+  const missingOnly = issues.every(issue => issue.problem === 'required');
+  throw new NansenError(
+    `${missingOnly ? 'Missing parameters' : 'Invalid options'} for ${command.name}: ${issues.map(issue => issue.message).join('; ')}`,
+    missingOnly ? ErrorCode.MISSING_PARAM : ErrorCode.INVALID_PARAMS,
+    null,
+    {
+      command: command.name,
+      issues,
+      options: Object.keys(options).filter(name => !options[name].alias),
+    },
+  );
+}
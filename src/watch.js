@@ -0,0 +1,201 @@
+/**
+ * Nansen CLI - Watch mode
+ * Re-runs a research command on an interval and emits only what changed, as
+ * NDJSON events: rows `added`, `removed` or `changed` (with field-level
+ * deltas), keyed by the row's natural identity — tx hash, token address or
+ * address. Transient failures become `error` events and the loop carries on;
+ * a server Retry-After pushes the next poll back.
+ */
+
+import { ErrorCode } from './api.js';
+
+export const MIN_WATCH_INTERVAL_MS = 5000;
+
+const INTERVAL_UNITS = { ms: 1, s: 1000, m: 60_000, h: 3_600_000, d: 86_400_000 };
+
+// Failures worth waiting out; anything else (auth, credits, bad params) stops the watch
+const TRANSIENT_CODES = new Set([
+  ErrorCode.NETWORK_ERROR,
+  ErrorCode.TIMEOUT,
+  ErrorCode.RATE_LIMITED,
+  ErrorCode.SERVER_ERROR,
+  ErrorCode.SERVICE_UNAVAILABLE,
+]);
+
+// Identity fields, most specific first. The first group every row carries
+// decides: a trade with a tx hash is never keyed by its token instead.
+const KEY_CANDIDATES = [
+  ['transaction_hash'], ['tx_hash'], ['hash'],
+  ['id'], ['market_id'],
+  ['token_address'],
+  ['address'], ['wallet_address'], ['trader_address'],
+  ['token_symbol'], ['symbol'],
+];
+
+/**
+ * Parse an interval like "30s", "5m", "1h" or a plain number of seconds.
+ * @returns {number|null} Milliseconds, or null when it cannot be parsed
+ */
+export function parseInterval(value) {
+  const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*(ms|s|m|h|d)?$/i);
+  if (!match) return null;
+  return Math.round(parseFloat(match[1]) * INTERVAL_UNITS[(match[2] || 's').toLowerCase()]);
+}
+
+function isUnique(rows, fields) {
+  const seen = new Set(rows.map(row => fields.map(f => String(row[f])).join('|')));
+  return seen.size === rows.length;
+}
+
+/**
+ * Pick the fields that identify a row. Adds `chain` when the identity alone
+ * repeats across chains.
+ * @returns {string[]|null} null when no identity fits: the whole row is the key
+ */
+export function detectKey(rows) {
+  if (rows.length === 0) return null;
+  const has = (field) => rows.every(row => row && row[field] !== undefined && row[field] !== null);
+  const group = KEY_CANDIDATES.find(fields => fields.every(has));
+  if (!group) return null;
+  if (isUnique(rows, group)) return group;
+  if (has('chain') && isUnique(rows, [...group, 'chain'])) return [...group, 'chain'];
+  return null;
+}
+
+// Nested plain objects compare field by field (dot paths); arrays compare whole
+function flatten(value, prefix = '', out = {}) {
+  for (const [field, inner] of Object.entries(value)) {
+    const key = prefix ? `${prefix}.${field}` : field;
+    if (inner && typeof inner === 'object' && !Array.isArray(inner)) flatten(inner, key, out);
+    else out[key] = inner;
+  }
+  return out;
+}
+
+/**
+ * Field-level differences between two versions of a row.
+ * @returns {Object<string, {from: *, to: *, delta?: number}>} Empty when equal
+ */
+export function diffFields(before, after) {
+  const a = flatten(before || {});
+  const b = flatten(after || {});
+  const changes = {};
+  for (const field of new Set([...Object.keys(a), ...Object.keys(b)])) {
+    if (JSON.stringify(a[field]) === JSON.stringify(b[field])) continue;
+    const from = a[field] ?? null;
+    const to = b[field] ?? null;
+    changes[field] = typeof from === 'number' && typeof to === 'number' ? { from, to, delta: to - from } : { from, to };
+  }
+  return changes;
+}
+
+/**
+ * Index rows by key. Rows that share a key (no unique identity) get an
+ * occurrence suffix so none are lost.
+ * @returns {Map<string, {key: object|undefined, row: object}>}
+ */
+export function indexRows(rows, keyFields) {
+  const index = new Map();
+  for (const row of rows) {
+    const key = keyFields ? Object.fromEntries(keyFields.map(f => [f, row[f]])) : undefined;
+    const base = keyFields ? keyFields.map(f => String(row[f])).join('|') : JSON.stringify(row);
+    let id = base;
+    for (let n = 2; index.has(id); n++) id = `${base}#${n}`;
+    index.set(id, { key, row });
+  }
+  return index;
+}
+
+/**
+ * Events turning one snapshot into the next, in row order: changes and
+ * additions as they appear in the new rows, then removals.
+ */
+export function diffSnapshots(previous, next) {
+  const events = [];
+  for (const [id, { key, row }] of next) {
+    const before = previous.get(id);
+    if (!before) {
+      events.push({ event: 'added', ...(key && { key }), row });
+      continue;
+    }
+    const changes = diffFields(before.row, row);
+    if (Object.keys(changes).length) events.push({ event: 'changed', ...(key && { key }), changes, row });
+  }
+  for (const [id, { key, row }] of previous) {
+    if (!next.has(id)) events.push({ event: 'removed', ...(key && { key }), row });
+  }
+  return events;
+}
+
+// Resolves after ms, or as soon as the signal aborts
+function pause(ms, { signal, sleep }) {
+  if (signal?.aborted) return Promise.resolve();
+  return new Promise(resolve => {
+    let timer;
+    const done = () => {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', done);
+      resolve();
+    };
+    signal?.addEventListener('abort', done, { once: true });
+    if (sleep) sleep(ms).then(done);
+    else timer = setTimeout(done, ms);
+  });
+}
+
+/**
+ * Poll until the signal aborts or maxPolls is reached, emitting an event per
+ * difference. The first poll reports every row as added.
+ *
+ * @param {object} opts
+ * @param {Function} opts.fetchRows - async () => rows for one poll
+ * @param {Function} opts.emit - (event) => void, once per event
+ * @param {number} opts.intervalMs - Time between the start of one poll and the next
+ * @param {number} [opts.maxPolls=Infinity]
+ * @param {string[]} [opts.keyFields] - Identity fields; detected from the first rows when omitted
+ * @param {AbortSignal} [opts.signal] - Stops the loop (Ctrl-C)
+ * @param {Function} [opts.sleep] - async (ms) => void, in place of a timer (tests)
+ * @param {Function} [opts.backoffUntil] - () => ms epoch a server Retry-After asked us to wait until
+ * @param {Function} [opts.now] - () => ms epoch
+ * @returns {Promise<{polls: number, events: number, errors: number, keyFields: string[]|null}>}
+ */
+export async function runWatch({
+  fetchRows,
+  emit,
+  intervalMs,
+  maxPolls = Infinity,
+  keyFields,
+  signal,
+  sleep,
+  backoffUntil = () => 0,
+  now = Date.now,
+}) {
+  let snapshot = new Map();
+  let key = keyFields;
+  const stats = { polls: 0, events: 0, errors: 0 };
+
+  while (!signal?.aborted && stats.polls < maxPolls) {
+    const started = now();
+    stats.polls++;
+    const at = new Date(started).toISOString();
+    try {
+      const rows = await fetchRows();
+      if (key === undefined && rows.length) key = detectKey(rows);
+      const next = indexRows(rows, key);
+      for (const event of diffSnapshots(snapshot, next)) {
+        emit({ ...event, poll: stats.polls, at });
+        stats.events++;
+      }
+      snapshot = next;
+    } catch (error) {
+      if (!TRANSIENT_CODES.has(error.code)) throw error;
+      emit({ event: 'error', poll: stats.polls, at, code: error.code, error: error.message, ...(error.status && { status: error.status }) });
+      stats.errors++;
+    }
+
+    if (stats.polls >= maxPolls) break;
+    const wait = Math.max(started + intervalMs, backoffUntil()) - now();
+    await pause(Math.max(0, wait), { signal, sleep });
+  }
+  return { ...stats, keyFields: key ?? null };
+}
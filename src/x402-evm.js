@@ -16,7 +16,7 @@ const DOMAIN_TYPES = [
   { name: 'verifyingContract', type: 'address' },
 ];
 
-const AUTHORIZATION_TYPES = [
+export const AUTHORIZATION_TYPES = [
   { name: 'from', type: 'address' },
   { name: 'to', type: 'address' },
   { name: 'value', type: 'uint256' },
@@ -5,6 +5,8 @@
 
 import crypto from 'crypto';
 import { base58 } from '@scure/base';
+import { cassetteFetch } from './cassette.js';
+import { CHAIN_RPCS } from './rpc-urls.js';
 
 // ============= Base58 Encode =============
 
@@ -418,7 +420,7 @@ export function createSvmPaymentPayload(
  * Fetch recent blockhash from Solana RPC.
  */
 export async function fetchRecentBlockhash(rpcUrl = 'https://api.mainnet-beta.solana.com') {
-  const response = await fetch(rpcUrl, {
+  const response = await cassetteFetch(rpcUrl, {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
     body: JSON.stringify({
@@ -434,6 +436,7 @@ export async function fetchRecentBlockhash(rpcUrl = 'https://api.mainnet-beta.so
 
 /**
  * Get RPC URL for a Solana network identifier.
+ * Mainnet uses CHAIN_RPCS.solana so NANSEN_SOLANA_RPC applies to x402 payments too.
  */
 export function getSolanaRpcUrl(network) {
   if (network.includes('devnet') || network === 'solana:EtWTRABZaYq6iMfeYKouRu166VU2xqa1') {
@@ -442,7 +445,7 @@ export function getSolanaRpcUrl(network) {
   if (network.includes('testnet') || network === 'solana:4uhcVJyU9pJkvQyS88uRDiswHXSCkY3z') {
     return 'https://api.testnet.solana.com';
   }
-  return 'https://api.mainnet-beta.solana.com';
+  return CHAIN_RPCS.solana;
 }
 
 /**
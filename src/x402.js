@@ -13,6 +13,7 @@ import {
 } from './x402-svm.js';
 import { resolvePassword } from './keychain.js';
 import { CHAIN_RPCS } from './rpc-urls.js';
+import { cassetteFetch } from './cassette.js';
 
 /**
  * Parse PaymentRequirements from a 402 response.
@@ -172,7 +173,7 @@ export async function checkX402Balance(network) {
       const { getSolanaRpcUrl } = await import('./x402-svm.js');
       const rpcUrl = getSolanaRpcUrl(network);
       const USDC_MINT = 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v';
-      const resp = await fetch(rpcUrl, {
+      const resp = await cassetteFetch(rpcUrl, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
@@ -191,7 +192,7 @@ export async function checkX402Balance(network) {
       // Base USDC balance check — RPC URL from shared registry so NANSEN_BASE_RPC override applies
       const USDC_BASE = '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913';
       const addr = walletInfo.evm.replace('0x', '').toLowerCase().padStart(64, '0');
-      const resp = await fetch(CHAIN_RPCS.base, {
+      const resp = await cassetteFetch(CHAIN_RPCS.base, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({